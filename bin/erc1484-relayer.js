@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+const Web3 = require('web3')
+
+const { parseArgs } = require('../lib/cli')
+const { loadKey } = require('../lib/cli/keys')
+const { Relayer } = require('../lib/relayer')
+
+const usage = `Usage: erc1484-relayer [options]
+
+Serves the relayer HTTP API, relaying signed payloads through a MetaTransactionProxyProvider
+
+Options:
+  --rpc <url>                 node to connect to (default: $ERC1484_RPC or http://localhost:8545)
+  --registry <address>        registry to use (default: the address book entry for the network)
+  --provider <address>        provider to relay through (default: the address book entry for the network)
+  --key <private key>         funded key to send transactions with (default: $ERC1484_KEY)
+  --keystore <file>           keystore file to send transactions with, decrypted with --password
+  --from <address>            unlocked account of the node to send transactions with instead
+  --port <port>               port to listen on (default: 3000)
+  --rate-limit <count>        relays allowed per identity in every interval (default: 10)
+  --mint-rate-limit <count>   mints allowed in total in every interval (default: 100)
+  --rate-interval <seconds>   length of the rate limiting interval (default: 3600)
+  --gas-price <wei>           gas price to send transactions with
+`
+
+async function main (argv, env) {
+  const { options } = parseArgs(argv)
+  if (options.help) return process.stdout.write(usage)
+
+  const web3 = new Web3(options.rpc || env.ERC1484_RPC || 'http://localhost:8545')
+  const sender = loadKey(web3, options, env)
+  if (sender !== undefined) web3.eth.accounts.wallet.add(sender.privateKey)
+  else if (options.from === undefined) throw new Error('A funded key is required, via --key, --keystore or --from.')
+
+  const relayerOptions = {
+    provider: options.provider,
+    from: sender === undefined ? options.from : sender.address,
+    gasPrice: options['gas-price'],
+    rateLimit: { limit: Number(options['rate-limit'] || 10), interval: Number(options['rate-interval'] || 3600) },
+    mintRateLimit: {
+      limit: Number(options['mint-rate-limit'] || 100), interval: Number(options['rate-interval'] || 3600)
+    }
+  }
+  const relayer = options.registry
+    ? new Relayer(web3, Object.assign({ registry: options.registry }, relayerOptions))
+    : await Relayer.fromAddressBook(web3, relayerOptions)
+
+  const port = Number(options.port || 3000)
+  relayer.createServer().listen(port, () => {
+    process.stdout.write(`Relaying from ${relayer.from} through ${relayer.provider.options.address} on port ${port}\n`)
+  })
+}
+
+main(process.argv.slice(2), process.env).catch(error => {
+  process.stderr.write(`${error.message}\n`)
+  process.exitCode = 1
+})
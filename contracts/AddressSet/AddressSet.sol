@@ -36,4 +36,17 @@ library AddressSet {
     function length(Set storage self) public view returns (uint) {
         return self.members.length;
     }
+
+    // gets up to limit members from offset onwards, in storage order, which changes when members are removed
+    function slice(Set storage self, uint offset, uint limit) public view returns (address[] members) {
+        if (offset >= self.members.length) return members;
+
+        uint count = self.members.length - offset;
+        if (limit < count) count = limit;
+
+        members = new address[](count);
+        for (uint i; i < count; i++) {
+            members[i] = self.members[offset + i];
+        }
+    }
 }
@@ -28,6 +28,10 @@ contract AddressSetTest {
         return mySet.members;
     }
 
+    function slice(uint offset, uint limit) public view returns (address[]) {
+        return mySet.slice(offset, limit);
+    }
+
     function reset() public {
         delete mySet;
     }
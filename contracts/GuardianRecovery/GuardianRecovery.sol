@@ -0,0 +1,226 @@
+pragma solidity ^0.4.24;
+
+import "../AddressSet/AddressSet.sol";
+
+interface IdentityRegistryInterface {
+    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        external view returns (bool);
+    function getEIN(address _address) external view returns (uint ein);
+    function triggerRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
+        external;
+}
+
+// a recovery address that recovers identities once enough of their guardians have approved, after a delay
+// identities set this contract as their recovery address, and choose M of N guardians with setGuardians. recoveries
+// go through IdentityRegistry.triggerRecovery, so the addresses they remove can still trigger the poison pill
+contract GuardianRecovery {
+    using AddressSet for AddressSet.Set;
+
+    struct GuardianSet {
+        AddressSet.Set guardians;
+        uint threshold;
+        uint delay;
+    }
+
+    // the guardian sets of an identity, numbered from 1, of which current is in force, and pending replaces it from
+    // pendingFrom on
+    struct Guardians {
+        uint count;
+        uint current;
+        uint pending;
+        uint pendingFrom;
+        mapping (uint => GuardianSet) sets;
+    }
+
+    // the approvals of a recovery, which can be executed from executableFrom once enough guardians have approved
+    struct Recovery {
+        uint approvals;
+        uint executableFrom;
+        mapping (address => bool) approved;
+    }
+
+    IdentityRegistryInterface public identityRegistry;
+
+    mapping (uint => Guardians) private guardianDirectory;
+    // incremented whenever a recovery is executed or the guardians change, discarding pending approvals
+    mapping (uint => uint) private recoveryNonces;
+    mapping (uint => mapping (uint => mapping (address => Recovery))) private recoveries;
+
+    constructor (address identityRegistryAddress) public {
+        identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+    }
+
+    // checks whether the pending guardians of an identity have replaced the current ones
+    function isPendingActive(uint ein) private view returns (bool) {
+        Guardians storage _guardians = guardianDirectory[ein];
+        // solium-disable-next-line security/no-block-members
+        return _guardians.pending != 0 && block.timestamp >= _guardians.pendingFrom;
+    }
+
+    // the guardian set in force for an identity
+    function currentSet(uint ein) private view returns (GuardianSet storage) {
+        Guardians storage _guardians = guardianDirectory[ein];
+        return _guardians.sets[isPendingActive(ein) ? _guardians.pending : _guardians.current];
+    }
+
+    // the nonce that approvals of recoveries of an identity, and their signatures, include
+    function getRecoveryNonce(uint ein) public view returns (uint) {
+        return recoveryNonces[ein] + (isPendingActive(ein) ? 1 : 0);
+    }
+
+    function currentRecovery(uint ein, address newAssociatedAddress) private view returns (Recovery storage) {
+        return recoveries[ein][getRecoveryNonce(ein)][newAssociatedAddress];
+    }
+
+    // puts pending guardians that have replaced the current ones in force, discarding the approvals of the old ones
+    function activateGuardians(uint ein) private {
+        if (!isPendingActive(ein)) return;
+        Guardians storage _guardians = guardianDirectory[ein];
+        _guardians.current = _guardians.pending;
+        _guardians.pending = 0;
+        recoveryNonces[ein]++;
+    }
+
+    // reads
+
+    function getGuardians(uint ein) public view returns (address[] guardians, uint threshold, uint delay) {
+        GuardianSet storage set = currentSet(ein);
+        return (set.guardians.members, set.threshold, set.delay);
+    }
+
+    function getPendingGuardians(uint ein)
+        public view returns (address[] guardians, uint threshold, uint delay, uint activeFrom)
+    {
+        Guardians storage _guardians = guardianDirectory[ein];
+        if (_guardians.pending == 0 || isPendingActive(ein)) return;
+        GuardianSet storage set = _guardians.sets[_guardians.pending];
+        return (set.guardians.members, set.threshold, set.delay, _guardians.pendingFrom);
+    }
+
+    function isGuardianFor(uint ein, address guardian) public view returns (bool) {
+        return currentSet(ein).guardians.contains(guardian);
+    }
+
+    // the approvals of a recovery, and when it can be executed, or 0 if not enough guardians have approved it
+    function getRecovery(uint ein, address newAssociatedAddress)
+        public view returns (uint approvals, uint threshold, uint executableFrom)
+    {
+        Recovery storage recovery = currentRecovery(ein, newAssociatedAddress);
+        return (recovery.approvals, currentSet(ein).threshold, recovery.executableFrom);
+    }
+
+    function hasApproved(uint ein, address newAssociatedAddress, address guardian) public view returns (bool) {
+        return currentRecovery(ein, newAssociatedAddress).approved[guardian];
+    }
+
+    // guardians
+
+    // sets the guardians of the sender's identity, threshold of which must approve a recovery, which can then be
+    // executed after delay seconds. the first guardians are set immediately, but later guardians only replace them
+    // after twice the delay of the current guardians, so that the current guardians can still approve and execute a
+    // recovery in the meantime, e.g. when an associated address was stolen to replace them
+    function setGuardians(address[] guardians, uint threshold, uint delay) public {
+        uint ein = identityRegistry.getEIN(msg.sender);
+        require(
+            threshold > 0 && threshold <= guardians.length,
+            "The threshold must be between 1 and the number of guardians."
+        );
+        activateGuardians(ein);
+
+        Guardians storage _guardians = guardianDirectory[ein];
+        uint index = ++_guardians.count;
+        GuardianSet storage set = _guardians.sets[index];
+        for (uint i; i < guardians.length; i++) {
+            set.guardians.insert(guardians[i]);
+        }
+        require(set.guardians.length() == guardians.length, "Guardians cannot be repeated.");
+        set.threshold = threshold;
+        set.delay = delay;
+
+        // solium-disable-next-line security/no-block-members
+        uint activeFrom = block.timestamp;
+        if (_guardians.current == 0) {
+            _guardians.current = index;
+            recoveryNonces[ein]++;
+        } else {
+            activeFrom += 2 * _guardians.sets[_guardians.current].delay;
+            _guardians.pending = index;
+            _guardians.pendingFrom = activeFrom;
+        }
+
+        emit GuardiansSet(ein, guardians, threshold, delay, activeFrom);
+    }
+
+    // approvals
+
+    // approves a recovery of an identity to the new address, as one of its guardians
+    function approveRecovery(uint ein, address newAssociatedAddress) public {
+        activateGuardians(ein);
+        approve(ein, newAssociatedAddress, msg.sender);
+    }
+
+    // submits approvals of a recovery that guardians signed, e.g. to be collected off-chain, from any address
+    function approveRecoveryDelegated(
+        uint ein, address newAssociatedAddress, address[] guardians, uint8[] v, bytes32[] r, bytes32[] s
+    )
+        public
+    {
+        require(
+            guardians.length == v.length && guardians.length == r.length && guardians.length == s.length,
+            "The number of signatures does not match the guardians."
+        );
+        activateGuardians(ein);
+
+        bytes32 messageHash = keccak256(
+            abi.encodePacked(
+                "I approve recovering this Identity to this address.",
+                address(this), ein, newAssociatedAddress, recoveryNonces[ein]
+            )
+        );
+        for (uint i; i < guardians.length; i++) {
+            require(identityRegistry.isSigned(guardians[i], messageHash, v[i], r[i], s[i]), "Permission denied.");
+            approve(ein, newAssociatedAddress, guardians[i]);
+        }
+    }
+
+    function approve(uint ein, address newAssociatedAddress, address guardian) private {
+        GuardianSet storage set = currentSet(ein);
+        require(set.guardians.contains(guardian), "The address is not a guardian of the identity.");
+
+        Recovery storage recovery = currentRecovery(ein, newAssociatedAddress);
+        require(!recovery.approved[guardian], "The guardian has already approved this recovery.");
+        recovery.approved[guardian] = true;
+        recovery.approvals++;
+        // solium-disable-next-line security/no-block-members
+        if (recovery.approvals == set.threshold) recovery.executableFrom = block.timestamp + set.delay;
+
+        emit RecoveryApproved(ein, newAssociatedAddress, guardian, recovery.approvals);
+    }
+
+    // recovery
+
+    // recovers an identity to the new address once enough guardians have approved and the delay has passed, with the
+    // permission that the new address signed for IdentityRegistry.triggerRecovery
+    // recoveries that the replaced guardians fully approved before their replacement was in force can still be executed
+    function executeRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
+        public
+    {
+        // looked up before activateGuardians discards the approvals of the replaced guardians
+        Recovery storage recovery = recoveries[ein][recoveryNonces[ein]][newAssociatedAddress];
+        if (recovery.executableFrom == 0) recovery = currentRecovery(ein, newAssociatedAddress);
+        require(recovery.executableFrom != 0, "Not enough guardians have approved the recovery.");
+        // solium-disable-next-line security/no-block-members
+        require(block.timestamp >= recovery.executableFrom, "The recovery delay has not passed.");
+
+        activateGuardians(ein);
+        recoveryNonces[ein]++;
+        emit RecoveryExecuted(ein, newAssociatedAddress);
+        identityRegistry.triggerRecovery(ein, newAssociatedAddress, v, r, s, timestamp);
+    }
+
+    // events
+
+    event GuardiansSet(uint indexed ein, address[] guardians, uint threshold, uint delay, uint activeFrom);
+    event RecoveryApproved(uint indexed ein, address indexed newAssociatedAddress, address guardian, uint approvals);
+    event RecoveryExecuted(uint indexed ein, address newAssociatedAddress);
+}
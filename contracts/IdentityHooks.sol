@@ -0,0 +1,17 @@
+pragma solidity ^0.4.24;
+
+// optional hooks that the IdentityRegistry calls on resolvers as they are added to and removed from identities
+// hooks are called after the change, with the registry's hookGasLimit, and failing hooks do not revert the change
+// changes that call the hooks of every resolver of an identity only call those of its first maxHookTargets resolvers,
+// so resolvers should check isResolverFor before using the data of an identity, in case a hook was missed
+interface ResolverHooks {
+    function onAddition(uint ein) external;
+    function onRemoval(uint ein) external;
+}
+
+// optional hooks that the IdentityRegistry calls on the resolvers of identities that are recovered or poisoned,
+// after their data has been cleared. poison pills may also remove the resolvers, which are told regardless
+interface IdentityHooks {
+    function onRecovery(uint ein) external;
+    function onPoison(uint ein) external;
+}
@@ -5,11 +5,16 @@ import "./AddressSet/AddressSet.sol";
 
 contract SignatureVerifier {
     // define the Ethereum prefix for signing a message of length 32
-    bytes private prefix = "\x19Ethereum Signed Message:\n32";
+    bytes private constant prefix = "\x19Ethereum Signed Message:\n32";
+
+    // define the value that ERC-1271 contracts return from isValidSignature(bytes32,bytes) for valid signatures
+    bytes4 private constant ERC1271_MAGIC_VALUE = 0x1626ba7e;
 
     // checks if the provided (v, r, s) signature of messageHash was created by the private key associated with _address
+    // or, if _address is a contract, whether it considers the signature valid
     function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public view returns (bool) {
-        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s);
+        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s) ||
+            _isSignedByContract(_address, messageHash, v, r, s);
     }
 
     // checks unprefixed signatures
@@ -25,6 +30,42 @@ contract SignatureVerifier {
     {
         return _isSigned(_address, keccak256(abi.encodePacked(prefix, messageHash)), v, r, s);
     }
+
+    // checks signatures of contracts, e.g. multisig wallets, with ERC-1271. contracts are passed the unprefixed
+    // message hash and the signature packed as (r, s, v), and can wrap the hash however they verify signatures
+    function _isSignedByContract(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private view returns (bool)
+    {
+        if (!isContract(_address)) return false;
+
+        bytes memory data = abi.encodeWithSelector(ERC1271_MAGIC_VALUE, messageHash, abi.encodePacked(r, s, v));
+        bool success;
+        bytes32 result;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            success := and(staticcall(gas, _address, add(data, 32), mload(data), 0, 32), eq(returndatasize, 32))
+            result := mload(0)
+        }
+        return success && bytes4(result) == ERC1271_MAGIC_VALUE;
+    }
+
+    // checks if the provided (v, r, s) signature of EIP-712 typed data was created by the private key of _address
+    // or, if _address is a contract, whether it considers the signature of the typed data's hash valid
+    function isSignedTypedData(
+        address _address, bytes32 domainSeparator, bytes32 structHash, uint8 v, bytes32 r, bytes32 s
+    )
+        public view returns (bool)
+    {
+        bytes32 messageHash = keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+        return _isSigned(_address, messageHash, v, r, s) || _isSignedByContract(_address, messageHash, v, r, s);
+    }
+
+    // checks whether code is deployed at an address
+    function isContract(address _address) internal view returns (bool) {
+        uint size;
+        assembly { size := extcodesize(_address) } // solium-disable-line security/no-inline-assembly
+        return size > 0;
+    }
 }
 
 
@@ -38,16 +79,35 @@ contract IdentityRegistry is SignatureVerifier {
         AddressSet.Set associatedAddresses;
         AddressSet.Set providers;
         AddressSet.Set resolvers;
+        // the permissions that each provider lacks, so that providers have every permission by default
+        mapping (address => uint) providerRestrictions;
+        // the timestamps from which providers are no longer providers, or 0 for providers that do not expire
+        mapping (address => uint) providerExpiries;
     }
 
+    // define the permissions that identities can grant to each of their providers
+    uint private constant MANAGE_PROVIDERS = 1;
+    uint private constant MANAGE_RESOLVERS = 2;
+    uint private constant CHANGE_RECOVERY = 4;
+    uint private constant ALL_PERMISSIONS = 7;
+
     uint public nextEIN = 1;
     mapping (uint => Identity) private identityDirectory;
     mapping (address => uint) private associatedAddressDirectory;
 
     // define data structures required for recovery and, in dire circumstances, poison pills
-    uint public maxAssociatedAddresses = 50;
-    uint public recoveryTimeout = 2 weeks;
-    uint public signatureTimeout = 1 weeks;
+    // these parameters are set at deployment, and can only be changed by the governor, e.g. a RegistryTimelock
+    uint public maxAssociatedAddresses;
+    uint public recoveryTimeout;
+    uint public signatureTimeout;
+    // the address that can change the parameters, or 0 if they can never change
+    address public governor;
+
+    // the gas that each hook of a resolver is called with, see IdentityHooks.sol
+    uint public constant hookGasLimit = 100000;
+    // the most resolvers whose hooks one change of an identity calls, so that identities with many resolvers cannot be
+    // made too expensive to recover, poison or migrate
+    uint public constant maxHookTargets = 10;
 
     struct RecoveryAddressChange {
         uint timestamp;
@@ -61,6 +121,95 @@ contract IdentityRegistry is SignatureVerifier {
     }
     mapping (uint => RecoveredChange) private recoveredChangeLogs;
 
+    // define the EIP-712 domain and types of the permissions that can alternatively be signed as typed data
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 private constant MINT_IDENTITY_TYPEHASH = keccak256(
+        abi.encodePacked(
+            "MintIdentity(address recoveryAddress,address associatedAddress,address provider,address[] resolvers,",
+            "uint256 timestamp,uint256 nonce)"
+        )
+    );
+    bytes32 private constant APPROVE_ADDRESS_TYPEHASH = keccak256(
+        "ApproveAddress(uint256 ein,address addressToAdd,uint256 timestamp,uint256 nonce)"
+    );
+    bytes32 private constant JOIN_IDENTITY_TYPEHASH = keccak256(
+        "JoinIdentity(uint256 ein,address addressToAdd,uint256 timestamp,uint256 nonce)"
+    );
+    bytes32 private constant REMOVE_ADDRESS_TYPEHASH = keccak256(
+        "RemoveAddress(uint256 ein,address addressToRemove,uint256 timestamp,uint256 nonce)"
+    );
+    bytes32 private constant TRIGGER_RECOVERY_TYPEHASH = keccak256(
+        "TriggerRecovery(uint256 ein,address newAssociatedAddress,uint256 timestamp,uint256 nonce)"
+    );
+    bytes32 private constant MIGRATE_IDENTITY_TYPEHASH = keccak256(
+        "MigrateIdentity(uint256 ein,address successor,uint256 timestamp,uint256 nonce)"
+    );
+
+    uint public chainId;
+    bytes32 public domainSeparator;
+
+    // define the nonces that signed permissions can include to prevent replays, consumed whenever they are used
+    mapping (address => uint) public signatureNonces;
+
+    // define the registry that identities can be imported from, and the registries that identities were migrated to
+    address public predecessor;
+    mapping (uint => address) public migratedTo;
+
+    // the chain id must be passed in, as there is no way to read it in the EVM
+    constructor (
+        uint _chainId, uint _maxAssociatedAddresses, uint _recoveryTimeout, uint _signatureTimeout, address _governor,
+        address _predecessor
+    )
+        public
+    {
+        chainId = _chainId;
+        domainSeparator = keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH, keccak256("ERC-1484 Identity Registry"), keccak256("1"), _chainId, address(this)
+            )
+        );
+        setParameters(_maxAssociatedAddresses, _recoveryTimeout, _signatureTimeout);
+        governor = _governor;
+        predecessor = _predecessor;
+    }
+
+    // parameter functions
+
+    function setParameters(uint _maxAssociatedAddresses, uint _recoveryTimeout, uint _signatureTimeout) private {
+        require(
+            _maxAssociatedAddresses > 0 && _recoveryTimeout > 0 && _signatureTimeout > 0,
+            "Parameters must be positive."
+        );
+        maxAssociatedAddresses = _maxAssociatedAddresses;
+        recoveryTimeout = _recoveryTimeout;
+        signatureTimeout = _signatureTimeout;
+        emit ParametersSet(_maxAssociatedAddresses, _recoveryTimeout, _signatureTimeout);
+    }
+
+    modifier onlyGovernor() {
+        requireGovernor();
+        _;
+    }
+
+    function requireGovernor() private view {
+        require(msg.sender == governor, "Only the governor can change parameters.");
+    }
+
+    // changes the parameters, which apply to pending recovery windows and signatures as well
+    function changeParameters(uint _maxAssociatedAddresses, uint _recoveryTimeout, uint _signatureTimeout)
+        public onlyGovernor
+    {
+        setParameters(_maxAssociatedAddresses, _recoveryTimeout, _signatureTimeout);
+    }
+
+    // hands governance over to a new governor, or to 0 to fix the parameters for good
+    function changeGovernor(address newGovernor) public onlyGovernor {
+        emit GovernorChanged(governor, newGovernor);
+        governor = newGovernor;
+    }
+
 
     // checks whether a given identity exists (does not throw)
     function identityExists(uint ein) public view returns (bool) {
@@ -69,10 +218,15 @@ contract IdentityRegistry is SignatureVerifier {
 
     // checks whether a given identity exists
     modifier _identityExists(uint ein) {
-        require(identityExists(ein), "The identity does not exist.");
+        requireIdentityExists(ein);
         _;
     }
 
+    // the modifiers that are used on many functions call functions, so that their checks are only compiled once
+    function requireIdentityExists(uint ein) private view {
+        require(identityExists(ein), "The identity does not exist.");
+    }
+
     // checks whether a given address has an identity (does not throw)
     function hasIdentity(address _address) public view returns (bool) {
         return identityExists(associatedAddressDirectory[_address]);
@@ -80,36 +234,65 @@ contract IdentityRegistry is SignatureVerifier {
 
     // enforces that a given address has/does not have an identity
     modifier _hasIdentity(address _address, bool check) {
-        require(hasIdentity(_address) == check, "The passed address has/does not have an identity.");
+        requireHasIdentity(_address, check);
         _;
     }
 
+    function requireHasIdentity(address _address, bool check) private view {
+        require(hasIdentity(_address) == check, "The passed address has/does not have an identity.");
+    }
+
     // gets the ein of an address (throws if the address doesn't have an ein)
     function getEIN(address _address) public view _hasIdentity(_address, true) returns (uint ein) {
         return associatedAddressDirectory[_address];
     }
 
+    // identities that do not exist have no addresses, providers or resolvers, so these checks need not test existence
+
     // checks whether a given identity has an address (does not throw)
     function isAddressFor(uint ein, address _address) public view returns (bool) {
-        if (!identityExists(ein)) return false;
         return identityDirectory[ein].associatedAddresses.contains(_address);
     }
 
-    // checks whether a given identity has a provider (does not throw)
+    // checks whether a given identity has a provider that has not expired (does not throw)
     function isProviderFor(uint ein, address provider) public view returns (bool) {
-        if (!identityExists(ein)) return false;
-        return identityDirectory[ein].providers.contains(provider);
+        Identity storage _identity = identityDirectory[ein];
+        uint expiry = _identity.providerExpiries[provider];
+        // solium-disable-next-line security/no-block-members
+        return _identity.providers.contains(provider) && (expiry == 0 || block.timestamp < expiry);
     }
 
-    // enforces that an identity has a provider
-    modifier _isProviderFor(uint ein, address provider) {
-        require(isProviderFor(ein, provider), "The identity has not set the passed provider.");
+    // gets the expiry of a provider of an identity, which is 0 if it does not expire
+    // expired providers stay in the providers of the identity until they are removed or added again
+    function getProviderExpiry(uint ein, address provider) public view _identityExists(ein) returns (uint) {
+        return identityDirectory[ein].providerExpiries[provider];
+    }
+
+    // gets the permissions bitmap of a provider of an identity, which is 0 for addresses that are not providers
+    function getProviderPermissions(uint ein, address provider) public view _identityExists(ein) returns (uint) {
+        if (!isProviderFor(ein, provider)) return 0;
+        return ALL_PERMISSIONS & ~identityDirectory[ein].providerRestrictions[provider];
+    }
+
+    // checks whether a given identity has a provider with all of the passed permissions (does not throw)
+    function hasProviderPermission(uint ein, address provider, uint permission) public view returns (bool) {
+        if (!isProviderFor(ein, provider)) return false;
+        return identityDirectory[ein].providerRestrictions[provider] & permission == 0;
+    }
+
+    // enforces that an identity has a provider with all of the passed permissions
+    modifier _hasProviderPermission(uint ein, address provider, uint permission) {
+        requireProviderPermission(ein, provider, permission);
         _;
     }
 
+    function requireProviderPermission(uint ein, address provider, uint permission) private view {
+        require(isProviderFor(ein, provider), "The identity has not set the passed provider.");
+        require(hasProviderPermission(ein, provider, permission), "The provider does not have this permission.");
+    }
+
     // checks whether a given identity has a resolver (does not throw)
     function isResolverFor(uint ein, address resolver) public view returns (bool) {
-        if (!identityExists(ein)) return false;
         return identityDirectory[ein].resolvers.contains(resolver);
     }
 
@@ -126,18 +309,99 @@ contract IdentityRegistry is SignatureVerifier {
         );
     }
 
+    // functions to read the sets of an identity in pages, for identities too large to read at once with getDetails
+    // (throws if the passed EIN does not exist)
+    // EINs are assigned sequentially, so existing identities can be enumerated from 1 up to nextEIN
+    function getAssociatedAddressCount(uint ein) public view _identityExists(ein) returns (uint) {
+        return identityDirectory[ein].associatedAddresses.length();
+    }
+
+    function getProviderCount(uint ein) public view _identityExists(ein) returns (uint) {
+        return identityDirectory[ein].providers.length();
+    }
+
+    function getResolverCount(uint ein) public view _identityExists(ein) returns (uint) {
+        return identityDirectory[ein].resolvers.length();
+    }
+
+    function getAssociatedAddresses(uint ein, uint offset, uint limit) public view _identityExists(ein)
+        returns (address[] associatedAddresses)
+    {
+        return identityDirectory[ein].associatedAddresses.slice(offset, limit);
+    }
+
+    function getProviders(uint ein, uint offset, uint limit) public view _identityExists(ein)
+        returns (address[] providers)
+    {
+        return identityDirectory[ein].providers.slice(offset, limit);
+    }
+
+    function getResolvers(uint ein, uint offset, uint limit) public view _identityExists(ein)
+        returns (address[] resolvers)
+    {
+        return identityDirectory[ein].resolvers.slice(offset, limit);
+    }
+
+    // functions to read the recovery timing state of an identity, zeroed if it has never been set
+    function getRecoveryAddressChange(uint ein) public view _identityExists(ein)
+        returns (uint timestamp, address oldRecoveryAddress)
+    {
+        RecoveryAddressChange storage log = recoveryAddressChangeLogs[ein];
+        return (log.timestamp, log.oldRecoveryAddress);
+    }
+
+    function getRecoveredChange(uint ein) public view _identityExists(ein)
+        returns (uint timestamp, bytes32 hashedOldAssociatedAddresses)
+    {
+        RecoveredChange storage log = recoveredChangeLogs[ein];
+        return (log.timestamp, log.hashedOldAssociatedAddresses);
+    }
+
     // checks whether or not a passed timestamp is within/not within the timeout period
     function isRecoveryTimedOut(uint timestamp) private view returns (bool) {
         return block.timestamp > timestamp + recoveryTimeout; // solium-disable-line security/no-block-members
     }
 
+    // checks that a permission was signed as a raw message hash or as EIP-712 typed data, consuming the nonce if used
+    // both must include the signer's nonce, raw message hashes by being hashed with it, so that none can be replayed
+    function usePermission(address _address, bytes32 messageHash, bytes32 structHash, uint8 v, bytes32 r, bytes32 s)
+        private returns (bool)
+    {
+        if (
+            isSigned(_address, keccak256(abi.encodePacked(messageHash, signatureNonces[_address])), v, r, s) ||
+            isSignedTypedData(_address, domainSeparator, structHash, v, r, s)
+        ) {
+            signatureNonces[_address]++;
+            return true;
+        }
+
+        return false;
+    }
+
+    // hashes the permissions that concern a single address of an identity, which all share the same format
+    function addressMessageHash(string message, uint ein, address _address, uint timestamp)
+        private view returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(message, address(this), ein, _address, timestamp));
+    }
+
+    function addressStructHash(bytes32 typeHash, uint ein, address _address, uint timestamp, address signer)
+        private view returns (bytes32)
+    {
+        return keccak256(abi.encode(typeHash, ein, _address, timestamp, signatureNonces[signer]));
+    }
+
     modifier ensureSignatureTimeValid(uint timestamp) {
+        requireSignatureTimeValid(timestamp);
+        _;
+    }
+
+    function requireSignatureTimeValid(uint timestamp) private view {
         require(
             // solium-disable-next-line security/no-block-members
             block.timestamp >= timestamp && timestamp + signatureTimeout > block.timestamp,
             "Timestamp is not valid."
         );
-        _;
     }
 
     // mints a new identity for the msg.sender
@@ -154,7 +418,7 @@ contract IdentityRegistry is SignatureVerifier {
         public ensureSignatureTimeValid(timestamp) returns (uint ein)
     {
         require(
-            isSigned(
+            usePermission(
                 associatedAddress,
                 keccak256(
                     abi.encodePacked(
@@ -162,6 +426,7 @@ contract IdentityRegistry is SignatureVerifier {
                         address(this), recoveryAddress, associatedAddress, msg.sender, resolvers, timestamp
                     )
                 ),
+                mintIdentityStructHash(recoveryAddress, associatedAddress, resolvers, timestamp),
                 v, r, s
             ),
             "Permission denied."
@@ -170,6 +435,20 @@ contract IdentityRegistry is SignatureVerifier {
         return mintIdentity(recoveryAddress, associatedAddress, msg.sender, resolvers, true);
     }
 
+    // hashes the typed data permission for mintIdentityDelegated
+    function mintIdentityStructHash(
+        address recoveryAddress, address associatedAddress, address[] resolvers, uint timestamp
+    )
+        private view returns (bytes32)
+    {
+        return keccak256(
+            abi.encode(
+                MINT_IDENTITY_TYPEHASH, recoveryAddress, associatedAddress, msg.sender,
+                keccak256(abi.encodePacked(resolvers)), timestamp, signatureNonces[associatedAddress]
+            )
+        );
+    }
+
     // common logic for all identity minting
     function mintIdentity(
         address recoveryAddress,
@@ -195,6 +474,7 @@ contract IdentityRegistry is SignatureVerifier {
         associatedAddressDirectory[associatedAddress] = ein;
 
         emit IdentityMinted(ein, recoveryAddress, associatedAddress, provider, resolvers, delegated);
+        callHooks(ein, resolvers, "onAddition(uint256)");
 
         return ein;
     }
@@ -210,40 +490,78 @@ contract IdentityRegistry is SignatureVerifier {
     {
         uint ein = getEIN(approvingAddress);
         require(
-            identityDirectory[ein].associatedAddresses.length() <= maxAssociatedAddresses,
+            identityDirectory[ein].associatedAddresses.length() < maxAssociatedAddresses,
             "Cannot add too many addresses."
         );
 
+        checkAddAddressPermissions(approvingAddress, addressToAdd, ein, v, r, s, timestamp);
+
+        identityDirectory[ein].associatedAddresses.insert(addressToAdd);
+        associatedAddressDirectory[addressToAdd] = ein;
+
+        emit AddressAdded(ein, addressToAdd, approvingAddress, msg.sender);
+    }
+
+    // checks and consumes both of the permissions required to add an address
+    function checkAddAddressPermissions(
+        address approvingAddress, address addressToAdd, uint ein,
+        uint8[2] v, bytes32[2] r, bytes32[2] s, uint[2] timestamp
+    )
+        private
+    {
         require(
-            isSigned(
+            usePermission(
                 approvingAddress,
-                keccak256(
-                    abi.encodePacked(
-                        "I authorize adding this address to my Identity.",
-                        address(this), ein, addressToAdd, timestamp[0]
-                    )
-                ),
+                addressMessageHash("I authorize adding this address to my Identity.", ein, addressToAdd, timestamp[0]),
+                addressStructHash(APPROVE_ADDRESS_TYPEHASH, ein, addressToAdd, timestamp[0], approvingAddress),
                 v[0], r[0], s[0]
             ),
             "Permission denied from approving address."
         );
         require(
-            isSigned(
+            usePermission(
                 addressToAdd,
-                keccak256(
-                    abi.encodePacked(
-                        "I authorize being added to this Identity.", address(this), ein, addressToAdd, timestamp[1]
-                    )
-                ),
+                addressMessageHash("I authorize being added to this Identity.", ein, addressToAdd, timestamp[1]),
+                addressStructHash(JOIN_IDENTITY_TYPEHASH, ein, addressToAdd, timestamp[1], addressToAdd),
                 v[1], r[1], s[1]
             ),
             "Permission denied from address to add."
         );
+    }
 
-        identityDirectory[ein].associatedAddresses.insert(addressToAdd);
-        associatedAddressDirectory[addressToAdd] = ein;
+    // mints a new identity for the passed address and adds further addresses to it in a single transaction
+    // v, r, s and timestamp hold the permission to mint, followed by both permissions for each address to add
+    function mintIdentityDelegatedWithAddresses(
+        address recoveryAddress, address associatedAddress, address[] resolvers, address[] addressesToAdd,
+        uint8[] v, bytes32[] r, bytes32[] s, uint[] timestamp
+    )
+        public returns (uint ein)
+    {
+        uint signatures = 1 + 2 * addressesToAdd.length;
+        require(
+            v.length == signatures && r.length == signatures && s.length == signatures &&
+            timestamp.length == signatures,
+            "The number of signatures does not match the addresses to add."
+        );
 
-        emit AddressAdded(ein, addressToAdd, approvingAddress, msg.sender);
+        ein = mintIdentityDelegated(recoveryAddress, associatedAddress, resolvers, v[0], r[0], s[0], timestamp[0]);
+        addAddresses(associatedAddress, addressesToAdd, v, r, s, timestamp);
+    }
+
+    // adds the addresses of a batch, approved by the address that the identity was minted for
+    function addAddresses(
+        address approvingAddress, address[] addressesToAdd,
+        uint8[] v, bytes32[] r, bytes32[] s, uint[] timestamp
+    )
+        private
+    {
+        for (uint i; i < addressesToAdd.length; i++) {
+            uint j = 1 + 2 * i;
+            addAddress(
+                approvingAddress, addressesToAdd[i],
+                [v[j], v[j + 1]], [r[j], r[j + 1]], [s[j], s[j + 1]], [timestamp[j], timestamp[j + 1]]
+            );
+        }
     }
 
     // allow providers to remove addresses
@@ -252,12 +570,13 @@ contract IdentityRegistry is SignatureVerifier {
     {
         uint ein = getEIN(addressToRemove);
 
-        bytes32 messageHash = keccak256(
-            abi.encodePacked(
-                "I authorize removing this address from my Identity.", address(this), ein, addressToRemove, timestamp
-            )
+        bytes32 messageHash = addressMessageHash(
+            "I authorize removing this address from my Identity.", ein, addressToRemove, timestamp
         );
-        require(isSigned(addressToRemove, messageHash, v, r, s), "Permission denied.");
+        bytes32 structHash = addressStructHash(
+            REMOVE_ADDRESS_TYPEHASH, ein, addressToRemove, timestamp, addressToRemove
+        );
+        require(usePermission(addressToRemove, messageHash, structHash, v, r, s), "Permission denied.");
 
         identityDirectory[ein].associatedAddresses.remove(addressToRemove);
         delete associatedAddressDirectory[addressToRemove];
@@ -267,20 +586,52 @@ contract IdentityRegistry is SignatureVerifier {
 
     // allows addresses associated with an identity to add providers
     function addProviders(address[] providers) public {
-        addProviders(getEIN(msg.sender), providers, false);
+        addProviders(getEIN(msg.sender), providers, 0, false);
+    }
+
+    // allows addresses associated with an identity to add providers until expiry, or to renew existing providers
+    function addProviders(address[] providers, uint expiry) public {
+        addProviders(getEIN(msg.sender), providers, expiry, false);
     }
 
     // allows providers to add other providers for addresses
-    function addProviders(uint ein, address[] providers) public _isProviderFor(ein, msg.sender) {
-        addProviders(ein, providers, true);
+    function addProviders(uint ein, address[] providers)
+        public _hasProviderPermission(ein, msg.sender, MANAGE_PROVIDERS)
+    {
+        addProviders(ein, providers, 0, true);
+    }
+
+    // allows providers to add other providers for addresses until expiry, or to renew existing providers
+    function addProviders(uint ein, address[] providers, uint expiry)
+        public _hasProviderPermission(ein, msg.sender, MANAGE_PROVIDERS)
+    {
+        addProviders(ein, providers, expiry, true);
     }
 
-    // common functionality to add providers
-    function addProviders(uint ein, address[] providers, bool delegated) private {
+    // common functionality to add providers, which sets their expiry even if they were already providers
+    // providers added by a provider get at most the permissions and expiry of that provider, so that it cannot
+    // escalate them
+    function addProviders(uint ein, address[] providers, uint expiry, bool delegated) private {
+        // solium-disable-next-line security/no-block-members
+        require(expiry == 0 || expiry > block.timestamp, "The expiry has already passed.");
+
         Identity storage _identity = identityDirectory[ein];
+        if (delegated) {
+            uint limit = _identity.providerExpiries[msg.sender];
+            if (limit != 0 && (expiry == 0 || expiry > limit)) expiry = limit;
+        }
+
         for (uint i; i < providers.length; i++) {
+            if (delegated && !_identity.providers.contains(providers[i])) {
+                _identity.providerRestrictions[providers[i]] = _identity.providerRestrictions[msg.sender];
+            }
             _identity.providers.insert(providers[i]);
             emit ProviderAdded(ein, providers[i], delegated);
+
+            if (_identity.providerExpiries[providers[i]] != expiry) {
+                _identity.providerExpiries[providers[i]] = expiry;
+                emit ProviderExpirySet(ein, providers[i], expiry);
+            }
         }
     }
 
@@ -290,7 +641,9 @@ contract IdentityRegistry is SignatureVerifier {
     }
 
     // allows providers to remove other providers for addresses
-    function removeProviders(uint ein, address[] providers) public _isProviderFor(ein, msg.sender) {
+    function removeProviders(uint ein, address[] providers)
+        public _hasProviderPermission(ein, msg.sender, MANAGE_PROVIDERS)
+    {
         removeProviders(ein, providers, true);
     }
 
@@ -299,32 +652,50 @@ contract IdentityRegistry is SignatureVerifier {
         Identity storage _identity = identityDirectory[ein];
         for (uint i; i < providers.length; i++) {
             _identity.providers.remove(providers[i]);
+            delete _identity.providerRestrictions[providers[i]];
+            delete _identity.providerExpiries[providers[i]];
             emit ProviderRemoved(ein, providers[i], delegated);
         }
     }
 
+    // allows addresses associated with an identity to set the permissions of one of its providers
+    function setProviderPermissions(address provider, uint permissions) public {
+        uint ein = getEIN(msg.sender);
+        require(isProviderFor(ein, provider), "The identity has not set the passed provider.");
+        identityDirectory[ein].providerRestrictions[provider] = ALL_PERMISSIONS & ~permissions;
+        emit ProviderPermissionsSet(ein, provider, ALL_PERMISSIONS & permissions);
+    }
+
     // allow providers to add resolvers
-    function addResolvers(uint ein, address[] resolvers) public _isProviderFor(ein, msg.sender) {
+    function addResolvers(uint ein, address[] resolvers)
+        public _hasProviderPermission(ein, msg.sender, MANAGE_RESOLVERS)
+    {
         Identity storage _identity = identityDirectory[ein];
         for (uint i; i < resolvers.length; i++) {
+            bool added = !_identity.resolvers.contains(resolvers[i]);
             _identity.resolvers.insert(resolvers[i]);
             emit ResolverAdded(ein, resolvers[i], msg.sender);
+            if (added) callHook(ein, resolvers[i], "onAddition(uint256)");
         }
     }
 
     // allow providers to remove resolvers
-    function removeResolvers(uint ein, address[] resolvers) public _isProviderFor(ein, msg.sender) {
+    function removeResolvers(uint ein, address[] resolvers)
+        public _hasProviderPermission(ein, msg.sender, MANAGE_RESOLVERS)
+    {
         Identity storage _identity = identityDirectory[ein];
         for (uint i; i < resolvers.length; i++) {
+            bool removed = _identity.resolvers.contains(resolvers[i]);
             _identity.resolvers.remove(resolvers[i]);
             emit ResolverRemoved(ein, resolvers[i], msg.sender);
+            if (removed) callHook(ein, resolvers[i], "onRemoval(uint256)");
         }
     }
 
 
     // initiate a change in recovery address
     function initiateRecoveryAddressChange(uint ein, address newRecoveryAddress)
-        public _isProviderFor(ein, msg.sender)
+        public _hasProviderPermission(ein, msg.sender, CHANGE_RECOVERY)
     {
         require(
             isRecoveryTimedOut(recoveryAddressChangeLogs[ein].timestamp),
@@ -366,19 +737,7 @@ contract IdentityRegistry is SignatureVerifier {
             );
         }
 
-        require(
-            isSigned(
-                newAssociatedAddress,
-                keccak256(
-                    abi.encodePacked(
-                        "I authorize being added to this Identity via recovery.",
-                        address(this), ein, newAssociatedAddress, timestamp
-                    )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
-        );
+        require(useRecoveryPermission(ein, newAssociatedAddress, v, r, s, timestamp), "Permission denied.");
 
         emit RecoveryTriggered(ein, msg.sender, _identity.associatedAddresses.members, newAssociatedAddress);
 
@@ -387,11 +746,25 @@ contract IdentityRegistry is SignatureVerifier {
         // solium-disable-next-line security/no-block-members
         recoveredChangeLogs[ein] = RecoveredChange(block.timestamp, hashedOldAssociatedAddresses);
 
-        // remove identity data, and add the new address as the sole associated address
-        clearAllIdentityData(_identity, false);
+        // clear the identity down to the new address, and notify its resolvers
         _identity.recoveryAddress = msg.sender;
-        _identity.associatedAddresses.insert(newAssociatedAddress);
-        associatedAddressDirectory[newAssociatedAddress] = ein;
+        clearAllIdentityData(ein, false, newAssociatedAddress, "onRecovery(uint256)");
+    }
+
+    // checks the permission of the new associated address to be added via recovery
+    function useRecoveryPermission(
+        uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        private returns (bool)
+    {
+        return usePermission(
+            newAssociatedAddress,
+            addressMessageHash(
+                "I authorize being added to this Identity via recovery.", ein, newAssociatedAddress, timestamp
+            ),
+            addressStructHash(TRIGGER_RECOVERY_TYPEHASH, ein, newAssociatedAddress, timestamp, newAssociatedAddress),
+            v, r, s
+        );
     }
 
     // allows addresses recently removed by recovery to permanently disable the identity they were removed from
@@ -408,21 +781,133 @@ contract IdentityRegistry is SignatureVerifier {
             "Cannot activate the poison pill from an address that was not recently removed via recover."
         );
 
-        // poison the identity
-        Identity storage _identity = identityDirectory[ein];
-        emit Poisoned(ein, _identity.recoveryAddress, msg.sender, clearResolvers);
-        clearAllIdentityData(_identity, clearResolvers);
+        // poison the identity, and notify its resolvers, which are told even if they were removed
+        emit Poisoned(ein, identityDirectory[ein].recoveryAddress, msg.sender, clearResolvers);
+        clearAllIdentityData(ein, clearResolvers, address(0), "onPoison(uint256)");
     }
 
-    // removes all associated addresses, providers, and optionally resolvers from an identity
-    function clearAllIdentityData(Identity storage identity, bool clearResolvers) private {
-        address[] storage associatedAddresses = identity.associatedAddresses.members;
+    // removes all associated addresses, providers, and optionally resolvers from an identity, adds the new address as
+    // its sole associated address unless it is 0, and then calls the hook of the resolvers that it had
+    function clearAllIdentityData(uint ein, bool clearResolvers, address newAssociatedAddress, string hook) private {
+        Identity storage _identity = identityDirectory[ein];
+        address[] memory resolvers = _identity.resolvers.members;
+
+        address[] storage associatedAddresses = _identity.associatedAddresses.members;
         for (uint i; i < associatedAddresses.length; i++) {
             delete associatedAddressDirectory[associatedAddresses[i]];
         }
-        delete identity.associatedAddresses;
-        delete identity.providers;
-        if (clearResolvers) delete identity.resolvers;
+        delete _identity.associatedAddresses;
+        address[] storage providers = _identity.providers.members;
+        for (i = 0; i < providers.length; i++) {
+            delete _identity.providerRestrictions[providers[i]];
+            delete _identity.providerExpiries[providers[i]];
+        }
+        delete _identity.providers;
+        if (clearResolvers) delete _identity.resolvers;
+
+        if (newAssociatedAddress != address(0)) {
+            _identity.associatedAddresses.insert(newAssociatedAddress);
+            associatedAddressDirectory[newAssociatedAddress] = ein;
+        }
+        callHooks(ein, resolvers, hook);
+    }
+
+    // migration functions
+
+    // hands an identity over to the successor registry that calls this, with the consent of one of its associated
+    // addresses. the identity is marked as migrated and emptied, so that it can no longer change here, and its
+    // resolvers are removed. identities cannot escape recovery this way, so both recovery windows must have closed
+    function migrateIdentity(address approvingAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
+        public ensureSignatureTimeValid(timestamp) returns (uint ein)
+    {
+        ein = getEIN(approvingAddress);
+        checkMigratePermission(approvingAddress, ein, v, r, s, timestamp);
+        require(
+            isRecoveryTimedOut(recoveryAddressChangeLogs[ein].timestamp) &&
+            isRecoveryTimedOut(recoveredChangeLogs[ein].timestamp),
+            "A recovery window is still open."
+        );
+
+        migratedTo[ein] = msg.sender;
+        emit IdentityMigrated(ein, msg.sender);
+        delete identityDirectory[ein].recoveryAddress;
+        clearAllIdentityData(ein, true, address(0), "onRemoval(uint256)");
+    }
+
+    // checks and consumes the permission of an associated address to migrate its identity to the sender
+    function checkMigratePermission(address approvingAddress, uint ein, uint8 v, bytes32 r, bytes32 s, uint timestamp)
+        private
+    {
+        require(
+            usePermission(
+                approvingAddress,
+                addressMessageHash("I authorize migrating this Identity to this registry.", ein, msg.sender, timestamp),
+                addressStructHash(MIGRATE_IDENTITY_TYPEHASH, ein, msg.sender, timestamp, approvingAddress),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+    }
+
+    // imports an identity from the predecessor registry under the next EIN, with the permission that one of its
+    // associated addresses signed for migrateIdentity
+    function importIdentity(address approvingAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
+        public returns (uint ein)
+    {
+        IdentityRegistry _predecessor = IdentityRegistry(predecessor);
+        uint oldEIN = _predecessor.getEIN(approvingAddress);
+        ein = nextEIN++;
+        importDetails(_predecessor, oldEIN, identityDirectory[ein], ein);
+        _predecessor.migrateIdentity(approvingAddress, v, r, s, timestamp);
+    }
+
+    // copies the details of an identity, where providers keep their permissions and expiries, and expired providers
+    // are left behind. providers are logged as added by the import, so that indexers see the identity in full
+    function importDetails(IdentityRegistry _predecessor, uint oldEIN, Identity storage _identity, uint ein) private {
+        address[] memory associatedAddresses;
+        address[] memory providers;
+        address[] memory resolvers;
+        (_identity.recoveryAddress, associatedAddresses, providers, resolvers) = _predecessor.getDetails(oldEIN);
+        emit IdentityImported(ein, oldEIN, _identity.recoveryAddress, associatedAddresses, resolvers);
+
+        for (uint i; i < associatedAddresses.length; i++) {
+            requireHasIdentity(associatedAddresses[i], false);
+            _identity.associatedAddresses.insert(associatedAddresses[i]);
+            associatedAddressDirectory[associatedAddresses[i]] = ein;
+        }
+        for (i = 0; i < providers.length; i++) {
+            uint expiry = _predecessor.getProviderExpiry(oldEIN, providers[i]);
+            // solium-disable-next-line security/no-block-members
+            if (expiry != 0 && expiry <= block.timestamp) continue;
+            _identity.providers.insert(providers[i]);
+            _identity.providerRestrictions[providers[i]] =
+                ALL_PERMISSIONS & ~_predecessor.getProviderPermissions(oldEIN, providers[i]);
+            _identity.providerExpiries[providers[i]] = expiry;
+            emit ProviderAdded(ein, providers[i], true);
+            if (expiry != 0) emit ProviderExpirySet(ein, providers[i], expiry);
+        }
+        for (i = 0; i < resolvers.length; i++) {
+            _identity.resolvers.insert(resolvers[i]);
+        }
+        callHooks(ein, resolvers, "onAddition(uint256)");
+    }
+
+    // calls an optional hook of a resolver, which is skipped for addresses without code
+    // hooks are called with hookGasLimit gas and may fail without reverting the action that triggered them
+    function callHook(uint ein, address target, string hook) private {
+        if (!isContract(target)) return;
+
+        // callers could otherwise make hooks fail by sending just enough gas for the rest of the transaction
+        require(gasleft() - gasleft() / 64 > hookGasLimit + 5000, "Not enough gas for hooks.");
+        // solium-disable-next-line security/no-low-level-calls
+        if (!target.call.gas(hookGasLimit)(abi.encodeWithSignature(hook, ein))) emit HookFailed(ein, target, hook);
+    }
+
+    // calls a hook of each target, up to maxHookTargets
+    function callHooks(uint ein, address[] targets, string hook) private {
+        for (uint i; i < targets.length && i < maxHookTargets; i++) {
+            callHook(ein, targets[i], hook);
+        }
     }
 
 
@@ -439,6 +924,8 @@ contract IdentityRegistry is SignatureVerifier {
     event AddressRemoved(uint indexed ein, address removedAddress, address provider);
     event ProviderAdded(uint indexed ein, address provider, bool delegated);
     event ProviderRemoved(uint indexed ein, address provider, bool delegated);
+    event ProviderExpirySet(uint indexed ein, address provider, uint expiry);
+    event ProviderPermissionsSet(uint indexed ein, address provider, uint permissions);
     event ResolverAdded(uint indexed ein, address resolvers, address provider);
     event ResolverRemoved(uint indexed ein, address resolvers, address provider);
     event RecoveryAddressChangeInitiated(uint indexed ein, address oldRecoveryAddress, address newRecoveryAddress);
@@ -446,4 +933,15 @@ contract IdentityRegistry is SignatureVerifier {
         uint indexed ein, address recoveryAddress, address[] oldAssociatedAddresses, address newAssociatedAddress
     );
     event Poisoned(uint indexed ein, address recoveryAddress, address poisoner, bool resolversCleared);
+    event HookFailed(uint indexed ein, address target, string hook);
+    event ParametersSet(uint maxAssociatedAddresses, uint recoveryTimeout, uint signatureTimeout);
+    event GovernorChanged(address oldGovernor, address newGovernor);
+    event IdentityMigrated(uint indexed ein, address successor);
+    event IdentityImported(
+        uint indexed ein,
+        uint oldEIN,
+        address recoveryAddress,
+        address[] associatedAddresses,
+        address[] resolvers
+    );
 }
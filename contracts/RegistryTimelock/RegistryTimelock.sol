@@ -0,0 +1,71 @@
+pragma solidity ^0.4.24;
+
+// a governor of an IdentityRegistry that delays every call it makes, so that identities see changes of the registry's
+// parameters, e.g. a shorter recovery timeout, coming before they take effect
+// the owner queues calls, such as IdentityRegistry.changeParameters, which anyone can execute once the delay has
+// passed. the owner and the delay can only be changed by queued calls of this contract itself
+contract RegistryTimelock {
+    address public owner;
+    uint public delay;
+    // the timestamps from which queued calls can be executed, by the hash of their target and data
+    mapping (bytes32 => uint) public executableFrom;
+
+    constructor (uint _delay) public {
+        owner = msg.sender;
+        delay = _delay;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only the owner can queue calls.");
+        _;
+    }
+
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Permission denied.");
+        _;
+    }
+
+    function hashCall(address target, bytes data) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(target, data));
+    }
+
+    // queues a call of target with data, which can be executed after the delay
+    function queue(address target, bytes data) public onlyOwner {
+        bytes32 id = hashCall(target, data);
+        require(executableFrom[id] == 0, "The call is already queued.");
+        // solium-disable-next-line security/no-block-members
+        executableFrom[id] = block.timestamp + delay;
+        emit CallQueued(id, target, data, executableFrom[id]);
+    }
+
+    function cancel(address target, bytes data) public onlyOwner {
+        bytes32 id = hashCall(target, data);
+        require(executableFrom[id] != 0, "The call is not queued.");
+        delete executableFrom[id];
+        emit CallCancelled(id);
+    }
+
+    // executes a queued call once its delay has passed, from any address
+    function execute(address target, bytes data) public {
+        bytes32 id = hashCall(target, data);
+        require(executableFrom[id] != 0, "The call is not queued.");
+        // solium-disable-next-line security/no-block-members
+        require(block.timestamp >= executableFrom[id], "The call delay has not passed.");
+
+        delete executableFrom[id];
+        emit CallExecuted(id);
+        require(target.call(data), "The call failed."); // solium-disable-line security/no-low-level-calls
+    }
+
+    function changeOwner(address newOwner) public onlySelf {
+        owner = newOwner;
+    }
+
+    function changeDelay(uint _delay) public onlySelf {
+        delay = _delay;
+    }
+
+    event CallQueued(bytes32 indexed id, address target, bytes data, uint executableFrom);
+    event CallCancelled(bytes32 indexed id);
+    event CallExecuted(bytes32 indexed id);
+}
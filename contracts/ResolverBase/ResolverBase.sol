@@ -0,0 +1,81 @@
+pragma solidity ^0.4.24;
+
+interface IdentityRegistryInterface {
+    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        external view returns (bool);
+    function identityExists(uint ein) external view returns (bool);
+    function getEIN(address _address) external view returns (uint ein);
+    function isAddressFor(uint ein, address _address) external view returns (bool);
+    function isProviderFor(uint ein, address provider) external view returns (bool);
+    function isResolverFor(uint ein, address resolver) external view returns (bool);
+}
+
+// a base for Resolvers, permissioning calls for an EIN in each of the ways described in
+// best-practices/EINPermissioning.md. every way requires the EIN to have set the Resolver
+contract ResolverBase {
+    IdentityRegistryInterface public identityRegistry;
+    address public owner;
+
+    // the nonce that the next signed call for an EIN must include to be protected against replays
+    mapping (uint => uint) public signatureNonces;
+
+    constructor (address identityRegistryAddress) public {
+        identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only the owner can call this function.");
+        _;
+    }
+
+    function transferOwnership(address newOwner) public onlyOwner {
+        require(newOwner != address(0), "The new owner cannot be the zero address.");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    function requireResolverSet(uint ein) internal view {
+        require(identityRegistry.isResolverFor(ein, address(this)), "The identity has not set this resolver.");
+    }
+
+    // permissions calls from an associated address of the EIN
+    function senderEIN() internal view returns (uint ein) {
+        ein = identityRegistry.getEIN(msg.sender);
+        requireResolverSet(ein);
+    }
+
+    // permissions calls signed by an associated address of the EIN, which can be sent from any address
+    // callHash identifies the call, and is signed along with this Resolver, the EIN and the EIN's nonce
+    function signerEIN(uint ein, address approvingAddress, bytes32 callHash, uint8 v, bytes32 r, bytes32 s)
+        internal returns (uint)
+    {
+        require(identityRegistry.isAddressFor(ein, approvingAddress), "The approving address is not associated.");
+        require(
+            identityRegistry.isSigned(
+                approvingAddress,
+                keccak256(abi.encodePacked(address(this), ein, callHash, signatureNonces[ein])),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+        signatureNonces[ein]++;
+        requireResolverSet(ein);
+        return ein;
+    }
+
+    // permissions calls from the owner of this Resolver, for any EIN
+    function ownerEIN(uint ein) internal view onlyOwner returns (uint) {
+        requireResolverSet(ein);
+        return ein;
+    }
+
+    // permissions calls from a Provider of the EIN, which lose access as soon as the Provider is removed
+    function providerEIN(uint ein) internal view returns (uint) {
+        require(identityRegistry.isProviderFor(ein, msg.sender), "The identity has not set the calling provider.");
+        requireResolverSet(ein);
+        return ein;
+    }
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+}
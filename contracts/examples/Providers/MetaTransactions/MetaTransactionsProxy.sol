@@ -4,10 +4,9 @@ interface IdentityRegistryInterface {
     function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
         external view returns (bool);
     function mintIdentityDelegated(
-        address recoveryAddress,
-        address associatedAddress,
-        address[] resolvers,
-        uint8 v, bytes32 r, bytes32 s) external returns (uint ein);
+        address recoveryAddress, address associatedAddress, address[] resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external returns (uint ein);
     function getEIN(address _address) external view returns (uint ein);
     function isProviderFor(uint ein, address provider) external view returns (bool);
 }
@@ -42,7 +41,8 @@ contract ExternalProxy is Forwarder {
     }
 }
 
-contract MetaTransactionProxyProvider is Forwarder {
+// forwards calls itself rather than inheriting Forwarder, so that it only calls out on behalf of its identities
+contract MetaTransactionProxyProvider {
     IdentityRegistryInterface identityRegistry;
 
     // identity proxy registry and nonce tracker mapping EINs to proxies/nonces
@@ -62,15 +62,17 @@ contract MetaTransactionProxyProvider is Forwarder {
     function hasExternalProxy(uint ein) public view returns (bool) {
         return externalProxyDirectory[ein] != address(0);
     }
-    
 
     // mint identity with meta-transaction
     function mintIdentityDelegated(
-        address recoveryAddress, address associatedAddress, address[] resolvers, uint8 v, bytes32 r, bytes32 s
+        address recoveryAddress, address associatedAddress, address[] resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
     )
         public returns (uint ein)
     {
-        return identityRegistry.mintIdentityDelegated(recoveryAddress, associatedAddress, resolvers, v, r, s);
+        return identityRegistry.mintIdentityDelegated(
+            recoveryAddress, associatedAddress, resolvers, v, r, s, timestamp
+        );
     }
 
     // internal logic for claiming an external proxy
@@ -108,14 +110,17 @@ contract MetaTransactionProxyProvider is Forwarder {
     }
 
     // internal logic for calling proxy
+    // calls made directly by this Provider cannot go to the registry, where it acts for every identity that set it
     function callViaProxy(uint ein, address destination, bytes data, bool viaExternal) private isProviderFor(ein) {
         if (viaExternal) {
             if (!hasExternalProxy(ein)) {
                 claimProxy(ein);
             }
-            ForwarderInterface(externalProxyDirectory[ein]).forwardCall(destination, data);            
+            ForwarderInterface(externalProxyDirectory[ein]).forwardCall(destination, data);
         } else {
-            forwardCall(destination, data);
+            require(destination != address(identityRegistry), "Cannot call the registry directly.");
+            // solium-disable-next-line security/no-low-level-calls
+            require(destination.call(data), "Call was not successful.");
         }
     }
 }
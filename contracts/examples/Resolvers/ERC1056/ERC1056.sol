@@ -33,8 +33,13 @@ contract ERC1056 {
     mapping(uint => address) public einToDID;
     mapping(uint => uint) public actionNonce;
 
+    // takes ownership of the DID of identity, which the EIN of the sender must have set this resolver to manage
+    // delegated functions are signed by an associated address of the EIN, over this resolver's address and the nonce
     function initialize(address identity, uint8 sigV, bytes32 sigR, bytes32 sigS) public {
         uint ein = identityRegistry.getEIN(msg.sender);
+        require(
+            identityRegistry.isResolverFor(ein, address(this)), "The calling identity does not have this resolver set."
+        );
         require(einToDID[ein] == address(0), "This EIN has already been initialized");
         ethereumDIDRegistry.changeOwnerSigned(identity, sigV, sigR, sigS, address(this));
         einToDID[ein] = identity;
@@ -45,12 +50,14 @@ contract ERC1056 {
         _changeOwner(einToDID[ein], newOwner);
     }
 
-    function changeOwnerDelegated(address newOwner, uint8 sigV, bytes32 sigR, bytes32 sigS, address addrDelegated) public {
+    function changeOwnerDelegated(address newOwner, uint8 sigV, bytes32 sigR, bytes32 sigS, address addrDelegated)
+        public
+    {
         uint ein = identityRegistry.getEIN(addrDelegated);
         require(
             identityRegistry.isSigned(
                 addrDelegated,
-                keccak256(abi.encodePacked("changeOwnerDelegated", newOwner, actionNonce[ein])),
+                keccak256(abi.encodePacked("changeOwnerDelegated", address(this), newOwner, actionNonce[ein])),
                 sigV, sigR, sigS
             ),
             "Function execution is incorrectly signed."
@@ -79,7 +86,11 @@ contract ERC1056 {
         require(
             identityRegistry.isSigned(
                 addrDelegated,
-                keccak256(abi.encodePacked("addDelegateDelegated", delegateType, delegate, validity, actionNonce[ein])),
+                keccak256(
+                    abi.encodePacked(
+                        "addDelegateDelegated", address(this), delegateType, delegate, validity, actionNonce[ein]
+                    )
+                ),
                 sigV, sigR, sigS
             ),
             "Function execution is incorrectly signed."
@@ -107,7 +118,9 @@ contract ERC1056 {
         require(
             identityRegistry.isSigned(
                 addrDelegated,
-                keccak256(abi.encodePacked("revokeDelegateDelegated", delegateType, delegate, actionNonce[ein])),
+                keccak256(
+                    abi.encodePacked("revokeDelegateDelegated", address(this), delegateType, delegate, actionNonce[ein])
+                ),
                 sigV, sigR, sigS
             ),
             "Function execution is incorrectly signed."
@@ -135,7 +148,9 @@ contract ERC1056 {
         require(
             identityRegistry.isSigned(
                 addrDelegated,
-                keccak256(abi.encodePacked("setAttributeDelegated", name, value, validity, actionNonce[ein])),
+                keccak256(
+                    abi.encodePacked("setAttributeDelegated", address(this), name, value, validity, actionNonce[ein])
+                ),
                 sigV, sigR, sigS
             ),
             "Function execution is incorrectly signed."
@@ -163,7 +178,7 @@ contract ERC1056 {
         require(
             identityRegistry.isSigned(
                 addrDelegated,
-                keccak256(abi.encodePacked("revokeAttributeDelegated", name, value, actionNonce[ein])),
+                keccak256(abi.encodePacked("revokeAttributeDelegated", address(this), name, value, actionNonce[ein])),
                 sigV, sigR, sigS
             ),
             "Function execution is incorrectly signed."
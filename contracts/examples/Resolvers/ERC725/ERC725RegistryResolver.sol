@@ -1,14 +1,16 @@
 pragma solidity ^0.4.24;
 
 import "./ClaimHolder.sol";
+import "../../../IdentityHooks.sol";
 
 contract IdentityRegistryInterface {
     function getEIN(address _address) public view returns (uint ein);
     function getDetails(uint ein) public view
         returns (address recoveryAddress, address[] associatedAddresses, address[] providers, address[] resolvers);
+    function isResolverFor(uint ein, address resolver) public view returns (bool);
 }
 
-contract ERC725RegistryResolver {
+contract ERC725RegistryResolver is ResolverHooks, IdentityHooks {
 
     IdentityRegistryInterface registry;
 
@@ -18,20 +20,28 @@ contract ERC725RegistryResolver {
 
     mapping(uint => address) einTo725;
 
+    // gets the EIN of the sender, which must have set this resolver
+    function getResolvedEIN() private view returns (uint ein) {
+        ein = registry.getEIN(msg.sender);
+        require(registry.isResolverFor(ein, address(this)), "The calling identity does not have this resolver set.");
+    }
+
+    // creates a 725 managed by the sender, giving up the management key it is created with
     function create725() public returns(address) {
-        uint ein = registry.getEIN(msg.sender);
+        uint ein = getResolvedEIN();
 
         require(einTo725[ein] == address(0), "You already have a 725");
 
         ClaimHolder claim = new ClaimHolder();
         require(claim.addKey(keccak256(abi.encodePacked(msg.sender)), 1, 1), "Failed to add key.");
+        require(claim.removeKey(keccak256(abi.encodePacked(address(this))), 1), "Failed to remove key.");
 
         einTo725[ein] = claim;
         return(claim);
     }
 
     function claim725(address _contract) public returns(bool) {
-        uint ein = registry.getEIN(msg.sender);
+        uint ein = getResolvedEIN();
 
         address[] memory ownedAddresses;
         (,ownedAddresses,,) = registry.getDetails(ein);
@@ -58,8 +68,30 @@ contract ERC725RegistryResolver {
         einTo725[ein] = address(0);
     }
 
+    // the 725s of identities that no longer have this resolver set, e.g. after a missed hook, are not returned
     function get725(uint _ein) public view returns(address) {
+        if (!registry.isResolverFor(_ein, address(this))) return address(0);
         return einTo725[_ein];
     }
 
+    // forgets any 725 left behind by a missed hook
+    function onAddition(uint ein) external {
+        require(msg.sender == address(registry), "Only the registry can call hooks.");
+        delete einTo725[ein];
+    }
+
+    // forgets the 725 of identities that remove this resolver
+    function onRemoval(uint ein) external {
+        require(msg.sender == address(registry), "Only the registry can call hooks.");
+        delete einTo725[ein];
+    }
+
+    function onRecovery(uint) external {}
+
+    // forgets the 725 of identities whose poison pill removed this resolver
+    function onPoison(uint ein) external {
+        require(msg.sender == address(registry), "Only the registry can call hooks.");
+        if (!registry.isResolverFor(ein, address(this))) delete einTo725[ein];
+    }
+
 }
@@ -0,0 +1,45 @@
+pragma solidity ^0.4.24;
+
+import "../../../ResolverBase/ResolverBase.sol";
+
+// stores profile values for EINs, e.g. a name or an avatar url, under bytes32 keys
+// each way of permissioning calls in ResolverBase has its own setter, and setting an empty value clears a key
+contract ProfileResolver is ResolverBase {
+    mapping (uint => mapping (bytes32 => string)) internal values;
+
+    constructor (address identityRegistryAddress) public ResolverBase(identityRegistryAddress) {}
+
+    function getValue(uint ein, bytes32 key) public view returns (string) {
+        require(identityRegistry.identityExists(ein), "The referenced identity does not exist.");
+        return values[ein][key];
+    }
+
+    function setValue(bytes32 key, string value) public {
+        _setValue(senderEIN(), key, value);
+    }
+
+    // the signature is over keccak256(abi.encodePacked("setValue", key, value)), see ResolverBase.signerEIN
+    function setValueDelegated(
+        uint ein, address approvingAddress, uint8 v, bytes32 r, bytes32 s, bytes32 key, string value
+    )
+        public
+    {
+        bytes32 callHash = keccak256(abi.encodePacked("setValue", key, value));
+        _setValue(signerEIN(ein, approvingAddress, callHash, v, r, s), key, value);
+    }
+
+    function setValueAsOwner(uint ein, bytes32 key, string value) public {
+        _setValue(ownerEIN(ein), key, value);
+    }
+
+    function setValueAsProvider(uint ein, bytes32 key, string value) public {
+        _setValue(providerEIN(ein), key, value);
+    }
+
+    function _setValue(uint ein, bytes32 key, string value) private {
+        values[ein][key] = value;
+        emit ValueSet(ein, key, value, msg.sender);
+    }
+
+    event ValueSet(uint indexed ein, bytes32 indexed key, string value, address sender);
+}
@@ -0,0 +1,78 @@
+pragma solidity ^0.4.24;
+
+// a minimal m-of-n multisig wallet that can be the associated or recovery address of an identity
+// it approves the permissions that the IdentityRegistry checks with ERC-1271, either with the signature of a single
+// owner over the wrapped message hash, or, when more owners must sign, by marking the message as signed on-chain
+contract Multisig {
+    bytes4 private constant ERC1271_MAGIC_VALUE = 0x1626ba7e;
+
+    mapping (address => bool) public isOwner;
+    uint public required;
+    uint public nonce;
+    mapping (bytes32 => bool) public signedMessages;
+
+    constructor (address[] owners, uint _required) public {
+        require(_required > 0 && _required <= owners.length, "Invalid number of required owners.");
+        for (uint i; i < owners.length; i++) {
+            isOwner[owners[i]] = true;
+        }
+        required = _required;
+    }
+
+    function () public payable {}
+
+    // wraps hashes as ERC-191 data with this wallet as the intended validator, so that signatures of one wallet's
+    // owners cannot be replayed on another wallet
+    function hashMessage(bytes32 messageHash) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(byte(0x19), byte(0), address(this), messageHash));
+    }
+
+    // the hash that owners sign to execute a call
+    function hashTransaction(address destination, uint value, bytes data, uint _nonce) public view returns (bytes32) {
+        return hashMessage(keccak256(abi.encodePacked(destination, value, data, _nonce)));
+    }
+
+    // checks that signatures, packed as (r, s, v), were created by the required number of owners in ascending order
+    function isApproved(bytes32 hash, bytes signatures) public view returns (bool) {
+        if (signatures.length != required * 65) return false;
+
+        address lastOwner;
+        for (uint i; i < required; i++) {
+            bytes32 r;
+            bytes32 s;
+            uint8 v;
+            // solium-disable-next-line security/no-inline-assembly
+            assembly {
+                let offset := add(signatures, mul(i, 65))
+                r := mload(add(offset, 32))
+                s := mload(add(offset, 64))
+                v := and(mload(add(offset, 65)), 0xff)
+            }
+            address owner = ecrecover(hash, v, r, s);
+            if (!isOwner[owner] || owner <= lastOwner) return false;
+            lastOwner = owner;
+        }
+        return true;
+    }
+
+    // calls another contract, e.g. the IdentityRegistry, as this wallet
+    function execute(address destination, uint value, bytes data, bytes signatures) public {
+        require(
+            isApproved(hashTransaction(destination, value, data, nonce), signatures), "The owners have not approved."
+        );
+        nonce++;
+        require(destination.call.value(value)(data), "The call failed."); // solium-disable-line security/no-call-value
+    }
+
+    // marks a message hash as signed by this wallet, which can only be executed by the owners
+    function signMessage(bytes32 messageHash) public {
+        require(msg.sender == address(this), "Only the wallet can sign messages.");
+        signedMessages[messageHash] = true;
+    }
+
+    // ERC-1271
+    function isValidSignature(bytes32 messageHash, bytes signature) public view returns (bytes4) {
+        if (signedMessages[messageHash] || isApproved(hashMessage(messageHash), signature)) return ERC1271_MAGIC_VALUE;
+        return 0;
+    }
+}
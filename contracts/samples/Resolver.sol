@@ -1,12 +1,14 @@
 pragma solidity ^0.4.24;
 
+import "../IdentityHooks.sol";
+
 interface IdentityRegistryInterface {
     function getEIN(address _address) external view returns (uint ein);
     function isResolverFor(uint ein, address resolver) external view returns (bool);
     function identityExists(uint ein) external view returns (bool);
 }
 
-contract Resolver {
+contract Resolver is ResolverHooks, IdentityHooks {
     mapping(uint => string) internal emails;
 
     IdentityRegistryInterface identityRegistry;
@@ -24,8 +26,32 @@ contract Resolver {
         emails[ein] = email;
     }
 
+    // emails of identities that no longer have this resolver set, e.g. after a missed hook, are not returned
     function getEmail(uint ein) public view returns(string) {
         require(identityRegistry.identityExists(ein), "The referenced identity does not exist.");
+        if (!identityRegistry.isResolverFor(ein, address(this))) return "";
         return emails[ein];
     }
+
+    modifier onlyIdentityRegistry() {
+        require(msg.sender == address(identityRegistry), "Only the registry can call hooks.");
+        _;
+    }
+
+    // clears any email left behind by a missed hook
+    function onAddition(uint ein) external onlyIdentityRegistry {
+        delete emails[ein];
+    }
+
+    // clears the email of identities that remove this resolver
+    function onRemoval(uint ein) external onlyIdentityRegistry {
+        delete emails[ein];
+    }
+
+    function onRecovery(uint) external onlyIdentityRegistry {}
+
+    // clears the email of identities whose poison pill removed this resolver
+    function onPoison(uint ein) external onlyIdentityRegistry {
+        if (!identityRegistry.isResolverFor(ein, address(this))) delete emails[ein];
+    }
 }
@@ -0,0 +1,14 @@
+const path = require('path')
+
+// directory that truffle compiles contract artifacts into
+const buildDirectory = path.join(__dirname, '..', 'build', 'contracts')
+
+// loads a compiled truffle artifact, which is only available once the contracts have been built
+function loadArtifact (contractName) {
+  return require(path.join(buildDirectory, `${contractName}.json`))
+}
+
+module.exports = {
+  buildDirectory: buildDirectory,
+  loadArtifact: loadArtifact
+}
@@ -0,0 +1,204 @@
+const { utils } = require('web3')
+
+const { loadArtifact } = require('./artifacts')
+const { sign, isSigned, splitSignature } = require('./signatures')
+
+// the message that prefixes every claim, so that claims cannot be mistaken for registry permissions
+const message = 'I authenticate as this Identity.'
+
+// the JWT header of encoded tokens, whose signature is over hashClaim rather than the JWS signing input
+const header = { alg: 'ERC1484', typ: 'JWT' }
+
+// a token that failed verification
+class AuthenticationError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+function currentTime () {
+  return Math.floor(Date.now() / 1000)
+}
+
+// creates a claim that the holder of a token is an identity, valid for lifetime seconds
+function createClaim ({ registry, ein, audience, lifetime = 300, issuedAt = currentTime(), nonce }) {
+  return {
+    registry: utils.toChecksumAddress(registry),
+    ein: utils.toBN(ein).toString(),
+    audience: audience,
+    issuedAt: Number(issuedAt),
+    expiresAt: Number(issuedAt) + lifetime,
+    nonce: nonce === undefined ? utils.randomHex(32) : nonce
+  }
+}
+
+function hashClaim (claim) {
+  return utils.soliditySha3(
+    { t: 'string', v: message },
+    { t: 'address', v: claim.registry },
+    { t: 'uint256', v: claim.ein },
+    { t: 'string', v: claim.audience },
+    { t: 'uint256', v: claim.issuedAt },
+    { t: 'uint256', v: claim.expiresAt },
+    { t: 'bytes32', v: claim.nonce }
+  )
+}
+
+// signs a claim as an associated address of its identity, returning the token
+async function signClaim (claim, signer, method) {
+  return { claim: claim, address: signer.address, signature: await sign(hashClaim(claim), signer, method) }
+}
+
+function base64url (buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+function fromBase64url (text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+// encodes a token as a JWT, with the standard claims and the 65-byte signature as r, s and v
+function encodeToken ({ claim, address, signature }) {
+  const payload = {
+    iss: address,
+    sub: claim.ein,
+    aud: claim.audience,
+    iat: claim.issuedAt,
+    exp: claim.expiresAt,
+    nonce: claim.nonce,
+    registry: claim.registry
+  }
+  const { r, s, v } = signature
+  const signatureBytes = Buffer.from(`${r.slice(2)}${s.slice(2)}${v.toString(16).padStart(2, '0')}`, 'hex')
+  return [header, payload].map(part => base64url(Buffer.from(JSON.stringify(part))))
+    .concat(base64url(signatureBytes))
+    .join('.')
+}
+
+function decodeToken (jwt) {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : []
+  if (parts.length !== 3) throw new AuthenticationError('Token is not a JWT.')
+
+  let decodedHeader, payload
+  try {
+    [decodedHeader, payload] = parts.slice(0, 2).map(part => JSON.parse(fromBase64url(part).toString('utf8')))
+  } catch (error) {
+    throw new AuthenticationError('Token is not a JWT.')
+  }
+  if (decodedHeader.alg !== header.alg) throw new AuthenticationError(`Unsupported algorithm ${decodedHeader.alg}.`)
+
+  const signatureBytes = fromBase64url(parts[2])
+  if (signatureBytes.length !== 65) throw new AuthenticationError('Token signature is malformed.')
+  return {
+    claim: {
+      registry: payload.registry,
+      ein: payload.sub,
+      audience: payload.aud,
+      issuedAt: payload.iat,
+      expiresAt: payload.exp,
+      nonce: payload.nonce
+    },
+    address: payload.iss,
+    signature: splitSignature(`0x${signatureBytes.toString('hex')}`)
+  }
+}
+
+// checks that a decoded token has every field of a claim, so that malformed tokens fail verification cleanly
+function isWellFormed ({ claim, address, signature }) {
+  return claim !== null && typeof claim === 'object' &&
+    utils.isAddress(claim.registry) &&
+    /^\d+$/.test(claim.ein) &&
+    typeof claim.audience === 'string' &&
+    Number.isInteger(claim.issuedAt) &&
+    Number.isInteger(claim.expiresAt) &&
+    /^0x[0-9a-fA-F]{64}$/.test(claim.nonce) &&
+    utils.isAddress(address) &&
+    signature !== null && typeof signature === 'object'
+}
+
+// verifies a token, or its JWT encoding, returning the EIN and address it authenticates
+// the signer must be associated with the EIN at blockNumber, which defaults to the latest block
+// audience and registry are checked when passed, and tokens can be valid for at most maxLifetime seconds
+async function verifyToken (web3, token, options = {}) {
+  const { registry, audience, blockNumber = 'latest', now = currentTime(), maxLifetime = 3600, leeway = 30 } = options
+  const decoded = typeof token === 'string' ? decodeToken(token) : token
+  if (!isWellFormed(decoded)) throw new AuthenticationError('Token is malformed.')
+  const { claim, address, signature } = decoded
+
+  if (registry !== undefined && claim.registry.toLowerCase() !== registry.toLowerCase()) {
+    throw new AuthenticationError('Token is for another registry.')
+  }
+  if (audience !== undefined && claim.audience !== audience) {
+    throw new AuthenticationError('Token is for another audience.')
+  }
+  if (claim.expiresAt - claim.issuedAt > maxLifetime) throw new AuthenticationError('Token lifetime is too long.')
+  if (claim.issuedAt > now + leeway) throw new AuthenticationError('Token is not valid yet.')
+  if (claim.expiresAt <= now) throw new AuthenticationError('Token has expired.')
+
+  if (!isSigned(address, hashClaim(claim), signature)) throw new AuthenticationError('Token signature is invalid.')
+
+  const contract = new web3.eth.Contract(options.abi || loadArtifact('IdentityRegistry').abi, claim.registry)
+  if (!await contract.methods.identityExists(claim.ein).call({}, blockNumber)) {
+    throw new AuthenticationError('The identity does not exist.')
+  }
+  if (!await contract.methods.isAddressFor(claim.ein, address).call({}, blockNumber)) {
+    throw new AuthenticationError('Token signer is not associated with the identity.')
+  }
+
+  return { ein: utils.toBN(claim.ein), address: utils.toChecksumAddress(address), claim: claim }
+}
+
+// issues single-use challenges for login flows, which clients sign with signClaim and send back to verify
+class ChallengeIssuer {
+  constructor (web3, { registry, audience, lifetime = 300, now = currentTime, abi } = {}) {
+    this.web3 = web3
+    this.registry = registry
+    this.audience = audience
+    this.lifetime = lifetime
+    this.now = now
+    this.abi = abi
+    this.challenges = new Map()
+  }
+
+  // creates the claim that an identity must sign to log in, forgetting expired challenges
+  issue (ein) {
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt <= this.now()) this.challenges.delete(nonce)
+    }
+
+    const challenge = createClaim({
+      registry: this.registry, ein: ein, audience: this.audience, lifetime: this.lifetime, issuedAt: this.now()
+    })
+    this.challenges.set(challenge.nonce, challenge)
+    return challenge
+  }
+
+  // verifies the signed response to a challenge, which can only be used once
+  async verify (token) {
+    const response = typeof token === 'string' ? decodeToken(token) : token
+    if (!isWellFormed(response)) throw new AuthenticationError('Token is malformed.')
+    const challenge = this.challenges.get(response.claim.nonce)
+    if (challenge === undefined) throw new AuthenticationError('Unknown or already used challenge.')
+    this.challenges.delete(response.claim.nonce)
+
+    if (Object.keys(challenge).some(field => String(challenge[field]) !== String(response.claim[field]))) {
+      throw new AuthenticationError('Response does not match the challenge.')
+    }
+    return verifyToken(this.web3, response, {
+      registry: this.registry, audience: this.audience, now: this.now(), maxLifetime: this.lifetime, abi: this.abi
+    })
+  }
+}
+
+module.exports = {
+  message: message,
+  AuthenticationError: AuthenticationError,
+  createClaim: createClaim,
+  hashClaim: hashClaim,
+  signClaim: signClaim,
+  encodeToken: encodeToken,
+  decodeToken: decodeToken,
+  verifyToken: verifyToken,
+  ChallengeIssuer: ChallengeIssuer
+}
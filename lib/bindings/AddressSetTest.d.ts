@@ -0,0 +1,28 @@
+// generated by lib/bindings/generate.js from the AddressSetTest artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace AddressSetTest {
+  type Event = never
+}
+
+declare class AddressSetTest extends ContractBinding<AddressSetTest.Event> {
+  static readonly contractName: 'AddressSetTest'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<AddressSetTest>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  contains (other: string, options?: CallOptions): Promise<boolean>
+  insert (other: string, options?: SendOptions): Promise<TransactionResult<AddressSetTest.Event>>
+  length (options?: CallOptions): Promise<BN>
+  members (options?: CallOptions): Promise<string[]>
+  remove (other: string, options?: SendOptions): Promise<TransactionResult<AddressSetTest.Event>>
+  reset (options?: SendOptions): Promise<TransactionResult<AddressSetTest.Event>>
+  slice (offset: NumberLike, limit: NumberLike, options?: CallOptions): Promise<string[]>
+}
+
+export = AddressSetTest
@@ -0,0 +1,43 @@
+// generated by lib/bindings/generate.js from the AddressSetTest artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/AddressSetTest.json')
+
+class AddressSetTest extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  contains (...args) {
+    return this.invoke('contains', args)
+  }
+
+  insert (...args) {
+    return this.invoke('insert', args)
+  }
+
+  length (...args) {
+    return this.invoke('length', args)
+  }
+
+  members (...args) {
+    return this.invoke('members', args)
+  }
+
+  remove (...args) {
+    return this.invoke('remove', args)
+  }
+
+  reset (...args) {
+    return this.invoke('reset', args)
+  }
+
+  slice (...args) {
+    return this.invoke('slice', args)
+  }
+}
+
+AddressSetTest.contractName = 'AddressSetTest'
+AddressSetTest.abi = abi
+
+module.exports = AddressSetTest
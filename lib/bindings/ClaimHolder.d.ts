@@ -0,0 +1,96 @@
+// generated by lib/bindings/generate.js from the ClaimHolder artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ClaimHolder {
+  type Event =
+    | DecodedEvent<'Approved', { executionId: BN, approved: boolean }>
+    | DecodedEvent<'ClaimAdded', {
+      claimId: string,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'ClaimChanged', {
+      claimId: string,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'ClaimRemoved', {
+      claimId: string,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'ClaimRequested', {
+      claimRequestId: BN,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'Executed', { executionId: BN, to: string, value: BN, data: string }>
+    | DecodedEvent<'ExecutionFailed', { executionId: BN, to: string, value: BN, data: string }>
+    | DecodedEvent<'ExecutionRequested', { executionId: BN, to: string, value: BN, data: string }>
+    | DecodedEvent<'KeyAdded', { key: string, purpose: BN, keyType: BN }>
+    | DecodedEvent<'KeyRemoved', { key: string, purposes: string, keyType: BN }>
+}
+
+declare class ClaimHolder extends ContractBinding<ClaimHolder.Event> {
+  static readonly contractName: 'ClaimHolder'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ClaimHolder>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  addClaim (
+    _topic: NumberLike,
+    _scheme: NumberLike,
+    _issuer: string,
+    _signature: string,
+    _data: string,
+    _uri: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ClaimHolder.Event>>
+  addKey (
+    _key: string,
+    _purpose: NumberLike,
+    _type: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<ClaimHolder.Event>>
+  approve (_id: NumberLike, _approve: boolean, options?: SendOptions): Promise<TransactionResult<ClaimHolder.Event>>
+  execute (
+    _to: string,
+    _value: NumberLike,
+    _data: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ClaimHolder.Event>>
+  getClaim (
+    _claimId: string,
+    options?: CallOptions
+  ): Promise<{ claimType: BN, scheme: BN, issuer: string, signature: string, data: string, uri: string }>
+  getClaimIdsByTopic (_topic: NumberLike, options?: CallOptions): Promise<string[]>
+  getKey (_key: string, options?: CallOptions): Promise<{ purposes: BN[], keyType: BN, key: string }>
+  getKeyPurpose (_key: string, options?: CallOptions): Promise<BN[]>
+  getKeysByPurpose (_purpose: NumberLike, options?: CallOptions): Promise<string[]>
+  keyHasPurpose (_key: string, _purpose: NumberLike, options?: CallOptions): Promise<boolean>
+  removeClaim (_claimId: string, options?: SendOptions): Promise<TransactionResult<ClaimHolder.Event>>
+  removeKey (_key: string, _purpose: NumberLike, options?: SendOptions): Promise<TransactionResult<ClaimHolder.Event>>
+}
+
+export = ClaimHolder
@@ -0,0 +1,63 @@
+// generated by lib/bindings/generate.js from the ClaimHolder artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ClaimHolder.json')
+
+class ClaimHolder extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addClaim (...args) {
+    return this.invoke('addClaim', args)
+  }
+
+  addKey (...args) {
+    return this.invoke('addKey', args)
+  }
+
+  approve (...args) {
+    return this.invoke('approve', args)
+  }
+
+  execute (...args) {
+    return this.invoke('execute', args)
+  }
+
+  getClaim (...args) {
+    return this.invoke('getClaim', args)
+  }
+
+  getClaimIdsByTopic (...args) {
+    return this.invoke('getClaimIdsByTopic', args)
+  }
+
+  getKey (...args) {
+    return this.invoke('getKey', args)
+  }
+
+  getKeyPurpose (...args) {
+    return this.invoke('getKeyPurpose', args)
+  }
+
+  getKeysByPurpose (...args) {
+    return this.invoke('getKeysByPurpose', args)
+  }
+
+  keyHasPurpose (...args) {
+    return this.invoke('keyHasPurpose', args)
+  }
+
+  removeClaim (...args) {
+    return this.invoke('removeClaim', args)
+  }
+
+  removeKey (...args) {
+    return this.invoke('removeKey', args)
+  }
+}
+
+ClaimHolder.contractName = 'ClaimHolder'
+ClaimHolder.abi = abi
+
+module.exports = ClaimHolder
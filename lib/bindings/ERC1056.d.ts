@@ -0,0 +1,95 @@
+// generated by lib/bindings/generate.js from the ERC1056 artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ERC1056 {
+  type Event = never
+}
+
+declare class ERC1056 extends ContractBinding<ERC1056.Event> {
+  static readonly contractName: 'ERC1056'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ERC1056>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  actionNonce (arg0: NumberLike, options?: CallOptions): Promise<BN>
+  addDelegate (
+    delegateType: string,
+    delegate: string,
+    validity: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  addDelegateDelegated (
+    delegateType: string,
+    delegate: string,
+    validity: NumberLike,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    addrDelegated: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  changeOwner (newOwner: string, options?: SendOptions): Promise<TransactionResult<ERC1056.Event>>
+  changeOwnerDelegated (
+    newOwner: string,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    addrDelegated: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  einToDID (arg0: NumberLike, options?: CallOptions): Promise<string>
+  initialize (
+    identity: string,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  revokeAttribute (name: string, value: string, options?: SendOptions): Promise<TransactionResult<ERC1056.Event>>
+  revokeAttributeDelegated (
+    name: string,
+    value: string,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    addrDelegated: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  revokeDelegate (
+    delegateType: string,
+    delegate: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  revokeDelegateDelegated (
+    delegateType: string,
+    delegate: string,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    addrDelegated: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  setAttribute (
+    name: string,
+    value: string,
+    validity: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+  setAttributeDelegated (
+    name: string,
+    value: string,
+    validity: NumberLike,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    addrDelegated: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC1056.Event>>
+}
+
+export = ERC1056
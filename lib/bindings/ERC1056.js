@@ -0,0 +1,67 @@
+// generated by lib/bindings/generate.js from the ERC1056 artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ERC1056.json')
+
+class ERC1056 extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  actionNonce (...args) {
+    return this.invoke('actionNonce', args)
+  }
+
+  addDelegate (...args) {
+    return this.invoke('addDelegate', args)
+  }
+
+  addDelegateDelegated (...args) {
+    return this.invoke('addDelegateDelegated', args)
+  }
+
+  changeOwner (...args) {
+    return this.invoke('changeOwner', args)
+  }
+
+  changeOwnerDelegated (...args) {
+    return this.invoke('changeOwnerDelegated', args)
+  }
+
+  einToDID (...args) {
+    return this.invoke('einToDID', args)
+  }
+
+  initialize (...args) {
+    return this.invoke('initialize', args)
+  }
+
+  revokeAttribute (...args) {
+    return this.invoke('revokeAttribute', args)
+  }
+
+  revokeAttributeDelegated (...args) {
+    return this.invoke('revokeAttributeDelegated', args)
+  }
+
+  revokeDelegate (...args) {
+    return this.invoke('revokeDelegate', args)
+  }
+
+  revokeDelegateDelegated (...args) {
+    return this.invoke('revokeDelegateDelegated', args)
+  }
+
+  setAttribute (...args) {
+    return this.invoke('setAttribute', args)
+  }
+
+  setAttributeDelegated (...args) {
+    return this.invoke('setAttributeDelegated', args)
+  }
+}
+
+ERC1056.contractName = 'ERC1056'
+ERC1056.abi = abi
+
+module.exports = ERC1056
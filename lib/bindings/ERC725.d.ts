@@ -0,0 +1,43 @@
+// generated by lib/bindings/generate.js from the ERC725 artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ERC725 {
+  type Event =
+    | DecodedEvent<'Approved', { executionId: BN, approved: boolean }>
+    | DecodedEvent<'Executed', { executionId: BN, to: string, value: BN, data: string }>
+    | DecodedEvent<'ExecutionRequested', { executionId: BN, to: string, value: BN, data: string }>
+    | DecodedEvent<'KeyAdded', { key: string, purpose: BN, keyType: BN }>
+    | DecodedEvent<'KeyRemoved', { key: string, purposes: string, keyType: BN }>
+}
+
+declare class ERC725 extends ContractBinding<ERC725.Event> {
+  static readonly contractName: 'ERC725'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ERC725>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  addKey (
+    _key: string,
+    _purpose: NumberLike,
+    _keyType: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC725.Event>>
+  approve (_id: NumberLike, _approve: boolean, options?: SendOptions): Promise<TransactionResult<ERC725.Event>>
+  execute (
+    _to: string,
+    _value: NumberLike,
+    _data: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC725.Event>>
+  getKey (_key: string, options?: CallOptions): Promise<{ purposes: BN[], keyType: BN, key: string }>
+  getKeysByPurpose (_purpose: NumberLike, options?: CallOptions): Promise<string[]>
+  keyHasPurpose (_key: string, _purpose: NumberLike, options?: CallOptions): Promise<boolean>
+  removeKey (_key: string, _purpose: NumberLike, options?: SendOptions): Promise<TransactionResult<ERC725.Event>>
+}
+
+export = ERC725
@@ -0,0 +1,43 @@
+// generated by lib/bindings/generate.js from the ERC725 artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ERC725.json')
+
+class ERC725 extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addKey (...args) {
+    return this.invoke('addKey', args)
+  }
+
+  approve (...args) {
+    return this.invoke('approve', args)
+  }
+
+  execute (...args) {
+    return this.invoke('execute', args)
+  }
+
+  getKey (...args) {
+    return this.invoke('getKey', args)
+  }
+
+  getKeysByPurpose (...args) {
+    return this.invoke('getKeysByPurpose', args)
+  }
+
+  keyHasPurpose (...args) {
+    return this.invoke('keyHasPurpose', args)
+  }
+
+  removeKey (...args) {
+    return this.invoke('removeKey', args)
+  }
+}
+
+ERC725.contractName = 'ERC725'
+ERC725.abi = abi
+
+module.exports = ERC725
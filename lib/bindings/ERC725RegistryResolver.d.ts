@@ -0,0 +1,29 @@
+// generated by lib/bindings/generate.js from the ERC725RegistryResolver artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ERC725RegistryResolver {
+  type Event = never
+}
+
+declare class ERC725RegistryResolver extends ContractBinding<ERC725RegistryResolver.Event> {
+  static readonly contractName: 'ERC725RegistryResolver'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ERC725RegistryResolver>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  claim725 (_contract: string, options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+  create725 (options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+  get725 (_ein: NumberLike, options?: CallOptions): Promise<string>
+  onAddition (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+  onPoison (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+  onRecovery (arg0: NumberLike, options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+  onRemoval (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+  remove725 (options?: SendOptions): Promise<TransactionResult<ERC725RegistryResolver.Event>>
+}
+
+export = ERC725RegistryResolver
@@ -0,0 +1,47 @@
+// generated by lib/bindings/generate.js from the ERC725RegistryResolver artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ERC725RegistryResolver.json')
+
+class ERC725RegistryResolver extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  claim725 (...args) {
+    return this.invoke('claim725', args)
+  }
+
+  create725 (...args) {
+    return this.invoke('create725', args)
+  }
+
+  get725 (...args) {
+    return this.invoke('get725', args)
+  }
+
+  onAddition (...args) {
+    return this.invoke('onAddition', args)
+  }
+
+  onPoison (...args) {
+    return this.invoke('onPoison', args)
+  }
+
+  onRecovery (...args) {
+    return this.invoke('onRecovery', args)
+  }
+
+  onRemoval (...args) {
+    return this.invoke('onRemoval', args)
+  }
+
+  remove725 (...args) {
+    return this.invoke('remove725', args)
+  }
+}
+
+ERC725RegistryResolver.contractName = 'ERC725RegistryResolver'
+ERC725RegistryResolver.abi = abi
+
+module.exports = ERC725RegistryResolver
@@ -0,0 +1,72 @@
+// generated by lib/bindings/generate.js from the ERC735 artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ERC735 {
+  type Event =
+    | DecodedEvent<'ClaimAdded', {
+      claimId: string,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'ClaimChanged', {
+      claimId: string,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'ClaimRemoved', {
+      claimId: string,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+    | DecodedEvent<'ClaimRequested', {
+      claimRequestId: BN,
+      topic: BN,
+      scheme: BN,
+      issuer: string,
+      signature: string,
+      data: string,
+      uri: string
+    }>
+}
+
+declare class ERC735 extends ContractBinding<ERC735.Event> {
+  static readonly contractName: 'ERC735'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ERC735>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  addClaim (
+    _topic: NumberLike,
+    _scheme: NumberLike,
+    issuer: string,
+    _signature: string,
+    _data: string,
+    _uri: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ERC735.Event>>
+  getClaim (
+    _claimId: string,
+    options?: CallOptions
+  ): Promise<{ topic: BN, scheme: BN, issuer: string, signature: string, data: string, uri: string }>
+  getClaimIdsByTopic (_topic: NumberLike, options?: CallOptions): Promise<string[]>
+  removeClaim (_claimId: string, options?: SendOptions): Promise<TransactionResult<ERC735.Event>>
+}
+
+export = ERC735
@@ -0,0 +1,31 @@
+// generated by lib/bindings/generate.js from the ERC735 artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ERC735.json')
+
+class ERC735 extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addClaim (...args) {
+    return this.invoke('addClaim', args)
+  }
+
+  getClaim (...args) {
+    return this.invoke('getClaim', args)
+  }
+
+  getClaimIdsByTopic (...args) {
+    return this.invoke('getClaimIdsByTopic', args)
+  }
+
+  removeClaim (...args) {
+    return this.invoke('removeClaim', args)
+  }
+}
+
+ERC735.contractName = 'ERC735'
+ERC735.abi = abi
+
+module.exports = ERC735
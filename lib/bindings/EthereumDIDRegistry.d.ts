@@ -0,0 +1,62 @@
+// generated by lib/bindings/generate.js from the EthereumDIDRegistry artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace EthereumDIDRegistry {
+  type Event = never
+}
+
+declare class EthereumDIDRegistry extends ContractBinding<EthereumDIDRegistry.Event> {
+  static readonly contractName: 'EthereumDIDRegistry'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<EthereumDIDRegistry>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  addDelegate (
+    identity: string,
+    delegateType: string,
+    delegate: string,
+    validity: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<EthereumDIDRegistry.Event>>
+  changeOwner (
+    identity: string,
+    newOwner: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<EthereumDIDRegistry.Event>>
+  changeOwnerSigned (
+    identity: string,
+    sigV: NumberLike,
+    sigR: string,
+    sigS: string,
+    newOwner: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<EthereumDIDRegistry.Event>>
+  identityOwner (identity: string, options?: CallOptions): Promise<string>
+  revokeAttribute (
+    identity: string,
+    name: string,
+    value: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<EthereumDIDRegistry.Event>>
+  revokeDelegate (
+    identity: string,
+    delegateType: string,
+    delegate: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<EthereumDIDRegistry.Event>>
+  setAttribute (
+    identity: string,
+    name: string,
+    value: string,
+    validity: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<EthereumDIDRegistry.Event>>
+  validDelegate (identity: string, delegateType: string, delegate: string, options?: CallOptions): Promise<boolean>
+}
+
+export = EthereumDIDRegistry
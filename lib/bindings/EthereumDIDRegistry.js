@@ -0,0 +1,47 @@
+// generated by lib/bindings/generate.js from the EthereumDIDRegistry artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/EthereumDIDRegistry.json')
+
+class EthereumDIDRegistry extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addDelegate (...args) {
+    return this.invoke('addDelegate', args)
+  }
+
+  changeOwner (...args) {
+    return this.invoke('changeOwner', args)
+  }
+
+  changeOwnerSigned (...args) {
+    return this.invoke('changeOwnerSigned', args)
+  }
+
+  identityOwner (...args) {
+    return this.invoke('identityOwner', args)
+  }
+
+  revokeAttribute (...args) {
+    return this.invoke('revokeAttribute', args)
+  }
+
+  revokeDelegate (...args) {
+    return this.invoke('revokeDelegate', args)
+  }
+
+  setAttribute (...args) {
+    return this.invoke('setAttribute', args)
+  }
+
+  validDelegate (...args) {
+    return this.invoke('validDelegate', args)
+  }
+}
+
+EthereumDIDRegistry.contractName = 'EthereumDIDRegistry'
+EthereumDIDRegistry.abi = abi
+
+module.exports = EthereumDIDRegistry
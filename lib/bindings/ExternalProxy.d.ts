@@ -0,0 +1,26 @@
+// generated by lib/bindings/generate.js from the ExternalProxy artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ExternalProxy {
+  type Event = never
+}
+
+declare class ExternalProxy extends ContractBinding<ExternalProxy.Event> {
+  static readonly contractName: 'ExternalProxy'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ExternalProxy>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  forwardCall (
+    destination: string,
+    data: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ExternalProxy.Event>>
+}
+
+export = ExternalProxy
@@ -0,0 +1,19 @@
+// generated by lib/bindings/generate.js from the ExternalProxy artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ExternalProxy.json')
+
+class ExternalProxy extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  forwardCall (...args) {
+    return this.invoke('forwardCall', args)
+  }
+}
+
+ExternalProxy.contractName = 'ExternalProxy'
+ExternalProxy.abi = abi
+
+module.exports = ExternalProxy
@@ -0,0 +1,22 @@
+// generated by lib/bindings/generate.js from the Forwarder artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace Forwarder {
+  type Event = never
+}
+
+declare class Forwarder extends ContractBinding<Forwarder.Event> {
+  static readonly contractName: 'Forwarder'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<Forwarder>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  forwardCall (destination: string, data: string, options?: SendOptions): Promise<TransactionResult<Forwarder.Event>>
+}
+
+export = Forwarder
@@ -0,0 +1,19 @@
+// generated by lib/bindings/generate.js from the Forwarder artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/Forwarder.json')
+
+class Forwarder extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  forwardCall (...args) {
+    return this.invoke('forwardCall', args)
+  }
+}
+
+Forwarder.contractName = 'Forwarder'
+Forwarder.abi = abi
+
+module.exports = Forwarder
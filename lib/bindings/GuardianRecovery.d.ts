@@ -0,0 +1,67 @@
+// generated by lib/bindings/generate.js from the GuardianRecovery artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace GuardianRecovery {
+  type Event =
+    | DecodedEvent<'GuardiansSet', { ein: BN, guardians: string[], threshold: BN, delay: BN, activeFrom: BN }>
+    | DecodedEvent<'RecoveryApproved', { ein: BN, newAssociatedAddress: string, guardian: string, approvals: BN }>
+    | DecodedEvent<'RecoveryExecuted', { ein: BN, newAssociatedAddress: string }>
+}
+
+declare class GuardianRecovery extends ContractBinding<GuardianRecovery.Event> {
+  static readonly contractName: 'GuardianRecovery'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<GuardianRecovery>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  approveRecovery (
+    ein: NumberLike,
+    newAssociatedAddress: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<GuardianRecovery.Event>>
+  approveRecoveryDelegated (
+    ein: NumberLike,
+    newAssociatedAddress: string,
+    guardians: string[],
+    v: NumberLike[],
+    r: string[],
+    s: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<GuardianRecovery.Event>>
+  executeRecovery (
+    ein: NumberLike,
+    newAssociatedAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<GuardianRecovery.Event>>
+  getGuardians (ein: NumberLike, options?: CallOptions): Promise<{ guardians: string[], threshold: BN, delay: BN }>
+  getPendingGuardians (
+    ein: NumberLike,
+    options?: CallOptions
+  ): Promise<{ guardians: string[], threshold: BN, delay: BN, activeFrom: BN }>
+  getRecovery (
+    ein: NumberLike,
+    newAssociatedAddress: string,
+    options?: CallOptions
+  ): Promise<{ approvals: BN, threshold: BN, executableFrom: BN }>
+  getRecoveryNonce (ein: NumberLike, options?: CallOptions): Promise<BN>
+  hasApproved (ein: NumberLike, newAssociatedAddress: string, guardian: string, options?: CallOptions): Promise<boolean>
+  identityRegistry (options?: CallOptions): Promise<string>
+  isGuardianFor (ein: NumberLike, guardian: string, options?: CallOptions): Promise<boolean>
+  setGuardians (
+    guardians: string[],
+    threshold: NumberLike,
+    delay: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<GuardianRecovery.Event>>
+}
+
+export = GuardianRecovery
@@ -0,0 +1,59 @@
+// generated by lib/bindings/generate.js from the GuardianRecovery artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/GuardianRecovery.json')
+
+class GuardianRecovery extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  approveRecovery (...args) {
+    return this.invoke('approveRecovery', args)
+  }
+
+  approveRecoveryDelegated (...args) {
+    return this.invoke('approveRecoveryDelegated', args)
+  }
+
+  executeRecovery (...args) {
+    return this.invoke('executeRecovery', args)
+  }
+
+  getGuardians (...args) {
+    return this.invoke('getGuardians', args)
+  }
+
+  getPendingGuardians (...args) {
+    return this.invoke('getPendingGuardians', args)
+  }
+
+  getRecovery (...args) {
+    return this.invoke('getRecovery', args)
+  }
+
+  getRecoveryNonce (...args) {
+    return this.invoke('getRecoveryNonce', args)
+  }
+
+  hasApproved (...args) {
+    return this.invoke('hasApproved', args)
+  }
+
+  identityRegistry (...args) {
+    return this.invoke('identityRegistry', args)
+  }
+
+  isGuardianFor (...args) {
+    return this.invoke('isGuardianFor', args)
+  }
+
+  setGuardians (...args) {
+    return this.invoke('setGuardians', args)
+  }
+}
+
+GuardianRecovery.contractName = 'GuardianRecovery'
+GuardianRecovery.abi = abi
+
+module.exports = GuardianRecovery
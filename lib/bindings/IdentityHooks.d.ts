@@ -0,0 +1,23 @@
+// generated by lib/bindings/generate.js from the IdentityHooks artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace IdentityHooks {
+  type Event = never
+}
+
+declare class IdentityHooks extends ContractBinding<IdentityHooks.Event> {
+  static readonly contractName: 'IdentityHooks'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<IdentityHooks>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  onPoison (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<IdentityHooks.Event>>
+  onRecovery (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<IdentityHooks.Event>>
+}
+
+export = IdentityHooks
@@ -0,0 +1,23 @@
+// generated by lib/bindings/generate.js from the IdentityHooks artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/IdentityHooks.json')
+
+class IdentityHooks extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  onPoison (...args) {
+    return this.invoke('onPoison', args)
+  }
+
+  onRecovery (...args) {
+    return this.invoke('onRecovery', args)
+  }
+}
+
+IdentityHooks.contractName = 'IdentityHooks'
+IdentityHooks.abi = abi
+
+module.exports = IdentityHooks
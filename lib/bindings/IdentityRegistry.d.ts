@@ -0,0 +1,281 @@
+// generated by lib/bindings/generate.js from the IdentityRegistry artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace IdentityRegistry {
+  type Event =
+    | DecodedEvent<'AddressAdded', { ein: BN, addedAddress: string, approvingAddress: string, provider: string }>
+    | DecodedEvent<'AddressRemoved', { ein: BN, removedAddress: string, provider: string }>
+    | DecodedEvent<'GovernorChanged', { oldGovernor: string, newGovernor: string }>
+    | DecodedEvent<'HookFailed', { ein: BN, target: string, hook: string }>
+    | DecodedEvent<'IdentityImported', {
+      ein: BN,
+      oldEIN: BN,
+      recoveryAddress: string,
+      associatedAddresses: string[],
+      resolvers: string[]
+    }>
+    | DecodedEvent<'IdentityMigrated', { ein: BN, successor: string }>
+    | DecodedEvent<'IdentityMinted', {
+      ein: BN,
+      recoveryAddress: string,
+      associatedAddress: string,
+      provider: string,
+      resolvers: string[],
+      delegated: boolean
+    }>
+    | DecodedEvent<'ParametersSet', { maxAssociatedAddresses: BN, recoveryTimeout: BN, signatureTimeout: BN }>
+    | DecodedEvent<'Poisoned', { ein: BN, recoveryAddress: string, poisoner: string, resolversCleared: boolean }>
+    | DecodedEvent<'ProviderAdded', { ein: BN, provider: string, delegated: boolean }>
+    | DecodedEvent<'ProviderExpirySet', { ein: BN, provider: string, expiry: BN }>
+    | DecodedEvent<'ProviderPermissionsSet', { ein: BN, provider: string, permissions: BN }>
+    | DecodedEvent<'ProviderRemoved', { ein: BN, provider: string, delegated: boolean }>
+    | DecodedEvent<'RecoveryAddressChangeInitiated', {
+      ein: BN,
+      oldRecoveryAddress: string,
+      newRecoveryAddress: string
+    }>
+    | DecodedEvent<'RecoveryTriggered', {
+      ein: BN,
+      recoveryAddress: string,
+      oldAssociatedAddresses: string[],
+      newAssociatedAddress: string
+    }>
+    | DecodedEvent<'ResolverAdded', { ein: BN, resolvers: string, provider: string }>
+    | DecodedEvent<'ResolverRemoved', { ein: BN, resolvers: string, provider: string }>
+}
+
+declare class IdentityRegistry extends ContractBinding<IdentityRegistry.Event> {
+  static readonly contractName: 'IdentityRegistry'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<IdentityRegistry>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  addAddress (
+    approvingAddress: string,
+    addressToAdd: string,
+    v: NumberLike[],
+    r: string[],
+    s: string[],
+    timestamp: NumberLike[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  addProviders (
+    providers: string[],
+    expiry: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  addProviders (providers: string[], options?: SendOptions): Promise<TransactionResult<IdentityRegistry.Event>>
+  addProviders (
+    ein: NumberLike,
+    providers: string[],
+    expiry: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  addProviders (
+    ein: NumberLike,
+    providers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  'addProviders(address[],uint256)' (
+    providers: string[],
+    expiry: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  'addProviders(address[])' (
+    providers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  'addProviders(uint256,address[],uint256)' (
+    ein: NumberLike,
+    providers: string[],
+    expiry: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  'addProviders(uint256,address[])' (
+    ein: NumberLike,
+    providers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  addResolvers (
+    ein: NumberLike,
+    resolvers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  chainId (options?: CallOptions): Promise<BN>
+  changeGovernor (newGovernor: string, options?: SendOptions): Promise<TransactionResult<IdentityRegistry.Event>>
+  changeParameters (
+    _maxAssociatedAddresses: NumberLike,
+    _recoveryTimeout: NumberLike,
+    _signatureTimeout: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  domainSeparator (options?: CallOptions): Promise<string>
+  getAssociatedAddressCount (ein: NumberLike, options?: CallOptions): Promise<BN>
+  getAssociatedAddresses (
+    ein: NumberLike,
+    offset: NumberLike,
+    limit: NumberLike,
+    options?: CallOptions
+  ): Promise<string[]>
+  getDetails (
+    ein: NumberLike,
+    options?: CallOptions
+  ): Promise<{ recoveryAddress: string, associatedAddresses: string[], providers: string[], resolvers: string[] }>
+  getEIN (_address: string, options?: CallOptions): Promise<BN>
+  getProviderCount (ein: NumberLike, options?: CallOptions): Promise<BN>
+  getProviderExpiry (ein: NumberLike, provider: string, options?: CallOptions): Promise<BN>
+  getProviderPermissions (ein: NumberLike, provider: string, options?: CallOptions): Promise<BN>
+  getProviders (ein: NumberLike, offset: NumberLike, limit: NumberLike, options?: CallOptions): Promise<string[]>
+  getRecoveredChange (
+    ein: NumberLike,
+    options?: CallOptions
+  ): Promise<{ timestamp: BN, hashedOldAssociatedAddresses: string }>
+  getRecoveryAddressChange (
+    ein: NumberLike,
+    options?: CallOptions
+  ): Promise<{ timestamp: BN, oldRecoveryAddress: string }>
+  getResolverCount (ein: NumberLike, options?: CallOptions): Promise<BN>
+  getResolvers (ein: NumberLike, offset: NumberLike, limit: NumberLike, options?: CallOptions): Promise<string[]>
+  governor (options?: CallOptions): Promise<string>
+  hasIdentity (_address: string, options?: CallOptions): Promise<boolean>
+  hasProviderPermission (
+    ein: NumberLike,
+    provider: string,
+    permission: NumberLike,
+    options?: CallOptions
+  ): Promise<boolean>
+  hookGasLimit (options?: CallOptions): Promise<BN>
+  identityExists (ein: NumberLike, options?: CallOptions): Promise<boolean>
+  importIdentity (
+    approvingAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  initiateRecoveryAddressChange (
+    ein: NumberLike,
+    newRecoveryAddress: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  isAddressFor (ein: NumberLike, _address: string, options?: CallOptions): Promise<boolean>
+  isProviderFor (ein: NumberLike, provider: string, options?: CallOptions): Promise<boolean>
+  isResolverFor (ein: NumberLike, resolver: string, options?: CallOptions): Promise<boolean>
+  isSigned (
+    _address: string,
+    messageHash: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    options?: CallOptions
+  ): Promise<boolean>
+  isSignedTypedData (
+    _address: string,
+    domainSeparator: string,
+    structHash: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    options?: CallOptions
+  ): Promise<boolean>
+  maxAssociatedAddresses (options?: CallOptions): Promise<BN>
+  maxHookTargets (options?: CallOptions): Promise<BN>
+  migratedTo (arg0: NumberLike, options?: CallOptions): Promise<string>
+  migrateIdentity (
+    approvingAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  mintIdentity (
+    recoveryAddress: string,
+    provider: string,
+    resolvers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  mintIdentityDelegated (
+    recoveryAddress: string,
+    associatedAddress: string,
+    resolvers: string[],
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  mintIdentityDelegatedWithAddresses (
+    recoveryAddress: string,
+    associatedAddress: string,
+    resolvers: string[],
+    addressesToAdd: string[],
+    v: NumberLike[],
+    r: string[],
+    s: string[],
+    timestamp: NumberLike[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  nextEIN (options?: CallOptions): Promise<BN>
+  predecessor (options?: CallOptions): Promise<string>
+  recoveryTimeout (options?: CallOptions): Promise<BN>
+  removeAddress (
+    addressToRemove: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  removeProviders (providers: string[], options?: SendOptions): Promise<TransactionResult<IdentityRegistry.Event>>
+  removeProviders (
+    ein: NumberLike,
+    providers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  'removeProviders(address[])' (
+    providers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  'removeProviders(uint256,address[])' (
+    ein: NumberLike,
+    providers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  removeResolvers (
+    ein: NumberLike,
+    resolvers: string[],
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  setProviderPermissions (
+    provider: string,
+    permissions: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  signatureNonces (arg0: string, options?: CallOptions): Promise<BN>
+  signatureTimeout (options?: CallOptions): Promise<BN>
+  triggerPoisonPill (
+    ein: NumberLike,
+    firstChunk: string[],
+    lastChunk: string[],
+    clearResolvers: boolean,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+  triggerRecovery (
+    ein: NumberLike,
+    newAssociatedAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<IdentityRegistry.Event>>
+}
+
+export = IdentityRegistry
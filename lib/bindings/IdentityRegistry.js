@@ -0,0 +1,235 @@
+// generated by lib/bindings/generate.js from the IdentityRegistry artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/IdentityRegistry.json')
+
+class IdentityRegistry extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addAddress (...args) {
+    return this.invoke('addAddress', args)
+  }
+
+  addProviders (...args) {
+    return this.invoke('addProviders', args)
+  }
+
+  'addProviders(address[],uint256)' (...args) {
+    return this.invoke('addProviders(address[],uint256)', args)
+  }
+
+  'addProviders(address[])' (...args) {
+    return this.invoke('addProviders(address[])', args)
+  }
+
+  'addProviders(uint256,address[],uint256)' (...args) {
+    return this.invoke('addProviders(uint256,address[],uint256)', args)
+  }
+
+  'addProviders(uint256,address[])' (...args) {
+    return this.invoke('addProviders(uint256,address[])', args)
+  }
+
+  addResolvers (...args) {
+    return this.invoke('addResolvers', args)
+  }
+
+  chainId (...args) {
+    return this.invoke('chainId', args)
+  }
+
+  changeGovernor (...args) {
+    return this.invoke('changeGovernor', args)
+  }
+
+  changeParameters (...args) {
+    return this.invoke('changeParameters', args)
+  }
+
+  domainSeparator (...args) {
+    return this.invoke('domainSeparator', args)
+  }
+
+  getAssociatedAddressCount (...args) {
+    return this.invoke('getAssociatedAddressCount', args)
+  }
+
+  getAssociatedAddresses (...args) {
+    return this.invoke('getAssociatedAddresses', args)
+  }
+
+  getDetails (...args) {
+    return this.invoke('getDetails', args)
+  }
+
+  getEIN (...args) {
+    return this.invoke('getEIN', args)
+  }
+
+  getProviderCount (...args) {
+    return this.invoke('getProviderCount', args)
+  }
+
+  getProviderExpiry (...args) {
+    return this.invoke('getProviderExpiry', args)
+  }
+
+  getProviderPermissions (...args) {
+    return this.invoke('getProviderPermissions', args)
+  }
+
+  getProviders (...args) {
+    return this.invoke('getProviders', args)
+  }
+
+  getRecoveredChange (...args) {
+    return this.invoke('getRecoveredChange', args)
+  }
+
+  getRecoveryAddressChange (...args) {
+    return this.invoke('getRecoveryAddressChange', args)
+  }
+
+  getResolverCount (...args) {
+    return this.invoke('getResolverCount', args)
+  }
+
+  getResolvers (...args) {
+    return this.invoke('getResolvers', args)
+  }
+
+  governor (...args) {
+    return this.invoke('governor', args)
+  }
+
+  hasIdentity (...args) {
+    return this.invoke('hasIdentity', args)
+  }
+
+  hasProviderPermission (...args) {
+    return this.invoke('hasProviderPermission', args)
+  }
+
+  hookGasLimit (...args) {
+    return this.invoke('hookGasLimit', args)
+  }
+
+  identityExists (...args) {
+    return this.invoke('identityExists', args)
+  }
+
+  importIdentity (...args) {
+    return this.invoke('importIdentity', args)
+  }
+
+  initiateRecoveryAddressChange (...args) {
+    return this.invoke('initiateRecoveryAddressChange', args)
+  }
+
+  isAddressFor (...args) {
+    return this.invoke('isAddressFor', args)
+  }
+
+  isProviderFor (...args) {
+    return this.invoke('isProviderFor', args)
+  }
+
+  isResolverFor (...args) {
+    return this.invoke('isResolverFor', args)
+  }
+
+  isSigned (...args) {
+    return this.invoke('isSigned', args)
+  }
+
+  isSignedTypedData (...args) {
+    return this.invoke('isSignedTypedData', args)
+  }
+
+  maxAssociatedAddresses (...args) {
+    return this.invoke('maxAssociatedAddresses', args)
+  }
+
+  maxHookTargets (...args) {
+    return this.invoke('maxHookTargets', args)
+  }
+
+  migratedTo (...args) {
+    return this.invoke('migratedTo', args)
+  }
+
+  migrateIdentity (...args) {
+    return this.invoke('migrateIdentity', args)
+  }
+
+  mintIdentity (...args) {
+    return this.invoke('mintIdentity', args)
+  }
+
+  mintIdentityDelegated (...args) {
+    return this.invoke('mintIdentityDelegated', args)
+  }
+
+  mintIdentityDelegatedWithAddresses (...args) {
+    return this.invoke('mintIdentityDelegatedWithAddresses', args)
+  }
+
+  nextEIN (...args) {
+    return this.invoke('nextEIN', args)
+  }
+
+  predecessor (...args) {
+    return this.invoke('predecessor', args)
+  }
+
+  recoveryTimeout (...args) {
+    return this.invoke('recoveryTimeout', args)
+  }
+
+  removeAddress (...args) {
+    return this.invoke('removeAddress', args)
+  }
+
+  removeProviders (...args) {
+    return this.invoke('removeProviders', args)
+  }
+
+  'removeProviders(address[])' (...args) {
+    return this.invoke('removeProviders(address[])', args)
+  }
+
+  'removeProviders(uint256,address[])' (...args) {
+    return this.invoke('removeProviders(uint256,address[])', args)
+  }
+
+  removeResolvers (...args) {
+    return this.invoke('removeResolvers', args)
+  }
+
+  setProviderPermissions (...args) {
+    return this.invoke('setProviderPermissions', args)
+  }
+
+  signatureNonces (...args) {
+    return this.invoke('signatureNonces', args)
+  }
+
+  signatureTimeout (...args) {
+    return this.invoke('signatureTimeout', args)
+  }
+
+  triggerPoisonPill (...args) {
+    return this.invoke('triggerPoisonPill', args)
+  }
+
+  triggerRecovery (...args) {
+    return this.invoke('triggerRecovery', args)
+  }
+}
+
+IdentityRegistry.contractName = 'IdentityRegistry'
+IdentityRegistry.abi = abi
+
+module.exports = IdentityRegistry
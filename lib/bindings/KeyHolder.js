@@ -0,0 +1,47 @@
+// generated by lib/bindings/generate.js from the KeyHolder artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/KeyHolder.json')
+
+class KeyHolder extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addKey (...args) {
+    return this.invoke('addKey', args)
+  }
+
+  approve (...args) {
+    return this.invoke('approve', args)
+  }
+
+  execute (...args) {
+    return this.invoke('execute', args)
+  }
+
+  getKey (...args) {
+    return this.invoke('getKey', args)
+  }
+
+  getKeyPurpose (...args) {
+    return this.invoke('getKeyPurpose', args)
+  }
+
+  getKeysByPurpose (...args) {
+    return this.invoke('getKeysByPurpose', args)
+  }
+
+  keyHasPurpose (...args) {
+    return this.invoke('keyHasPurpose', args)
+  }
+
+  removeKey (...args) {
+    return this.invoke('removeKey', args)
+  }
+}
+
+KeyHolder.contractName = 'KeyHolder'
+KeyHolder.abi = abi
+
+module.exports = KeyHolder
@@ -0,0 +1,66 @@
+// generated by lib/bindings/generate.js from the MetaTransactionProxyProvider artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace MetaTransactionProxyProvider {
+  type Event = never
+}
+
+declare class MetaTransactionProxyProvider extends ContractBinding<MetaTransactionProxyProvider.Event> {
+  static readonly contractName: 'MetaTransactionProxyProvider'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<MetaTransactionProxyProvider>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  callViaProxy (
+    destination: string,
+    data: string,
+    viaExternal: boolean,
+    options?: SendOptions
+  ): Promise<TransactionResult<MetaTransactionProxyProvider.Event>>
+  callViaProxy (
+    approvingAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    destination: string,
+    data: string,
+    viaExternal: boolean,
+    options?: SendOptions
+  ): Promise<TransactionResult<MetaTransactionProxyProvider.Event>>
+  'callViaProxy(address,bytes,bool)' (
+    destination: string,
+    data: string,
+    viaExternal: boolean,
+    options?: SendOptions
+  ): Promise<TransactionResult<MetaTransactionProxyProvider.Event>>
+  'callViaProxy(address,uint8,bytes32,bytes32,address,bytes,bool)' (
+    approvingAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    destination: string,
+    data: string,
+    viaExternal: boolean,
+    options?: SendOptions
+  ): Promise<TransactionResult<MetaTransactionProxyProvider.Event>>
+  externalProxyDirectory (arg0: NumberLike, options?: CallOptions): Promise<string>
+  hasExternalProxy (ein: NumberLike, options?: CallOptions): Promise<boolean>
+  mintIdentityDelegated (
+    recoveryAddress: string,
+    associatedAddress: string,
+    resolvers: string[],
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<MetaTransactionProxyProvider.Event>>
+  nonceTracker (arg0: NumberLike, options?: CallOptions): Promise<BN>
+}
+
+export = MetaTransactionProxyProvider
@@ -0,0 +1,43 @@
+// generated by lib/bindings/generate.js from the MetaTransactionProxyProvider artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/MetaTransactionProxyProvider.json')
+
+class MetaTransactionProxyProvider extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  callViaProxy (...args) {
+    return this.invoke('callViaProxy', args)
+  }
+
+  'callViaProxy(address,bytes,bool)' (...args) {
+    return this.invoke('callViaProxy(address,bytes,bool)', args)
+  }
+
+  'callViaProxy(address,uint8,bytes32,bytes32,address,bytes,bool)' (...args) {
+    return this.invoke('callViaProxy(address,uint8,bytes32,bytes32,address,bytes,bool)', args)
+  }
+
+  externalProxyDirectory (...args) {
+    return this.invoke('externalProxyDirectory', args)
+  }
+
+  hasExternalProxy (...args) {
+    return this.invoke('hasExternalProxy', args)
+  }
+
+  mintIdentityDelegated (...args) {
+    return this.invoke('mintIdentityDelegated', args)
+  }
+
+  nonceTracker (...args) {
+    return this.invoke('nonceTracker', args)
+  }
+}
+
+MetaTransactionProxyProvider.contractName = 'MetaTransactionProxyProvider'
+MetaTransactionProxyProvider.abi = abi
+
+module.exports = MetaTransactionProxyProvider
@@ -0,0 +1,43 @@
+// generated by lib/bindings/generate.js from the Multisig artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace Multisig {
+  type Event = never
+}
+
+declare class Multisig extends ContractBinding<Multisig.Event> {
+  static readonly contractName: 'Multisig'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<Multisig>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  execute (
+    destination: string,
+    value: NumberLike,
+    data: string,
+    signatures: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<Multisig.Event>>
+  hashMessage (messageHash: string, options?: CallOptions): Promise<string>
+  hashTransaction (
+    destination: string,
+    value: NumberLike,
+    data: string,
+    _nonce: NumberLike,
+    options?: CallOptions
+  ): Promise<string>
+  isApproved (hash: string, signatures: string, options?: CallOptions): Promise<boolean>
+  isOwner (arg0: string, options?: CallOptions): Promise<boolean>
+  isValidSignature (messageHash: string, signature: string, options?: CallOptions): Promise<string>
+  nonce (options?: CallOptions): Promise<BN>
+  required (options?: CallOptions): Promise<BN>
+  signedMessages (arg0: string, options?: CallOptions): Promise<boolean>
+  signMessage (messageHash: string, options?: SendOptions): Promise<TransactionResult<Multisig.Event>>
+}
+
+export = Multisig
@@ -0,0 +1,55 @@
+// generated by lib/bindings/generate.js from the Multisig artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/Multisig.json')
+
+class Multisig extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  execute (...args) {
+    return this.invoke('execute', args)
+  }
+
+  hashMessage (...args) {
+    return this.invoke('hashMessage', args)
+  }
+
+  hashTransaction (...args) {
+    return this.invoke('hashTransaction', args)
+  }
+
+  isApproved (...args) {
+    return this.invoke('isApproved', args)
+  }
+
+  isOwner (...args) {
+    return this.invoke('isOwner', args)
+  }
+
+  isValidSignature (...args) {
+    return this.invoke('isValidSignature', args)
+  }
+
+  nonce (...args) {
+    return this.invoke('nonce', args)
+  }
+
+  required (...args) {
+    return this.invoke('required', args)
+  }
+
+  signedMessages (...args) {
+    return this.invoke('signedMessages', args)
+  }
+
+  signMessage (...args) {
+    return this.invoke('signMessage', args)
+  }
+}
+
+Multisig.contractName = 'Multisig'
+Multisig.abi = abi
+
+module.exports = Multisig
@@ -0,0 +1,51 @@
+// generated by lib/bindings/generate.js from the ProfileResolver artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ProfileResolver {
+  type Event =
+    | DecodedEvent<'OwnershipTransferred', { previousOwner: string, newOwner: string }>
+    | DecodedEvent<'ValueSet', { ein: BN, key: string, value: string, sender: string }>
+}
+
+declare class ProfileResolver extends ContractBinding<ProfileResolver.Event> {
+  static readonly contractName: 'ProfileResolver'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ProfileResolver>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  getValue (ein: NumberLike, key: string, options?: CallOptions): Promise<string>
+  identityRegistry (options?: CallOptions): Promise<string>
+  owner (options?: CallOptions): Promise<string>
+  setValue (key: string, value: string, options?: SendOptions): Promise<TransactionResult<ProfileResolver.Event>>
+  setValueAsOwner (
+    ein: NumberLike,
+    key: string,
+    value: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ProfileResolver.Event>>
+  setValueAsProvider (
+    ein: NumberLike,
+    key: string,
+    value: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ProfileResolver.Event>>
+  setValueDelegated (
+    ein: NumberLike,
+    approvingAddress: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    key: string,
+    value: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<ProfileResolver.Event>>
+  signatureNonces (arg0: NumberLike, options?: CallOptions): Promise<BN>
+  transferOwnership (newOwner: string, options?: SendOptions): Promise<TransactionResult<ProfileResolver.Event>>
+}
+
+export = ProfileResolver
@@ -0,0 +1,51 @@
+// generated by lib/bindings/generate.js from the ProfileResolver artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ProfileResolver.json')
+
+class ProfileResolver extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  getValue (...args) {
+    return this.invoke('getValue', args)
+  }
+
+  identityRegistry (...args) {
+    return this.invoke('identityRegistry', args)
+  }
+
+  owner (...args) {
+    return this.invoke('owner', args)
+  }
+
+  setValue (...args) {
+    return this.invoke('setValue', args)
+  }
+
+  setValueAsOwner (...args) {
+    return this.invoke('setValueAsOwner', args)
+  }
+
+  setValueAsProvider (...args) {
+    return this.invoke('setValueAsProvider', args)
+  }
+
+  setValueDelegated (...args) {
+    return this.invoke('setValueDelegated', args)
+  }
+
+  signatureNonces (...args) {
+    return this.invoke('signatureNonces', args)
+  }
+
+  transferOwnership (...args) {
+    return this.invoke('transferOwnership', args)
+  }
+}
+
+ProfileResolver.contractName = 'ProfileResolver'
+ProfileResolver.abi = abi
+
+module.exports = ProfileResolver
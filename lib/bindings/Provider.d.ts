@@ -0,0 +1,56 @@
+// generated by lib/bindings/generate.js from the Provider artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace Provider {
+  type Event = never
+}
+
+declare class Provider extends ContractBinding<Provider.Event> {
+  static readonly contractName: 'Provider'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<Provider>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  addAddress (
+    approvingAddress: string,
+    addressToAdd: string,
+    v: NumberLike[],
+    r: string[],
+    s: string[],
+    timestamp: NumberLike[],
+    options?: SendOptions
+  ): Promise<TransactionResult<Provider.Event>>
+  addProviders (providers: string[], options?: SendOptions): Promise<TransactionResult<Provider.Event>>
+  addResolvers (resolvers: string[], options?: SendOptions): Promise<TransactionResult<Provider.Event>>
+  initiateRecoveryAddressChange (
+    newRecoveryAddress: string,
+    options?: SendOptions
+  ): Promise<TransactionResult<Provider.Event>>
+  mintIdentityDelegated (
+    recoveryAddress: string,
+    associatedAddress: string,
+    resolvers: string[],
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<Provider.Event>>
+  removeAddress (
+    addressToRemove: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    timestamp: NumberLike,
+    options?: SendOptions
+  ): Promise<TransactionResult<Provider.Event>>
+  removeProviders (providers: string[], options?: SendOptions): Promise<TransactionResult<Provider.Event>>
+  removeResolvers (resolvers: string[], options?: SendOptions): Promise<TransactionResult<Provider.Event>>
+}
+
+export = Provider
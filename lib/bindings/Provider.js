@@ -0,0 +1,47 @@
+// generated by lib/bindings/generate.js from the Provider artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/Provider.json')
+
+class Provider extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  addAddress (...args) {
+    return this.invoke('addAddress', args)
+  }
+
+  addProviders (...args) {
+    return this.invoke('addProviders', args)
+  }
+
+  addResolvers (...args) {
+    return this.invoke('addResolvers', args)
+  }
+
+  initiateRecoveryAddressChange (...args) {
+    return this.invoke('initiateRecoveryAddressChange', args)
+  }
+
+  mintIdentityDelegated (...args) {
+    return this.invoke('mintIdentityDelegated', args)
+  }
+
+  removeAddress (...args) {
+    return this.invoke('removeAddress', args)
+  }
+
+  removeProviders (...args) {
+    return this.invoke('removeProviders', args)
+  }
+
+  removeResolvers (...args) {
+    return this.invoke('removeResolvers', args)
+  }
+}
+
+Provider.contractName = 'Provider'
+Provider.abi = abi
+
+module.exports = Provider
@@ -0,0 +1,33 @@
+// generated by lib/bindings/generate.js from the RegistryTimelock artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace RegistryTimelock {
+  type Event =
+    | DecodedEvent<'CallCancelled', { id: string }>
+    | DecodedEvent<'CallExecuted', { id: string }>
+    | DecodedEvent<'CallQueued', { id: string, target: string, data: string, executableFrom: BN }>
+}
+
+declare class RegistryTimelock extends ContractBinding<RegistryTimelock.Event> {
+  static readonly contractName: 'RegistryTimelock'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<RegistryTimelock>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  cancel (target: string, data: string, options?: SendOptions): Promise<TransactionResult<RegistryTimelock.Event>>
+  changeDelay (_delay: NumberLike, options?: SendOptions): Promise<TransactionResult<RegistryTimelock.Event>>
+  changeOwner (newOwner: string, options?: SendOptions): Promise<TransactionResult<RegistryTimelock.Event>>
+  delay (options?: CallOptions): Promise<BN>
+  executableFrom (arg0: string, options?: CallOptions): Promise<BN>
+  execute (target: string, data: string, options?: SendOptions): Promise<TransactionResult<RegistryTimelock.Event>>
+  hashCall (target: string, data: string, options?: CallOptions): Promise<string>
+  owner (options?: CallOptions): Promise<string>
+  queue (target: string, data: string, options?: SendOptions): Promise<TransactionResult<RegistryTimelock.Event>>
+}
+
+export = RegistryTimelock
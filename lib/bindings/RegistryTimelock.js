@@ -0,0 +1,51 @@
+// generated by lib/bindings/generate.js from the RegistryTimelock artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/RegistryTimelock.json')
+
+class RegistryTimelock extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  cancel (...args) {
+    return this.invoke('cancel', args)
+  }
+
+  changeDelay (...args) {
+    return this.invoke('changeDelay', args)
+  }
+
+  changeOwner (...args) {
+    return this.invoke('changeOwner', args)
+  }
+
+  delay (...args) {
+    return this.invoke('delay', args)
+  }
+
+  executableFrom (...args) {
+    return this.invoke('executableFrom', args)
+  }
+
+  execute (...args) {
+    return this.invoke('execute', args)
+  }
+
+  hashCall (...args) {
+    return this.invoke('hashCall', args)
+  }
+
+  owner (...args) {
+    return this.invoke('owner', args)
+  }
+
+  queue (...args) {
+    return this.invoke('queue', args)
+  }
+}
+
+RegistryTimelock.contractName = 'RegistryTimelock'
+RegistryTimelock.abi = abi
+
+module.exports = RegistryTimelock
@@ -0,0 +1,27 @@
+// generated by lib/bindings/generate.js from the Resolver artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace Resolver {
+  type Event = never
+}
+
+declare class Resolver extends ContractBinding<Resolver.Event> {
+  static readonly contractName: 'Resolver'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<Resolver>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  getEmail (ein: NumberLike, options?: CallOptions): Promise<string>
+  onAddition (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<Resolver.Event>>
+  onPoison (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<Resolver.Event>>
+  onRecovery (arg0: NumberLike, options?: SendOptions): Promise<TransactionResult<Resolver.Event>>
+  onRemoval (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<Resolver.Event>>
+  setEmailAddress (email: string, options?: SendOptions): Promise<TransactionResult<Resolver.Event>>
+}
+
+export = Resolver
@@ -0,0 +1,39 @@
+// generated by lib/bindings/generate.js from the Resolver artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/Resolver.json')
+
+class Resolver extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  getEmail (...args) {
+    return this.invoke('getEmail', args)
+  }
+
+  onAddition (...args) {
+    return this.invoke('onAddition', args)
+  }
+
+  onPoison (...args) {
+    return this.invoke('onPoison', args)
+  }
+
+  onRecovery (...args) {
+    return this.invoke('onRecovery', args)
+  }
+
+  onRemoval (...args) {
+    return this.invoke('onRemoval', args)
+  }
+
+  setEmailAddress (...args) {
+    return this.invoke('setEmailAddress', args)
+  }
+}
+
+Resolver.contractName = 'Resolver'
+Resolver.abi = abi
+
+module.exports = Resolver
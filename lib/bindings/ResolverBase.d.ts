@@ -0,0 +1,26 @@
+// generated by lib/bindings/generate.js from the ResolverBase artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ResolverBase {
+  type Event =
+    | DecodedEvent<'OwnershipTransferred', { previousOwner: string, newOwner: string }>
+}
+
+declare class ResolverBase extends ContractBinding<ResolverBase.Event> {
+  static readonly contractName: 'ResolverBase'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ResolverBase>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  identityRegistry (options?: CallOptions): Promise<string>
+  owner (options?: CallOptions): Promise<string>
+  signatureNonces (arg0: NumberLike, options?: CallOptions): Promise<BN>
+  transferOwnership (newOwner: string, options?: SendOptions): Promise<TransactionResult<ResolverBase.Event>>
+}
+
+export = ResolverBase
@@ -0,0 +1,31 @@
+// generated by lib/bindings/generate.js from the ResolverBase artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ResolverBase.json')
+
+class ResolverBase extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  identityRegistry (...args) {
+    return this.invoke('identityRegistry', args)
+  }
+
+  owner (...args) {
+    return this.invoke('owner', args)
+  }
+
+  signatureNonces (...args) {
+    return this.invoke('signatureNonces', args)
+  }
+
+  transferOwnership (...args) {
+    return this.invoke('transferOwnership', args)
+  }
+}
+
+ResolverBase.contractName = 'ResolverBase'
+ResolverBase.abi = abi
+
+module.exports = ResolverBase
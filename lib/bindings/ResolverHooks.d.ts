@@ -0,0 +1,23 @@
+// generated by lib/bindings/generate.js from the ResolverHooks artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace ResolverHooks {
+  type Event = never
+}
+
+declare class ResolverHooks extends ContractBinding<ResolverHooks.Event> {
+  static readonly contractName: 'ResolverHooks'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<ResolverHooks>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  onAddition (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<ResolverHooks.Event>>
+  onRemoval (ein: NumberLike, options?: SendOptions): Promise<TransactionResult<ResolverHooks.Event>>
+}
+
+export = ResolverHooks
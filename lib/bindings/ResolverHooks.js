@@ -0,0 +1,23 @@
+// generated by lib/bindings/generate.js from the ResolverHooks artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/ResolverHooks.json')
+
+class ResolverHooks extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  onAddition (...args) {
+    return this.invoke('onAddition', args)
+  }
+
+  onRemoval (...args) {
+    return this.invoke('onRemoval', args)
+  }
+}
+
+ResolverHooks.contractName = 'ResolverHooks'
+ResolverHooks.abi = abi
+
+module.exports = ResolverHooks
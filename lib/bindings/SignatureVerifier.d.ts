@@ -0,0 +1,38 @@
+// generated by lib/bindings/generate.js from the SignatureVerifier artifact, do not edit
+import BN = require('bn.js')
+import {
+  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,
+  TransactionResult, Web3Like
+} from './contract'
+
+declare namespace SignatureVerifier {
+  type Event = never
+}
+
+declare class SignatureVerifier extends ContractBinding<SignatureVerifier.Event> {
+  static readonly contractName: 'SignatureVerifier'
+  static readonly abi: AbiItem[]
+  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<SignatureVerifier>
+
+  constructor (web3: Web3Like, address: string, options?: BindingOptions)
+
+  isSigned (
+    _address: string,
+    messageHash: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    options?: CallOptions
+  ): Promise<boolean>
+  isSignedTypedData (
+    _address: string,
+    domainSeparator: string,
+    structHash: string,
+    v: NumberLike,
+    r: string,
+    s: string,
+    options?: CallOptions
+  ): Promise<boolean>
+}
+
+export = SignatureVerifier
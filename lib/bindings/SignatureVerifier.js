@@ -0,0 +1,23 @@
+// generated by lib/bindings/generate.js from the SignatureVerifier artifact, do not edit
+const { ContractBinding } = require('./contract')
+
+const abi = require('./abi/SignatureVerifier.json')
+
+class SignatureVerifier extends ContractBinding {
+  constructor (web3, address, options) {
+    super(web3, abi, address, options)
+  }
+
+  isSigned (...args) {
+    return this.invoke('isSigned', args)
+  }
+
+  isSignedTypedData (...args) {
+    return this.invoke('isSignedTypedData', args)
+  }
+}
+
+SignatureVerifier.contractName = 'SignatureVerifier'
+SignatureVerifier.abi = abi
+
+module.exports = SignatureVerifier
@@ -0,0 +1,89 @@
+import BN = require('bn.js')
+
+// integers can be passed as numbers, decimal strings or BNs, and are always returned as BNs
+export type NumberLike = number | string | BN
+
+export interface AbiParameter {
+  name: string
+  type: string
+  indexed?: boolean
+}
+
+export interface AbiItem {
+  type: 'function' | 'constructor' | 'event' | 'fallback'
+  name?: string
+  inputs?: AbiParameter[]
+  outputs?: AbiParameter[]
+  constant?: boolean
+  payable?: boolean
+  stateMutability?: 'pure' | 'view' | 'nonpayable' | 'payable'
+  anonymous?: boolean
+}
+
+export interface Web3Like {
+  eth: {
+    Contract: new (abi: AbiItem[], address?: string) => any
+    abi: { decodeLog (inputs: AbiParameter[], data: string, topics: string[]): { [key: string]: any } }
+  }
+}
+
+export interface BindingOptions {
+  from?: string
+  addressBook?: { [networkId: string]: { [contractName: string]: { address: string } } }
+}
+
+export interface CallOptions {
+  from?: string
+}
+
+export interface SendOptions {
+  from?: string
+  gas?: NumberLike
+  gasPrice?: NumberLike
+  value?: NumberLike
+}
+
+export interface Log {
+  address: string
+  data: string
+  topics: string[]
+  logIndex?: number
+  transactionHash?: string
+  blockNumber?: number
+}
+
+export interface DecodedEvent<Name extends string = string, Args = { [name: string]: any }> {
+  name: Name
+  args: Args
+  log: Log
+}
+
+export interface TransactionResult<Event extends DecodedEvent> {
+  receipt: any
+  logs: Log[]
+  events: Event[]
+}
+
+export interface EventOptions {
+  filter?: { [name: string]: any }
+  fromBlock?: number | string
+  toBlock?: number | string
+}
+
+export function signature (fragment: { name: string, inputs: AbiParameter[] }): string
+export function isReadOnly (fragment: AbiItem): boolean
+
+export class ContractBinding<Event extends DecodedEvent = DecodedEvent> {
+  constructor (web3: Web3Like, abi: AbiItem[], address: string, options?: BindingOptions)
+
+  readonly web3: Web3Like
+  readonly address: string
+  readonly contract: any
+  from?: string
+
+  invoke (nameOrSignature: string, args: any[]): Promise<any>
+  decodeLogs (logs: Log[]): Event[]
+  getPastEvents<Name extends Event['name']> (
+    name: Name, options?: EventOptions
+  ): Promise<Extract<Event, { name: Name }>[]>
+}
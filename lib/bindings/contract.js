@@ -0,0 +1,147 @@
+const { utils } = require('web3')
+
+const { findDeployment } = require('../deployments')
+const { decodeError } = require('../errors')
+
+// the canonical signature of a function or event, e.g. addProviders(uint256,address[])
+function signature ({ name, inputs }) {
+  return `${name}(${inputs.map(input => input.type).join(',')})`
+}
+
+function isReadOnly (fragment) {
+  return fragment.constant || ['view', 'pure'].includes(fragment.stateMutability)
+}
+
+// options can be passed after the arguments of a function, which are never plain objects themselves
+function isOptions (value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+// converts a value decoded by web3 to the type declared in the bindings, where integers are BNs
+function convert (type, value) {
+  if (type.endsWith(']')) return value.map(item => convert(type.slice(0, type.lastIndexOf('[')), item))
+  return /^u?int/.test(type) ? utils.toBN(value) : value
+}
+
+// converts decoded values into an object keyed by name, or by position for unnamed values
+// indexed event arguments of dynamic types are left as the hashes that were logged in their place
+function convertValues (params, values) {
+  const converted = {}
+  params.forEach((param, i) => {
+    const hashed = param.indexed && (/^(string|bytes)$/.test(param.type) || param.type.endsWith(']'))
+    converted[param.name || String(i)] = hashed ? values[i] : convert(param.type, values[i])
+  })
+  return converted
+}
+
+// the outputs of a call, as a single value when there is only one
+function convertOutputs (outputs, values) {
+  if (outputs.length === 0) return undefined
+  if (outputs.length === 1) return convert(outputs[0].type, values)
+  return convertValues(outputs, outputs.map((_, i) => values[i]))
+}
+
+// the raw log of an event decoded by web3
+function eventLog (event) {
+  return Object.assign({ address: event.address }, event.raw, {
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    blockNumber: event.blockNumber
+  })
+}
+
+// the raw logs of a receipt returned by web3, which moves them into its decoded events
+function receiptLogs (receipt) {
+  if (receipt.logs !== undefined) return receipt.logs
+  return [].concat(...Object.values(receipt.events || {})).map(eventLog).sort((a, b) => a.logIndex - b.logIndex)
+}
+
+// base class of the bindings generated from contract artifacts by generate.js
+class ContractBinding {
+  constructor (web3, abi, address, options = {}) {
+    this.web3 = web3
+    this.address = address
+    this.contract = new web3.eth.Contract(abi, address)
+    this.from = options.from
+
+    this.functions = {}
+    for (const fragment of abi.filter(item => item.type === 'function')) {
+      this.functions[fragment.name] = (this.functions[fragment.name] || []).concat(fragment)
+      this.functions[signature(fragment)] = [fragment]
+    }
+
+    this.eventsByTopic = {}
+    for (const fragment of abi.filter(item => item.type === 'event' && !item.anonymous)) {
+      this.eventsByTopic[utils.sha3(signature(fragment))] = fragment
+    }
+  }
+
+  // creates a binding for the contract deployed on the network that web3 is connected to, per the address book
+  static async fromAddressBook (web3, options = {}) {
+    const { address } = await findDeployment(web3, this.contractName, options.addressBook)
+    return new this(web3, address, options)
+  }
+
+  // picks the overload of a function that takes the passed number of arguments, followed by optional options
+  resolve (nameOrSignature, args) {
+    const options = isOptions(args[args.length - 1]) ? args[args.length - 1] : {}
+    const values = options === args[args.length - 1] ? args.slice(0, -1) : args
+
+    const overloads = this.functions[nameOrSignature] || []
+    const matching = overloads.filter(fragment => fragment.inputs.length === values.length)
+    if (matching.length !== 1) {
+      const signatures = overloads.map(signature).join(', ')
+      throw new Error(`No single overload of ${nameOrSignature} takes ${values.length} arguments: ${signatures}.`)
+    }
+
+    return { fragment: matching[0], values: values, options: options }
+  }
+
+  // calls a view function, or sends a transaction with an estimated gas limit to any other function
+  async invoke (nameOrSignature, args) {
+    const { fragment, values, options } = this.resolve(nameOrSignature, args)
+    const method = this.contract.methods[signature(fragment)](...values.map(value => {
+      return utils.isBN(value) ? value.toString() : value
+    }))
+    const from = options.from || this.from
+
+    try {
+      if (isReadOnly(fragment)) return convertOutputs(fragment.outputs, await method.call({ from: from }))
+
+      if (!from) throw new Error('No sending address was specified.')
+      const transaction = { from: from, value: options.value, gasPrice: options.gasPrice }
+      transaction.gas = options.gas || await method.estimateGas(transaction)
+
+      // logs include those of other contracts called by the transaction, which their own bindings can decode
+      const receipt = await method.send(transaction)
+      const logs = receiptLogs(receipt)
+      return { receipt: receipt, logs: logs, events: this.decodeLogs(logs) }
+    } catch (error) {
+      throw decodeError(error, { operation: fragment.name })
+    }
+  }
+
+  // decodes the logs that this contract emitted, skipping those of other contracts and unknown events
+  decodeLogs (logs) {
+    return logs
+      .filter(log => !this.address || log.address.toLowerCase() === this.address.toLowerCase())
+      .filter(log => this.eventsByTopic[log.topics[0]] !== undefined)
+      .map(log => {
+        const fragment = this.eventsByTopic[log.topics[0]]
+        const values = this.web3.eth.abi.decodeLog(fragment.inputs, log.data, log.topics.slice(1))
+        return { name: fragment.name, args: convertValues(fragment.inputs, values), log: log }
+      })
+  }
+
+  // gets the past events of a name that this contract emitted, decoded like decodeLogs
+  async getPastEvents (name, options = {}) {
+    const events = await this.contract.getPastEvents(name, options)
+    return this.decodeLogs(events.map(eventLog))
+  }
+}
+
+module.exports = {
+  signature: signature,
+  isReadOnly: isReadOnly,
+  ContractBinding: ContractBinding
+}
@@ -0,0 +1,226 @@
+const fs = require('fs')
+const path = require('path')
+
+const { buildDirectory } = require('../artifacts')
+const { signature, isReadOnly, ContractBinding } = require('./contract')
+
+// files in the bindings directory that are written by hand, everything else is regenerated
+const handWritten = ['contract.js', 'contract.d.ts', 'generate.js']
+
+// members of every binding, which functions cannot be generated over
+const reserved = Object.getOwnPropertyNames(ContractBinding.prototype)
+  .concat(['web3', 'address', 'contract', 'from', 'functions', 'eventsByTopic'])
+
+// hand-declared interfaces such as IdentityRegistryInterface share names across files and only describe subsets of
+// other contracts, library functions can only be called from contracts, and Migrations is internal to truffle
+function hasBinding ({ contractName, abi }) {
+  return !contractName.endsWith('Interface') && contractName !== 'Migrations' &&
+    !abi.some(item => (item.inputs || []).some(input => input.type.endsWith(' storage')))
+}
+
+// the TypeScript type of an ABI type, where integers are passed in as NumberLike and returned as BNs
+function typeOf (type, returned) {
+  if (type.endsWith(']')) return `${typeOf(type.slice(0, type.lastIndexOf('[')), returned)}[]`
+  if (/^u?int/.test(type)) return returned ? 'BN' : 'NumberLike'
+  if (type === 'bool') return 'boolean'
+  return 'string'
+}
+
+// joins items into a line, or puts them on lines of their own if the line would be longer than 120 characters
+function wrap (indent, open, items, close) {
+  const line = `${indent}${open}${items.join(', ')}${close}`
+  if (line.length <= 120) return line
+
+  const lines = items.map(item => `${indent}  ${item}`).join(',\n')
+  return `${indent}${open.trimEnd()}\n${lines}\n${indent}${close.trimStart()}`
+}
+
+function key (name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`
+}
+
+function parameters (inputs) {
+  return inputs.map((input, i) => `${input.name || `arg${i}`}: ${typeOf(input.type, false)}`)
+}
+
+// the members of decoded values keyed by name, or by position for unnamed values
+function valueMembers (params) {
+  return params.map((param, i) => {
+    const hashed = param.indexed && (/^(string|bytes)$/.test(param.type) || param.type.endsWith(']'))
+    return `${key(param.name || String(i))}: ${hashed ? 'string' : typeOf(param.type, true)}`
+  })
+}
+
+function returnType (fragment, eventType) {
+  if (!isReadOnly(fragment)) return `TransactionResult<${eventType}>`
+  if (fragment.outputs.length === 0) return 'void'
+  if (fragment.outputs.length === 1) return typeOf(fragment.outputs[0].type, true)
+  return `{ ${valueMembers(fragment.outputs).join(', ')} }`
+}
+
+// orders ABI items by type and signature, since truffle does not order overloads consistently
+function bySignature (a, b) {
+  const signatureOf = ({ name = '', inputs = [] }) => signature({ name: name, inputs: inputs })
+  return a.type.localeCompare(b.type) || signatureOf(a).localeCompare(signatureOf(b))
+}
+
+// the functions of an ABI, checked against the members of ContractBinding
+function functionsOf (contractName, abi) {
+  const functions = abi.filter(item => item.type === 'function').sort(bySignature)
+  for (const { name } of functions) {
+    if (reserved.includes(name)) throw new Error(`${contractName}.${name} clashes with a member of ContractBinding.`)
+  }
+  return functions
+}
+
+// the names of the methods of a binding, where overloaded functions can also be called by signature
+function methodsOf (functions) {
+  const overloaded = name => functions.filter(fragment => fragment.name === name).length > 1
+  const methods = []
+  for (const fragment of functions) {
+    if (!methods.includes(fragment.name)) methods.push(fragment.name)
+    if (overloaded(fragment.name)) methods.push(signature(fragment))
+  }
+  return methods
+}
+
+function generateModule (contractName, abi) {
+  const methods = methodsOf(functionsOf(contractName, abi)).map(method => [
+    `  ${key(method)} (...args) {`,
+    `    return this.invoke('${method}', args)`,
+    '  }'
+  ].join('\n'))
+
+  return [
+    `// generated by lib/bindings/generate.js from the ${contractName} artifact, do not edit`,
+    `const { ContractBinding } = require('./contract')`,
+    '',
+    `const abi = require('./abi/${contractName}.json')`,
+    '',
+    `class ${contractName} extends ContractBinding {`,
+    '  constructor (web3, address, options) {',
+    '    super(web3, abi, address, options)',
+    `  }\n\n${methods.join('\n\n')}`,
+    '}',
+    '',
+    `${contractName}.contractName = '${contractName}'`,
+    `${contractName}.abi = abi`,
+    '',
+    `module.exports = ${contractName}`,
+    ''
+  ].join('\n')
+}
+
+function generateDefinitions (contractName, abi) {
+  const eventType = `${contractName}.Event`
+  const events = abi.filter(item => item.type === 'event' && !item.anonymous).sort(bySignature)
+  const eventTypes = events.map(event => {
+    return wrap('    ', `| DecodedEvent<'${event.name}', { `, valueMembers(event.inputs), ' }>')
+  })
+
+  const functions = functionsOf(contractName, abi)
+  const declarations = []
+  for (const method of methodsOf(functions)) {
+    for (const fragment of functions.filter(fragment => [fragment.name, signature(fragment)].includes(method))) {
+      const options = isReadOnly(fragment) ? 'options?: CallOptions' : 'options?: SendOptions'
+      const args = parameters(fragment.inputs).concat(options)
+      declarations.push(wrap('  ', `${key(method)} (`, args, `): Promise<${returnType(fragment, eventType)}>`))
+    }
+  }
+
+  return [
+    `// generated by lib/bindings/generate.js from the ${contractName} artifact, do not edit`,
+    `import BN = require('bn.js')`,
+    'import {',
+    '  AbiItem, BindingOptions, CallOptions, ContractBinding, DecodedEvent, NumberLike, SendOptions,',
+    '  TransactionResult, Web3Like',
+    `} from './contract'`,
+    '',
+    `declare namespace ${contractName} {`,
+    `  type Event =${eventTypes.length > 0 ? `\n${eventTypes.join('\n')}` : ' never'}`,
+    '}',
+    '',
+    `declare class ${contractName} extends ContractBinding<${eventType}> {`,
+    `  static readonly contractName: '${contractName}'`,
+    '  static readonly abi: AbiItem[]',
+    `  static fromAddressBook (web3: Web3Like, options?: BindingOptions): Promise<${contractName}>`,
+    '',
+    '  constructor (web3: Web3Like, address: string, options?: BindingOptions)',
+    '',
+    ...declarations,
+    '}',
+    '',
+    `export = ${contractName}`,
+    ''
+  ].join('\n')
+}
+
+function generateIndex (contractNames) {
+  const comment = '// generated by lib/bindings/generate.js, do not edit'
+  return {
+    'index.js': [
+      comment,
+      'module.exports = {',
+      contractNames.map(name => `  ${name}: require('./${name}')`).join(',\n'),
+      '}',
+      ''
+    ].join('\n'),
+    'index.d.ts': [
+      comment,
+      ...contractNames.map(name => `import ${name} = require('./${name}')`),
+      '',
+      wrap('', 'export { ', contractNames, ' }'),
+      ''
+    ].join('\n')
+  }
+}
+
+// reads every compiled truffle artifact, by contract name
+function loadArtifacts (directory = buildDirectory) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+}
+
+// generates the contents of every binding file, by path relative to the bindings directory
+function generateBindings (artifacts) {
+  const files = {}
+  const contractNames = []
+  for (const { contractName, abi } of artifacts.filter(hasBinding)) {
+    files[`abi/${contractName}.json`] = `${JSON.stringify([...abi].sort(bySignature), null, 2)}\n`
+    files[`${contractName}.js`] = generateModule(contractName, abi)
+    files[`${contractName}.d.ts`] = generateDefinitions(contractName, abi)
+    contractNames.push(contractName)
+  }
+  return Object.assign(files, generateIndex(contractNames))
+}
+
+// regenerates the bindings directory from the compiled artifacts, removing bindings of contracts that are gone
+function writeBindings (directory = __dirname, artifactsDirectory = buildDirectory) {
+  const files = generateBindings(loadArtifacts(artifactsDirectory))
+
+  fs.mkdirSync(path.join(directory, 'abi'), { recursive: true })
+  const existing = fs.readdirSync(directory).concat(fs.readdirSync(path.join(directory, 'abi')).map(file => {
+    return `abi/${file}`
+  }))
+  for (const file of existing) {
+    if (file !== 'abi' && !handWritten.includes(file) && files[file] === undefined) {
+      fs.unlinkSync(path.join(directory, file))
+    }
+  }
+
+  for (const file of Object.keys(files)) fs.writeFileSync(path.join(directory, file), files[file])
+  return Object.keys(files)
+}
+
+if (require.main === module) {
+  const written = writeBindings()
+  console.log(`Generated ${written.length} binding files.`)
+}
+
+module.exports = {
+  loadArtifacts: loadArtifacts,
+  generateBindings: generateBindings,
+  writeBindings: writeBindings
+}
@@ -0,0 +1,48 @@
+// generated by lib/bindings/generate.js, do not edit
+import AddressSetTest = require('./AddressSetTest')
+import ClaimHolder = require('./ClaimHolder')
+import ERC1056 = require('./ERC1056')
+import ERC725 = require('./ERC725')
+import ERC725RegistryResolver = require('./ERC725RegistryResolver')
+import ERC735 = require('./ERC735')
+import EthereumDIDRegistry = require('./EthereumDIDRegistry')
+import ExternalProxy = require('./ExternalProxy')
+import Forwarder = require('./Forwarder')
+import GuardianRecovery = require('./GuardianRecovery')
+import IdentityHooks = require('./IdentityHooks')
+import IdentityRegistry = require('./IdentityRegistry')
+import KeyHolder = require('./KeyHolder')
+import MetaTransactionProxyProvider = require('./MetaTransactionProxyProvider')
+import Multisig = require('./Multisig')
+import ProfileResolver = require('./ProfileResolver')
+import Provider = require('./Provider')
+import RegistryTimelock = require('./RegistryTimelock')
+import Resolver = require('./Resolver')
+import ResolverBase = require('./ResolverBase')
+import ResolverHooks = require('./ResolverHooks')
+import SignatureVerifier = require('./SignatureVerifier')
+
+export {
+  AddressSetTest,
+  ClaimHolder,
+  ERC1056,
+  ERC725,
+  ERC725RegistryResolver,
+  ERC735,
+  EthereumDIDRegistry,
+  ExternalProxy,
+  Forwarder,
+  GuardianRecovery,
+  IdentityHooks,
+  IdentityRegistry,
+  KeyHolder,
+  MetaTransactionProxyProvider,
+  Multisig,
+  ProfileResolver,
+  Provider,
+  RegistryTimelock,
+  Resolver,
+  ResolverBase,
+  ResolverHooks,
+  SignatureVerifier
+}
@@ -0,0 +1,25 @@
+// generated by lib/bindings/generate.js, do not edit
+module.exports = {
+  AddressSetTest: require('./AddressSetTest'),
+  ClaimHolder: require('./ClaimHolder'),
+  ERC1056: require('./ERC1056'),
+  ERC725: require('./ERC725'),
+  ERC725RegistryResolver: require('./ERC725RegistryResolver'),
+  ERC735: require('./ERC735'),
+  EthereumDIDRegistry: require('./EthereumDIDRegistry'),
+  ExternalProxy: require('./ExternalProxy'),
+  Forwarder: require('./Forwarder'),
+  GuardianRecovery: require('./GuardianRecovery'),
+  IdentityHooks: require('./IdentityHooks'),
+  IdentityRegistry: require('./IdentityRegistry'),
+  KeyHolder: require('./KeyHolder'),
+  MetaTransactionProxyProvider: require('./MetaTransactionProxyProvider'),
+  Multisig: require('./Multisig'),
+  ProfileResolver: require('./ProfileResolver'),
+  Provider: require('./Provider'),
+  RegistryTimelock: require('./RegistryTimelock'),
+  Resolver: require('./Resolver'),
+  ResolverBase: require('./ResolverBase'),
+  ResolverHooks: require('./ResolverHooks'),
+  SignatureVerifier: require('./SignatureVerifier')
+}
@@ -0,0 +1,22 @@
+const { sendOptions, transactionResult } = require('./common')
+const { requireKey } = require('./keys')
+
+// erc1484 address add --signer-key <key of an address of the identity> --adding-key <key of the address to add>
+async function add (client, args, options, env) {
+  const approvingSigner = requireKey(client.web3, options, env, 'signer')
+  const addingSigner = requireKey(client.web3, options, env, 'adding')
+  return transactionResult(await client.addAddress(approvingSigner, addingSigner, sendOptions(options)))
+}
+
+// erc1484 address remove --signer-key <key of the address to remove>
+async function remove (client, args, options, env) {
+  const signer = requireKey(client.web3, options, env, 'signer')
+  return transactionResult(await client.removeAddress(signer, sendOptions(options)))
+}
+
+module.exports = {
+  commands: {
+    add: add,
+    remove: remove
+  }
+}
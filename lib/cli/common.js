@@ -0,0 +1,62 @@
+const { utils } = require('web3')
+
+const { IdentityIndexer } = require('../indexer')
+
+function requireEIN (ein) {
+  if (ein === undefined || !/^\d+$/.test(ein)) throw new Error('An EIN is required.')
+  return ein
+}
+
+function requireAddress (address, name) {
+  if (address === undefined || !utils.isAddress(address)) throw new Error(`${name} must be an address.`)
+  return utils.toChecksumAddress(address)
+}
+
+// parses a comma separated list of addresses, e.g. --resolvers 0x...,0x...
+function addressList (list, name) {
+  if (list === undefined) return []
+  return list.split(',').filter(address => address !== '').map(address => requireAddress(address, name))
+}
+
+// the options that client operations are sent with
+function sendOptions (options) {
+  return {
+    method: options.method,
+    gasPrice: options['gas-price'],
+    dryRun: !!options['dry-run']
+  }
+}
+
+// indexes the registry of a client from --from-block, for commands that read the logs
+async function syncIndexer (client, options) {
+  const indexer = new IdentityIndexer(client.web3, client.address, {
+    abi: client.contract.options.jsonInterface,
+    fromBlock: Number(options['from-block'] || 0),
+    confirmations: 0
+  })
+  await indexer.sync()
+  return indexer
+}
+
+// summarizes a sent transaction, or the unsent transaction and the message hashes it was signed with for dry runs
+function transactionResult (result) {
+  if (result.transaction !== undefined) {
+    return { transaction: result.transaction, messageHashes: result.messageHashes }
+  }
+
+  return {
+    transactionHash: result.receipt.transactionHash,
+    blockNumber: result.receipt.blockNumber,
+    gasUsed: result.receipt.gasUsed,
+    events: result.events.map(event => event.event)
+  }
+}
+
+module.exports = {
+  requireEIN: requireEIN,
+  requireAddress: requireAddress,
+  addressList: addressList,
+  sendOptions: sendOptions,
+  syncIndexer: syncIndexer,
+  transactionResult: transactionResult
+}
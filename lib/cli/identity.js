@@ -0,0 +1,71 @@
+const { utils } = require('web3')
+
+const { requireEIN, requireAddress, addressList, sendOptions, syncIndexer, transactionResult } = require('./common')
+const { loadKey } = require('./keys')
+
+// erc1484 identity show <ein|address>
+async function show (client, [einOrAddress]) {
+  if (!utils.isAddress(einOrAddress)) requireEIN(einOrAddress)
+  return client.getIdentity(einOrAddress)
+}
+
+// erc1484 identity ein <address>
+async function ein (client, [address]) {
+  address = requireAddress(address, 'The address')
+  return { address: address, ein: await client.getEIN(address) }
+}
+
+// erc1484 identity history <ein>, every event of an identity read from the logs
+async function history (client, [ein], options) {
+  const { ein: checked } = await client.getIdentity(requireEIN(ein))
+  const indexer = await syncIndexer(client, options)
+
+  const { history } = await indexer.getIdentity(checked.toString())
+  return history.map(entry => {
+    const values = Object.assign({}, entry.values)
+    delete values.ein
+    return {
+      blockNumber: entry.blockNumber,
+      event: entry.event,
+      transactionHash: entry.transactionHash,
+      values: values
+    }
+  })
+}
+
+// erc1484 identity has-address|has-provider|has-resolver <ein> <address>
+function membership (check, name) {
+  return async function (client, [ein, address]) {
+    address = requireAddress(address, `The ${name}`)
+    return { ein: requireEIN(ein), [name]: address, [check]: await client[check](ein, address) }
+  }
+}
+
+// erc1484 identity mint --recovery-address <address> [--provider <address>] [--resolvers <addresses>]
+// mints an identity for the sender, or for the signer with the sender as its provider when a signer key is passed
+async function mint (client, args, options, env) {
+  const fields = {
+    recoveryAddress: requireAddress(options['recovery-address'], '--recovery-address'),
+    resolvers: addressList(options.resolvers, '--resolvers')
+  }
+
+  const signer = loadKey(client.web3, options, env, 'signer')
+  const result = signer === undefined
+    ? await client.mint(
+      Object.assign({ provider: requireAddress(options.provider, '--provider') }, fields), sendOptions(options)
+    )
+    : await client.mintDelegated(fields, signer, sendOptions(options))
+  return Object.assign({ ein: result.ein }, transactionResult(result))
+}
+
+module.exports = {
+  commands: {
+    show: show,
+    ein: ein,
+    history: history,
+    'has-address': membership('isAddressFor', 'address'),
+    'has-provider': membership('isProviderFor', 'provider'),
+    'has-resolver': membership('isResolverFor', 'resolver'),
+    mint: mint
+  }
+}
@@ -0,0 +1,134 @@
+const Web3 = require('web3')
+
+const IdentityRegistryClient = require('../client')
+const { loadKey } = require('./keys')
+const { formatJSON, formatRows, formatTable } = require('./output')
+
+const groups = {
+  identity: require('./identity'),
+  sign: require('./sign'),
+  address: require('./address'),
+  provider: require('./provider'),
+  resolver: require('./resolver'),
+  recovery: require('./recovery')
+}
+
+// options that take no value
+const flags = ['json', 'dry-run', 'clear-resolvers', 'help']
+
+const usage = `Usage: erc1484 <command> [arguments] [options]
+
+Commands:
+  identity show <ein|address>           show the details of an identity
+  identity ein <address>                show the EIN of an address
+  identity history <ein>                list every event of an identity
+  identity has-address <ein> <address>  check whether an address is associated with an identity
+  identity has-provider <ein> <address> check whether a provider is set for an identity
+  identity has-resolver <ein> <address> check whether a resolver is set for an identity
+  identity mint                         mint an identity with --recovery-address and --resolvers, for the sender with
+                                        --provider, or for the signer with the sender as its provider
+  sign mint                             sign the permission to mint an identity with --recovery-address, --provider
+                                        and --resolvers
+  sign add-address <ein> <address>      sign the permission to add an address, as an address of the identity or as
+                                        the address to add
+  sign remove-address <ein>             sign the permission to remove the signer from an identity
+  sign recovery <ein>                   sign the permission to recover an identity to the signer
+  address add                           add the address of --adding-key to the identity of the signer
+  address remove                        remove the signer from its identity
+  provider add <providers...>           add providers to the sender's identity, or to --ein as one of its providers,
+                                        until --expiry if passed
+  provider remove <providers...>        remove providers from the sender's identity, or from --ein
+  provider expiring                     list the providers that expire within a week, or within --within seconds
+  resolver add <ein> <resolvers...>     add resolvers to an identity, as one of its providers
+  resolver remove <ein> <resolvers...>  remove resolvers from an identity, as one of its providers
+  recovery status <ein>                 show the recovery address, the recovery windows and whether poison is possible
+  recovery change <ein> <address>       change the recovery address of an identity, as one of its providers
+  recovery trigger <ein>                recover an identity to the signer, as its recovery address
+  recovery poison <ein>                 poison an identity, as an address removed by its last recovery
+
+Options:
+  --rpc <url>                           node to connect to (default: $ERC1484_RPC or http://localhost:8545)
+  --registry <address>                  registry to use (default: the address book entry for the network)
+  --key <private key>                   key to send transactions with (default: $ERC1484_KEY)
+  --keystore <file>                     keystore file to send transactions with, decrypted with --password
+                                        (default: $ERC1484_KEYSTORE_PASSWORD)
+  --from <address>                      unlocked account of the node to send transactions with instead
+  --signer-key, --signer-keystore       key that signs permissions (default: $ERC1484_SIGNER_KEY)
+  --adding-key, --adding-keystore       key of the address to add (default: $ERC1484_ADDING_KEY)
+  --method <method>                     how permissions are signed: prefixed, unprefixed or typed (default: prefixed)
+  --timestamp <timestamp>               timestamp to sign permissions with (default: now)
+  --nonce <nonce>                       nonce to sign permissions with (default: read from the registry)
+  --from-block <block>                  block to search logs from (default: 0)
+  --expiry <timestamp>                  unix timestamp at which added providers expire (default: never)
+  --within <seconds>                    how soon listed providers expire (default: 604800, a week)
+  --gas-price <wei>                     gas price to send transactions with
+  --dry-run                             print the encoded transaction and the signed message hashes instead of sending
+  --json                                print results as JSON instead of tables
+  --clear-resolvers                     also clear the resolvers of a poisoned identity
+`
+
+// splits arguments into positional arguments and --options, where flags take no value
+function parseArgs (argv) {
+  const positional = []
+  const options = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+
+    const [name, value] = arg.slice(2).split(/=(.*)/)
+    if (value !== undefined) options[name] = value
+    else if (flags.includes(name)) options[name] = true
+    else if (i + 1 < argv.length) options[name] = argv[++i]
+    else throw new Error(`Option --${name} requires a value.`)
+  }
+
+  return { positional: positional, options: options }
+}
+
+// creates a client for the passed registry, or for the one in the address book for the network of the node
+// transactions are signed locally when a sending key is passed, and by the node for --from otherwise
+async function connect (options, { env, web3 }) {
+  web3 = web3 || new Web3(options.rpc || env.ERC1484_RPC || 'http://localhost:8545')
+
+  const sender = loadKey(web3, options, env)
+  if (sender !== undefined) web3.eth.accounts.wallet.add(sender.privateKey)
+
+  const clientOptions = { from: sender === undefined ? options.from : sender.address }
+  return options.registry
+    ? new IdentityRegistryClient(web3, options.registry, clientOptions)
+    : IdentityRegistryClient.fromAddressBook(web3, clientOptions)
+}
+
+// runs a command, writing its output to stdout and any error to stderr, and resolving to the exit code
+// web3 can be passed to run commands against an existing connection
+async function main (argv, { stdout = process.stdout, stderr = process.stderr, env = process.env, web3 } = {}) {
+  try {
+    const { positional: [groupName, name, ...args], options } = parseArgs(argv)
+    const group = groups[groupName]
+    const command = group && group.commands[name]
+    if (options.help || command === undefined) {
+      (options.help ? stdout : stderr).write(usage)
+      return options.help ? 0 : 1
+    }
+
+    const client = await connect(options, { env: env, web3: web3 })
+    const result = await command(client, args, options, env)
+    const table = group.tables && group.tables[name]
+    if (options.json) stdout.write(`${formatJSON(result)}\n`)
+    else stdout.write(`${table ? formatRows(table(result)) : formatTable(result)}\n`)
+    return 0
+  } catch (error) {
+    stderr.write(`${error.message}\n`)
+    return 1
+  }
+}
+
+module.exports = {
+  usage: usage,
+  parseArgs: parseArgs,
+  main: main
+}
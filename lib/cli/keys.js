@@ -0,0 +1,48 @@
+const fs = require('fs')
+
+// the option prefix and environment variable that a named key is read from, e.g. --signer-key and ERC1484_SIGNER_KEY
+// the key that transactions are sent with has no name, and is read from --key and ERC1484_KEY
+function keySources (name) {
+  return {
+    option: name ? `${name}-` : '',
+    variable: `ERC1484_${name ? `${name.toUpperCase().replace(/-/g, '_')}_` : ''}KEY`
+  }
+}
+
+// decrypts a V3 keystore file with --password or ERC1484_KEYSTORE_PASSWORD
+function decryptKeystore (web3, file, options, env) {
+  const password = options.password !== undefined ? options.password : env.ERC1484_KEYSTORE_PASSWORD
+  if (password === undefined) {
+    throw new Error(`A password is required to decrypt ${file}, via --password or ERC1484_KEYSTORE_PASSWORD.`)
+  }
+  return web3.eth.accounts.decrypt(JSON.parse(fs.readFileSync(file, 'utf8')), password).privateKey
+}
+
+// loads a named key from --<name>-key, then --<name>-keystore, then the environment, as a signer for permissions
+// returns undefined if none of them are set
+function loadKey (web3, options, env, name) {
+  const { option, variable } = keySources(name)
+  let privateKey = options[`${option}key`]
+  if (privateKey === undefined && options[`${option}keystore`] !== undefined) {
+    privateKey = decryptKeystore(web3, options[`${option}keystore`], options, env)
+  }
+  if (privateKey === undefined) privateKey = env[variable]
+  if (privateKey === undefined) return undefined
+
+  const { address } = web3.eth.accounts.privateKeyToAccount(privateKey)
+  return { address: address, privateKey: privateKey }
+}
+
+function requireKey (web3, options, env, name) {
+  const signer = loadKey(web3, options, env, name)
+  if (signer === undefined) {
+    const { option, variable } = keySources(name)
+    throw new Error(`A ${name || 'sender'} key is required, via --${option}key, --${option}keystore or ${variable}.`)
+  }
+  return signer
+}
+
+module.exports = {
+  loadKey: loadKey,
+  requireKey: requireKey
+}
@@ -0,0 +1,82 @@
+const { utils } = require('web3')
+
+// converts BNs to decimal strings and drops undefined values, so that results print the same in JSON and tables
+function plain (value) {
+  if (utils.isBN(value)) return value.toString()
+  if (Array.isArray(value)) return value.map(plain)
+  if (value === null || typeof value !== 'object') return value
+
+  const result = {}
+  for (const key of Object.keys(value)) {
+    if (value[key] !== undefined) result[key] = plain(value[key])
+  }
+  return result
+}
+
+function formatTimestamp (timestamp) {
+  return new Date(timestamp * 1000).toISOString()
+}
+
+function formatJSON (value) {
+  return JSON.stringify(plain(value), null, 2)
+}
+
+// turns a camelCased key into a label, e.g. recoveryAddress into Recovery address
+function label (key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().replace(/\bein\b/, 'EIN')
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+function cell (value) {
+  if (Array.isArray(value)) return value.map(cell).join(' ')
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).map(key => `${key}=${cell(value[key])}`).join(', ')
+  }
+  return String(value)
+}
+
+// flattens an object into [label, value] rows, listing the elements of arrays on rows of their own
+function rows (value, prefix) {
+  return [].concat(...Object.keys(value).map(key => {
+    const name = prefix ? `${prefix} ${label(key).toLowerCase()}` : label(key)
+    const item = value[key]
+    if (Array.isArray(item)) {
+      return item.length === 0 ? [[name, 'none']] : item.map((element, i) => [i === 0 ? name : '', cell(element)])
+    }
+    if (item !== null && typeof item === 'object') return rows(item, name)
+    return [[name, cell(item)]]
+  }))
+}
+
+// renders [label, value] rows as two aligned columns
+function formatRows (rows) {
+  const width = Math.max(...rows.map(([name]) => name.length)) + 2
+  return rows.map(([name, value]) => `${name ? `${name}:` : ''}`.padEnd(width) + value).join('\n')
+}
+
+// renders records as columns under a header row
+function formatColumns (records) {
+  if (records.length === 0) return 'none'
+  const keys = Object.keys(records[0])
+  const lines = [keys.map(label)].concat(records.map(record => keys.map(key => cell(record[key]))))
+  const widths = keys.map((key, i) => Math.max(...lines.map(line => line[i].length)))
+  return lines.map(line => line.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd()).join('\n')
+}
+
+// renders a result as a table: lists of records as columns, objects as rows, and anything else as is
+function formatTable (value) {
+  value = plain(value)
+  if (Array.isArray(value)) {
+    return value.every(item => item !== null && typeof item === 'object') ? formatColumns(value) : value.join('\n')
+  }
+  if (value !== null && typeof value === 'object') return formatRows(rows(value))
+  return String(value)
+}
+
+module.exports = {
+  plain: plain,
+  formatTimestamp: formatTimestamp,
+  formatJSON: formatJSON,
+  formatRows: formatRows,
+  formatTable: formatTable
+}
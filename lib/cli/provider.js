@@ -0,0 +1,60 @@
+const { requireEIN, requireAddress, sendOptions, syncIndexer, transactionResult } = require('./common')
+const { formatTimestamp } = require('./output')
+
+function requireSeconds (value, name, description) {
+  if (!/^\d+$/.test(value)) throw new Error(`${name} must be ${description}.`)
+  return Number(value)
+}
+
+// the providers to add or remove, to or from the sender's identity, or --ein when sent by one of its providers
+function providerOptions (providers, options) {
+  if (providers.length === 0) throw new Error('At least one provider is required.')
+  return {
+    providers: providers.map(provider => requireAddress(provider, 'Each provider')),
+    options: Object.assign(sendOptions(options), {
+      ein: options.ein === undefined ? undefined : requireEIN(options.ein)
+    })
+  }
+}
+
+// erc1484 provider add <providers...> [--ein <ein>] [--expiry <timestamp>]
+async function add (client, args, options) {
+  const { providers, options: addOptions } = providerOptions(args, options)
+  if (options.expiry !== undefined) addOptions.expiry = requireSeconds(options.expiry, '--expiry', 'a unix timestamp')
+  return transactionResult(await client.addProviders(providers, addOptions))
+}
+
+// erc1484 provider remove <providers...> [--ein <ein>]
+async function remove (client, args, options) {
+  const { providers, options: removeOptions } = providerOptions(args, options)
+  return transactionResult(await client.removeProviders(providers, removeOptions))
+}
+
+// erc1484 provider expiring [--within <seconds>], the providers of every identity that expire within a week, or
+// within --within seconds, read from the logs
+async function expiring (client, args, options) {
+  const indexer = await syncIndexer(client, options)
+  const within = options.within === undefined
+    ? undefined
+    : requireSeconds(options.within, '--within', 'a number of seconds')
+  return indexer.getExpiringProviders({ within: within })
+}
+
+// the rows that expiring providers are shown with, with their expiries as dates
+function expiringRows (grants) {
+  if (grants.length === 0) return [['Expiring providers', 'none']]
+  return grants.map(({ ein, provider, expiry, expired }) => [
+    `EIN ${ein}`, `${provider} ${expired ? 'expired' : 'expires'} ${formatTimestamp(expiry)}`
+  ])
+}
+
+module.exports = {
+  commands: {
+    add: add,
+    remove: remove,
+    expiring: expiring
+  },
+  tables: {
+    expiring: expiringRows
+  }
+}
@@ -0,0 +1,73 @@
+const recovery = require('../recovery')
+const { requireEIN, requireAddress, sendOptions, transactionResult } = require('./common')
+const { requireKey } = require('./keys')
+const { formatTimestamp } = require('./output')
+
+// formats a number of seconds as e.g. 13d 23h 59m 59s
+function formatDuration (seconds) {
+  const parts = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]].map(([unit, size]) => {
+    const value = Math.floor(seconds / size)
+    seconds %= size
+    return value > 0 ? `${value}${unit}` : undefined
+  })
+  return parts.filter(part => part !== undefined).join(' ') || '0s'
+}
+
+// the rows that recovery status is shown with, with the windows as durations
+function stateRows (state) {
+  const { recoveryAddressChange, recovery } = state
+  return [
+    ['EIN', state.ein.toString()],
+    ['Recovery address', state.recoveryAddress],
+    ['Previous recovery address', state.previousRecoveryAddress === undefined
+      ? 'none'
+      : `${state.previousRecoveryAddress} (changed ${formatTimestamp(recoveryAddressChange.timestamp)})`],
+    ['Can trigger recovery', state.recoveringAddress],
+    ['Recovery address change', state.canChangeRecoveryAddress
+      ? 'possible'
+      : `pending, possible again in ${formatDuration(recoveryAddressChange.remaining)}`],
+    ['Last recovery', recovery.timestamp === 0 ? 'never' : formatTimestamp(recovery.timestamp)],
+    ['Recovery', state.canRecover ? 'possible' : `possible again in ${formatDuration(recovery.remaining)}`],
+    ['Poison pill', state.canPoison ? `possible for ${formatDuration(recovery.remaining)}` : 'not possible']
+  ]
+}
+
+// erc1484 recovery status <ein>
+async function status (client, [ein]) {
+  return recovery.getRecoveryState(client, requireEIN(ein))
+}
+
+// erc1484 recovery change <ein> <new recovery address>, sent by a provider of the identity
+async function change (client, [ein, newRecoveryAddress], options) {
+  const result = await client.changeRecoveryAddress(
+    requireEIN(ein), requireAddress(newRecoveryAddress, 'The new recovery address'), sendOptions(options)
+  )
+  return transactionResult(result)
+}
+
+// erc1484 recovery trigger <ein> --signer-key <key of the new associated address>, sent by the recovery address
+async function trigger (client, [ein], options, env) {
+  const signer = requireKey(client.web3, options, env, 'signer')
+  return transactionResult(await recovery.recover(client, requireEIN(ein), signer, sendOptions(options)))
+}
+
+// erc1484 recovery poison <ein> [--clear-resolvers], sent by an address removed by the last recovery
+async function poison (client, [ein], options) {
+  const result = await recovery.poison(client, requireEIN(ein), Object.assign(sendOptions(options), {
+    clearResolvers: !!options['clear-resolvers'],
+    fromBlock: options['from-block']
+  }))
+  return transactionResult(result)
+}
+
+module.exports = {
+  commands: {
+    status: status,
+    change: change,
+    trigger: trigger,
+    poison: poison
+  },
+  tables: {
+    status: stateRows
+  }
+}
@@ -0,0 +1,27 @@
+const { requireEIN, requireAddress, sendOptions, transactionResult } = require('./common')
+
+function requireResolvers (resolvers) {
+  if (resolvers.length === 0) throw new Error('At least one resolver is required.')
+  return resolvers.map(resolver => requireAddress(resolver, 'Each resolver'))
+}
+
+// erc1484 resolver add <ein> <resolvers...>, sent by a provider of the identity
+async function add (client, [ein, ...resolvers], options) {
+  return transactionResult(
+    await client.addResolvers(requireEIN(ein), requireResolvers(resolvers), sendOptions(options))
+  )
+}
+
+// erc1484 resolver remove <ein> <resolvers...>, sent by a provider of the identity
+async function remove (client, [ein, ...resolvers], options) {
+  return transactionResult(
+    await client.removeResolvers(requireEIN(ein), requireResolvers(resolvers), sendOptions(options))
+  )
+}
+
+module.exports = {
+  commands: {
+    add: add,
+    remove: remove
+  }
+}
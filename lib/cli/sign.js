@@ -0,0 +1,70 @@
+const permissions = require('../permissions')
+const { requireEIN, requireAddress, addressList } = require('./common')
+const { requireKey } = require('./keys')
+
+// the timestamp and nonce to sign a permission with, where the nonce is read from the registry unless passed
+async function permissionFields (client, signer, fields, options) {
+  return client.permissionFields(Object.assign({
+    timestamp: Number(options.timestamp || permissions.currentTimestamp()),
+    nonce: options.nonce !== undefined ? options.nonce : (await client.getNonce(signer.address)).toString()
+  }, fields), options.method)
+}
+
+// the signature for a provider to submit, along with the message hash that was signed
+function signatureResult (signer, fields, { messageHash, signature }) {
+  return {
+    signer: signer.address,
+    messageHash: messageHash,
+    v: signature.v,
+    r: signature.r,
+    s: signature.s,
+    timestamp: fields.timestamp,
+    nonce: fields.nonce
+  }
+}
+
+// erc1484 sign mint --recovery-address <address> --provider <address> [--resolvers <addresses>]
+async function mint (client, args, options, env) {
+  const signer = requireKey(client.web3, options, env, 'signer')
+  const fields = await permissionFields(client, signer, {
+    recoveryAddress: requireAddress(options['recovery-address'], '--recovery-address'),
+    provider: requireAddress(options.provider, '--provider'),
+    resolvers: addressList(options.resolvers, '--resolvers')
+  }, options)
+  return signatureResult(signer, fields, await permissions.mintIdentityDelegated(fields, signer, options.method))
+}
+
+// erc1484 sign add-address <ein> <address to add>
+// signs the approval of an address of the identity, or the consent of the address to add if it is the signer
+async function addAddress (client, [ein, addressToAdd], options, env) {
+  const signer = requireKey(client.web3, options, env, 'signer')
+  addressToAdd = requireAddress(addressToAdd, 'The address to add')
+  const fields = await permissionFields(client, signer, { ein: requireEIN(ein), addressToAdd: addressToAdd }, options)
+  const permission = signer.address === addressToAdd
+    ? await permissions.joinIdentity(fields, signer, options.method)
+    : await permissions.approveAddress(fields, signer, options.method)
+  return signatureResult(signer, fields, permission)
+}
+
+// erc1484 sign remove-address <ein>
+async function removeAddress (client, [ein], options, env) {
+  const signer = requireKey(client.web3, options, env, 'signer')
+  const fields = await permissionFields(client, signer, { ein: requireEIN(ein) }, options)
+  return signatureResult(signer, fields, await permissions.removeAddress(fields, signer, options.method))
+}
+
+// erc1484 sign recovery <ein>
+async function recovery (client, [ein], options, env) {
+  const signer = requireKey(client.web3, options, env, 'signer')
+  const fields = await permissionFields(client, signer, { ein: requireEIN(ein) }, options)
+  return signatureResult(signer, fields, await permissions.triggerRecovery(fields, signer, options.method))
+}
+
+module.exports = {
+  commands: {
+    mint: mint,
+    'add-address': addAddress,
+    'remove-address': removeAddress,
+    recovery: recovery
+  }
+}
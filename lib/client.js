@@ -0,0 +1,441 @@
+const { utils } = require('web3')
+
+const { loadArtifact } = require('./artifacts')
+const { findDeployment } = require('./deployments')
+const { decodeError, SignatureExpiredError } = require('./errors')
+const { IdentityIndexer } = require('./indexer')
+const permissions = require('./permissions')
+const recovery = require('./recovery')
+
+function normalizeAddresses (addresses) {
+  return addresses.map(address => utils.toChecksumAddress(address))
+}
+
+// collects all events of the given names emitted in a receipt, in log order
+function receiptEvents (receipt, names) {
+  const events = [].concat(...Object.values(receipt.events || {}))
+    .filter(event => names.includes(event.event))
+  return events.sort((a, b) => a.logIndex - b.logIndex)
+}
+
+// the view functions that read each set of an identity in pages
+const sets = {
+  associatedAddresses: { count: 'getAssociatedAddressCount', slice: 'getAssociatedAddresses' },
+  providers: { count: 'getProviderCount', slice: 'getProviders' },
+  resolvers: { count: 'getResolverCount', slice: 'getResolvers' }
+}
+
+function setMethods (set) {
+  if (sets[set] === undefined) throw new Error(`Unknown set ${set}, expected one of ${Object.keys(sets).join(', ')}.`)
+  return sets[set]
+}
+
+// the bits of the permissions that identities can grant to each of their providers, which have all of them by default
+const providerPermissions = {
+  manageProviders: 1,
+  manageResolvers: 2,
+  changeRecovery: 4
+}
+
+// converts provider permissions passed as a bitmap or as an array of names into a bitmap
+function encodeProviderPermissions (permissions) {
+  if (!Array.isArray(permissions)) return Number(permissions)
+  return permissions.reduce((bitmap, name) => {
+    if (providerPermissions[name] === undefined) {
+      throw new Error(
+        `Unknown provider permission ${name}, expected one of ${Object.keys(providerPermissions).join(', ')}.`
+      )
+    }
+    return bitmap | providerPermissions[name]
+  }, 0)
+}
+
+function decodeProviderPermissions (bitmap) {
+  return Object.keys(providerPermissions).filter(name => Number(bitmap) & providerPermissions[name])
+}
+
+// the EIN of the identity minted by a transaction, which is unknown for dry runs
+function mintedEIN ({ event }) {
+  return event === undefined ? undefined : utils.toBN(event.returnValues.ein)
+}
+
+class IdentityRegistryClient {
+  constructor (web3, address, options = {}) {
+    this.web3 = web3
+    this.address = address
+    this.contract = new web3.eth.Contract(options.abi || loadArtifact('IdentityRegistry').abi, address)
+    this.from = options.from
+  }
+
+  // creates a client for the registry deployed on the network that web3 is connected to, per the address book
+  static async fromAddressBook (web3, options = {}) {
+    const { address } = await findDeployment(web3, 'IdentityRegistry', options.addressBook)
+    return new IdentityRegistryClient(web3, address, options)
+  }
+
+  // calls a view function, converting reverts into typed errors
+  async call (method, context) {
+    try {
+      return await method.call()
+    } catch (error) {
+      throw decodeError(error, context)
+    }
+  }
+
+  // sends a transaction with an estimated gas limit, returning the receipt and the events of interest
+  // the transaction is dry run with eth_call first, so that doomed transactions fail without costing gas
+  // with options.dryRun, it is only dry run, and the unsent transaction is returned instead
+  async send (method, options = {}, eventNames = [], context = {}) {
+    const from = options.from || this.from
+    if (!from) throw new Error('No sending address was specified.')
+
+    try {
+      await method.call({ from: from })
+      const gas = options.gas || await method.estimateGas({ from: from })
+      if (options.dryRun) return { transaction: { from: from, to: this.address, data: method.encodeABI(), gas: gas } }
+
+      const receipt = await method.send({ from: from, gas: gas, gasPrice: options.gasPrice })
+      const events = receiptEvents(receipt, eventNames)
+
+      return { receipt: receipt, events: events, event: events[0] }
+    } catch (error) {
+      throw decodeError(error, context)
+    }
+  }
+
+  // the parameters are read afresh every time, as the governor of the registry, if any, can change them
+  async getParameters () {
+    const methods = this.contract.methods
+    return {
+      maxAssociatedAddresses: Number(await methods.maxAssociatedAddresses().call()),
+      recoveryTimeout: Number(await methods.recoveryTimeout().call()),
+      signatureTimeout: Number(await methods.signatureTimeout().call()),
+      governor: utils.toChecksumAddress(await methods.governor().call())
+    }
+  }
+
+  async getSignatureTimeout () {
+    return Number(await this.contract.methods.signatureTimeout().call())
+  }
+
+  async getRecoveryTimeout () {
+    return Number(await this.contract.methods.recoveryTimeout().call())
+  }
+
+  async getChainId () {
+    if (this.chainId === undefined) this.chainId = Number(await this.contract.methods.chainId().call())
+    return this.chainId
+  }
+
+  // the nonce that the next permission signed by an address includes, so that it cannot be replayed
+  async getNonce (address) {
+    return utils.toBN(await this.contract.methods.signatureNonces(address).call())
+  }
+
+  // the fields common to every permission, where typed data permissions also need the chain id of the EIP-712 domain
+  async permissionFields (fields, method) {
+    const common = { registry: this.address }
+    if (method === 'typed') common.chainId = await this.getChainId()
+    return Object.assign(common, fields)
+  }
+
+  // mirrors ensureSignatureTimeValid for the next block, whose timestamp is at least that of the latest block
+  async checkSignatureTimestamps (timestamps, context) {
+    const signatureTimeout = await this.getSignatureTimeout()
+    const { timestamp: latest } = await this.web3.eth.getBlock('latest')
+    const now = Math.max(Number(latest), Math.round(new Date() / 1000))
+
+    for (const timestamp of timestamps) {
+      if (!(now >= Number(timestamp) && Number(timestamp) + signatureTimeout > now)) {
+        throw new SignatureExpiredError('Timestamp is not valid.', context)
+      }
+    }
+  }
+
+  // reads
+
+  async identityExists (ein) {
+    return this.contract.methods.identityExists(ein.toString()).call()
+  }
+
+  async hasIdentity (address) {
+    return this.contract.methods.hasIdentity(address).call()
+  }
+
+  async getEIN (address) {
+    const context = { operation: 'getEIN', addresses: [address] }
+    return utils.toBN(await this.call(this.contract.methods.getEIN(address), context))
+  }
+
+  async isAddressFor (ein, address) {
+    return this.contract.methods.isAddressFor(ein.toString(), address).call()
+  }
+
+  async isProviderFor (ein, provider) {
+    return this.contract.methods.isProviderFor(ein.toString(), provider).call()
+  }
+
+  async isResolverFor (ein, resolver) {
+    return this.contract.methods.isResolverFor(ein.toString(), resolver).call()
+  }
+
+  // the unix timestamp at which a provider of an identity expires, or 0 if it does not expire
+  async getProviderExpiry (ein, provider) {
+    const context = { operation: 'getProviderExpiry', ein: utils.toBN(ein), addresses: [provider] }
+    return Number(await this.call(this.contract.methods.getProviderExpiry(ein.toString(), provider), context))
+  }
+
+  // the names of the permissions of a provider of an identity, which has none if it is not a provider
+  async getProviderPermissions (ein, provider) {
+    const context = { operation: 'getProviderPermissions', ein: utils.toBN(ein), addresses: [provider] }
+    const method = this.contract.methods.getProviderPermissions(ein.toString(), provider)
+    return decodeProviderPermissions(await this.call(method, context))
+  }
+
+  // checks whether a provider of an identity has all of the passed permissions, as a bitmap or an array of names
+  async hasProviderPermission (ein, provider, permissions) {
+    const bitmap = encodeProviderPermissions(permissions)
+    return this.contract.methods.hasProviderPermission(ein.toString(), provider, bitmap).call()
+  }
+
+  // looks up an identity by EIN or by one of its associated addresses
+  async getIdentity (einOrAddress) {
+    const ein = utils.isAddress(einOrAddress) ? await this.getEIN(einOrAddress) : utils.toBN(einOrAddress)
+    const details = await this.call(
+      this.contract.methods.getDetails(ein.toString()), { operation: 'getDetails', ein: ein }
+    )
+
+    return {
+      ein: ein,
+      recoveryAddress: utils.toChecksumAddress(details.recoveryAddress),
+      associatedAddresses: normalizeAddresses(details.associatedAddresses),
+      providers: normalizeAddresses(details.providers),
+      resolvers: normalizeAddresses(details.resolvers)
+    }
+  }
+
+  // paginated reads, for identities and directories too large to read at once
+
+  // the number of identities minted, whose EINs run from 1 up to this count
+  async getIdentityCount () {
+    return utils.toBN(await this.contract.methods.nextEIN().call()).subn(1)
+  }
+
+  // the number of members of one of the sets of an identity: associatedAddresses, providers or resolvers
+  async getSetSize (ein, set) {
+    const method = this.contract.methods[setMethods(set).count](ein.toString())
+    return utils.toBN(await this.call(method, { operation: setMethods(set).count, ein: utils.toBN(ein) }))
+  }
+
+  // up to limit members of one of the sets of an identity, from offset onwards
+  async getSetSlice (ein, set, offset, limit) {
+    const method = this.contract.methods[setMethods(set).slice](ein.toString(), offset.toString(), limit.toString())
+    return normalizeAddresses(await this.call(method, { operation: setMethods(set).slice, ein: utils.toBN(ein) }))
+  }
+
+  // streams the members of one of the sets of an identity in pages of up to pageSize members
+  // removals reorder the set, so members can be skipped or repeated if the set changes while streaming
+  async * setPages (ein, set, { pageSize = 25 } = {}) {
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.getSetSlice(ein, set, offset, pageSize)
+      if (page.length > 0) yield page
+      if (page.length < pageSize) return
+    }
+  }
+
+  // streams the EINs of every identity minted so far in pages of up to pageSize EINs
+  async * einPages ({ pageSize = 100 } = {}) {
+    const count = (await this.getIdentityCount()).toNumber()
+    for (let first = 1; first <= count; first += pageSize) {
+      const last = Math.min(first + pageSize - 1, count)
+      yield [...Array(last - first + 1)].map((_, i) => utils.toBN(first + i))
+    }
+  }
+
+  // identity creation
+
+  // mints an identity for the sending address
+  async mint ({ recoveryAddress, provider, resolvers = [] }, options) {
+    const method = this.contract.methods.mintIdentity(recoveryAddress, provider, resolvers)
+    const context = { operation: 'mintIdentity', addresses: [(options || {}).from || this.from] }
+    const result = await this.send(method, options, ['IdentityMinted'], context)
+    return Object.assign(result, { ein: mintedEIN(result) })
+  }
+
+  // mints an identity for the signer, sent by the provider
+  async mintDelegated ({ recoveryAddress, resolvers = [], timestamp }, signer, options = {}) {
+    const fields = await this.permissionFields({
+      recoveryAddress: recoveryAddress,
+      provider: options.from || this.from,
+      resolvers: resolvers,
+      timestamp: timestamp,
+      nonce: await this.getNonce(signer.address)
+    }, options.method)
+    const permission = await permissions.mintIdentityDelegated(fields, signer, options.method)
+    const context = { operation: 'mintIdentityDelegated', addresses: [signer.address] }
+    await this.checkSignatureTimestamps([permission.args[6]], context)
+
+    const method = this.contract.methods.mintIdentityDelegated(...permission.args)
+    const result = await this.send(method, options, ['IdentityMinted'], context)
+    return Object.assign(result, { ein: mintedEIN(result), messageHashes: [permission.messageHash] })
+  }
+
+  // associated addresses
+
+  // adds the address of addingSigner to the identity of approvingSigner, sent by a provider
+  async addAddress (approvingSigner, addingSigner, options = {}) {
+    const ein = await this.getEIN(approvingSigner.address)
+    const fields = await this.permissionFields({
+      ein: ein,
+      timestamp: options.timestamp,
+      nonce: [await this.getNonce(approvingSigner.address), await this.getNonce(addingSigner.address)]
+    }, options.method)
+    const permission = await permissions.addAddress(fields, approvingSigner, addingSigner, options.method)
+    const context = { operation: 'addAddress', ein: ein, addresses: [approvingSigner.address, addingSigner.address] }
+    await this.checkSignatureTimestamps(permission.args[5], context)
+
+    const method = this.contract.methods.addAddress(...permission.args)
+    const result = await this.send(method, options, ['AddressAdded'], context)
+    return Object.assign(result, { messageHashes: permission.messageHashes })
+  }
+
+  // removes the address of signer from its identity, sent by a provider
+  async removeAddress (signer, options = {}) {
+    const ein = await this.getEIN(signer.address)
+    const fields = await this.permissionFields(
+      { ein: ein, timestamp: options.timestamp, nonce: await this.getNonce(signer.address) }, options.method
+    )
+    const permission = await permissions.removeAddress(fields, signer, options.method)
+    const context = { operation: 'removeAddress', ein: ein, addresses: [signer.address] }
+    await this.checkSignatureTimestamps([permission.args[4]], context)
+
+    const method = this.contract.methods.removeAddress(...permission.args)
+    const result = await this.send(method, options, ['AddressRemoved'], context)
+    return Object.assign(result, { messageHashes: [permission.messageHash] })
+  }
+
+  // providers and resolvers
+
+  // adds providers to the sender's identity, or to options.ein when sent by one of its providers
+  // with options.expiry, the providers expire at that unix timestamp, and providers that were already set are renewed
+  async addProviders (providers, options = {}) {
+    const types = ['address[]']
+    const args = [providers]
+    if (options.ein !== undefined) {
+      types.unshift('uint256')
+      args.unshift(options.ein.toString())
+    }
+    if (options.expiry !== undefined) {
+      types.push('uint256')
+      args.push(options.expiry.toString())
+    }
+    const method = this.contract.methods[`addProviders(${types.join(',')})`](...args)
+    const context = { operation: 'addProviders', ein: options.ein, addresses: providers }
+    return this.send(method, options, ['ProviderAdded', 'ProviderExpirySet'], context)
+  }
+
+  // sets the permissions of a provider of the sender's identity, as a bitmap or an array of names
+  async setProviderPermissions (provider, permissions, options) {
+    const method = this.contract.methods.setProviderPermissions(provider, encodeProviderPermissions(permissions))
+    const context = { operation: 'setProviderPermissions', addresses: [provider] }
+    return this.send(method, options, ['ProviderPermissionsSet'], context)
+  }
+
+  // removes providers from the sender's identity, or from options.ein when sent by one of its providers
+  async removeProviders (providers, options = {}) {
+    const method = options.ein === undefined
+      ? this.contract.methods['removeProviders(address[])'](providers)
+      : this.contract.methods['removeProviders(uint256,address[])'](options.ein.toString(), providers)
+    const context = { operation: 'removeProviders', ein: options.ein, addresses: providers }
+    return this.send(method, options, ['ProviderRemoved'], context)
+  }
+
+  async addResolvers (ein, resolvers, options) {
+    const method = this.contract.methods.addResolvers(ein.toString(), resolvers)
+    const context = { operation: 'addResolvers', ein: ein, addresses: resolvers }
+    return this.send(method, options, ['ResolverAdded'], context)
+  }
+
+  async removeResolvers (ein, resolvers, options) {
+    const method = this.contract.methods.removeResolvers(ein.toString(), resolvers)
+    const context = { operation: 'removeResolvers', ein: ein, addresses: resolvers }
+    return this.send(method, options, ['ResolverRemoved'], context)
+  }
+
+  // recovery
+
+  async changeRecoveryAddress (ein, newRecoveryAddress, options) {
+    const method = this.contract.methods.initiateRecoveryAddressChange(ein.toString(), newRecoveryAddress)
+    const context = { operation: 'initiateRecoveryAddressChange', ein: ein, addresses: [newRecoveryAddress] }
+    return this.send(method, options, ['RecoveryAddressChangeInitiated'], context)
+  }
+
+  // recovers an identity to the signer's address, sent by the (old) recovery address
+  async recover (ein, signer, options = {}) {
+    const fields = await this.permissionFields(
+      { ein: ein.toString(), timestamp: options.timestamp, nonce: await this.getNonce(signer.address) }, options.method
+    )
+    const permission = await permissions.triggerRecovery(fields, signer, options.method)
+    const context = { operation: 'triggerRecovery', ein: ein, addresses: [signer.address] }
+    await this.checkSignatureTimestamps([permission.args[5]], context)
+
+    const method = this.contract.methods.triggerRecovery(...permission.args)
+    const result = await this.send(method, options, ['RecoveryTriggered'], context)
+    return Object.assign(result, { messageHashes: [permission.messageHash] })
+  }
+
+  // gets the addresses removed by the most recent recovery of an identity
+  async getRecoveredAddresses (ein) {
+    const events = await this.contract.getPastEvents('RecoveryTriggered', {
+      filter: { ein: ein.toString() }, fromBlock: 0, toBlock: 'latest'
+    })
+    if (events.length === 0) throw new Error(`Identity ${ein} has never been recovered.`)
+    return normalizeAddresses(events[events.length - 1].returnValues.oldAssociatedAddresses)
+  }
+
+  // poisons an identity, sent by an address removed by its most recent recovery
+  async poison (ein, options = {}) {
+    return recovery.poison(this, ein, options)
+  }
+
+  // hooks
+
+  // polls the registry every interval milliseconds, calling handler with every hook of target
+  // from fromBlock on (by default the next block), see IdentityIndexer.subscribe
+  // the registry is indexed from deployBlock, so that recoveries and poisonings notify earlier providers and resolvers
+  // returns a function that ends the subscription
+  subscribe (target, handler, options = {}) {
+    const { deployBlock = 0, interval = 1000, onError = () => {} } = options
+    const indexer = new IdentityIndexer(this.web3, this.address, {
+      abi: this.contract.options.jsonInterface, fromBlock: deployBlock, confirmations: 0
+    })
+
+    let fromBlock = options.fromBlock
+    const unsubscribe = indexer.subscribe(target, notification => {
+      if (notification.blockNumber >= fromBlock) return handler(notification)
+    })
+
+    let stopped = false
+    let timeout
+    const poll = async () => {
+      try {
+        if (fromBlock === undefined) fromBlock = await this.web3.eth.getBlockNumber() + 1
+        await indexer.sync()
+      } catch (error) {
+        onError(error)
+      }
+      if (!stopped) timeout = setTimeout(poll, interval)
+    }
+    poll()
+
+    return () => {
+      stopped = true
+      clearTimeout(timeout)
+      unsubscribe()
+    }
+  }
+}
+
+IdentityRegistryClient.providerPermissions = providerPermissions
+
+module.exports = IdentityRegistryClient
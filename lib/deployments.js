@@ -0,0 +1,79 @@
+const fs = require('fs')
+const path = require('path')
+
+// the shipped address book of public deployments, and the address book that local deployments are written to
+const publicAddressBook = path.join(__dirname, '..', 'deployments.json')
+const localAddressBook = path.join(__dirname, '..', 'build', 'deployments.json')
+
+// names of the networks supported by the did:erc1484 method, by network id
+const networkNames = {
+  1: 'mainnet',
+  3: 'ropsten',
+  4: 'rinkeby',
+  42: 'kovan'
+}
+
+// the parameters that registries are deployed with unless a network configures its own, as in the reference deployments
+const defaultParameters = {
+  maxAssociatedAddresses: 50,
+  recoveryTimeout: 2 * 7 * 24 * 60 * 60,
+  signatureTimeout: 7 * 24 * 60 * 60
+}
+
+function readAddressBook (file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+}
+
+// merges the public and local address books, with local deployments taking precedence
+function loadAddressBook (files = [publicAddressBook, localAddressBook]) {
+  const addressBook = {}
+  for (const file of files) {
+    const entries = readAddressBook(file)
+    for (const networkId of Object.keys(entries)) {
+      addressBook[networkId] = Object.assign({}, addressBook[networkId], entries[networkId])
+    }
+  }
+  return addressBook
+}
+
+// gets the deployment of a contract on a network, or undefined if there is none
+function getDeployment (networkId, contractName, addressBook = loadAddressBook()) {
+  return (addressBook[networkId.toString()] || {})[contractName]
+}
+
+// gets the deployment of a contract on the network that web3 is connected to, throwing if there is none
+async function findDeployment (web3, contractName, addressBook) {
+  const networkId = await web3.eth.net.getId()
+  const deployment = getDeployment(networkId, contractName, addressBook)
+  if (deployment === undefined) throw new Error(`${contractName} has not been deployed on network ${networkId}.`)
+  return Object.assign({ networkId: networkId }, deployment)
+}
+
+// records the deployment of a contract instance, including the block and transaction it was deployed in
+async function recordDeployment (file, web3, networkId, contractName, instance) {
+  const receipt = await web3.eth.getTransactionReceipt(instance.transactionHash)
+  const addressBook = readAddressBook(file)
+
+  addressBook[networkId] = Object.assign({}, addressBook[networkId], {
+    [contractName]: {
+      address: instance.address,
+      deployBlock: receipt.blockNumber,
+      transactionHash: instance.transactionHash
+    }
+  })
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, `${JSON.stringify(addressBook, null, 2)}\n`)
+}
+
+module.exports = {
+  publicAddressBook: publicAddressBook,
+  localAddressBook: localAddressBook,
+  networkNames: networkNames,
+  defaultParameters: defaultParameters,
+  readAddressBook: readAddressBook,
+  loadAddressBook: loadAddressBook,
+  getDeployment: getDeployment,
+  findDeployment: findDeployment,
+  recordDeployment: recordDeployment
+}
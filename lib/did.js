@@ -0,0 +1,115 @@
+const { utils } = require('web3')
+
+const IdentityRegistryClient = require('./client')
+const { findDeployment, networkNames } = require('./deployments')
+const { IdentityNotFoundError } = require('./errors')
+
+const method = 'erc1484'
+const defaultNetwork = 'mainnet'
+
+// did:erc1484:[<network>:]<registry address>:<32-byte hex EIN>
+const didPattern = /^did:erc1484:(?:([a-z0-9]+):)?(0x[0-9a-fA-F]{40}):([0-9a-fA-F]{64})$/
+
+// parses and validates an erc1484 DID, throwing if it is malformed
+function parse (did) {
+  const match = didPattern.exec(did)
+  if (match === null) throw new Error(`Invalid ${method} DID: ${did}`)
+
+  // registry addresses are not required to be checksummed, as in the examples of the method specification
+  const [, network = defaultNetwork, registry, ein] = match
+
+  return {
+    did: did,
+    network: network,
+    registry: utils.toChecksumAddress(registry),
+    ein: utils.toBN(`0x${ein}`)
+  }
+}
+
+// formats an erc1484 DID, omitting the network segment for mainnet
+function format ({ network = defaultNetwork, registry, ein }) {
+  const hexEIN = utils.toBN(ein).toString(16).padStart(64, '0')
+  const networkSegment = network === defaultNetwork ? '' : `${network}:`
+  return `did:${method}:${networkSegment}${utils.toChecksumAddress(registry)}:${hexEIN}`
+}
+
+// builds a DID document from the details of an identity
+function buildDocument (did, identity) {
+  const document = {
+    '@context': 'https://w3id.org/did/v1',
+    id: did,
+    publicKey: [],
+    authentication: [],
+    service: []
+  }
+
+  // poisoned identities have no associated addresses left, and are treated as revoked
+  if (identity.associatedAddresses.length === 0) {
+    document.deactivated = true
+    return document
+  }
+
+  document.publicKey.push({
+    id: `${did}#recovery`,
+    type: 'Secp256k1RecoveryKey2018',
+    owner: did,
+    ethereumAddress: identity.recoveryAddress
+  })
+
+  identity.associatedAddresses.forEach((address, i) => {
+    const id = `${did}#key-${i + 1}`
+    document.publicKey.push({ id: id, type: 'Secp256k1AssociatedAddress2018', owner: did, ethereumAddress: address })
+    document.authentication.push({ type: 'Secp256k1SignatureAuthentication2018', publicKey: id })
+  })
+
+  identity.providers.forEach((address, i) => {
+    document.service.push({ id: `${did}#provider-${i + 1}`, type: 'ERC1484Provider', serviceEndpoint: address })
+  })
+  identity.resolvers.forEach((address, i) => {
+    document.service.push({ id: `${did}#resolver-${i + 1}`, type: 'ERC1484Resolver', serviceEndpoint: address })
+  })
+
+  return document
+}
+
+// returns a did-resolver compatible resolver, given a web3 instance for each supported network
+function getResolver ({ networks, abi }) {
+  async function resolve (did) {
+    const { network, registry, ein } = parse(did)
+    if (networks[network] === undefined) throw new Error(`Unsupported network in DID: ${network}`)
+
+    const client = new IdentityRegistryClient(networks[network], registry, { abi: abi })
+    try {
+      return buildDocument(did, await client.getIdentity(ein))
+    } catch (error) {
+      if (error instanceof IdentityNotFoundError) return null
+      throw error
+    }
+  }
+
+  return { [method]: resolve }
+}
+
+// looks up the DID of the identity that an address is associated with
+// the registry and network default to the address book deployment on the network that web3 is connected to
+async function lookupDID (web3, { network, registry, address, abi, addressBook }) {
+  if (registry === undefined) {
+    const deployment = await findDeployment(web3, 'IdentityRegistry', addressBook)
+    registry = deployment.address
+    network = network || networkNames[deployment.networkId]
+    if (network === undefined) throw new Error(`Network ${deployment.networkId} has no DID network name.`)
+  }
+
+  const client = new IdentityRegistryClient(web3, registry, { abi: abi })
+  if (!(await client.hasIdentity(address))) return null
+  return format({ network: network, registry: registry, ein: await client.getEIN(address) })
+}
+
+module.exports = {
+  method: method,
+  parse: parse,
+  format: format,
+  buildDocument: buildDocument,
+  getResolver: getResolver,
+  lookupDID: lookupDID
+}
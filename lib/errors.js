@@ -0,0 +1,125 @@
+const { utils } = require('web3')
+
+// base class for all failures of IdentityRegistry operations
+class IdentityRegistryError extends Error {
+  constructor (message, { operation, ein, addresses = [], reason } = {}) {
+    super(operation ? `${operation}: ${message}` : message)
+    this.name = this.constructor.name
+    this.operation = operation
+    this.ein = ein === undefined ? undefined : utils.toBN(ein)
+    this.addresses = addresses
+    this.reason = reason || message
+  }
+}
+
+class IdentityNotFoundError extends IdentityRegistryError {}
+class AddressAlreadyHasIdentityError extends IdentityRegistryError {}
+class AddressHasNoIdentityError extends IdentityRegistryError {}
+class SignatureExpiredError extends IdentityRegistryError {}
+class PermissionDeniedError extends IdentityRegistryError {}
+class TooManyAddressesError extends IdentityRegistryError {}
+class ProviderNotSetError extends IdentityRegistryError {}
+class ProviderPermissionError extends IdentityRegistryError {}
+class RecoveryCooldownError extends IdentityRegistryError {}
+class NotRecoveryAddressError extends IdentityRegistryError {}
+class PoisonPillError extends IdentityRegistryError {}
+class InvalidArgumentsError extends IdentityRegistryError {}
+class NotGuardianError extends IdentityRegistryError {}
+class GuardianApprovalError extends IdentityRegistryError {}
+class InsufficientGasError extends IdentityRegistryError {}
+class CallFailedError extends IdentityRegistryError {}
+
+// operations in which the shared has/does not have reason means that an address unexpectedly has an identity
+const mintingOperations = [
+  'mintIdentity', 'mintIdentityDelegated', 'mintIdentityDelegatedWithAddresses', 'addAddress', 'triggerRecovery'
+]
+
+// maps every revert reason in IdentityRegistry, GuardianRecovery and RegistryTimelock to the error class it is decoded to
+const reasons = {
+  'The identity does not exist.': IdentityNotFoundError,
+  'The passed address has/does not have an identity.': operation => mintingOperations.includes(operation)
+    ? AddressAlreadyHasIdentityError
+    : AddressHasNoIdentityError,
+  'Timestamp is not valid.': SignatureExpiredError,
+  'Permission denied.': PermissionDeniedError,
+  'Permission denied from approving address.': PermissionDeniedError,
+  'Permission denied from address to add.': PermissionDeniedError,
+  'Cannot add too many addresses.': TooManyAddressesError,
+  'The identity has not set the passed provider.': ProviderNotSetError,
+  'The provider does not have this permission.': ProviderPermissionError,
+  'Pending change of recovery address has not timed out.': RecoveryCooldownError,
+  'It has not been long enough since the last recovery.': RecoveryCooldownError,
+  'Only the current recovery address can initiate a recovery.': NotRecoveryAddressError,
+  'Only the recently removed recovery address can initiate a recovery.': NotRecoveryAddressError,
+  'No addresses have recently been removed from a recovery.': PoisonPillError,
+  'Cannot activate the poison pill from an address that was not recently removed via recover.': PoisonPillError,
+  'The number of signatures does not match the addresses to add.': InvalidArgumentsError,
+  'The expiry has already passed.': InvalidArgumentsError,
+  'The threshold must be between 1 and the number of guardians.': InvalidArgumentsError,
+  'Guardians cannot be repeated.': InvalidArgumentsError,
+  'The number of signatures does not match the guardians.': InvalidArgumentsError,
+  'The address is not a guardian of the identity.': NotGuardianError,
+  'The guardian has already approved this recovery.': GuardianApprovalError,
+  'Not enough guardians have approved the recovery.': GuardianApprovalError,
+  'The recovery delay has not passed.': RecoveryCooldownError,
+  'Parameters must be positive.': InvalidArgumentsError,
+  'Only the governor can change parameters.': PermissionDeniedError,
+  'Only the owner can queue calls.': PermissionDeniedError,
+  'The call is already queued.': InvalidArgumentsError,
+  'The call is not queued.': InvalidArgumentsError,
+  'The call delay has not passed.': RecoveryCooldownError,
+  'A recovery window is still open.': RecoveryCooldownError,
+  'Not enough gas for hooks.': InsufficientGasError,
+  'The call failed.': CallFailedError
+}
+
+// the selector of Error(string), which prefixes abi-encoded revert reasons
+const errorSelector = '0x08c379a0'
+
+// extracts a revert reason from a node error, or from abi-encoded revert data
+function revertReason (error) {
+  const data = typeof error === 'string' ? error : error && error.data
+  if (typeof data === 'string' && data.startsWith(errorSelector)) {
+    const length = parseInt(data.slice(10 + 64, 10 + 128), 16)
+    return utils.hexToUtf8('0x' + data.slice(10 + 128, 10 + 128 + length * 2))
+  }
+
+  const message = (error && error.message) || ''
+  return Object.keys(reasons).find(reason => message.includes(reason))
+}
+
+// converts a failed call or transaction into a typed error, passing through errors it does not recognize
+function decodeError (error, context = {}) {
+  if (error instanceof IdentityRegistryError) return error
+
+  const reason = revertReason(error)
+  if (reason === undefined || reasons[reason] === undefined) return error
+
+  const ErrorClass = reasons[reason].prototype instanceof IdentityRegistryError
+    ? reasons[reason]
+    : reasons[reason](context.operation)
+  return new ErrorClass(reason, context)
+}
+
+module.exports = {
+  IdentityRegistryError: IdentityRegistryError,
+  IdentityNotFoundError: IdentityNotFoundError,
+  AddressAlreadyHasIdentityError: AddressAlreadyHasIdentityError,
+  AddressHasNoIdentityError: AddressHasNoIdentityError,
+  SignatureExpiredError: SignatureExpiredError,
+  PermissionDeniedError: PermissionDeniedError,
+  TooManyAddressesError: TooManyAddressesError,
+  ProviderNotSetError: ProviderNotSetError,
+  ProviderPermissionError: ProviderPermissionError,
+  RecoveryCooldownError: RecoveryCooldownError,
+  NotRecoveryAddressError: NotRecoveryAddressError,
+  PoisonPillError: PoisonPillError,
+  InvalidArgumentsError: InvalidArgumentsError,
+  NotGuardianError: NotGuardianError,
+  GuardianApprovalError: GuardianApprovalError,
+  InsufficientGasError: InsufficientGasError,
+  CallFailedError: CallFailedError,
+  reasons: reasons,
+  revertReason: revertReason,
+  decodeError: decodeError
+}
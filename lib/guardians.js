@@ -0,0 +1,185 @@
+const { utils } = require('web3')
+
+const { loadArtifact } = require('./artifacts')
+const IdentityRegistryClient = require('./client')
+const { findDeployment } = require('./deployments')
+const permissions = require('./permissions')
+const { sign } = require('./signatures')
+
+// the message that prefixes the approvals that guardians sign
+const approvalMessage = 'I approve recovering this Identity to this address.'
+
+function requireFields (fields, names) {
+  for (const name of names) {
+    if (fields[name] === undefined || fields[name] === null) throw new Error(`Missing approval field '${name}'.`)
+  }
+}
+
+// must match the hash in GuardianRecovery.approveRecoveryDelegated exactly
+function hashRecoveryApproval (fields) {
+  requireFields(fields, ['guardianRecovery', 'ein', 'newAssociatedAddress', 'nonce'])
+  return utils.soliditySha3(
+    { t: 'string', v: approvalMessage },
+    { t: 'address', v: fields.guardianRecovery },
+    { t: 'uint256', v: fields.ein.toString() },
+    { t: 'address', v: fields.newAssociatedAddress },
+    { t: 'uint256', v: fields.nonce.toString() }
+  )
+}
+
+// signs a guardian's approval of a recovery, which anyone can submit along with the approvals of other guardians
+async function signRecoveryApproval (fields, signer, method) {
+  const messageHash = hashRecoveryApproval(fields)
+  return { guardian: signer.address, messageHash: messageHash, signature: await sign(messageHash, signer, method) }
+}
+
+class GuardianRecoveryClient {
+  constructor (web3, address, options = {}) {
+    this.web3 = web3
+    this.address = address
+    this.contract = new web3.eth.Contract(options.abi || loadArtifact('GuardianRecovery').abi, address)
+    this.from = options.from
+    this.registryAbi = options.registryAbi
+  }
+
+  // creates a client for the GuardianRecovery deployed on the network that web3 is connected to, per the address book
+  static async fromAddressBook (web3, options = {}) {
+    const { address } = await findDeployment(web3, 'GuardianRecovery', options.addressBook)
+    return new GuardianRecoveryClient(web3, address, options)
+  }
+
+  // a client for the registry that identities are recovered in
+  async getRegistry () {
+    if (this.registry === undefined) {
+      const address = await this.contract.methods.identityRegistry().call()
+      this.registry = new IdentityRegistryClient(this.web3, address, { abi: this.registryAbi, from: this.from })
+    }
+    return this.registry
+  }
+
+  // reads
+
+  // the guardians in force for an identity, and those that will replace them, if any
+  async getGuardians (ein) {
+    const context = { operation: 'getGuardians', ein: ein }
+    const current = await this.call(this.contract.methods.getGuardians(ein.toString()), context)
+    const pending = await this.call(this.contract.methods.getPendingGuardians(ein.toString()), context)
+
+    return {
+      guardians: current.guardians.map(guardian => utils.toChecksumAddress(guardian)),
+      threshold: Number(current.threshold),
+      delay: Number(current.delay),
+      pending: pending.guardians.length === 0 ? undefined : {
+        guardians: pending.guardians.map(guardian => utils.toChecksumAddress(guardian)),
+        threshold: Number(pending.threshold),
+        delay: Number(pending.delay),
+        activeFrom: Number(pending.activeFrom)
+      }
+    }
+  }
+
+  // the nonce that approvals of recoveries of an identity include, which changes after every recovery
+  async getNonce (ein) {
+    return utils.toBN(await this.contract.methods.getRecoveryNonce(ein.toString()).call())
+  }
+
+  // the progress of a recovery as of the latest block: which guardians have approved it, how many more approvals it
+  // needs, and the seconds until it can be executed once it has enough
+  async getProgress (ein, newAssociatedAddress) {
+    const context = { operation: 'getRecovery', ein: ein, addresses: [newAssociatedAddress] }
+    const { guardians, threshold } = await this.getGuardians(ein)
+    const recovery = await this.call(this.contract.methods.getRecovery(ein.toString(), newAssociatedAddress), context)
+    const { timestamp: now } = await this.web3.eth.getBlock('latest')
+
+    const approvedBy = []
+    for (const guardian of guardians) {
+      if (await this.contract.methods.hasApproved(ein.toString(), newAssociatedAddress, guardian).call()) {
+        approvedBy.push(guardian)
+      }
+    }
+    const executableFrom = Number(recovery.executableFrom)
+
+    return {
+      ein: utils.toBN(ein),
+      newAssociatedAddress: utils.toChecksumAddress(newAssociatedAddress),
+      threshold: threshold,
+      approvals: Number(recovery.approvals),
+      approvedBy: approvedBy,
+      pendingGuardians: guardians.filter(guardian => !approvedBy.includes(guardian)),
+      needed: Math.max(0, threshold - Number(recovery.approvals)),
+      executableFrom: executableFrom === 0 ? undefined : executableFrom,
+      remaining: executableFrom === 0 ? undefined : Math.max(0, executableFrom - Number(now)),
+      executable: executableFrom !== 0 && Number(now) >= executableFrom
+    }
+  }
+
+  // writes
+
+  // sets the guardians of the sender's identity
+  async setGuardians (guardians, threshold, delay, options) {
+    const method = this.contract.methods.setGuardians(guardians, threshold.toString(), delay.toString())
+    return this.send(method, options, ['GuardiansSet'], { operation: 'setGuardians', addresses: guardians })
+  }
+
+  // approves a recovery as the sending guardian
+  async approve (ein, newAssociatedAddress, options) {
+    const method = this.contract.methods.approveRecovery(ein.toString(), newAssociatedAddress)
+    const context = { operation: 'approveRecovery', ein: ein, addresses: [newAssociatedAddress] }
+    return this.send(method, options, ['RecoveryApproved'], context)
+  }
+
+  // signs a guardian's approval of a recovery, to be collected and submitted with submitApprovals
+  async signApproval (ein, newAssociatedAddress, signer, method) {
+    return signRecoveryApproval({
+      guardianRecovery: this.address,
+      ein: ein,
+      newAssociatedAddress: newAssociatedAddress,
+      nonce: await this.getNonce(ein)
+    }, signer, method)
+  }
+
+  // submits collected approvals of a recovery from any address
+  async submitApprovals (ein, newAssociatedAddress, approvals, options) {
+    const method = this.contract.methods.approveRecoveryDelegated(
+      ein.toString(),
+      newAssociatedAddress,
+      approvals.map(approval => approval.guardian),
+      approvals.map(approval => approval.signature.v),
+      approvals.map(approval => approval.signature.r),
+      approvals.map(approval => approval.signature.s)
+    )
+    const context = {
+      operation: 'approveRecoveryDelegated',
+      ein: ein,
+      addresses: approvals.map(approval => approval.guardian)
+    }
+    return this.send(method, options, ['RecoveryApproved'], context)
+  }
+
+  // recovers an identity to the signer's address once the recovery is executable, sent from any address
+  async execute (ein, signer, options = {}) {
+    const registry = await this.getRegistry()
+    const fields = await registry.permissionFields(
+      { ein: ein.toString(), timestamp: options.timestamp, nonce: await registry.getNonce(signer.address) },
+      options.method
+    )
+    const permission = await permissions.triggerRecovery(fields, signer, options.method)
+    const context = { operation: 'executeRecovery', ein: ein, addresses: [signer.address] }
+    await registry.checkSignatureTimestamps([permission.args[5]], context)
+
+    const method = this.contract.methods.executeRecovery(...permission.args)
+    const result = await this.send(method, options, ['RecoveryExecuted'], context)
+    return Object.assign(result, { messageHashes: [permission.messageHash] })
+  }
+}
+
+// reads and transactions are made, and their failures decoded, like those of the registry
+GuardianRecoveryClient.prototype.call = IdentityRegistryClient.prototype.call
+GuardianRecoveryClient.prototype.send = IdentityRegistryClient.prototype.send
+
+module.exports = {
+  approvalMessage: approvalMessage,
+  hashRecoveryApproval: hashRecoveryApproval,
+  signRecoveryApproval: signRecoveryApproval,
+  GuardianRecoveryClient: GuardianRecoveryClient
+}
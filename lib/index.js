@@ -0,0 +1,38 @@
+const auth = require('./auth')
+const bindings = require('./bindings')
+const IdentityRegistryClient = require('./client')
+const deployments = require('./deployments')
+const did = require('./did')
+const errors = require('./errors')
+const guardians = require('./guardians')
+const { IdentityIndexer, MemoryStore } = require('./indexer')
+const RegistryMigration = require('./migration')
+const OnboardingWorkflow = require('./onboarding')
+const permissions = require('./permissions')
+const recovery = require('./recovery')
+const { Relayer, RelayError } = require('./relayer')
+const resolvers = require('./resolvers')
+const signatures = require('./signatures')
+const typedData = require('./typedData')
+
+module.exports = {
+  auth: auth,
+  bindings: bindings,
+  IdentityRegistryClient: IdentityRegistryClient,
+  deployments: deployments,
+  did: did,
+  errors: errors,
+  guardians: guardians,
+  GuardianRecoveryClient: guardians.GuardianRecoveryClient,
+  IdentityIndexer: IdentityIndexer,
+  MemoryStore: MemoryStore,
+  RegistryMigration: RegistryMigration,
+  OnboardingWorkflow: OnboardingWorkflow,
+  permissions: permissions,
+  recovery: recovery,
+  Relayer: Relayer,
+  RelayError: RelayError,
+  resolvers: resolvers,
+  signatures: signatures,
+  typedData: typedData
+}
@@ -0,0 +1,538 @@
+const { utils } = require('web3')
+
+const { loadArtifact } = require('./artifacts')
+const { findDeployment } = require('./deployments')
+
+// insertion and removal mirror AddressSet, so that indexed member orderings match getDetails exactly
+function insert (members, address) {
+  if (!members.includes(address)) members.push(address)
+}
+
+function remove (members, address) {
+  const index = members.indexOf(address)
+  if (index === -1) return
+  members[index] = members[members.length - 1]
+  members.pop()
+}
+
+const zeroAddress = '0x0000000000000000000000000000000000000000'
+
+function clone (value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+// strips the positional duplicates that web3 adds to decoded event values
+function namedValues (returnValues) {
+  const values = {}
+  for (const key of Object.keys(returnValues)) {
+    if (!/^\d+$/.test(key)) values[key] = returnValues[key]
+  }
+  return values
+}
+
+// the hooks of an event, as [hook, target] pairs, given the identity before the event
+// unlike the registry, which skips addresses without code and calls at most maxHookTargets resolvers of an identity at
+// once, every target is included, and recoveries and poisonings also notify the identity's providers
+function eventHooks (eventName, values, identity) {
+  switch (eventName) {
+    case 'IdentityMinted':
+    case 'IdentityImported':
+      return values.resolvers.map(resolver => ['onAddition', resolver])
+    case 'IdentityMigrated':
+      return identity.resolvers.map(resolver => ['onRemoval', resolver])
+    case 'ResolverAdded':
+      return identity.resolvers.includes(values.resolvers) ? [] : [['onAddition', values.resolvers]]
+    case 'ResolverRemoved':
+      return identity.resolvers.includes(values.resolvers) ? [['onRemoval', values.resolvers]] : []
+    case 'RecoveryTriggered':
+      return identity.providers.concat(identity.resolvers).map(target => ['onRecovery', target])
+    case 'Poisoned':
+      return identity.providers.concat(identity.resolvers).map(target => ['onPoison', target])
+    default:
+      return []
+  }
+}
+
+// the indexed state of an identity before its first event
+function emptyIdentity (ein) {
+  return {
+    ein: ein,
+    recoveryAddress: null,
+    associatedAddresses: [],
+    providers: [],
+    providerExpiries: {},
+    resolvers: [],
+    poisoned: false,
+    migratedTo: null,
+    history: []
+  }
+}
+
+// changes an indexed identity as IdentityRegistry did when it emitted an event
+function applyEvent (identity, eventName, values) {
+  switch (eventName) {
+    case 'IdentityMinted':
+      identity.recoveryAddress = values.recoveryAddress
+      insert(identity.associatedAddresses, values.associatedAddress)
+      insert(identity.providers, values.provider)
+      for (const resolver of values.resolvers) insert(identity.resolvers, resolver)
+      break
+    case 'AddressAdded':
+      insert(identity.associatedAddresses, values.addedAddress)
+      break
+    case 'AddressRemoved':
+      remove(identity.associatedAddresses, values.removedAddress)
+      break
+    case 'ProviderAdded':
+      insert(identity.providers, values.provider)
+      break
+    case 'ProviderRemoved':
+      remove(identity.providers, values.provider)
+      delete identity.providerExpiries[values.provider]
+      break
+    case 'ProviderExpirySet':
+      if (values.expiry === '0') delete identity.providerExpiries[values.provider]
+      else identity.providerExpiries[values.provider] = values.expiry
+      break
+    case 'ResolverAdded':
+      insert(identity.resolvers, values.resolvers)
+      break
+    case 'ResolverRemoved':
+      remove(identity.resolvers, values.resolvers)
+      break
+    case 'RecoveryAddressChangeInitiated':
+      identity.recoveryAddress = values.newRecoveryAddress
+      break
+    case 'RecoveryTriggered':
+      identity.recoveryAddress = values.recoveryAddress
+      identity.associatedAddresses = [values.newAssociatedAddress]
+      identity.providers = []
+      identity.providerExpiries = {}
+      break
+    case 'Poisoned':
+      identity.associatedAddresses = []
+      identity.providers = []
+      identity.providerExpiries = {}
+      if (values.resolversCleared) identity.resolvers = []
+      identity.poisoned = true
+      break
+    case 'IdentityImported':
+      identity.recoveryAddress = values.recoveryAddress
+      for (const address of values.associatedAddresses) insert(identity.associatedAddresses, address)
+      for (const resolver of values.resolvers) insert(identity.resolvers, resolver)
+      break
+    case 'IdentityMigrated':
+      identity.recoveryAddress = zeroAddress
+      identity.associatedAddresses = []
+      identity.providers = []
+      identity.providerExpiries = {}
+      identity.resolvers = []
+      identity.migratedTo = values.successor
+      break
+  }
+}
+
+// an in-memory store, any object implementing the same async methods can be passed to the indexer instead
+class MemoryStore {
+  constructor () {
+    this.identities = new Map()
+    this.blocks = []
+    this.lastBlock = undefined
+  }
+
+  async getIdentity (ein) {
+    return clone(this.identities.get(ein.toString()))
+  }
+
+  // setting an identity to undefined deletes it
+  async setIdentity (ein, identity) {
+    if (identity === undefined) this.identities.delete(ein.toString())
+    else this.identities.set(ein.toString(), clone(identity))
+  }
+
+  async getEINs () {
+    return [...this.identities.keys()]
+  }
+
+  async getLastBlock () {
+    return this.lastBlock
+  }
+
+  async setLastBlock (number) {
+    this.lastBlock = number
+  }
+
+  // unconfirmed blocks that can still be rolled back, in ascending order
+  async getBlocks () {
+    return clone(this.blocks)
+  }
+
+  async addBlock (block) {
+    this.blocks.push(clone(block))
+  }
+
+  async removeBlock (number) {
+    this.blocks = this.blocks.filter(block => block.number !== number)
+  }
+}
+
+// replays IdentityRegistry events into a store, enabling queries that are impossible on-chain
+class IdentityIndexer {
+  constructor (web3, address, options = {}) {
+    this.web3 = web3
+    this.contract = new web3.eth.Contract(options.abi || loadArtifact('IdentityRegistry').abi, address)
+    this.store = options.store || new MemoryStore()
+    this.fromBlock = options.fromBlock || 0
+    this.confirmations = options.confirmations === undefined ? 12 : options.confirmations
+    this.subscriptions = new Set()
+  }
+
+  // creates an indexer for the registry deployed on the network that web3 is connected to, per the address book
+  // indexing starts from the deploy block of the registry, unless fromBlock is passed
+  static async fromAddressBook (web3, options = {}) {
+    const { address, deployBlock } = await findDeployment(web3, 'IdentityRegistry', options.addressBook)
+    return new IdentityIndexer(web3, address, Object.assign({ fromBlock: deployBlock }, options))
+  }
+
+  // indexes all events up to toBlock (by default the latest block), returning the last indexed block
+  async sync (toBlock) {
+    await this.rollbackReorgs()
+
+    const latest = toBlock === undefined ? await this.web3.eth.getBlockNumber() : toBlock
+    const lastBlock = await this.store.getLastBlock()
+    const fromBlock = lastBlock === undefined ? this.fromBlock : lastBlock + 1
+    if (fromBlock > latest) return lastBlock
+
+    const events = await this.contract.getPastEvents('allEvents', { fromBlock: fromBlock, toBlock: latest })
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+
+    // apply events block by block, recording how to undo each block in case it is reorged out
+    const blockNumbers = [...new Set(events.map(event => event.blockNumber))]
+    const notifications = []
+    for (const number of blockNumbers) {
+      const blockEvents = events.filter(event => event.blockNumber === number)
+      const undo = []
+      for (const event of blockEvents) {
+        notifications.push(...await this.apply(event, undo))
+      }
+      await this.store.addBlock({ number: number, hash: blockEvents[0].blockHash, undo: undo })
+    }
+
+    // remember the hash of the latest block, so that reorgs without registry events are also detected
+    if (!blockNumbers.includes(latest)) {
+      const block = await this.web3.eth.getBlock(latest)
+      await this.store.addBlock({ number: latest, hash: block.hash, undo: [] })
+    }
+
+    await this.store.setLastBlock(latest)
+    await this.prune(latest)
+    await this.notify(notifications)
+    return latest
+  }
+
+  // calls handler with every hook of target, or of any address if target is undefined, see eventHooks
+  // handlers are called once their events are indexed, and are not called again if their block is reorged out
+  // returns a function that ends the subscription
+  subscribe (target, handler) {
+    const subscription = { target: target === undefined ? undefined : target.toLowerCase(), handler: handler }
+    this.subscriptions.add(subscription)
+    return () => this.subscriptions.delete(subscription)
+  }
+
+  async notify (notifications) {
+    for (const notification of notifications) {
+      for (const { target, handler } of this.subscriptions) {
+        if (target === undefined || target === notification.target.toLowerCase()) await handler(notification)
+      }
+    }
+  }
+
+  // forgets undo information for blocks that have reached the confirmation depth
+  // the latest block is always kept, so that reorgs are detected even without confirmations
+  async prune (latest) {
+    for (const block of await this.store.getBlocks()) {
+      if (block.number <= latest - this.confirmations && block.number !== latest) {
+        await this.store.removeBlock(block.number)
+      }
+    }
+  }
+
+  // rolls back every unconfirmed block from the first one that is no longer part of the chain
+  // only blocks with events and the latest synced block are tracked, so the fork may be anywhere after the last block
+  // that still matches, from which events are fetched again
+  async rollbackReorgs () {
+    const blocks = await this.store.getBlocks()
+
+    let forkIndex = -1
+    for (let i = 0; i < blocks.length && forkIndex === -1; i++) {
+      const block = await this.web3.eth.getBlock(blocks[i].number)
+      if (!block || block.hash !== blocks[i].hash) forkIndex = i
+    }
+    if (forkIndex === -1) return
+
+    // if even the oldest tracked block was reorged, the fork is after the confirmed blocks, which were pruned and whose
+    // events stay applied, so events are only fetched again from there
+    const confirmed = Math.min((await this.store.getLastBlock()) - this.confirmations, blocks[0].number - 1)
+
+    for (const block of blocks.slice(forkIndex).reverse()) {
+      for (const { ein, identity } of block.undo.reverse()) {
+        await this.store.setIdentity(ein, identity)
+      }
+      await this.store.removeBlock(block.number)
+    }
+    await this.store.setLastBlock(
+      forkIndex === 0 ? Math.max(this.fromBlock - 1, confirmed) : blocks[forkIndex - 1].number
+    )
+  }
+
+  // applies a single event to the store, recording the previous state of the identity in undo
+  // returns a notification for every hook that the event calls
+  async apply (event, undo) {
+    const values = namedValues(event.returnValues)
+    // changes of the registry's parameters and governor concern no identity
+    if (values.ein === undefined) return []
+    const ein = values.ein.toString()
+    const previous = await this.store.getIdentity(ein)
+    undo.push({ ein: ein, identity: clone(previous) })
+
+    const identity = previous || emptyIdentity(ein)
+    identity.history.push({
+      event: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      values: values
+    })
+    const notifications = eventHooks(event.event, values, identity).map(([hook, target]) => ({
+      hook: hook,
+      ein: ein,
+      target: target,
+      event: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash
+    }))
+
+    applyEvent(identity, event.event, values)
+
+    await this.store.setIdentity(ein, identity)
+    return notifications
+  }
+
+  // queries
+
+  async getIdentity (ein) {
+    return this.store.getIdentity(ein)
+  }
+
+  async getIdentities () {
+    return Promise.all((await this.store.getEINs()).map(ein => this.store.getIdentity(ein)))
+  }
+
+  // addresses are indexed checksummed, so queries accept them in any case
+  async getEIN (address) {
+    address = utils.toChecksumAddress(address)
+    const identity = (await this.getIdentities()).find(identity => identity.associatedAddresses.includes(address))
+    return identity === undefined ? undefined : identity.ein
+  }
+
+  async getEINsForProvider (provider) {
+    provider = utils.toChecksumAddress(provider)
+    return (await this.getIdentities())
+      .filter(identity => identity.providers.includes(provider))
+      .map(identity => identity.ein)
+  }
+
+  async getEINsForResolver (resolver) {
+    resolver = utils.toChecksumAddress(resolver)
+    return (await this.getIdentities())
+      .filter(identity => identity.resolvers.includes(resolver))
+      .map(identity => identity.ein)
+  }
+
+  // the providers that expire within the passed number of seconds of now, which defaults to the latest block time
+  // providers that have already expired but are still set are included, and all are sorted by expiry
+  async getExpiringProviders ({ within = 7 * 24 * 60 * 60, now } = {}) {
+    if (now === undefined) now = Number((await this.web3.eth.getBlock('latest')).timestamp)
+
+    const grants = []
+    for (const identity of await this.getIdentities()) {
+      for (const provider of identity.providers) {
+        const expiry = Number(identity.providerExpiries[provider] || 0)
+        if (expiry !== 0 && expiry <= now + within) {
+          grants.push({ ein: identity.ein, provider: provider, expiry: expiry, expired: expiry <= now })
+        }
+      }
+    }
+    return grants.sort((a, b) => a.expiry - b.expiry)
+  }
+
+  // every addition and removal of an associated address of an identity, in chain order
+  async getAddressHistory (ein) {
+    const identity = await this.store.getIdentity(ein)
+    if (identity === undefined) return []
+
+    const history = []
+    let associatedAddresses = []
+    for (const entry of identity.history) {
+      const record = (address, action) => history.push({
+        address: address,
+        action: action,
+        event: entry.event,
+        blockNumber: entry.blockNumber,
+        transactionHash: entry.transactionHash
+      })
+
+      switch (entry.event) {
+        case 'IdentityMinted':
+          record(entry.values.associatedAddress, 'added')
+          associatedAddresses = [entry.values.associatedAddress]
+          break
+        case 'AddressAdded':
+          record(entry.values.addedAddress, 'added')
+          associatedAddresses.push(entry.values.addedAddress)
+          break
+        case 'AddressRemoved':
+          record(entry.values.removedAddress, 'removed')
+          associatedAddresses = associatedAddresses.filter(address => address !== entry.values.removedAddress)
+          break
+        case 'RecoveryTriggered':
+          for (const address of entry.values.oldAssociatedAddresses) record(address, 'removed')
+          record(entry.values.newAssociatedAddress, 'added')
+          associatedAddresses = [entry.values.newAssociatedAddress]
+          break
+        case 'IdentityImported':
+          for (const address of entry.values.associatedAddresses) record(address, 'added')
+          associatedAddresses = entry.values.associatedAddresses.slice()
+          break
+        case 'Poisoned':
+        case 'IdentityMigrated':
+          for (const address of associatedAddresses) record(address, 'removed')
+          associatedAddresses = []
+          break
+      }
+    }
+    return history
+  }
+
+  // historical queries, which replay the indexed events of an identity up to the end of a past block
+  // blocks are passed by number, or as { timestamp } for the last block mined at or before a unix timestamp
+  // answers are checked against calls of the registry at the block, if the node still has the state of the block as
+  // archive nodes do, and the indexer throws if they differ, e.g. because fromBlock is after the identity was minted
+
+  // the number and timestamp of the block that a historical query refers to
+  async resolveBlock (blockOrTimestamp) {
+    const latest = await this.web3.eth.getBlock('latest')
+    if (blockOrTimestamp === undefined || blockOrTimestamp.timestamp === undefined) {
+      const number = Number(blockOrTimestamp)
+      if (!Number.isInteger(number) || number < 0) throw new Error('The block must be a number or { timestamp }.')
+      if (number > latest.number) throw new Error('The block has not been mined yet.')
+      return { number: number, timestamp: Number((await this.web3.eth.getBlock(number)).timestamp) }
+    }
+
+    // block timestamps never decrease, so the last block at or before the timestamp can be found by bisection
+    const timestamp = Number(blockOrTimestamp.timestamp)
+    let low = 0
+    let high = latest.number
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2)
+      if (Number((await this.web3.eth.getBlock(middle)).timestamp) <= timestamp) low = middle
+      else high = middle - 1
+    }
+    const block = await this.web3.eth.getBlock(low)
+    if (Number(block.timestamp) > timestamp) throw new Error('No block was mined at or before the timestamp.')
+    return { number: block.number, timestamp: Number(block.timestamp) }
+  }
+
+  // the indexed state of an identity at the end of a block, or undefined if it had not been minted by then
+  async identityAt (ein, blockNumber) {
+    if (blockNumber < this.fromBlock) throw new Error('The block is before the indexed history.')
+    const lastBlock = await this.store.getLastBlock()
+    if (lastBlock === undefined || lastBlock < blockNumber) await this.sync()
+
+    const indexed = await this.store.getIdentity(ein)
+    const entries = indexed === undefined ? [] : indexed.history.filter(entry => entry.blockNumber <= blockNumber)
+    if (entries.length === 0) return undefined
+
+    const identity = emptyIdentity(indexed.ein)
+    for (const entry of entries) applyEvent(identity, entry.event, entry.values)
+    return identity
+  }
+
+  // calls a view of the registry at a past block, returning undefined if the node no longer has the state of the
+  // block, which nodes report in different ways, or if the registry had not been deployed yet
+  async callAt (method, blockNumber) {
+    try {
+      return await method.call({}, blockNumber)
+    } catch (error) {
+      return undefined
+    }
+  }
+
+  // the details of an identity at the end of a block, as getDetails returned them then, along with whether the
+  // identity existed and when its providers expire. verified is true if the details were checked against the chain
+  async getDetailsAt (ein, blockOrTimestamp, { verify = true } = {}) {
+    const block = await this.resolveBlock(blockOrTimestamp)
+    const minted = await this.identityAt(ein, block.number)
+    const identity = minted || emptyIdentity(ein.toString())
+    const details = {
+      ein: ein.toString(),
+      blockNumber: block.number,
+      timestamp: block.timestamp,
+      exists: minted !== undefined,
+      recoveryAddress: identity.recoveryAddress || zeroAddress,
+      associatedAddresses: identity.associatedAddresses,
+      providers: identity.providers,
+      providerExpiries: identity.providerExpiries,
+      resolvers: identity.resolvers,
+      verified: false
+    }
+    if (!verify) return details
+
+    const methods = this.contract.methods
+    const exists = await this.callAt(methods.identityExists(ein), block.number)
+    if (exists === undefined) return details
+    const onChain = exists
+      ? await this.callAt(methods.getDetails(ein), block.number)
+      : { recoveryAddress: zeroAddress, associatedAddresses: [], providers: [], resolvers: [] }
+    if (onChain === undefined) return details
+
+    const matches = exists === details.exists && onChain.recoveryAddress === details.recoveryAddress &&
+      ['associatedAddresses', 'providers', 'resolvers'].every(
+        set => JSON.stringify(onChain[set]) === JSON.stringify(details[set])
+      )
+    if (!matches) {
+      throw new Error(`The indexed history of EIN ${ein} does not match the chain at block ${block.number}.`)
+    }
+    details.verified = true
+    return details
+  }
+
+  // whether an address was associated with an identity at the end of a block, as isAddressFor would have returned then
+  async wasAddressFor (ein, address, blockOrTimestamp, options) {
+    const details = await this.getDetailsAt(ein, blockOrTimestamp, options)
+    return details.associatedAddresses.includes(utils.toChecksumAddress(address))
+  }
+
+  // whether a provider was set and had not expired at the end of a block, as isProviderFor would have returned then
+  async wasProviderFor (ein, provider, blockOrTimestamp, options) {
+    const details = await this.getDetailsAt(ein, blockOrTimestamp, options)
+    provider = utils.toChecksumAddress(provider)
+    const expiry = Number(details.providerExpiries[provider] || 0)
+    const wasProvider = details.providers.includes(provider) && (expiry === 0 || details.timestamp < expiry)
+
+    // expiries are not part of getDetails, so verified answers also check getProviderExpiry, rather than isProviderFor,
+    // as some development chains run calls at past blocks at the current time
+    if (details.verified && details.exists) {
+      const onChain = await this.callAt(this.contract.methods.getProviderExpiry(ein, provider), details.blockNumber)
+      if (onChain !== undefined && Number(onChain) !== expiry) {
+        throw new Error(`The indexed expiry of ${provider} does not match the chain at block ${details.blockNumber}.`)
+      }
+    }
+    return wasProvider
+  }
+}
+
+module.exports = {
+  MemoryStore: MemoryStore,
+  IdentityIndexer: IdentityIndexer
+}
@@ -0,0 +1,92 @@
+const { utils } = require('web3')
+
+const IdentityRegistryClient = require('./client')
+const { IdentityRegistryError } = require('./errors')
+const { IdentityIndexer } = require('./indexer')
+const permissions = require('./permissions')
+
+// moves identities from a registry to a successor that was deployed with the registry as its predecessor
+// the identities to move are found by replaying the event history of the registry with an indexer, and each is
+// imported under a new EIN with the consent of one of its associated addresses, which anyone can submit
+class RegistryMigration {
+  constructor (web3, predecessor, successor, options = {}) {
+    this.web3 = web3
+    this.predecessor = new IdentityRegistryClient(web3, predecessor, { abi: options.abi, from: options.from })
+    this.successor = new IdentityRegistryClient(web3, successor, { abi: options.abi, from: options.from })
+    this.indexer = options.indexer || new IdentityIndexer(web3, predecessor, {
+      abi: options.abi, fromBlock: options.fromBlock
+    })
+  }
+
+  // the identities of the predecessor that still have associated addresses, and so can be migrated, by EIN
+  async getPendingIdentities () {
+    await this.indexer.sync()
+    return (await this.indexer.getIdentities())
+      .filter(identity => identity.associatedAddresses.length > 0)
+      .sort((a, b) => Number(a.ein) - Number(b.ein))
+  }
+
+  // the new EINs of the identities imported into the successor so far, by their EINs in the predecessor
+  async getImportedEINs (fromBlock = 0) {
+    const events = await this.successor.contract.getPastEvents('IdentityImported', { fromBlock: fromBlock })
+    const eins = {}
+    for (const event of events) eins[event.returnValues.oldEIN] = utils.toBN(event.returnValues.ein)
+    return eins
+  }
+
+  // signs the consent of an associated address to migrate its identity, valid from the latest block by default,
+  // as the predecessor checks it against its own signature timeout and consumes the signer's nonce there
+  async signConsent (ein, signer, options = {}) {
+    const timestamp = options.timestamp || Number((await this.web3.eth.getBlock('latest')).timestamp)
+    const fields = await this.predecessor.permissionFields({
+      ein: ein.toString(),
+      successor: this.successor.address,
+      timestamp: timestamp,
+      nonce: await this.predecessor.getNonce(signer.address)
+    }, options.method)
+    return permissions.migrateIdentity(fields, signer, options.method)
+  }
+
+  // imports an identity into the successor with a signed consent, returning its old and new EIN
+  async submitConsent (consent, options) {
+    const method = this.successor.contract.methods.importIdentity(...consent.args)
+    const context = { operation: 'importIdentity', addresses: [consent.args[0]] }
+    const result = await this.successor.send(method, options, ['IdentityImported'], context)
+    if (result.event === undefined) return result
+
+    return Object.assign(result, {
+      oldEIN: utils.toBN(result.event.returnValues.oldEIN),
+      ein: utils.toBN(result.event.returnValues.ein)
+    })
+  }
+
+  // migrates every pending identity that one of the signers is associated with, one transaction at a time
+  // identities without a signer, or that cannot be migrated yet, e.g. during their recovery windows, are skipped
+  async migrateAll (signers, options = {}) {
+    const migrated = []
+    const skipped = []
+
+    for (const identity of await this.getPendingIdentities()) {
+      const ein = utils.toBN(identity.ein)
+      const signer = signers.find(
+        signer => identity.associatedAddresses.includes(utils.toChecksumAddress(signer.address))
+      )
+      if (signer === undefined) {
+        skipped.push({ ein: ein, reason: 'No signer is associated with the identity.' })
+        continue
+      }
+
+      try {
+        const result = await this.submitConsent(await this.signConsent(ein, signer, options), options)
+        migrated.push({ oldEIN: ein, ein: result.ein, transactionHash: result.receipt.transactionHash })
+      } catch (error) {
+        if (!(error instanceof IdentityRegistryError)) throw error
+        skipped.push({ ein: ein, reason: error.reason })
+      }
+    }
+
+    return { migrated: migrated, skipped: skipped }
+  }
+}
+
+module.exports = RegistryMigration
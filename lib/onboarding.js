@@ -0,0 +1,158 @@
+const { utils } = require('web3')
+
+const permissions = require('./permissions')
+
+// onboards a user onto a provider, by minting an identity for the first signer and adding every other signer to it
+// every permission is signed up front, after which the steps can be submitted one by one or in a single transaction
+class OnboardingWorkflow {
+  constructor (client, { recoveryAddress, resolvers = [], signers, from, method }) {
+    if (!signers || signers.length === 0) throw new Error('Onboarding requires at least one signer.')
+
+    this.client = client
+    this.recoveryAddress = recoveryAddress
+    this.resolvers = resolvers
+    this.signers = signers
+    this.from = from || client.from
+    this.method = method
+    this.ein = undefined
+
+    this.steps = signers.map((signer, i) => ({
+      name: i === 0 ? 'mintIdentityDelegated' : 'addAddress',
+      address: utils.toChecksumAddress(signer.address),
+      args: undefined,
+      confirmed: false,
+      receipt: undefined
+    }))
+  }
+
+  // signs the permissions of every unconfirmed step, predicting the EIN that the identity will be minted with
+  // the first signer signs the mint and then approves each address in turn, so its nonces are consumed in order
+  // if another identity is minted first, the remaining permissions must be collected again once this one is minted
+  async collectSignatures () {
+    const [signer, ...addingSigners] = this.signers
+    const minted = this.steps[0].confirmed
+    const ein = minted ? this.ein : utils.toBN(await this.client.contract.methods.nextEIN().call())
+    const fields = await this.client.permissionFields({ timestamp: permissions.currentTimestamp() }, this.method)
+    let nonce = await this.client.getNonce(signer.address)
+
+    if (!minted) {
+      const permission = await permissions.mintIdentityDelegated(Object.assign({}, fields, {
+        recoveryAddress: this.recoveryAddress,
+        provider: this.from,
+        resolvers: this.resolvers,
+        nonce: nonce
+      }), signer, this.method)
+      this.steps[0].args = permission.args
+      nonce = nonce.addn(1)
+    }
+
+    for (const [i, addingSigner] of addingSigners.entries()) {
+      const step = this.steps[i + 1]
+      if (step.confirmed) continue
+
+      const permission = await permissions.addAddress(Object.assign({}, fields, {
+        ein: ein,
+        nonce: [nonce, await this.client.getNonce(addingSigner.address)]
+      }), signer, addingSigner, this.method)
+      step.args = permission.args
+      nonce = nonce.addn(1)
+    }
+
+    this.ein = ein
+    return this.steps
+  }
+
+  // checks whether a step has already landed, e.g. when its transaction was mined but its receipt was never received
+  async isComplete (step) {
+    if (step.name === 'mintIdentityDelegated') return this.client.hasIdentity(step.address)
+    return this.client.isAddressFor(this.ein, step.address)
+  }
+
+  // submits every unconfirmed step in order, so that calling it again after a failure resumes where it failed
+  // onProgress is called with { index, total, step, address, status } as each step is sent, confirmed or skipped
+  async submit ({ onProgress = () => {}, gasPrice } = {}) {
+    if (this.steps.some(step => !step.confirmed && step.args === undefined)) await this.collectSignatures()
+
+    const total = this.steps.length
+    for (const [index, step] of this.steps.entries()) {
+      if (step.confirmed) continue
+      const progress = { index: index, total: total, step: step.name, address: step.address }
+
+      if (await this.isComplete(step)) {
+        step.confirmed = true
+        onProgress(Object.assign({ status: 'skipped' }, progress))
+        if (index === 0) this.checkEIN(await this.client.getEIN(step.address))
+        continue
+      }
+
+      const minting = index === 0
+      const context = { operation: step.name, ein: minting ? undefined : this.ein, addresses: [step.address] }
+      await this.client.checkSignatureTimestamps(minting ? [step.args[6]] : step.args[5], context)
+
+      onProgress(Object.assign({ status: 'sending' }, progress))
+      const method = this.client.contract.methods[step.name](...step.args)
+      const eventNames = [minting ? 'IdentityMinted' : 'AddressAdded']
+      const { receipt, event } = await this.client.send(method, { from: this.from, gasPrice }, eventNames, context)
+
+      step.confirmed = true
+      step.receipt = receipt
+      onProgress(Object.assign({ status: 'confirmed', receipt: receipt }, progress))
+
+      if (minting) this.checkEIN(utils.toBN(event.returnValues.ein))
+    }
+
+    return { ein: this.ein, steps: this.steps }
+  }
+
+  // the permissions to add addresses are only valid for the EIN that they were signed for
+  checkEIN (ein) {
+    if (ein.eq(this.ein)) return
+    this.ein = ein
+    for (const step of this.steps.slice(1)) step.args = undefined
+
+    if (this.steps.length > 1) {
+      throw new Error(
+        `The identity was minted with EIN ${ein} instead of the predicted EIN, ` +
+        'so the signatures of the remaining steps must be collected again.'
+      )
+    }
+  }
+
+  // submits every step atomically with mintIdentityDelegatedWithAddresses, which is only possible before any step
+  async submitBatch ({ onProgress = () => {}, gasPrice } = {}) {
+    if (this.steps.some(step => step.confirmed)) throw new Error('Onboarding has already been partially submitted.')
+    if (this.steps.some(step => step.args === undefined)) await this.collectSignatures()
+
+    const [mint, ...adds] = this.steps
+    const signatures = { v: [mint.args[3]], r: [mint.args[4]], s: [mint.args[5]], timestamp: [mint.args[6]] }
+    for (const { args } of adds) {
+      signatures.v.push(...args[2])
+      signatures.r.push(...args[3])
+      signatures.s.push(...args[4])
+      signatures.timestamp.push(...args[5])
+    }
+
+    const progress = { index: 0, total: 1, step: 'mintIdentityDelegatedWithAddresses', address: mint.address }
+    const context = { operation: progress.step, addresses: this.steps.map(step => step.address) }
+    await this.client.checkSignatureTimestamps(signatures.timestamp, context)
+
+    onProgress(Object.assign({ status: 'sending' }, progress))
+    const method = this.client.contract.methods.mintIdentityDelegatedWithAddresses(
+      this.recoveryAddress, mint.address, this.resolvers, adds.map(step => step.address),
+      signatures.v, signatures.r, signatures.s, signatures.timestamp
+    )
+    const eventNames = ['IdentityMinted', 'AddressAdded']
+    const result = await this.client.send(method, { from: this.from, gasPrice }, eventNames, context)
+
+    for (const step of this.steps) {
+      step.confirmed = true
+      step.receipt = result.receipt
+    }
+    onProgress(Object.assign({ status: 'confirmed', receipt: result.receipt }, progress))
+
+    this.ein = utils.toBN(result.event.returnValues.ein)
+    return { ein: this.ein, steps: this.steps }
+  }
+}
+
+module.exports = OnboardingWorkflow
@@ -0,0 +1,345 @@
+const { utils } = require('web3')
+
+const { sign, signTypedData } = require('./signatures')
+const { buildTypedData, hashTypedData } = require('./typedData')
+
+// the messages that prefix every permission the IdentityRegistry checks
+const messages = {
+  mintIdentityDelegated: 'I authorize an Identity to be minted on my behalf.',
+  addAddressApproving: 'I authorize adding this address to my Identity.',
+  addAddressToAdd: 'I authorize being added to this Identity.',
+  removeAddress: 'I authorize removing this address from my Identity.',
+  triggerRecovery: 'I authorize being added to this Identity via recovery.',
+  migrateIdentity: 'I authorize migrating this Identity to this registry.'
+}
+
+// the current unix timestamp, backdated by a second so that it is valid in the next block
+function currentTimestamp () {
+  return Math.round(new Date() / 1000) - 1
+}
+
+// fetches the nonce that the next permission signed by an address must include to be protected against replays
+async function fetchNonce (web3, registry, address) {
+  const abi = [{
+    name: 'signatureNonces',
+    type: 'function',
+    constant: true,
+    inputs: [{ name: '', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }]
+  return new web3.eth.Contract(abi, registry).methods.signatureNonces(address).call()
+}
+
+// fills in defaults for any fields that were not passed (or were passed as undefined)
+function withDefaults (defaults, fields) {
+  const filled = Object.assign({}, defaults)
+  for (const name of Object.keys(fields)) {
+    if (fields[name] !== undefined) filled[name] = fields[name]
+  }
+  return filled
+}
+
+function requireFields (fields, names) {
+  for (const name of names) {
+    if (fields[name] === undefined || fields[name] === null) throw new Error(`Missing permission field '${name}'.`)
+  }
+}
+
+// permissions are signed as the hash of their message hash and the signer's nonce
+function withNonce (messageHash, nonce) {
+  return utils.soliditySha3({ t: 'bytes32', v: messageHash }, { t: 'uint256', v: nonce.toString() })
+}
+
+// the hashes below must match the abi.encodePacked arguments in IdentityRegistry exactly
+// the registry only accepts them with the signer's nonce, see fetchNonce
+function hashMintIdentityDelegated (fields) {
+  requireFields(
+    fields, ['registry', 'recoveryAddress', 'associatedAddress', 'provider', 'resolvers', 'timestamp', 'nonce']
+  )
+  const messageHash = utils.soliditySha3(
+    { t: 'string', v: messages.mintIdentityDelegated },
+    { t: 'address', v: fields.registry },
+    { t: 'address', v: fields.recoveryAddress },
+    { t: 'address', v: fields.associatedAddress },
+    { t: 'address', v: fields.provider },
+    { t: 'address[]', v: fields.resolvers },
+    { t: 'uint256', v: fields.timestamp }
+  )
+  return withNonce(messageHash, fields.nonce)
+}
+
+function hashAddAddressApproving (fields) {
+  requireFields(fields, ['registry', 'ein', 'addressToAdd', 'timestamp', 'nonce'])
+  const messageHash = utils.soliditySha3(
+    { t: 'string', v: messages.addAddressApproving },
+    { t: 'address', v: fields.registry },
+    { t: 'uint256', v: fields.ein },
+    { t: 'address', v: fields.addressToAdd },
+    { t: 'uint256', v: fields.timestamp }
+  )
+  return withNonce(messageHash, fields.nonce)
+}
+
+function hashAddAddressToAdd (fields) {
+  requireFields(fields, ['registry', 'ein', 'addressToAdd', 'timestamp', 'nonce'])
+  const messageHash = utils.soliditySha3(
+    { t: 'string', v: messages.addAddressToAdd },
+    { t: 'address', v: fields.registry },
+    { t: 'uint256', v: fields.ein },
+    { t: 'address', v: fields.addressToAdd },
+    { t: 'uint256', v: fields.timestamp }
+  )
+  return withNonce(messageHash, fields.nonce)
+}
+
+function hashRemoveAddress (fields) {
+  requireFields(fields, ['registry', 'ein', 'addressToRemove', 'timestamp', 'nonce'])
+  const messageHash = utils.soliditySha3(
+    { t: 'string', v: messages.removeAddress },
+    { t: 'address', v: fields.registry },
+    { t: 'uint256', v: fields.ein },
+    { t: 'address', v: fields.addressToRemove },
+    { t: 'uint256', v: fields.timestamp }
+  )
+  return withNonce(messageHash, fields.nonce)
+}
+
+function hashTriggerRecovery (fields) {
+  requireFields(fields, ['registry', 'ein', 'newAssociatedAddress', 'timestamp', 'nonce'])
+  const messageHash = utils.soliditySha3(
+    { t: 'string', v: messages.triggerRecovery },
+    { t: 'address', v: fields.registry },
+    { t: 'uint256', v: fields.ein },
+    { t: 'address', v: fields.newAssociatedAddress },
+    { t: 'uint256', v: fields.timestamp }
+  )
+  return withNonce(messageHash, fields.nonce)
+}
+
+// the registry is the one that the identity is migrated from, and the successor the one that imports it
+function hashMigrateIdentity (fields) {
+  requireFields(fields, ['registry', 'ein', 'successor', 'timestamp', 'nonce'])
+  const messageHash = utils.soliditySha3(
+    { t: 'string', v: messages.migrateIdentity },
+    { t: 'address', v: fields.registry },
+    { t: 'uint256', v: fields.ein },
+    { t: 'address', v: fields.successor },
+    { t: 'uint256', v: fields.timestamp }
+  )
+  return withNonce(messageHash, fields.nonce)
+}
+
+// the EIP-712 typed data that can be signed instead of each of the hashes above, which always includes the nonce
+// numbers are passed as decimal strings, so that the payloads can be serialized for eth_signTypedData
+function typedMintIdentityDelegated (fields) {
+  requireFields(
+    fields,
+    ['registry', 'chainId', 'recoveryAddress', 'associatedAddress', 'provider', 'resolvers', 'timestamp', 'nonce']
+  )
+  return buildTypedData('MintIdentity', fields, {
+    recoveryAddress: fields.recoveryAddress,
+    associatedAddress: fields.associatedAddress,
+    provider: fields.provider,
+    resolvers: fields.resolvers,
+    timestamp: fields.timestamp.toString(),
+    nonce: fields.nonce.toString()
+  })
+}
+
+function typedAddAddressApproving (fields) {
+  requireFields(fields, ['registry', 'chainId', 'ein', 'addressToAdd', 'timestamp', 'nonce'])
+  return buildTypedData('ApproveAddress', fields, {
+    ein: fields.ein.toString(),
+    addressToAdd: fields.addressToAdd,
+    timestamp: fields.timestamp.toString(),
+    nonce: fields.nonce.toString()
+  })
+}
+
+function typedAddAddressToAdd (fields) {
+  requireFields(fields, ['registry', 'chainId', 'ein', 'addressToAdd', 'timestamp', 'nonce'])
+  return buildTypedData('JoinIdentity', fields, {
+    ein: fields.ein.toString(),
+    addressToAdd: fields.addressToAdd,
+    timestamp: fields.timestamp.toString(),
+    nonce: fields.nonce.toString()
+  })
+}
+
+function typedRemoveAddress (fields) {
+  requireFields(fields, ['registry', 'chainId', 'ein', 'addressToRemove', 'timestamp', 'nonce'])
+  return buildTypedData('RemoveAddress', fields, {
+    ein: fields.ein.toString(),
+    addressToRemove: fields.addressToRemove,
+    timestamp: fields.timestamp.toString(),
+    nonce: fields.nonce.toString()
+  })
+}
+
+function typedTriggerRecovery (fields) {
+  requireFields(fields, ['registry', 'chainId', 'ein', 'newAssociatedAddress', 'timestamp', 'nonce'])
+  return buildTypedData('TriggerRecovery', fields, {
+    ein: fields.ein.toString(),
+    newAssociatedAddress: fields.newAssociatedAddress,
+    timestamp: fields.timestamp.toString(),
+    nonce: fields.nonce.toString()
+  })
+}
+
+function typedMigrateIdentity (fields) {
+  requireFields(fields, ['registry', 'chainId', 'ein', 'successor', 'timestamp', 'nonce'])
+  return buildTypedData('MigrateIdentity', fields, {
+    ein: fields.ein.toString(),
+    successor: fields.successor,
+    timestamp: fields.timestamp.toString(),
+    nonce: fields.nonce.toString()
+  })
+}
+
+// signs a permission as typed data when method is 'typed', and as a raw hash ('prefixed' or 'unprefixed') otherwise
+// the returned messageHash is the digest that the signature recovers from
+async function signPermission (fields, hash, typed, signer, method) {
+  if (method !== 'typed') {
+    const messageHash = hash(fields)
+    return { messageHash: messageHash, signature: await sign(messageHash, signer, method) }
+  }
+
+  const typedData = typed(fields)
+  return {
+    messageHash: hashTypedData(typedData),
+    signature: await signTypedData(typedData, signer),
+    typedData: typedData
+  }
+}
+
+// signs the permission for mintIdentityDelegated, returning the arguments to be sent by the provider
+async function mintIdentityDelegated (fields, signer, method) {
+  fields = withDefaults({ associatedAddress: signer.address, resolvers: [], timestamp: currentTimestamp() }, fields)
+  const { messageHash, signature, typedData } = await signPermission(
+    fields, hashMintIdentityDelegated, typedMintIdentityDelegated, signer, method
+  )
+
+  return {
+    messageHash: messageHash,
+    signature: signature,
+    typedData: typedData,
+    args: [
+      fields.recoveryAddress, fields.associatedAddress, fields.resolvers,
+      signature.v, signature.r, signature.s, fields.timestamp
+    ]
+  }
+}
+
+// signs the permission of an address of an identity to add addressToAdd to it, one half of addAddress
+async function approveAddress (fields, signer, method) {
+  fields = withDefaults({ timestamp: currentTimestamp() }, fields)
+  return signPermission(fields, hashAddAddressApproving, typedAddAddressApproving, signer, method)
+}
+
+// signs the permission of addressToAdd to be added to an identity, the other half of addAddress
+async function joinIdentity (fields, signer, method) {
+  fields = withDefaults({ addressToAdd: signer.address, timestamp: currentTimestamp() }, fields)
+  return signPermission(fields, hashAddAddressToAdd, typedAddAddressToAdd, signer, method)
+}
+
+// signs both permissions for addAddress, returning the arguments to be sent by the provider
+// timestamp and nonce can be pairs, for the approving address and the address to add respectively
+async function addAddress (fields, approvingSigner, addingSigner, method) {
+  const timestamp = fields.timestamp === undefined ? currentTimestamp() : fields.timestamp
+  const timestamps = Array.isArray(timestamp) ? timestamp : [timestamp, timestamp]
+  const nonces = Array.isArray(fields.nonce) ? fields.nonce : [fields.nonce, fields.nonce]
+  fields = withDefaults({ approvingAddress: approvingSigner.address, addressToAdd: addingSigner.address }, fields)
+
+  const permissions = [
+    await approveAddress(
+      Object.assign({}, fields, { timestamp: timestamps[0], nonce: nonces[0] }), approvingSigner, method
+    ),
+    await joinIdentity(Object.assign({}, fields, { timestamp: timestamps[1], nonce: nonces[1] }), addingSigner, method)
+  ]
+  const signatures = permissions.map(permission => permission.signature)
+
+  return {
+    messageHashes: permissions.map(permission => permission.messageHash),
+    signatures: signatures,
+    typedData: method === 'typed' ? permissions.map(permission => permission.typedData) : undefined,
+    args: [
+      fields.approvingAddress, fields.addressToAdd,
+      signatures.map(signature => signature.v),
+      signatures.map(signature => signature.r),
+      signatures.map(signature => signature.s),
+      timestamps
+    ]
+  }
+}
+
+// signs the permission for removeAddress, returning the arguments to be sent by the provider
+async function removeAddress (fields, signer, method) {
+  fields = withDefaults({ addressToRemove: signer.address, timestamp: currentTimestamp() }, fields)
+  const { messageHash, signature, typedData } = await signPermission(
+    fields, hashRemoveAddress, typedRemoveAddress, signer, method
+  )
+
+  return {
+    messageHash: messageHash,
+    signature: signature,
+    typedData: typedData,
+    args: [fields.addressToRemove, signature.v, signature.r, signature.s, fields.timestamp]
+  }
+}
+
+// signs the permission for triggerRecovery, returning the arguments to be sent by the recovery address
+async function triggerRecovery (fields, signer, method) {
+  fields = withDefaults({ newAssociatedAddress: signer.address, timestamp: currentTimestamp() }, fields)
+  const { messageHash, signature, typedData } = await signPermission(
+    fields, hashTriggerRecovery, typedTriggerRecovery, signer, method
+  )
+
+  return {
+    messageHash: messageHash,
+    signature: signature,
+    typedData: typedData,
+    args: [fields.ein, fields.newAssociatedAddress, signature.v, signature.r, signature.s, fields.timestamp]
+  }
+}
+
+// signs the permission for a successor registry to import an identity with importIdentity, returning the arguments
+// to be sent to the successor by anyone. the registry, chain id and nonce are those of the predecessor
+async function migrateIdentity (fields, signer, method) {
+  fields = withDefaults({ approvingAddress: signer.address, timestamp: currentTimestamp() }, fields)
+  const { messageHash, signature, typedData } = await signPermission(
+    fields, hashMigrateIdentity, typedMigrateIdentity, signer, method
+  )
+
+  return {
+    messageHash: messageHash,
+    signature: signature,
+    typedData: typedData,
+    args: [fields.approvingAddress, signature.v, signature.r, signature.s, fields.timestamp]
+  }
+}
+
+module.exports = {
+  messages: messages,
+  currentTimestamp: currentTimestamp,
+  fetchNonce: fetchNonce,
+  withNonce: withNonce,
+  hashMintIdentityDelegated: hashMintIdentityDelegated,
+  hashAddAddressApproving: hashAddAddressApproving,
+  hashAddAddressToAdd: hashAddAddressToAdd,
+  hashRemoveAddress: hashRemoveAddress,
+  hashTriggerRecovery: hashTriggerRecovery,
+  hashMigrateIdentity: hashMigrateIdentity,
+  typedMintIdentityDelegated: typedMintIdentityDelegated,
+  typedAddAddressApproving: typedAddAddressApproving,
+  typedAddAddressToAdd: typedAddAddressToAdd,
+  typedRemoveAddress: typedRemoveAddress,
+  typedTriggerRecovery: typedTriggerRecovery,
+  typedMigrateIdentity: typedMigrateIdentity,
+  mintIdentityDelegated: mintIdentityDelegated,
+  approveAddress: approveAddress,
+  joinIdentity: joinIdentity,
+  addAddress: addAddress,
+  removeAddress: removeAddress,
+  triggerRecovery: triggerRecovery,
+  migrateIdentity: migrateIdentity
+}
@@ -0,0 +1,135 @@
+const ethUtil = require('ethereumjs-util')
+const { utils } = require('web3')
+
+const { NotRecoveryAddressError, PoisonPillError, RecoveryCooldownError } = require('./errors')
+
+// the seconds until a window opened at timestamp closes, mirroring isRecoveryTimedOut
+function secondsRemaining (timestamp, recoveryTimeout, now) {
+  return Math.max(0, timestamp + recoveryTimeout + 1 - now)
+}
+
+// the hash that triggerRecovery logs of the addresses it removes, i.e. keccak256(abi.encodePacked(addresses))
+function hashAddresses (addresses) {
+  const packed = addresses.map(address => ethUtil.setLengthLeft(ethUtil.toBuffer(address), 32))
+  return ethUtil.bufferToHex(ethUtil.keccak256(Buffer.concat(packed)))
+}
+
+// splits the addresses removed by a recovery around the poisoner, as triggerPoisonPill expects them
+function poisonChunks (oldAssociatedAddresses, poisoner) {
+  const addresses = oldAssociatedAddresses.map(address => utils.toChecksumAddress(address))
+  const index = addresses.indexOf(utils.toChecksumAddress(poisoner))
+  if (index === -1) return undefined
+  return { firstChunk: addresses.slice(0, index), lastChunk: addresses.slice(index + 1) }
+}
+
+// reads the recovery state of an identity as of the latest block, with the seconds left in each recoveryTimeout window
+// while recoveryAddressChange.remaining is positive, only the previous recovery address can trigger a recovery and
+// the recovery address cannot be changed again; while recovery.remaining is positive, the identity cannot be
+// recovered again and the addresses removed by its last recovery can poison it
+async function getRecoveryState (client, ein) {
+  const context = { operation: 'getRecoveryState', ein: ein }
+  const { recoveryAddress } = await client.getIdentity(ein)
+  const change = await client.call(client.contract.methods.getRecoveryAddressChange(ein.toString()), context)
+  const recovered = await client.call(client.contract.methods.getRecoveredChange(ein.toString()), context)
+  const recoveryTimeout = await client.getRecoveryTimeout()
+  const { timestamp: now } = await client.web3.eth.getBlock('latest')
+
+  const recoveryAddressChange = {
+    timestamp: Number(change.timestamp),
+    remaining: secondsRemaining(Number(change.timestamp), recoveryTimeout, Number(now))
+  }
+  const recovery = {
+    timestamp: Number(recovered.timestamp),
+    remaining: secondsRemaining(Number(recovered.timestamp), recoveryTimeout, Number(now)),
+    hashedOldAssociatedAddresses: recovered.hashedOldAssociatedAddresses
+  }
+  const previousRecoveryAddress = recoveryAddressChange.timestamp === 0
+    ? undefined
+    : utils.toChecksumAddress(change.oldRecoveryAddress)
+
+  return {
+    ein: utils.toBN(ein),
+    timestamp: Number(now),
+    recoveryTimeout: recoveryTimeout,
+    recoveryAddress: recoveryAddress,
+    previousRecoveryAddress: previousRecoveryAddress,
+    recoveryAddressChange: recoveryAddressChange,
+    recovery: recovery,
+    recoveringAddress: recoveryAddressChange.remaining > 0 ? previousRecoveryAddress : recoveryAddress,
+    canChangeRecoveryAddress: recoveryAddressChange.remaining === 0,
+    canRecover: recovery.remaining === 0,
+    canPoison: recovery.timestamp !== 0 && recovery.remaining > 0
+  }
+}
+
+// finds the RecoveryTriggered event of the last recovery of an identity, i.e. the one whose removed addresses match
+// the hash that the registry logged, so that their order is exactly the one that triggerPoisonPill checks
+async function findRecoveryEvent (client, ein, { hashedOldAssociatedAddresses, fromBlock = 0 } = {}) {
+  if (hashedOldAssociatedAddresses === undefined) {
+    ({ hashedOldAssociatedAddresses } = (await getRecoveryState(client, ein)).recovery)
+  }
+
+  const events = await client.contract.getPastEvents('RecoveryTriggered', {
+    filter: { ein: ein.toString() }, fromBlock: fromBlock, toBlock: 'latest'
+  })
+  return events.reverse().find(event => {
+    return hashAddresses(event.returnValues.oldAssociatedAddresses) === hashedOldAssociatedAddresses
+  })
+}
+
+// recovers an identity to the signer's address after checking the timing rules, sent by the (old) recovery address
+async function recover (client, ein, signer, options = {}) {
+  const from = utils.toChecksumAddress(options.from || client.from)
+  const context = { operation: 'triggerRecovery', ein: ein, addresses: [from] }
+  const state = await getRecoveryState(client, ein)
+
+  if (!state.canRecover) {
+    throw new RecoveryCooldownError(
+      `Identity ${ein} was recovered recently, and can be recovered again in ${state.recovery.remaining} seconds.`,
+      context
+    )
+  }
+  if (from !== state.recoveringAddress) {
+    throw new NotRecoveryAddressError(
+      `Only ${state.recoveringAddress} can currently recover identity ${ein}.`, context
+    )
+  }
+
+  return client.recover(ein, signer, Object.assign({}, options, { from: from }))
+}
+
+// poisons an identity, sent by an address removed by its most recent recovery
+async function poison (client, ein, options = {}) {
+  const from = utils.toChecksumAddress(options.from || client.from)
+  const context = { operation: 'triggerPoisonPill', ein: ein, addresses: [from] }
+  const state = await getRecoveryState(client, ein)
+
+  if (!state.canPoison) {
+    throw new PoisonPillError(`No addresses have recently been removed from identity ${ein} by a recovery.`, context)
+  }
+
+  const event = await findRecoveryEvent(client, ein, {
+    hashedOldAssociatedAddresses: state.recovery.hashedOldAssociatedAddresses, fromBlock: options.fromBlock
+  })
+  if (event === undefined) throw new Error(`The last recovery of identity ${ein} was not found in the logs.`)
+
+  const chunks = poisonChunks(event.returnValues.oldAssociatedAddresses, from)
+  if (chunks === undefined) {
+    throw new PoisonPillError(`${from} was not removed by the most recent recovery of identity ${ein}.`, context)
+  }
+
+  const method = client.contract.methods.triggerPoisonPill(
+    ein.toString(), chunks.firstChunk, chunks.lastChunk, !!options.clearResolvers
+  )
+  return client.send(method, Object.assign({}, options, { from: from }), ['Poisoned'], context)
+}
+
+module.exports = {
+  secondsRemaining: secondsRemaining,
+  hashAddresses: hashAddresses,
+  poisonChunks: poisonChunks,
+  getRecoveryState: getRecoveryState,
+  findRecoveryEvent: findRecoveryEvent,
+  recover: recover,
+  poison: poison
+}
@@ -0,0 +1,382 @@
+const http = require('http')
+const { utils } = require('web3')
+
+const { loadArtifact } = require('./artifacts')
+const { findDeployment } = require('./deployments')
+const { decodeError, IdentityRegistryError } = require('./errors')
+const permissions = require('./permissions')
+const { isSigned, isSignedTypedData } = require('./signatures')
+const { hashTypedData } = require('./typedData')
+
+// the largest request body the relayer reads, which is plenty for any payload it accepts
+const maxBodySize = 64 * 1024
+
+// a rejected request, with the HTTP status it is reported with
+class RelayError extends Error {
+  constructor (status, message) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+  }
+}
+
+// converts the fields of a payload to the types they are sent to the contracts as, or undefined if they are invalid
+const fieldTypes = {
+  address: value => utils.isAddress(value) ? utils.toChecksumAddress(value) : undefined,
+  addresses: value => Array.isArray(value) && value.every(address => utils.isAddress(address))
+    ? value.map(address => utils.toChecksumAddress(address))
+    : undefined,
+  uint: value => /^\d+$/.test(String(value)) ? String(value) : undefined,
+  uint8: value => Number.isInteger(value) && value >= 0 && value < 256 ? value : undefined,
+  bytes32: value => /^0x[0-9a-fA-F]{64}$/.test(value) ? value : undefined,
+  bytes: value => /^0x([0-9a-fA-F]{2})*$/.test(value) ? value : undefined,
+  bool: value => typeof value === 'boolean' ? value : undefined
+}
+
+function parseFields (body, types) {
+  const fields = {}
+  for (const name of Object.keys(types)) {
+    fields[name] = body[name] === undefined || body[name] === null ? undefined : fieldTypes[types[name]](body[name])
+    if (fields[name] === undefined) throw new RelayError(400, `Field '${name}' must be of type ${types[name]}.`)
+  }
+  return fields
+}
+
+// allows limit relays per key in every window of interval seconds
+class RateLimiter {
+  constructor ({ limit = 10, interval = 3600 } = {}, now) {
+    this.limit = limit
+    this.interval = interval
+    this.now = now
+    this.windows = new Map()
+  }
+
+  // the seconds until the key can relay again, or 0 if it can relay now
+  retryAfter (key) {
+    const window = this.windows.get(key)
+    if (window === undefined || window.start + this.interval <= this.now()) return 0
+    return window.count < this.limit ? 0 : window.start + this.interval - this.now()
+  }
+
+  record (key) {
+    const window = this.windows.get(key)
+    if (window === undefined || window.start + this.interval <= this.now()) {
+      this.windows.set(key, { start: this.now(), count: 1 })
+    } else {
+      window.count++
+    }
+  }
+}
+
+// the details of a relayed transaction that are reported to clients
+function transactionStatus (record) {
+  return Object.assign({}, record, { ein: record.ein === undefined ? undefined : record.ein.toString() })
+}
+
+// relays delegated calls through a MetaTransactionProxyProvider, paying their gas from a funded account
+// payloads are checked off-chain with the same rules as the contracts, so that invalid ones are never sent
+// calls are rate limited per identity, and mints share a single budget, since anyone can sign them with fresh addresses
+class Relayer {
+  constructor (web3, options = {}) {
+    const { registry, provider, from, gas, gasPrice, rateLimit, mintRateLimit, now, registryAbi, providerAbi } = options
+    this.web3 = web3
+    this.registry = new web3.eth.Contract(registryAbi || loadArtifact('IdentityRegistry').abi, registry)
+    this.provider = new web3.eth.Contract(providerAbi || loadArtifact('MetaTransactionProxyProvider').abi, provider)
+    this.from = from
+    this.gas = gas
+    this.gasPrice = gasPrice
+    this.now = now || (() => Math.floor(Date.now() / 1000))
+    this.rateLimiter = new RateLimiter(rateLimit, this.now)
+    this.mintRateLimiter = new RateLimiter(Object.assign({ limit: 100 }, mintRateLimit), this.now)
+
+    // identities (or addresses, for mints) with a relayed transaction that has not been mined yet
+    this.pending = new Set()
+    this.transactions = new Map()
+  }
+
+  // creates a relayer for the registry and provider deployed on the network that web3 is connected to
+  static async fromAddressBook (web3, options = {}) {
+    const registry = await findDeployment(web3, 'IdentityRegistry', options.addressBook)
+    const provider = options.provider === undefined
+      ? (await findDeployment(web3, 'MetaTransactionProxyProvider', options.addressBook)).address
+      : options.provider
+    return new Relayer(web3, Object.assign({}, options, { registry: registry.address, provider: provider }))
+  }
+
+  async call (method, operation) {
+    try {
+      return await method.call()
+    } catch (error) {
+      throw decodeError(error, { operation: operation })
+    }
+  }
+
+  // mirrors ensureSignatureTimeValid, against the time of the next block, which is at least the current time
+  async checkTimestamp (timestamp) {
+    const latest = await this.web3.eth.getBlock('latest')
+    const blockTime = Math.max(latest.timestamp, this.now())
+    const timeout = Number(await this.call(this.registry.methods.signatureTimeout(), 'signatureTimeout'))
+    if (!(blockTime >= Number(timestamp) && Number(timestamp) + timeout > blockTime)) {
+      throw new RelayError(403, 'Timestamp is not valid.')
+    }
+  }
+
+  // mirrors usePermission for mintIdentityDelegated, which accepts the message hash with the signer's nonce, or typed
+  // data
+  async checkMintPermission (fields) {
+    const registry = this.registry.options.address
+    const nonce = await this.call(this.registry.methods.signatureNonces(fields.associatedAddress), 'signatureNonces')
+    const chainId = await this.call(this.registry.methods.chainId(), 'chainId')
+    const permission = {
+      registry: registry,
+      chainId: chainId,
+      recoveryAddress: fields.recoveryAddress,
+      associatedAddress: fields.associatedAddress,
+      provider: this.provider.options.address,
+      resolvers: fields.resolvers,
+      timestamp: fields.timestamp,
+      nonce: nonce
+    }
+
+    const messageHashes = [
+      permissions.hashMintIdentityDelegated(permission),
+      hashTypedData(permissions.typedMintIdentityDelegated(permission))
+    ]
+    const signed = isSigned(fields.associatedAddress, messageHashes[0], fields) ||
+      isSignedTypedData(fields.associatedAddress, permissions.typedMintIdentityDelegated(permission), fields) ||
+      await this.isSignedByContract(fields.associatedAddress, messageHashes, fields)
+    if (!signed) throw new RelayError(403, 'Permission denied.')
+  }
+
+  // contract wallets sign with ERC-1271, which only the registry can check. the registry passes typed data to them
+  // as its hash, so isSigned checks those too
+  async isSignedByContract (address, messageHashes, { v, r, s }) {
+    if (/^0x0*$/.test(await this.web3.eth.getCode(address))) return false
+    for (const messageHash of messageHashes) {
+      if (await this.call(this.registry.methods.isSigned(address, messageHash, v, r, s), 'isSigned')) return true
+    }
+    return false
+  }
+
+  // verifies a mintIdentityDelegated payload, returning the transaction that relays it
+  async verifyMintIdentityDelegated (body) {
+    const fields = parseFields(body, {
+      recoveryAddress: 'address',
+      associatedAddress: 'address',
+      resolvers: 'addresses',
+      v: 'uint8',
+      r: 'bytes32',
+      s: 'bytes32',
+      timestamp: 'uint'
+    })
+
+    await this.checkTimestamp(fields.timestamp)
+    if (await this.call(this.registry.methods.hasIdentity(fields.associatedAddress), 'hasIdentity')) {
+      throw new RelayError(403, 'The passed address has/does not have an identity.')
+    }
+    await this.checkMintPermission(fields)
+
+    return {
+      // mints are pending per associated address, since their EIN does not exist yet
+      key: fields.associatedAddress,
+      rateLimiter: this.mintRateLimiter,
+      rateKey: 'mints',
+      method: this.provider.methods.mintIdentityDelegated(
+        fields.recoveryAddress, fields.associatedAddress, fields.resolvers, fields.v, fields.r, fields.s,
+        fields.timestamp
+      )
+    }
+  }
+
+  // the nonce that the next call relayed for an identity must be signed with
+  async nonce (ein) {
+    return utils.toBN(await this.call(this.provider.methods.nonceTracker(ein.toString()), 'nonceTracker'))
+  }
+
+  // verifies a callViaProxy payload, which is signed over the provider's nonce of the identity, returning the
+  // transaction that relays it
+  async verifyCallViaProxy (body) {
+    const fields = parseFields(body, {
+      approvingAddress: 'address',
+      v: 'uint8',
+      r: 'bytes32',
+      s: 'bytes32',
+      destination: 'address',
+      data: 'bytes',
+      viaExternal: 'bool'
+    })
+
+    const ein = utils.toBN(await this.call(this.registry.methods.getEIN(fields.approvingAddress), 'getEIN'))
+    const provider = this.provider.options.address
+    if (!await this.call(this.registry.methods.isProviderFor(ein.toString(), provider), 'isProviderFor')) {
+      throw new RelayError(403, 'This Provider is not set for the given EIN.')
+    }
+    if (!fields.viaExternal && fields.destination === this.registry.options.address) {
+      throw new RelayError(403, 'Cannot call the registry directly.')
+    }
+
+    const messageHash = utils.soliditySha3(
+      'Call', provider, ein, fields.destination, fields.data, await this.nonce(ein)
+    )
+    const signed = isSigned(fields.approvingAddress, messageHash, fields) ||
+      await this.isSignedByContract(fields.approvingAddress, [messageHash], fields)
+    if (!signed) throw new RelayError(403, 'Permission denied.')
+
+    return {
+      key: ein.toString(),
+      ein: ein,
+      rateLimiter: this.rateLimiter,
+      rateKey: ein.toString(),
+      method: this.provider.methods['callViaProxy(address,uint8,bytes32,bytes32,address,bytes,bool)'](
+        fields.approvingAddress, fields.v, fields.r, fields.s, fields.destination, fields.data, fields.viaExternal
+      )
+    }
+  }
+
+  // verifies and relays a payload, resolving once the transaction has been sent
+  // only one transaction per identity is in flight at a time, since later calls would be signed over the same nonce
+  async relay (type, body) {
+    // a map, so that names of Object.prototype properties are unknown relays as well
+    const verify = new Map([
+      ['mintIdentityDelegated', this.verifyMintIdentityDelegated],
+      ['callViaProxy', this.verifyCallViaProxy]
+    ]).get(type)
+    if (verify === undefined) throw new RelayError(404, `Unknown relay ${type}.`)
+    if (!this.from) throw new Error('No sending address was specified.')
+
+    let relay
+    try {
+      relay = await verify.call(this, body || {})
+    } catch (error) {
+      if (error instanceof IdentityRegistryError) throw new RelayError(403, error.reason)
+      throw error
+    }
+
+    const retryAfter = relay.rateLimiter.retryAfter(relay.rateKey)
+    if (retryAfter > 0) {
+      const error = new RelayError(429, `Rate limit exceeded, retry in ${retryAfter} seconds.`)
+      error.retryAfter = retryAfter
+      throw error
+    }
+    if (this.pending.has(relay.key)) throw new RelayError(409, 'A relayed transaction is already pending.')
+
+    this.pending.add(relay.key)
+    try {
+      const record = await this.send(type, relay)
+      relay.rateLimiter.record(relay.rateKey)
+      return transactionStatus(record)
+    } catch (error) {
+      this.pending.delete(relay.key)
+      throw error
+    }
+  }
+
+  // dry runs and sends a transaction, tracking its status until it is mined
+  async send (type, { key, ein, method }) {
+    let gas
+    try {
+      await method.call({ from: this.from })
+      gas = this.gas || await method.estimateGas({ from: this.from })
+    } catch (error) {
+      const decoded = decodeError(error, { operation: type })
+      throw new RelayError(403, decoded instanceof IdentityRegistryError ? decoded.reason : decoded.message)
+    }
+
+    const sent = method.send({ from: this.from, gas: gas, gasPrice: this.gasPrice })
+    const transactionHash = await new Promise((resolve, reject) => {
+      sent.once('transactionHash', resolve)
+      sent.catch(reject)
+    })
+
+    const record = { transactionHash: transactionHash, type: type, ein: ein, status: 'pending' }
+    this.transactions.set(transactionHash, record)
+    sent
+      .then(receipt => {
+        Object.assign(record, { status: 'confirmed', blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed })
+      }, error => {
+        const receipt = error.receipt || {}
+        Object.assign(record, {
+          status: 'failed', blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, error: error.message
+        })
+      })
+      .then(() => this.pending.delete(key))
+
+    return record
+  }
+
+  // the status of a transaction sent by this relayer
+  getTransaction (transactionHash) {
+    const record = this.transactions.get(transactionHash.toLowerCase())
+    if (record === undefined) throw new RelayError(404, `Unknown transaction ${transactionHash}.`)
+    return transactionStatus(record)
+  }
+
+  // routes a request of the HTTP API, resolving to the status and body of the response
+  //   POST /relay/mintIdentityDelegated  relay a signed mintIdentityDelegated payload
+  //   POST /relay/callViaProxy           relay a signed callViaProxy payload
+  //   GET  /nonces/<ein>                 the nonce that the next call relayed for an identity must be signed with
+  //   GET  /transactions/<hash>          the status of a relayed transaction
+  async route (method, path, body) {
+    const [, resource, id, extra] = path.split('?')[0].split('/')
+    if (id !== undefined && extra === undefined) {
+      if (method === 'POST' && resource === 'relay') return [202, await this.relay(id, body)]
+      if (method === 'GET' && resource === 'transactions') return [200, this.getTransaction(id)]
+      if (method === 'GET' && resource === 'nonces' && /^\d+$/.test(id)) {
+        return [200, { ein: id, nonce: (await this.nonce(id)).toString() }]
+      }
+    }
+    throw new RelayError(404, `Cannot ${method} ${path}.`)
+  }
+
+  // handles a request to the HTTP API, responding with JSON
+  async handle (request, response) {
+    let status, body
+    try {
+      [status, body] = await this.route(request.method, request.url, await readBody(request))
+    } catch (error) {
+      status = error instanceof RelayError ? error.status : 500
+      body = { error: error.message }
+      if (error.retryAfter !== undefined) response.setHeader('Retry-After', error.retryAfter)
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json' })
+    response.end(JSON.stringify(body))
+  }
+
+  // creates an HTTP server for the API, which is not listening yet
+  createServer () {
+    return http.createServer((request, response) => this.handle(request, response))
+  }
+}
+
+// reads the JSON body of a request, which is undefined for requests without one
+function readBody (request) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    request.on('data', chunk => {
+      size += chunk.length
+      if (size > maxBodySize) {
+        reject(new RelayError(413, 'Request body is too large.'))
+        request.destroy()
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    request.on('error', reject)
+    request.on('end', () => {
+      if (chunks.length === 0) return resolve(undefined)
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+      } catch (error) {
+        reject(new RelayError(400, 'Request body is not valid JSON.'))
+      }
+    })
+  })
+}
+
+module.exports = {
+  Relayer: Relayer,
+  RelayError: RelayError,
+  RateLimiter: RateLimiter
+}
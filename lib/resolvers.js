@@ -0,0 +1,74 @@
+const { utils } = require('web3')
+
+const { sign } = require('./signatures')
+
+// fetches the nonce that the next call signed for an EIN must include, from a Resolver built on ResolverBase
+async function fetchNonce (web3, resolver, ein) {
+  const abi = [{
+    name: 'signatureNonces',
+    type: 'function',
+    constant: true,
+    inputs: [{ name: '', type: 'uint256' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }]
+  return new web3.eth.Contract(abi, resolver).methods.signatureNonces(ein.toString()).call()
+}
+
+function requireFields (fields, names) {
+  for (const name of names) {
+    if (fields[name] === undefined || fields[name] === null) throw new Error(`Missing call field '${name}'.`)
+  }
+}
+
+// hashes a call as its function name followed by its arguments, which Resolvers pass to ResolverBase.signerEIN
+// e.g. hashCall('setValue', { t: 'bytes32', v: key }, { t: 'string', v: value })
+function hashCall (name, ...args) {
+  return utils.soliditySha3({ t: 'string', v: name }, ...args)
+}
+
+// must match the hash in ResolverBase.signerEIN exactly
+function hashResolverCall (fields) {
+  requireFields(fields, ['resolver', 'ein', 'callHash', 'nonce'])
+  return utils.soliditySha3(
+    { t: 'address', v: fields.resolver },
+    { t: 'uint256', v: fields.ein.toString() },
+    { t: 'bytes32', v: fields.callHash },
+    { t: 'uint256', v: fields.nonce.toString() }
+  )
+}
+
+// signs a call for an EIN as one of its associated addresses, returning the arguments that precede the call's own
+async function signResolverCall (fields, signer, method) {
+  fields = Object.assign({ approvingAddress: signer.address }, fields)
+  const messageHash = hashResolverCall(fields)
+  const signature = await sign(messageHash, signer, method)
+
+  return {
+    messageHash: messageHash,
+    signature: signature,
+    args: [fields.ein.toString(), fields.approvingAddress, signature.v, signature.r, signature.s]
+  }
+}
+
+// pads a profile key, e.g. 'name', to the bytes32 the ProfileResolver stores it under
+function profileKey (key) {
+  return utils.padRight(utils.isHexStrict(key) ? key : utils.utf8ToHex(key), 64)
+}
+
+// signs ProfileResolver.setValueDelegated, returning the arguments to be sent from any address
+async function setValue (fields, signer, method) {
+  const key = profileKey(fields.key)
+  const callHash = hashCall('setValue', { t: 'bytes32', v: key }, { t: 'string', v: fields.value })
+  const permission = await signResolverCall(Object.assign({}, fields, { callHash: callHash }), signer, method)
+  permission.args.push(key, fields.value)
+  return permission
+}
+
+module.exports = {
+  fetchNonce: fetchNonce,
+  hashCall: hashCall,
+  hashResolverCall: hashResolverCall,
+  signResolverCall: signResolverCall,
+  profileKey: profileKey,
+  setValue: setValue
+}
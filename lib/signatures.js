@@ -0,0 +1,134 @@
+const ethUtil = require('ethereumjs-util')
+
+const { hashTypedData } = require('./typedData')
+
+// splits a concatenated 65-byte hex signature into its (v, r, s) components
+function splitSignature (concatenatedSignature) {
+  const strippedSignature = ethUtil.stripHexPrefix(concatenatedSignature)
+  const v = parseInt(strippedSignature.substr(128, 2), 16)
+  return {
+    r: ethUtil.addHexPrefix(strippedSignature.substr(0, 64)),
+    s: ethUtil.addHexPrefix(strippedSignature.substr(64, 64)),
+    v: v < 27 ? v + 27 : v
+  }
+}
+
+// wraps a message hash as ERC-191 data with a contract wallet as the intended validator, as the sample Multisig
+// checks the signatures of its owners
+function hashContractMessage (wallet, messageHash) {
+  return ethUtil.bufferToHex(ethUtil.keccak256(Buffer.concat([
+    Buffer.from('1900', 'hex'), ethUtil.toBuffer(wallet), ethUtil.toBuffer(messageHash)
+  ])))
+}
+
+// signs a message hash as a contract wallet, with the private keys of owners, packing their signatures of the wrapped
+// hash as (r, s, v) in ascending order of owner address
+function signContractMessage (messageHash, wallet, owners) {
+  const hash = ethUtil.toBuffer(hashContractMessage(wallet, messageHash))
+  return ethUtil.bufferToHex(Buffer.concat(
+    owners
+      .slice()
+      .sort((a, b) => a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1)
+      .map(owner => {
+        if (!owner.privateKey) throw new Error('Contract signatures require the private keys of owners.')
+        const signature = ethUtil.ecsign(hash, ethUtil.toBuffer(owner.privateKey))
+        return Buffer.concat([signature.r, signature.s, Buffer.from([signature.v])])
+      })
+  ))
+}
+
+// signs a 32-byte message hash, either locally with a private key or via the node with web3.eth.sign
+// prefixed signatures include the '\x19Ethereum Signed Message:\n32' prefix, unprefixed signatures sign the raw hash
+// contract signers, i.e. { address, owners }, sign the hash as their wallet with ERC-1271, whatever the method
+async function sign (messageHash, signer, method = 'prefixed') {
+  const { address, privateKey, web3, owners } = signer
+
+  if (owners) {
+    // the IdentityRegistry passes (v, r, s) on to the wallet, so only the signature of a single owner fits
+    if (owners.length !== 1) throw new Error('Contract signers can only sign permissions with a single owner.')
+    return splitSignature(signContractMessage(messageHash, address, owners))
+  }
+
+  if (privateKey) {
+    const hash = Buffer.from(ethUtil.stripHexPrefix(messageHash), 'hex')
+    const signature = ethUtil.ecsign(
+      method === 'unprefixed' ? hash : ethUtil.hashPersonalMessage(hash),
+      Buffer.from(ethUtil.stripHexPrefix(privateKey), 'hex')
+    )
+    return { v: signature.v, r: ethUtil.bufferToHex(signature.r), s: ethUtil.bufferToHex(signature.s) }
+  }
+
+  if (method === 'unprefixed') throw new Error('Unprefixed signatures require a private key.')
+  if (!web3) throw new Error('Signing without a private key requires a web3 instance.')
+  return splitSignature(await web3.eth.sign(messageHash, address))
+}
+
+// signs EIP-712 typed data, either locally with a private key or via the node with eth_signTypedData
+// signers can set typedDataMethod for nodes that name it differently, e.g. eth_signTypedData_v4 for MetaMask
+// note that some nodes (including ganache-cli) cannot sign the address[] resolvers of MintIdentity
+async function signTypedData (typedData, signer) {
+  const { address, privateKey, web3, typedDataMethod = 'eth_signTypedData' } = signer
+
+  if (privateKey || signer.owners) return sign(hashTypedData(typedData), signer, 'unprefixed')
+
+  if (!web3) throw new Error('Signing without a private key requires a web3 instance.')
+  const signature = await new Promise((resolve, reject) => {
+    web3.currentProvider.send(
+      { jsonrpc: '2.0', method: typedDataMethod, params: [address, typedData], id: Date.now() },
+      (error, response) => {
+        if (error || response.error) return reject(error || new Error(response.error.message))
+        resolve(response.result)
+      }
+    )
+  })
+  return splitSignature(signature)
+}
+
+// recovers the address that created a signature of messageHash
+function recover (messageHash, { v, r, s }, method = 'prefixed') {
+  const hash = Buffer.from(ethUtil.stripHexPrefix(messageHash), 'hex')
+  const publicKey = ethUtil.ecrecover(
+    method === 'unprefixed' ? hash : ethUtil.hashPersonalMessage(hash),
+    v,
+    ethUtil.toBuffer(r),
+    ethUtil.toBuffer(s)
+  )
+  return ethUtil.toChecksumAddress(ethUtil.bufferToHex(ethUtil.pubToAddress(publicKey)))
+}
+
+// mirrors SignatureVerifier.isSigned, accepting both prefixed and unprefixed signatures
+function isSigned (address, messageHash, signature) {
+  return ['unprefixed', 'prefixed'].some(method => {
+    try {
+      return recover(messageHash, signature, method).toLowerCase() === address.toLowerCase()
+    } catch (error) {
+      return false
+    }
+  })
+}
+
+// recovers the address that created a signature of EIP-712 typed data
+function recoverTypedData (typedData, signature) {
+  return recover(hashTypedData(typedData), signature, 'unprefixed')
+}
+
+// mirrors SignatureVerifier.isSignedTypedData
+function isSignedTypedData (address, typedData, signature) {
+  try {
+    return recoverTypedData(typedData, signature).toLowerCase() === address.toLowerCase()
+  } catch (error) {
+    return false
+  }
+}
+
+module.exports = {
+  splitSignature: splitSignature,
+  hashContractMessage: hashContractMessage,
+  signContractMessage: signContractMessage,
+  sign: sign,
+  signTypedData: signTypedData,
+  recover: recover,
+  recoverTypedData: recoverTypedData,
+  isSigned: isSigned,
+  isSignedTypedData: isSignedTypedData
+}
@@ -0,0 +1,125 @@
+const ethUtil = require('ethereumjs-util')
+const { utils } = require('web3')
+
+// the EIP-712 domain and types that the IdentityRegistry accepts typed data permissions for
+const domainName = 'ERC-1484 Identity Registry'
+const domainVersion = '1'
+
+const types = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  MintIdentity: [
+    { name: 'recoveryAddress', type: 'address' },
+    { name: 'associatedAddress', type: 'address' },
+    { name: 'provider', type: 'address' },
+    { name: 'resolvers', type: 'address[]' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  ApproveAddress: [
+    { name: 'ein', type: 'uint256' },
+    { name: 'addressToAdd', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  JoinIdentity: [
+    { name: 'ein', type: 'uint256' },
+    { name: 'addressToAdd', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  RemoveAddress: [
+    { name: 'ein', type: 'uint256' },
+    { name: 'addressToRemove', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  TriggerRecovery: [
+    { name: 'ein', type: 'uint256' },
+    { name: 'newAssociatedAddress', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  MigrateIdentity: [
+    { name: 'ein', type: 'uint256' },
+    { name: 'successor', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+}
+
+function keccak256 (...buffers) {
+  return ethUtil.keccak256(Buffer.concat(buffers))
+}
+
+// the permission types contain no nested structs, so each type is encoded on its own
+function encodeType (primaryType, allTypes = types) {
+  const fields = allTypes[primaryType].map(({ name, type }) => `${type} ${name}`)
+  return `${primaryType}(${fields.join(',')})`
+}
+
+function hashType (primaryType, allTypes = types) {
+  return ethUtil.bufferToHex(keccak256(Buffer.from(encodeType(primaryType, allTypes))))
+}
+
+// encodes a single atomic, dynamic or array value as the 32 bytes that hashStruct concatenates
+function encodeValue (type, value) {
+  if (type.endsWith('[]')) return keccak256(...value.map(element => encodeValue(type.slice(0, -2), element)))
+  if (type === 'string') return keccak256(Buffer.from(value))
+  if (type === 'bytes') return keccak256(ethUtil.toBuffer(value))
+  if (type === 'address' || type === 'bytes32') return ethUtil.setLengthLeft(ethUtil.toBuffer(value), 32)
+  if (/^uint\d*$/.test(type)) return utils.toBN(value).toArrayLike(Buffer, 'be', 32)
+  throw new Error(`Unsupported EIP-712 type '${type}'.`)
+}
+
+function hashStruct (primaryType, message, allTypes = types) {
+  return ethUtil.bufferToHex(keccak256(
+    ethUtil.toBuffer(hashType(primaryType, allTypes)),
+    ...allTypes[primaryType].map(({ name, type }) => encodeValue(type, message[name]))
+  ))
+}
+
+// the domain of the registry deployed at registry on chainId
+function domain ({ registry, chainId }) {
+  return {
+    name: domainName,
+    version: domainVersion,
+    chainId: Number(chainId),
+    verifyingContract: utils.toChecksumAddress(registry)
+  }
+}
+
+// builds the payload that eth_signTypedData expects
+function buildTypedData (primaryType, { registry, chainId }, message) {
+  return {
+    types: { EIP712Domain: types.EIP712Domain, [primaryType]: types[primaryType] },
+    domain: domain({ registry: registry, chainId: chainId }),
+    primaryType: primaryType,
+    message: message
+  }
+}
+
+// the digest that is signed and recovered, i.e. keccak256('\x19\x01' || domainSeparator || hashStruct(message))
+function hashTypedData (typedData) {
+  return ethUtil.bufferToHex(keccak256(
+    Buffer.from('1901', 'hex'),
+    ethUtil.toBuffer(hashStruct('EIP712Domain', typedData.domain, typedData.types)),
+    ethUtil.toBuffer(hashStruct(typedData.primaryType, typedData.message, typedData.types))
+  ))
+}
+
+module.exports = {
+  domainName: domainName,
+  domainVersion: domainVersion,
+  types: types,
+  encodeType: encodeType,
+  hashType: hashType,
+  hashStruct: hashStruct,
+  domain: domain,
+  buildTypedData: buildTypedData,
+  hashTypedData: hashTypedData
+}
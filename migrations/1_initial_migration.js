@@ -1,10 +1,12 @@
 const AddressSet = artifacts.require('./AddressSet/AddressSet.sol')
 
 const AddressSetTest = artifacts.require('./AddressSet/AddressSetTest.sol')
+const GuardianRecovery = artifacts.require('./GuardianRecovery/GuardianRecovery.sol')
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 
 module.exports = async function (deployer) {
   deployer.deploy(AddressSet)
   deployer.link(AddressSet, AddressSetTest)
   deployer.link(AddressSet, IdentityRegistry)
+  deployer.link(AddressSet, GuardianRecovery)
 }
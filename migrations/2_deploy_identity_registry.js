@@ -0,0 +1,34 @@
+const { defaultParameters, localAddressBook, recordDeployment } = require('../lib/deployments')
+const { networks } = require('../truffle-config')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const RegistryTimelock = artifacts.require('./RegistryTimelock/RegistryTimelock.sol')
+
+// the chain id of the EIP-712 domain defaults to the network id, networks where they differ must set chainId
+// networks can override the default parameters with parameters, and make them changeable with either a governor
+// address, or a governanceDelay, with which a RegistryTimelock owned by the deployment account becomes the governor
+// networks that replace an earlier registry set it as the predecessor, from which identities can then be migrated
+module.exports = async function (deployer, network) {
+  const networkConfig = networks[network] || {}
+  const networkId = await web3.eth.net.getId()
+  const addressBook = networkConfig.addressBook || localAddressBook
+  const parameters = Object.assign({}, defaultParameters, networkConfig.parameters)
+
+  let governor = networkConfig.governor || '0x0000000000000000000000000000000000000000'
+  if (networkConfig.governanceDelay !== undefined) {
+    await deployer.deploy(RegistryTimelock, networkConfig.governanceDelay)
+    await recordDeployment(addressBook, web3, networkId, 'RegistryTimelock', RegistryTimelock)
+    governor = RegistryTimelock.address
+  }
+
+  await deployer.deploy(
+    IdentityRegistry,
+    networkConfig.chainId || networkId,
+    parameters.maxAssociatedAddresses,
+    parameters.recoveryTimeout,
+    parameters.signatureTimeout,
+    governor,
+    networkConfig.predecessor || '0x0000000000000000000000000000000000000000'
+  )
+  await recordDeployment(addressBook, web3, networkId, 'IdentityRegistry', IdentityRegistry)
+}
@@ -0,0 +1,19 @@
+const { localAddressBook, recordDeployment } = require('../lib/deployments')
+const { networks } = require('../truffle-config')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const Provider = artifacts.require('./samples/Provider.sol')
+const Resolver = artifacts.require('./samples/Resolver.sol')
+
+// the sample Provider and Resolver are only deployed to networks that set deploySamples
+module.exports = async function (deployer, network) {
+  const networkConfig = networks[network] || {}
+  if (!networkConfig.deploySamples) return
+
+  const addressBook = networkConfig.addressBook || localAddressBook
+  const networkId = await web3.eth.net.getId()
+  for (const [contractName, Contract] of [['Provider', Provider], ['Resolver', Resolver]]) {
+    await deployer.deploy(Contract, IdentityRegistry.address)
+    await recordDeployment(addressBook, web3, networkId, contractName, Contract)
+  }
+}
@@ -0,0 +1,31 @@
+const { localAddressBook, recordDeployment } = require('../lib/deployments')
+const { networks } = require('../truffle-config')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const MetaTransactionProxyProvider = artifacts.require('MetaTransactionProxyProvider')
+const ERC725RegistryResolver = artifacts.require('./examples/Resolvers/ERC725/ERC725RegistryResolver.sol')
+const ERC1056 = artifacts.require('./examples/Resolvers/ERC1056/ERC1056.sol')
+const ProfileResolver = artifacts.require('./examples/Resolvers/Profile/ProfileResolver.sol')
+
+// the example Providers and Resolvers are only deployed to networks that set deployExamples
+// the ERC1056 Resolver additionally requires the address of an EthereumDIDRegistry on the network
+module.exports = async function (deployer, network) {
+  const networkConfig = networks[network] || {}
+  if (!networkConfig.deployExamples) return
+
+  const addressBook = networkConfig.addressBook || localAddressBook
+  const networkId = await web3.eth.net.getId()
+  const examples = [
+    ['MetaTransactionProxyProvider', MetaTransactionProxyProvider, [IdentityRegistry.address]],
+    ['ERC725RegistryResolver', ERC725RegistryResolver, [IdentityRegistry.address]],
+    ['ProfileResolver', ProfileResolver, [IdentityRegistry.address]]
+  ]
+  if (networkConfig.ethereumDIDRegistry) {
+    examples.push(['ERC1056', ERC1056, [IdentityRegistry.address, networkConfig.ethereumDIDRegistry]])
+  }
+
+  for (const [contractName, Contract, args] of examples) {
+    await deployer.deploy(Contract, ...args)
+    await recordDeployment(addressBook, web3, networkId, contractName, Contract)
+  }
+}
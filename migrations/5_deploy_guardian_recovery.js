@@ -0,0 +1,14 @@
+const { localAddressBook, recordDeployment } = require('../lib/deployments')
+const { networks } = require('../truffle-config')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const GuardianRecovery = artifacts.require('./GuardianRecovery/GuardianRecovery.sol')
+
+// identities that recover through guardians set this as their recovery address
+module.exports = async function (deployer, network) {
+  const networkConfig = networks[network] || {}
+  await deployer.deploy(GuardianRecovery, IdentityRegistry.address)
+
+  const addressBook = networkConfig.addressBook || localAddressBook
+  await recordDeployment(addressBook, web3, await web3.eth.net.getId(), 'GuardianRecovery', GuardianRecovery)
+}
@@ -64,6 +64,15 @@ contract('Testing AddressSet', function (accounts) {
     await verify(accounts.length, accounts)
   })
 
+  it('Set sliced correctly', async function () {
+    const members = await setInstance.members.call()
+    assert.deepEqual(await setInstance.slice.call(0, members.length), members, 'Unexpected full slice')
+    assert.deepEqual(await setInstance.slice.call(1, 2), members.slice(1, 3), 'Unexpected slice')
+    assert.deepEqual(await setInstance.slice.call(members.length - 1, 5), members.slice(-1), 'Unexpected last slice')
+    assert.deepEqual(await setInstance.slice.call(members.length, 5), [], 'Unexpected slice past the end')
+    assert.deepEqual(await setInstance.slice.call(0, 0), [], 'Unexpected empty slice')
+  })
+
   it('Set reset correctly', async function () {
     await setInstance.reset()
     await verify(0, [])
@@ -0,0 +1,236 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, timeTravel, mine, verifyIdentity } = require('../common')
+const guardians = require('../../lib/guardians')
+const permissions = require('../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const GuardianRecovery = artifacts.require('./GuardianRecovery/GuardianRecovery.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c'
+]
+
+// expects a transaction to be rejected with the passed reason
+async function assertRejected (transaction, reason) {
+  await transaction
+    .then(() => assert.fail('transaction succeeded', 'transaction should fail'))
+    .catch(error => assert.include(error.message, reason, 'wrong rejection reason'))
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+const oneDay = 60 * 60 * 24
+
+contract('Testing GuardianRecovery', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [sender, associatedAddress, ...guardianAccounts] = accountsPrivate.slice(0, 5)
+  const [rotatedAddress, stolenAddress, otherStolenAddress] = accountsPrivate.slice(5, 8)
+  const newAssociatedAddress = web3.eth.accounts.create()
+
+  // signs the permission of the new address for triggerRecovery, valid at the time of the latest block
+  async function executeRecovery (ein, newAddress) {
+    const { timestamp } = await web3.eth.getBlock('latest')
+    const permission = await permissions.triggerRecovery({
+      registry: instances.IdentityRegistry.address,
+      ein: ein,
+      timestamp: timestamp,
+      nonce: await permissions.fetchNonce(web3, instances.IdentityRegistry.address, newAddress.address)
+    }, newAddress)
+    return instances.GuardianRecovery.executeRecovery(...permission.args, { from: sender.address, gas: 1000000 })
+  }
+
+  async function assertApprovals (ein, newAddress, expectedApprovals, executable) {
+    const recovery = await instances.GuardianRecovery.getRecovery(ein, newAddress)
+    assert.equal(recovery.approvals.toNumber(), expectedApprovals, 'unexpected approvals.')
+    assert.equal(!recovery.executableFrom.isZero(), executable, 'unexpected executability.')
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+
+    it('GuardianRecovery contract deployed', async function () {
+      instances.GuardianRecovery = await GuardianRecovery.new(instances.IdentityRegistry.address)
+    })
+
+    it('identities recovered by guardians can be minted', async function () {
+      for (const address of [associatedAddress, rotatedAddress, stolenAddress, otherStolenAddress]) {
+        await instances.IdentityRegistry.mintIdentity(
+          instances.GuardianRecovery.address, sender.address, [], { from: address.address }
+        )
+      }
+    })
+  })
+
+  describe('Testing guardians', function () {
+    it('identities can set guardians', async function () {
+      const addresses = guardianAccounts.map(guardian => guardian.address)
+      await assertRejected(
+        instances.GuardianRecovery.setGuardians(addresses, 4, oneDay, { from: associatedAddress.address }),
+        'The threshold must be between 1 and the number of guardians.'
+      )
+      await assertRejected(
+        instances.GuardianRecovery.setGuardians(
+          addresses.concat(addresses[0]), 2, oneDay, { from: associatedAddress.address }
+        ),
+        'Guardians cannot be repeated.'
+      )
+
+      await instances.GuardianRecovery.setGuardians(addresses, 2, oneDay, { from: associatedAddress.address })
+      const set = await instances.GuardianRecovery.getGuardians(1)
+      assert.deepEqual(set.guardians, addresses, 'unexpected guardians.')
+      assert.equal(set.threshold.toNumber(), 2, 'unexpected threshold.')
+      assert.equal(set.delay.toNumber(), oneDay, 'unexpected delay.')
+    })
+
+    it('recoveries need approvals from enough guardians', async function () {
+      await assertRejected(
+        instances.GuardianRecovery.approveRecovery(1, newAssociatedAddress.address, { from: sender.address }),
+        'The address is not a guardian of the identity.'
+      )
+
+      await instances.GuardianRecovery.approveRecovery(
+        1, newAssociatedAddress.address, { from: guardianAccounts[0].address }
+      )
+      await assertRejected(
+        instances.GuardianRecovery.approveRecovery(
+          1, newAssociatedAddress.address, { from: guardianAccounts[0].address }
+        ),
+        'The guardian has already approved this recovery.'
+      )
+      await assertApprovals(1, newAssociatedAddress.address, 1, false)
+
+      await assertRejected(
+        executeRecovery(1, newAssociatedAddress), 'Not enough guardians have approved the recovery.'
+      )
+    })
+
+    it('guardians can sign approvals for anyone to submit', async function () {
+      const approval = await guardians.signRecoveryApproval({
+        guardianRecovery: instances.GuardianRecovery.address,
+        ein: 1,
+        newAssociatedAddress: newAssociatedAddress.address,
+        nonce: await instances.GuardianRecovery.getRecoveryNonce(1)
+      }, guardianAccounts[1])
+
+      const forged = [[sender.address], [approval.signature.v], [approval.signature.r], [approval.signature.s]]
+      await assertRejected(
+        instances.GuardianRecovery.approveRecoveryDelegated(1, newAssociatedAddress.address, ...forged),
+        'Permission denied.'
+      )
+
+      await instances.GuardianRecovery.approveRecoveryDelegated(
+        1, newAssociatedAddress.address,
+        [approval.guardian], [approval.signature.v], [approval.signature.r], [approval.signature.s],
+        { from: sender.address }
+      )
+      await assertApprovals(1, newAssociatedAddress.address, 2, true)
+      assert.isTrue(
+        await instances.GuardianRecovery.hasApproved(1, newAssociatedAddress.address, guardianAccounts[1].address),
+        'approval was not recorded.'
+      )
+    })
+
+    it('approved recoveries wait for the delay', async function () {
+      await assertRejected(executeRecovery(1, newAssociatedAddress), 'The recovery delay has not passed.')
+
+      await timeTravel(oneDay + 1)
+      await mine()
+      await executeRecovery(1, newAssociatedAddress)
+
+      await verifyIdentity(web3.utils.toBN(1), instances.IdentityRegistry, {
+        recoveryAddress:     instances.GuardianRecovery.address,
+        associatedAddresses: [newAssociatedAddress.address],
+        providers:           [],
+        resolvers:           []
+      })
+      await assertApprovals(1, newAssociatedAddress.address, 0, false)
+    })
+
+    it('removed addresses can still poison identities recovered by guardians', async function () {
+      await instances.IdentityRegistry.triggerPoisonPill(1, [], [], true, { from: associatedAddress.address })
+
+      await verifyIdentity(web3.utils.toBN(1), instances.IdentityRegistry, {
+        recoveryAddress:     instances.GuardianRecovery.address,
+        associatedAddresses: [],
+        providers:           [],
+        resolvers:           []
+      })
+    })
+  })
+
+  describe('Testing guardian rotation', function () {
+    const [oldGuardian, , newGuardian] = guardianAccounts
+
+    it('new guardians only replace the current ones after their delay', async function () {
+      await instances.GuardianRecovery.setGuardians([oldGuardian.address], 1, oneDay, { from: rotatedAddress.address })
+      await instances.GuardianRecovery.approveRecovery(2, newAssociatedAddress.address, { from: oldGuardian.address })
+
+      await instances.GuardianRecovery.setGuardians([newGuardian.address], 1, 0, { from: rotatedAddress.address })
+      const pending = await instances.GuardianRecovery.getPendingGuardians(2)
+      assert.deepEqual(pending.guardians, [newGuardian.address], 'unexpected pending guardians.')
+      assert.isTrue(await instances.GuardianRecovery.isGuardianFor(2, oldGuardian.address), 'guardian was replaced.')
+      assert.isFalse(await instances.GuardianRecovery.isGuardianFor(2, newGuardian.address), 'guardian was added.')
+    })
+
+    it('new guardians only replace the current ones after twice their delay', async function () {
+      await timeTravel(oneDay + 1)
+      await mine()
+      assert.isTrue(await instances.GuardianRecovery.isGuardianFor(2, oldGuardian.address), 'guardian was replaced.')
+    })
+
+    it('rotated guardians discard the approvals of the old ones', async function () {
+      await timeTravel(oneDay)
+      await mine()
+
+      assert.isFalse(await instances.GuardianRecovery.isGuardianFor(2, oldGuardian.address), 'guardian was kept.')
+      assert.deepEqual(
+        (await instances.GuardianRecovery.getGuardians(2)).guardians, [newGuardian.address], 'unexpected guardians.'
+      )
+      assert.equal((await instances.GuardianRecovery.getPendingGuardians(2)).guardians.length, 0, 'still pending.')
+      await assertApprovals(2, newAssociatedAddress.address, 0, false)
+      await assertRejected(
+        instances.GuardianRecovery.approveRecovery(2, newAssociatedAddress.address, { from: oldGuardian.address }),
+        'The address is not a guardian of the identity.'
+      )
+
+      const otherAddress = web3.eth.accounts.create()
+      await instances.GuardianRecovery.approveRecovery(2, otherAddress.address, { from: newGuardian.address })
+      await executeRecovery(2, otherAddress)
+      assert.isTrue(await instances.IdentityRegistry.isAddressFor(2, otherAddress.address), 'identity not recovered.')
+    })
+
+    it('old guardians can still recover identities while a rotation is pending', async function () {
+      // whoever stole an associated address rotates the guardians to ones they control
+      for (const address of [stolenAddress, otherStolenAddress]) {
+        await instances.GuardianRecovery.setGuardians([oldGuardian.address], 1, oneDay, { from: address.address })
+        await instances.GuardianRecovery.setGuardians([newGuardian.address], 1, 0, { from: address.address })
+      }
+      const [early, late] = [web3.eth.accounts.create(), web3.eth.accounts.create()]
+
+      // a recovery approved right away can be executed before the rotation is in force
+      await instances.GuardianRecovery.approveRecovery(3, early.address, { from: oldGuardian.address })
+      await timeTravel(oneDay + 1)
+      await mine()
+      await executeRecovery(3, early)
+      assert.isTrue(await instances.IdentityRegistry.isAddressFor(3, early.address), 'identity not recovered.')
+
+      // a recovery approved just before the rotation is in force can be executed after it
+      await instances.GuardianRecovery.approveRecovery(4, late.address, { from: oldGuardian.address })
+      await timeTravel(oneDay + 1)
+      await mine()
+      assert.isTrue(await instances.GuardianRecovery.isGuardianFor(4, newGuardian.address), 'guardians not rotated.')
+      await executeRecovery(4, late)
+      assert.isTrue(await instances.IdentityRegistry.isAddressFor(4, late.address), 'identity not recovered.')
+      await assertApprovals(4, late.address, 0, false)
+    })
+  })
+})
@@ -1,7 +1,17 @@
 const Web3 = require('web3')
 const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
 
-const { sign, verifyIdentity, timeTravel } = require('./common')
+const {
+  deployRegistry, mine, revert, sign, snapshot, verifyIdentity, verifyIndexer, timeTravel
+} = require('./common')
+const { defaultParameters } = require('../lib/deployments')
+const errors = require('../lib/errors')
+const { IdentityIndexer } = require('../lib/indexer')
+const RegistryMigration = require('../lib/migration')
+const permissions = require('../lib/permissions')
+const recovery = require('../lib/recovery')
+const signatures = require('../lib/signatures')
+const typedData = require('../lib/typedData')
 
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 
@@ -20,10 +30,33 @@ const privateKeys = [
 
 // convenience variables
 const instances = {}
+const checkpoints = []
 let accountsPrivate
+let chainId
 let identity
 let oldAssociatedAddresses
 let newRecoveryAddress
+let addAddressPermission
+let removeAddressPermission
+let unnoncedRemoveAddressPermissions
+
+function getNonce (address) {
+  return permissions.fetchNonce(web3, instances.IdentityRegistry.address, address)
+}
+
+// signs the permission for removeAddress over its message hash alone, as earlier registries accepted
+async function unnoncedRemoveAddress ({ registry, ein }, signer, method) {
+  const timestamp = permissions.currentTimestamp()
+  const messageHash = web3.utils.soliditySha3(
+    { t: 'string', v: permissions.messages.removeAddress },
+    { t: 'address', v: registry },
+    { t: 'uint256', v: ein },
+    { t: 'address', v: signer.address },
+    { t: 'uint256', v: timestamp }
+  )
+  const { v, r, s } = await sign(messageHash, signer.address, signer.privateKey, method)
+  return { args: [signer.address, v, r, s, timestamp] }
+}
 
 contract('Testing Identity', function (accounts) {
   accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
@@ -35,9 +68,23 @@ contract('Testing Identity', function (accounts) {
     resolvers:           []
   }
 
+  // after every scenario, the indexed state must match the on-chain state, which is snapshotted for historical queries
+  afterEach(async function () {
+    await verifyIndexer(instances.IdentityIndexer, instances.IdentityRegistry)
+    const blockNumber = await web3.eth.getBlockNumber()
+    const last = checkpoints[checkpoints.length - 1]
+    if (last === undefined || last.blockNumber !== blockNumber) {
+      checkpoints.push({ blockNumber: blockNumber, snapshotId: await snapshot() })
+    }
+  })
+
   describe('Deploying Contracts', function () {
     it('IdentityRegistry contract deployed', async function () {
-      instances.IdentityRegistry = await IdentityRegistry.new()
+      chainId = await web3.eth.net.getId()
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry, { chainId: chainId })
+      instances.IdentityIndexer = new IdentityIndexer(
+        web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi }
+      )
     })
   })
 
@@ -55,6 +102,32 @@ contract('Testing Identity', function (accounts) {
       }
     })
 
+    it('Typed data signatures verify correctly', async function () {
+      const domain = typedData.domain({ registry: instances.IdentityRegistry.address, chainId: chainId })
+      const domainSeparator = await instances.IdentityRegistry.domainSeparator()
+      assert.equal(domainSeparator, typedData.hashStruct('EIP712Domain', domain), 'Unexpected domain separator.')
+
+      // sign both locally and via eth_signTypedData
+      for (const account of accountsPrivate) {
+        const permission = permissions.typedRemoveAddress({
+          registry:        instances.IdentityRegistry.address,
+          chainId:         chainId,
+          ein:             1,
+          addressToRemove: account.address,
+          timestamp:       1,
+          nonce:           0
+        })
+        const structHash = typedData.hashStruct(permission.primaryType, permission.message)
+        for (const signer of [account, { address: account.address, web3: web3 }]) {
+          const signature = await signatures.signTypedData(permission, signer)
+          const isSigned = await instances.IdentityRegistry.isSignedTypedData(
+            account.address, domainSeparator, structHash, signature.v, signature.r, signature.s
+          )
+          assert.isTrue(isSigned, 'Signature could not be verified.')
+        }
+      }
+    })
+
     it('Identity can be minted', async function () {
       // test user minting
       const mintedIdentity = await instances.IdentityRegistry.mintIdentity.call(
@@ -64,25 +137,35 @@ contract('Testing Identity', function (accounts) {
       assert.isTrue(mintedIdentity.eq(web3.utils.toBN(1)), 'Unexpected identity token user')
 
       // test delegated minting
-      const timestamp = Math.round(new Date() / 1000) - 1
-      const permissionString = web3.utils.soliditySha3(
-        'I authorize an Identity to be minted on my behalf.',
-        instances.IdentityRegistry.address,
-        identity.recoveryAddress.address,
-        identity.associatedAddresses[0].address,
-        identity.providers[0].address,
-        { t: 'address[]', v: [] },
-        timestamp
-      )
-      const permission = await sign(
-        permissionString, identity.associatedAddresses[0].address, identity.associatedAddresses[0].private
-      )
-      const mintedIdentityDelegated = await instances.IdentityRegistry.mintIdentityDelegated.call(
-        identity.recoveryAddress.address, identity.associatedAddresses[0].address, [],
-        permission.v, permission.r, permission.s, timestamp,
-        { from: identity.providers[0].address }
+      for (const method of ['prefixed', 'unprefixed', 'typed']) {
+        const permission = await permissions.mintIdentityDelegated({
+          registry:        instances.IdentityRegistry.address,
+          chainId:         chainId,
+          recoveryAddress: identity.recoveryAddress.address,
+          provider:        identity.providers[0].address,
+          nonce:           await getNonce(identity.associatedAddresses[0].address)
+        }, identity.associatedAddresses[0], method)
+        const mintedIdentityDelegated = await instances.IdentityRegistry.mintIdentityDelegated.call(
+          ...permission.args, { from: identity.providers[0].address }
+        )
+        assert.isTrue(mintedIdentityDelegated.eq(web3.utils.toBN(1)), 'Unexpected identity token delegated')
+      }
+    })
+
+    it('Typed data permissions are bound to the chain', async function () {
+      const permission = await permissions.mintIdentityDelegated({
+        registry:        instances.IdentityRegistry.address,
+        chainId:         chainId + 1,
+        recoveryAddress: identity.recoveryAddress.address,
+        provider:        identity.providers[0].address,
+        nonce:           await getNonce(identity.associatedAddresses[0].address)
+      }, identity.associatedAddresses[0], 'typed')
+
+      await instances.IdentityRegistry.mintIdentityDelegated(
+        ...permission.args, { from: identity.providers[0].address }
       )
-      assert.isTrue(mintedIdentityDelegated.eq(web3.utils.toBN(1)), 'Unexpected identity token delegated')
+        .then(() => assert.fail('minted with a permission for another chain', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
     })
 
     it('Identity minted', async function () {
@@ -102,37 +185,18 @@ contract('Testing Identity', function (accounts) {
     })
 
     it('provider can add other addresses', async function () {
-      for (const address of [identity.associatedAddresses[1], identity.associatedAddresses[2], accountsPrivate[5]]) {
-        const timestamp = Math.round(new Date() / 1000) - 1
-        const permissionStringApproving = web3.utils.soliditySha3(
-          'I authorize adding this address to my Identity.',
-          instances.IdentityRegistry.address,
-          identity.identity,
-          address.address,
-          timestamp
-        )
+      const addresses = [identity.associatedAddresses[1], identity.associatedAddresses[2], accountsPrivate[5]]
+      const methods = ['prefixed', 'unprefixed', 'typed']
+      for (const [i, address] of addresses.entries()) {
+        const permission = await permissions.addAddress({
+          registry: instances.IdentityRegistry.address,
+          chainId:  chainId,
+          ein:      identity.identity,
+          nonce:    [await getNonce(identity.associatedAddresses[0].address), await getNonce(address.address)]
+        }, identity.associatedAddresses[0], address, methods[i])
 
-        const permissionString = web3.utils.soliditySha3(
-          'I authorize being added to this Identity.',
-          instances.IdentityRegistry.address,
-          identity.identity,
-          address.address,
-          timestamp
-        )
-
-        const permissionApproving = await sign(
-          permissionStringApproving, identity.associatedAddresses[0].address, identity.associatedAddresses[0].private
-        )
-        const permission = await sign(permissionString, address.address, address.private)
-
-        await instances.IdentityRegistry.addAddress(
-          identity.associatedAddresses[0].address, address.address,
-          [permissionApproving.v, permission.v],
-          [permissionApproving.r, permission.r],
-          [permissionApproving.s, permission.s],
-          [timestamp, timestamp],
-          { from: identity.providers[0].address }
-        )
+        await instances.IdentityRegistry.addAddress(...permission.args, { from: identity.providers[0].address })
+        addAddressPermission = permission
 
         let associatedAddresses
         if (address.address === identity.associatedAddresses[1].address) {
@@ -155,20 +219,28 @@ contract('Testing Identity', function (accounts) {
 
     it('provider can remove addresses', async function () {
       const address = accountsPrivate[5]
-      const timestamp = Math.round(new Date() / 1000) - 1
-      const permissionString = web3.utils.soliditySha3(
-        'I authorize removing this address from my Identity.',
-        instances.IdentityRegistry.address,
-        identity.identity,
-        address.address,
-        timestamp
-      )
+      const fields = { registry: instances.IdentityRegistry.address, chainId: chainId, ein: identity.identity }
+
+      // permissions without a nonce are rejected, as they could be replayed
+      unnoncedRemoveAddressPermissions = []
+      for (const method of ['prefixed', 'unprefixed']) {
+        const unnonced = await unnoncedRemoveAddress(fields, address, method)
+        await instances.IdentityRegistry.removeAddress(...unnonced.args, { from: identity.providers[0].address })
+          .then(() => assert.fail('removed an address without a nonce', 'transaction should fail'))
+          .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+        unnoncedRemoveAddressPermissions.push(unnonced)
 
-      const permission = await sign(permissionString, address.address, address.private)
+        const permission = await permissions.removeAddress(
+          Object.assign({ nonce: await getNonce(address.address) }, fields), address, method
+        )
+        await instances.IdentityRegistry.removeAddress.call(...permission.args, { from: identity.providers[0].address })
+      }
 
+      removeAddressPermission = await permissions.removeAddress(
+        Object.assign({ nonce: await getNonce(address.address) }, fields), address, 'typed'
+      )
       await instances.IdentityRegistry.removeAddress(
-        address.address, permission.v, permission.r, permission.s, timestamp,
-        { from: identity.providers[0].address }
+        ...removeAddressPermission.args, { from: identity.providers[0].address }
       )
 
       await verifyIdentity(identity.identity, instances.IdentityRegistry, {
@@ -179,17 +251,58 @@ contract('Testing Identity', function (accounts) {
       })
     })
 
+    it('Replayed permissions are rejected', async function () {
+      const address = accountsPrivate[5]
+
+      // the address cannot be re-added with the permissions it was added with
+      await instances.IdentityRegistry.addAddress(
+        ...addAddressPermission.args, { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('replayed permission to add an address', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Permission denied from approving address.', 'wrong rejection reason'
+        ))
+
+      // once re-added with new permissions, it cannot be removed with the permission it was removed with
+      const permission = await permissions.addAddress({
+        registry: instances.IdentityRegistry.address,
+        ein:      identity.identity,
+        nonce:    [await getNonce(identity.associatedAddresses[0].address), await getNonce(address.address)]
+      }, identity.associatedAddresses[0], address)
+      await instances.IdentityRegistry.addAddress(...permission.args, { from: identity.providers[0].address })
+
+      for (const permission of [removeAddressPermission].concat(unnoncedRemoveAddressPermissions)) {
+        await instances.IdentityRegistry.removeAddress(...permission.args, { from: identity.providers[0].address })
+          .then(() => assert.fail('replayed permission to remove an address', 'transaction should fail'))
+          .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+      }
+
+      const removePermission = await permissions.removeAddress({
+        registry: instances.IdentityRegistry.address,
+        ein:      identity.identity,
+        nonce:    await getNonce(address.address)
+      }, address)
+      await instances.IdentityRegistry.removeAddress(...removePermission.args, { from: identity.providers[0].address })
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: identity.associatedAddresses.map(address => address.address),
+        providers:           identity.providers.map(provider => provider.address),
+        resolvers:           []
+      })
+    })
+
     it('identity can add a provider', async function () {
       const provider = accountsPrivate[6]
 
       await Promise.all(identity.associatedAddresses.map(({ address }) => {
-        return instances.IdentityRegistry.addProviders.call(
+        return instances.IdentityRegistry.methods['addProviders(address[])'].call(
           [provider.address],
           { from: address }
         )
       }))
 
-      await instances.IdentityRegistry.addProviders(
+      await instances.IdentityRegistry.methods['addProviders(uint256,address[])'](
         identity.identity, [provider.address], { from: identity.providers[0].address }
       )
 
@@ -205,13 +318,13 @@ contract('Testing Identity', function (accounts) {
       const provider = accountsPrivate[6]
 
       await Promise.all(identity.associatedAddresses.map(({ address }) => {
-        return instances.IdentityRegistry.removeProviders.call(
+        return instances.IdentityRegistry.methods['removeProviders(address[])'].call(
           [provider.address],
           { from: address }
         )
       }))
 
-      await instances.IdentityRegistry.removeProviders(
+      await instances.IdentityRegistry.methods['removeProviders(uint256,address[])'](
         identity.identity, [provider.address], { from: identity.providers[0].address }
       )
 
@@ -257,6 +370,113 @@ contract('Testing Identity', function (accounts) {
     })
   })
 
+  describe('Testing Provider Permissions', function () {
+    const restrictedProvider = accountsPrivate[6]
+    const delegatedProvider = accountsPrivate[9]
+
+    async function assertPermissions (provider, expected) {
+      const permissions = await instances.IdentityRegistry.getProviderPermissions(identity.identity, provider.address)
+      assert.equal(permissions.toNumber(), expected, 'unexpected provider permissions.')
+    }
+
+    it('providers have every permission by default', async function () {
+      await assertPermissions(identity.providers[0], 7)
+      await assertPermissions(restrictedProvider, 0)
+      assert.isTrue(
+        await instances.IdentityRegistry.hasProviderPermission(identity.identity, identity.providers[0].address, 4),
+        'provider cannot change the recovery address.'
+      )
+    })
+
+    it('identity can restrict a provider to managing resolvers', async function () {
+      await instances.IdentityRegistry.methods['addProviders(address[])'](
+        [restrictedProvider.address], { from: identity.associatedAddresses[0].address }
+      )
+      await instances.IdentityRegistry.setProviderPermissions(
+        restrictedProvider.address, 2, { from: identity.associatedAddresses[0].address }
+      )
+      await assertPermissions(restrictedProvider, 2)
+
+      const resolver = accountsPrivate[7]
+      for (const method of ['addResolvers', 'removeResolvers']) {
+        await instances.IdentityRegistry[method](
+          identity.identity, [resolver.address], { from: restrictedProvider.address }
+        )
+      }
+    })
+
+    it('resolver-only provider is refused a recovery change', async function () {
+      await instances.IdentityRegistry.initiateRecoveryAddressChange(
+        identity.identity, restrictedProvider.address, { from: restrictedProvider.address }
+      )
+        .then(() => assert.fail('recovery address was changed', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The provider does not have this permission.', 'wrong rejection reason'
+        ))
+
+      await instances.IdentityRegistry.methods['addProviders(uint256,address[])'](
+        identity.identity, [delegatedProvider.address], { from: restrictedProvider.address }
+      )
+        .then(() => assert.fail('provider was added', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The provider does not have this permission.', 'wrong rejection reason'
+        ))
+    })
+
+    it('providers added by a provider get at most its permissions', async function () {
+      await instances.IdentityRegistry.setProviderPermissions(
+        restrictedProvider.address, 3, { from: identity.associatedAddresses[1].address }
+      )
+      await instances.IdentityRegistry.methods['addProviders(uint256,address[])'](
+        identity.identity, [delegatedProvider.address], { from: restrictedProvider.address }
+      )
+      await assertPermissions(delegatedProvider, 3)
+    })
+
+    it('only associated addresses can set the permissions of providers', async function () {
+      await instances.IdentityRegistry.setProviderPermissions(
+        delegatedProvider.address, 7, { from: delegatedProvider.address }
+      )
+        .then(() => assert.fail('permissions were set', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The passed address has/does not have an identity.', 'wrong rejection reason'
+        ))
+
+      await instances.IdentityRegistry.setProviderPermissions(
+        accountsPrivate[8].address, 7, { from: identity.associatedAddresses[0].address }
+      )
+        .then(() => assert.fail('permissions were set', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The identity has not set the passed provider.', 'wrong rejection reason'
+        ))
+    })
+
+    it('removed providers lose their permissions', async function () {
+      const providers = [restrictedProvider.address, delegatedProvider.address]
+      await instances.IdentityRegistry.methods['removeProviders(address[])'](
+        providers, { from: identity.associatedAddresses[0].address }
+      )
+      await assertPermissions(restrictedProvider, 0)
+
+      // re-added providers have every permission again
+      await instances.IdentityRegistry.methods['addProviders(address[])'](
+        providers, { from: identity.associatedAddresses[0].address }
+      )
+      await assertPermissions(restrictedProvider, 7)
+      await assertPermissions(delegatedProvider, 7)
+
+      await instances.IdentityRegistry.methods['removeProviders(address[])'](
+        providers, { from: identity.associatedAddresses[0].address }
+      )
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: identity.associatedAddresses.map(address => address.address),
+        providers:           identity.providers.map(provider => provider.address),
+        resolvers:           []
+      })
+    })
+  })
+
   describe('Testing Recovery Process', function () {
     it('Can initiate change in recovery address', async function () {
       newRecoveryAddress = accountsPrivate[8]
@@ -265,6 +485,10 @@ contract('Testing Identity', function (accounts) {
         identity.identity, newRecoveryAddress.address, { from: identity.providers[0].address }
       )
 
+      const change = await instances.IdentityRegistry.getRecoveryAddressChange(identity.identity)
+      assert.equal(change.oldRecoveryAddress, identity.recoveryAddress.address, 'unexpected old recovery address.')
+      assert.isFalse(change.timestamp.isZero(), 'change was not logged.')
+
       await verifyIdentity(identity.identity, instances.IdentityRegistry, {
         recoveryAddress:     newRecoveryAddress.address,
         associatedAddresses: identity.associatedAddresses.map(associatedAddress => associatedAddress.address),
@@ -275,33 +499,30 @@ contract('Testing Identity', function (accounts) {
 
     let newAssociatedAddress
     let newAssociatedAddressPermission
-    let timestamp
-    let futureTimestamp
-    let futureNewAssociatedAddressPermission
+    let futureNewAssociatedAddressPermissions
     const twoWeeks = 60 * 60 * 24 * 14
     it('New recovery address cannot trigger recovery', async function () {
       newAssociatedAddress = accountsPrivate[9]
-      timestamp = Math.round(new Date() / 1000) - 1
-      futureTimestamp = timestamp + twoWeeks
-      const permissionString = web3.utils.soliditySha3(
-        'I authorize being added to this Identity via recovery.',
-        instances.IdentityRegistry.address, identity.identity, newAssociatedAddress.address, timestamp
-      )
-      newAssociatedAddressPermission = await sign(
-        permissionString, newAssociatedAddress.address, newAssociatedAddress.private
-      )
-      const futurePermissionString = web3.utils.soliditySha3(
-        'I authorize being added to this Identity via recovery.',
-        instances.IdentityRegistry.address, identity.identity, newAssociatedAddress.address, futureTimestamp
-      )
-      futureNewAssociatedAddressPermission = await sign(
-        futurePermissionString, newAssociatedAddress.address, newAssociatedAddress.private
-      )
+      const timestamp = permissions.currentTimestamp()
+      newAssociatedAddressPermission = await permissions.triggerRecovery({
+        registry:  instances.IdentityRegistry.address,
+        ein:       identity.identity,
+        timestamp: timestamp,
+        nonce:     await getNonce(newAssociatedAddress.address)
+      }, newAssociatedAddress)
+      futureNewAssociatedAddressPermissions = {}
+      for (const method of ['prefixed', 'unprefixed', 'typed']) {
+        futureNewAssociatedAddressPermissions[method] = await permissions.triggerRecovery({
+          registry:  instances.IdentityRegistry.address,
+          chainId:   chainId,
+          ein:       identity.identity,
+          timestamp: timestamp + twoWeeks,
+          nonce:     await getNonce(newAssociatedAddress.address)
+        }, newAssociatedAddress, method)
+      }
 
       await instances.IdentityRegistry.triggerRecovery(
-        identity.identity, newAssociatedAddress.address,
-        newAssociatedAddressPermission.v, newAssociatedAddressPermission.r, newAssociatedAddressPermission.s, timestamp,
-        { from: newRecoveryAddress.address }
+        ...newAssociatedAddressPermission.args, { from: newRecoveryAddress.address }
       )
         .then(() => assert.fail('new recovery address triggered recovery', 'transaction should fail'))
         .catch(error => assert.include(
@@ -323,9 +544,7 @@ contract('Testing Identity', function (accounts) {
       await timeTravel(twoWeeks + 1)
 
       await instances.IdentityRegistry.triggerRecovery(
-        identity.identity, newAssociatedAddress.address,
-        futureNewAssociatedAddressPermission.v, futureNewAssociatedAddressPermission.r,
-        futureNewAssociatedAddressPermission.s, futureTimestamp,
+        ...futureNewAssociatedAddressPermissions.prefixed.args,
         { from: identity.recoveryAddress.address }
       )
         .then(() => assert.fail('old recovery address triggered recovery', 'transaction should fail'))
@@ -354,13 +573,25 @@ contract('Testing Identity', function (accounts) {
           oldAssociatedAddresses = event.returnValues.oldAssociatedAddresses
         })
 
+      for (const method of ['prefixed', 'unprefixed']) {
+        await instances.IdentityRegistry.triggerRecovery.call(
+          ...futureNewAssociatedAddressPermissions[method].args,
+          { from: newRecoveryAddress.address }
+        )
+      }
+
       await instances.IdentityRegistry.triggerRecovery(
-        identity.identity, newAssociatedAddress.address,
-        futureNewAssociatedAddressPermission.v, futureNewAssociatedAddressPermission.r,
-        futureNewAssociatedAddressPermission.s, futureTimestamp,
+        ...futureNewAssociatedAddressPermissions.typed.args,
         { from: newRecoveryAddress.address }
       )
 
+      const recovered = await instances.IdentityRegistry.getRecoveredChange(identity.identity)
+      assert.equal(
+        recovered.hashedOldAssociatedAddresses,
+        recovery.hashAddresses(identity.associatedAddresses.map(associatedAddress => associatedAddress.address)),
+        'unexpected hash of old associated addresses.'
+      )
+
       await verifyIdentity(identity.identity, instances.IdentityRegistry, {
         recoveryAddress:     newRecoveryAddress.address,
         associatedAddresses: [newAssociatedAddress.address],
@@ -402,4 +633,452 @@ contract('Testing Identity', function (accounts) {
       })
     })
   })
+
+  describe('Testing Provider Expiry', function () {
+    const expiringIdentity = {
+      associatedAddress: accountsPrivate[1],
+      provider:          accountsPrivate[5],
+      delegatedProvider: accountsPrivate[8]
+    }
+    const oneDay = 60 * 60 * 24
+    let ein
+    let expiry
+
+    async function latestTimestamp () {
+      return Number((await web3.eth.getBlock('latest')).timestamp)
+    }
+
+    async function assertExpiry (provider, expected, isProvider) {
+      const providerExpiry = await instances.IdentityRegistry.getProviderExpiry(ein, provider.address)
+      assert.equal(providerExpiry.toNumber(), expected, 'unexpected provider expiry.')
+      assert.equal(
+        await instances.IdentityRegistry.isProviderFor(ein, provider.address), isProvider, 'unexpected provider.'
+      )
+    }
+
+    it('identity can add a provider until an expiry', async function () {
+      await instances.IdentityRegistry.mintIdentity(
+        accountsPrivate[0].address, accountsPrivate[0].address, [],
+        { from: expiringIdentity.associatedAddress.address }
+      )
+      ein = await instances.IdentityRegistry.getEIN(expiringIdentity.associatedAddress.address)
+
+      expiry = await latestTimestamp() + oneDay
+      await instances.IdentityRegistry.methods['addProviders(address[],uint256)'](
+        [expiringIdentity.provider.address], expiry, { from: expiringIdentity.associatedAddress.address }
+      )
+      await assertExpiry(expiringIdentity.provider, expiry, true)
+      await assertExpiry(accountsPrivate[0], 0, true)
+    })
+
+    it('expiry must be in the future', async function () {
+      await instances.IdentityRegistry.methods['addProviders(address[],uint256)'](
+        [expiringIdentity.delegatedProvider.address], await latestTimestamp() - 1,
+        { from: expiringIdentity.associatedAddress.address }
+      )
+        .then(() => assert.fail('provider was added', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'The expiry has already passed.', 'wrong rejection reason'))
+    })
+
+    it('providers added by a provider expire with it', async function () {
+      await instances.IdentityRegistry.methods['addProviders(uint256,address[],uint256)'](
+        ein, [expiringIdentity.delegatedProvider.address], 0, { from: expiringIdentity.provider.address }
+      )
+      await assertExpiry(expiringIdentity.delegatedProvider, expiry, true)
+    })
+
+    it('indexer lists expiring providers', async function () {
+      await instances.IdentityIndexer.sync()
+      const grants = (await instances.IdentityIndexer.getExpiringProviders({ within: oneDay }))
+        .filter(grant => grant.ein === ein.toString())
+      assert.deepEqual(grants.map(grant => [grant.provider, grant.expiry, grant.expired]), [
+        [expiringIdentity.provider.address, expiry, false],
+        [expiringIdentity.delegatedProvider.address, expiry, false]
+      ], 'unexpected expiring providers.')
+
+      const later = await instances.IdentityIndexer.getExpiringProviders({ within: 60, now: expiry })
+      assert.isTrue(later.filter(grant => grant.ein === ein.toString()).every(grant => grant.expired), 'not expired.')
+    })
+
+    it('expired providers lose access', async function () {
+      await timeTravel(oneDay + 1)
+
+      await instances.IdentityRegistry.methods['addProviders(uint256,address[])'](
+        ein, [accountsPrivate[7].address], { from: expiringIdentity.provider.address }
+      )
+        .then(() => assert.fail('expired provider added a provider', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The identity has not set the passed provider.', 'wrong rejection reason'
+        ))
+
+      await assertExpiry(expiringIdentity.provider, expiry, false)
+      await assertExpiry(expiringIdentity.delegatedProvider, expiry, false)
+    })
+
+    it('identity can renew expired providers', async function () {
+      expiry = await latestTimestamp() + oneDay
+      await instances.IdentityRegistry.methods['addProviders(address[],uint256)'](
+        [expiringIdentity.provider.address], expiry, { from: expiringIdentity.associatedAddress.address }
+      )
+      await assertExpiry(expiringIdentity.provider, expiry, true)
+
+      await instances.IdentityRegistry.methods['addProviders(address[])'](
+        [expiringIdentity.delegatedProvider.address], { from: expiringIdentity.associatedAddress.address }
+      )
+      await assertExpiry(expiringIdentity.delegatedProvider, 0, true)
+    })
+  })
+
+  describe('Testing Parameters', function () {
+    const configurations = [
+      { maxAssociatedAddresses: 2, recoveryTimeout: 60 * 60, signatureTimeout: 60 },
+      { maxAssociatedAddresses: 3, recoveryTimeout: 60 * 60 * 24 * 30, signatureTimeout: 60 * 60 * 24 }
+    ]
+    const [recoveryAddress, associatedAddress, ...addressesToAdd] = accountsPrivate.slice(0, 5)
+    const provider = accountsPrivate[5]
+
+    async function latestTimestamp () {
+      return Number((await web3.eth.getBlock('latest')).timestamp)
+    }
+
+    for (const configuration of configurations) {
+      describe(`Testing registries with ${JSON.stringify(configuration)}`, function () {
+        let registry
+        let ein
+
+        it('registry is deployed with the parameters', async function () {
+          await deployRegistry(IdentityRegistry, Object.assign({}, configuration, { signatureTimeout: 0 }))
+            .then(() => assert.fail('registry was deployed', 'deployment should fail'))
+            .catch(error => assert.include(error.message, 'Parameters must be positive.', 'wrong rejection reason'))
+
+          registry = await deployRegistry(IdentityRegistry, configuration)
+          for (const name of Object.keys(configuration)) {
+            assert.equal((await registry[name]()).toNumber(), configuration[name], `unexpected ${name}.`)
+          }
+          const [event] = await registry.getPastEvents('ParametersSet', { fromBlock: 0 })
+          assert.equal(event.args.recoveryTimeout.toNumber(), configuration.recoveryTimeout, 'unexpected event.')
+
+          await registry.changeParameters(1, 1, 1, { from: associatedAddress.address })
+            .then(() => assert.fail('parameters were changed', 'transaction should fail'))
+            .catch(error => assert.include(
+              error.message, 'Only the governor can change parameters.', 'wrong rejection reason'
+            ))
+        })
+
+        it('signatures expire after signatureTimeout', async function () {
+          const fields = {
+            registry: registry.address,
+            recoveryAddress: recoveryAddress.address,
+            provider: provider.address,
+            nonce: await permissions.fetchNonce(web3, registry.address, associatedAddress.address)
+          }
+          const expired = await permissions.mintIdentityDelegated(
+            Object.assign({ timestamp: await latestTimestamp() }, fields), associatedAddress
+          )
+          await timeTravel(configuration.signatureTimeout + 1)
+          await registry.mintIdentityDelegated(...expired.args, { from: provider.address })
+            .then(() => assert.fail('identity was minted', 'transaction should fail'))
+            .catch(error => assert.include(error.message, 'Timestamp is not valid.', 'wrong rejection reason'))
+
+          const permission = await permissions.mintIdentityDelegated(
+            Object.assign({ timestamp: await latestTimestamp() }, fields), associatedAddress
+          )
+          await registry.mintIdentityDelegated(...permission.args, { from: provider.address })
+          ein = await registry.getEIN(associatedAddress.address)
+        })
+
+        it('identities are capped at maxAssociatedAddresses', async function () {
+          const cap = configuration.maxAssociatedAddresses
+          for (const [i, addressToAdd] of addressesToAdd.slice(0, cap).entries()) {
+            const permission = await permissions.addAddress({
+              registry: registry.address,
+              ein: ein,
+              timestamp: await latestTimestamp(),
+              nonce: [
+                await permissions.fetchNonce(web3, registry.address, associatedAddress.address),
+                await permissions.fetchNonce(web3, registry.address, addressToAdd.address)
+              ]
+            }, associatedAddress, addressToAdd)
+            const adding = registry.addAddress(...permission.args, { from: provider.address })
+            if (i + 1 < cap) {
+              await adding
+            } else {
+              await adding
+                .then(() => assert.fail('address was added', 'transaction should fail'))
+                .catch(error => assert.include(
+                  error.message, 'Cannot add too many addresses.', 'wrong rejection reason'
+                ))
+            }
+          }
+          assert.equal((await registry.getAssociatedAddressCount(ein)).toNumber(), cap, 'unexpected addresses.')
+        })
+
+        it('recovery windows last recoveryTimeout', async function () {
+          await registry.initiateRecoveryAddressChange(ein, provider.address, { from: provider.address })
+          await registry.initiateRecoveryAddressChange(ein, recoveryAddress.address, { from: provider.address })
+            .then(() => assert.fail('recovery address was changed', 'transaction should fail'))
+            .catch(error => assert.include(
+              error.message, 'Pending change of recovery address has not timed out.', 'wrong rejection reason'
+            ))
+
+          // once the window has closed, the recovery address can be changed back, leaving the provider in charge of
+          // recoveries during the new window
+          await timeTravel(configuration.recoveryTimeout + 1)
+          await registry.initiateRecoveryAddressChange(ein, recoveryAddress.address, { from: provider.address })
+
+          const newAssociatedAddress = web3.eth.accounts.create()
+          const permission = await permissions.triggerRecovery({
+            registry: registry.address,
+            ein: ein,
+            timestamp: await latestTimestamp(),
+            nonce: await permissions.fetchNonce(web3, registry.address, newAssociatedAddress.address)
+          }, newAssociatedAddress)
+          await registry.triggerRecovery(...permission.args, { from: provider.address })
+
+          // the addresses removed by the recovery can no longer poison the identity once the window has closed
+          await timeTravel(configuration.recoveryTimeout + 1)
+          const removed = addressesToAdd.slice(0, configuration.maxAssociatedAddresses - 1)
+          const lastChunk = removed.map(addressToAdd => addressToAdd.address)
+          await registry.triggerPoisonPill(ein, [], lastChunk, true, { from: associatedAddress.address })
+            .then(() => assert.fail('identity was poisoned', 'transaction should fail'))
+            .catch(error => assert.include(
+              error.message, 'No addresses have recently been removed from a recovery.', 'wrong rejection reason'
+            ))
+        })
+      })
+    }
+  })
+
+  describe('Testing Migration', function () {
+    const [recoveryAddress, associatedAddress] = accountsPrivate
+    // ganache underestimates the gas of calls that call other contracts
+    const options = { gas: 6000000 }
+    let migration
+    let before
+    let migratedEIN
+
+    function sendConsent (consent) {
+      return instances.Successor.importIdentity(...consent.args, { from: accountsPrivate[9].address, gas: options.gas })
+    }
+
+    it('successor registry deployed', async function () {
+      instances.Successor = await deployRegistry(
+        IdentityRegistry, { chainId: chainId, predecessor: instances.IdentityRegistry.address }
+      )
+      assert.equal(
+        await instances.Successor.predecessor(), instances.IdentityRegistry.address, 'unexpected predecessor.'
+      )
+      migration = new RegistryMigration(web3, instances.IdentityRegistry.address, instances.Successor.address, {
+        abi: IdentityRegistry.abi, from: accountsPrivate[9].address, indexer: instances.IdentityIndexer
+      })
+    })
+
+    it('identities cannot be migrated during recovery windows', async function () {
+      const ein = await instances.IdentityRegistry.getEIN(associatedAddress.address)
+      await instances.IdentityRegistry.initiateRecoveryAddressChange(
+        ein, recoveryAddress.address, { from: recoveryAddress.address }
+      )
+
+      const consent = await migration.signConsent(ein, associatedAddress)
+      await migration.submitConsent(consent, options)
+        .then(() => assert.fail('identity was migrated', 'transaction should fail'))
+        .catch(error => assert.instanceOf(error, errors.RecoveryCooldownError, 'unexpected error.'))
+
+      await timeTravel(defaultParameters.recoveryTimeout + 1)
+      await mine()
+    })
+
+    it('consents are only valid for the successor they name', async function () {
+      const ein = await instances.IdentityRegistry.getEIN(associatedAddress.address)
+      const consent = await permissions.migrateIdentity({
+        registry: instances.IdentityRegistry.address,
+        ein: ein,
+        successor: accountsPrivate[9].address,
+        timestamp: Number((await web3.eth.getBlock('latest')).timestamp),
+        nonce: await getNonce(associatedAddress.address)
+      }, associatedAddress)
+      await sendConsent(consent)
+        .then(() => assert.fail('identity was migrated', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+    })
+
+    it('identities of the main suite migrate with the consent of an associated address', async function () {
+      const now = Number((await web3.eth.getBlock('latest')).timestamp)
+      migratedEIN = await instances.IdentityRegistry.getEIN(associatedAddress.address)
+      before = {}
+      for (const { ein } of await migration.getPendingIdentities()) {
+        const details = await instances.IdentityRegistry.getDetails(ein)
+        const providers = []
+        for (const provider of details.providers) {
+          const expiry = (await instances.IdentityRegistry.getProviderExpiry(ein, provider)).toNumber()
+          const granted = await instances.IdentityRegistry.getProviderPermissions(ein, provider)
+          if (expiry === 0 || expiry > now) providers.push({ provider, expiry, granted: granted.toString() })
+        }
+        before[ein] = { details, providers }
+      }
+
+      const { migrated, skipped } = await migration.migrateAll(accountsPrivate, options)
+      const signed = Object.keys(before).filter(ein => before[ein].details.associatedAddresses.some(
+        address => accountsPrivate.some(account => account.address === address)
+      ))
+      assert.sameMembers(migrated.map(({ oldEIN }) => oldEIN.toString()), signed, 'unexpected migrated identities.')
+      assert.isTrue(
+        skipped.every(({ reason }) => reason === 'No signer is associated with the identity.'), 'unexpected skips.'
+      )
+      assert.isNotEmpty(migrated, 'no identities were migrated.')
+      assert.isTrue(
+        Object.values(before).some(({ details, providers }) => providers.length < details.providers.length),
+        'no expired providers were left behind.'
+      )
+
+      for (const { oldEIN, ein } of migrated) {
+        const { details, providers } = before[oldEIN.toString()]
+        await verifyIdentity(ein, instances.Successor, {
+          recoveryAddress: details.recoveryAddress,
+          associatedAddresses: details.associatedAddresses,
+          providers: providers.map(({ provider }) => provider),
+          resolvers: details.resolvers
+        })
+        for (const { provider, expiry, granted } of providers) {
+          const imported = await instances.Successor.getProviderExpiry(ein, provider)
+          assert.equal(imported.toNumber(), expiry, 'unexpected provider expiry.')
+          const importedPermissions = await instances.Successor.getProviderPermissions(ein, provider)
+          assert.equal(importedPermissions.toString(), granted, 'unexpected provider permissions.')
+        }
+
+        const old = await instances.IdentityRegistry.getDetails(oldEIN)
+        assert.deepEqual(
+          [old.recoveryAddress, old.associatedAddresses, old.providers, old.resolvers],
+          ['0x0000000000000000000000000000000000000000', [], [], []],
+          'old identity was not emptied.'
+        )
+        assert.equal(
+          await instances.IdentityRegistry.migratedTo(oldEIN), instances.Successor.address, 'unexpected successor.'
+        )
+      }
+
+      const importedEINs = await migration.getImportedEINs()
+      for (const { oldEIN, ein } of migrated) {
+        assert.isTrue(importedEINs[oldEIN.toString()].eq(ein), 'unexpected imported EIN.')
+      }
+    })
+
+    it('migrated identities cannot be migrated again', async function () {
+      const pending = await migration.getPendingIdentities()
+      assert.isTrue(pending.every(identity => identity.migratedTo === null), 'migrated identities are pending.')
+
+      assert.isUndefined(
+        await instances.IdentityIndexer.getEIN(associatedAddress.address), 'migrated address is still indexed.'
+      )
+      const [last] = (await instances.IdentityIndexer.getAddressHistory(migratedEIN)).slice(-1)
+      assert.deepEqual([last.action, last.event], ['removed', 'IdentityMigrated'], 'unexpected address history.')
+      assert.equal((await instances.IdentityIndexer.getIdentity(migratedEIN)).migratedTo, instances.Successor.address)
+
+      const consent = await permissions.migrateIdentity({
+        registry: instances.IdentityRegistry.address,
+        ein: migratedEIN,
+        successor: instances.Successor.address,
+        timestamp: Number((await web3.eth.getBlock('latest')).timestamp),
+        nonce: await getNonce(associatedAddress.address)
+      }, associatedAddress)
+      await sendConsent(consent)
+        .then(() => assert.fail('identity was migrated', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The passed address has/does not have an identity.', 'wrong rejection reason'
+        ))
+    })
+
+    it('indexers follow identities to the successor', async function () {
+      const successorIndexer = new IdentityIndexer(web3, instances.Successor.address, { abi: IdentityRegistry.abi })
+      await verifyIndexer(successorIndexer, instances.Successor)
+
+      const ein = await instances.Successor.getEIN(associatedAddress.address)
+      const history = await successorIndexer.getAddressHistory(ein)
+      const details = await instances.Successor.getDetails(ein)
+      assert.deepEqual(
+        history.map(entry => [entry.address, entry.action, entry.event]),
+        details.associatedAddresses.map(address => [address, 'added', 'IdentityImported']),
+        'unexpected address history.'
+      )
+    })
+  })
+
+  describe('Testing Historical Queries', function () {
+    it('addresses removed by recoveries and poison pills were associated until then', async function () {
+      const history = await instances.IdentityIndexer.getAddressHistory(1)
+      const removals = history.filter(entry => ['RecoveryTriggered', 'Poisoned'].includes(entry.event) &&
+        entry.action === 'removed')
+      assert.sameMembers(
+        [...new Set(removals.map(entry => entry.event))], ['RecoveryTriggered', 'Poisoned'], 'unexpected removals.'
+      )
+
+      for (const { address, blockNumber } of removals) {
+        assert.isTrue(await instances.IdentityIndexer.wasAddressFor(1, address, blockNumber - 1), 'not associated.')
+        assert.isFalse(await instances.IdentityIndexer.wasAddressFor(1, address, blockNumber), 'still associated.')
+      }
+    })
+
+    it('queries can refer to blocks by timestamp', async function () {
+      const block = await web3.eth.getBlock('latest')
+      const details = await instances.IdentityIndexer.getDetailsAt(1, { timestamp: block.timestamp })
+      assert.deepEqual(
+        [details.blockNumber, details.timestamp], [block.number, Number(block.timestamp)], 'unexpected block.'
+      )
+      assert.deepEqual(
+        details.resolvers, (await instances.IdentityRegistry.getDetails(1)).resolvers, 'unexpected resolvers.'
+      )
+
+      const [minted] = (await instances.IdentityIndexer.getIdentity(1)).history
+      const before = await instances.IdentityIndexer.getDetailsAt(1, minted.blockNumber - 1)
+      assert.deepEqual([before.exists, before.verified], [false, true], 'identity existed before it was minted.')
+
+      await instances.IdentityIndexer.getDetailsAt(1, await web3.eth.getBlockNumber() + 1)
+        .then(() => assert.fail('details were returned', 'query should fail'))
+        .catch(error => assert.include(error.message, 'The block has not been mined yet.', 'unexpected error.'))
+    })
+
+    // reverting to a snapshot discards the later ones, so the snapshots are visited from the latest to the first
+    it('the state at every snapshot of the suite is reproduced from the event log', async function () {
+      assert.isAbove(checkpoints.length, 20, 'too few snapshots were taken.')
+      const indexer = instances.IdentityIndexer
+      await indexer.sync()
+
+      for (const { blockNumber, snapshotId } of checkpoints.slice().reverse()) {
+        await revert(snapshotId)
+        assert.equal(await web3.eth.getBlockNumber(), blockNumber, 'unexpected snapshot.')
+
+        const nextEIN = await instances.IdentityRegistry.nextEIN()
+        for (let ein = 1; nextEIN.gtn(ein); ein++) {
+          const expected = await instances.IdentityRegistry.getDetails(ein)
+          const { exists, recoveryAddress, associatedAddresses, providers, resolvers, verified } =
+            await indexer.getDetailsAt(ein, blockNumber)
+          assert.deepEqual(
+            [exists, recoveryAddress, associatedAddresses, providers, resolvers],
+            [true, expected.recoveryAddress, expected.associatedAddresses, expected.providers, expected.resolvers],
+            `unexpected details of EIN ${ein} at block ${blockNumber}.`
+          )
+          assert.isTrue(verified, 'details were not verified against the chain.')
+
+          for (const address of expected.associatedAddresses) {
+            assert.isTrue(
+              await indexer.wasAddressFor(ein, address, blockNumber, { verify: false }),
+              `${address} was not an address of EIN ${ein} at block ${blockNumber}.`
+            )
+          }
+          for (const provider of expected.providers) {
+            assert.equal(
+              await indexer.wasProviderFor(ein, provider, blockNumber),
+              await instances.IdentityRegistry.isProviderFor(ein, provider),
+              `unexpected provider of EIN ${ein} at block ${blockNumber}.`
+            )
+          }
+        }
+      }
+
+      // the chain is now back at the first snapshot, beyond the reach of reorg handling, so the index starts afresh
+      instances.IdentityIndexer = new IdentityIndexer(
+        web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi }
+      )
+    })
+  })
 })
@@ -0,0 +1,114 @@
+const { deployRegistry, timeTravel } = require('../common')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const RegistryTimelock = artifacts.require('./RegistryTimelock/RegistryTimelock.sol')
+
+// expects a transaction to be rejected with the passed reason
+async function assertRejected (transaction, reason) {
+  await transaction
+    .then(() => assert.fail('transaction succeeded', 'transaction should fail'))
+    .catch(error => assert.include(error.message, reason, 'wrong rejection reason'))
+}
+
+// convenience variables
+const instances = {}
+const oneDay = 60 * 60 * 24
+const zeroAddress = '0x0000000000000000000000000000000000000000'
+
+contract('Testing RegistryTimelock', function (accounts) {
+  const [owner, newOwner, other] = accounts
+
+  function changeParameters (maxAssociatedAddresses, recoveryTimeout, signatureTimeout) {
+    return instances.IdentityRegistry.contract.methods
+      .changeParameters(maxAssociatedAddresses, recoveryTimeout, signatureTimeout)
+      .encodeABI()
+  }
+
+  describe('Deploying Contracts', function () {
+    it('RegistryTimelock contract deployed', async function () {
+      instances.RegistryTimelock = await RegistryTimelock.new(oneDay, { from: owner })
+    })
+
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(
+        IdentityRegistry, { governor: instances.RegistryTimelock.address }
+      )
+      assert.equal(await instances.IdentityRegistry.governor(), instances.RegistryTimelock.address, 'unexpected governor.')
+    })
+  })
+
+  describe('Testing timelocked changes', function () {
+    it('only the owner can queue calls', async function () {
+      const data = changeParameters(10, oneDay, oneDay)
+      await assertRejected(
+        instances.RegistryTimelock.queue(instances.IdentityRegistry.address, data, { from: other }),
+        'Only the owner can queue calls.'
+      )
+      await assertRejected(
+        instances.IdentityRegistry.changeParameters(10, oneDay, oneDay, { from: owner }),
+        'Only the governor can change parameters.'
+      )
+    })
+
+    it('queued parameters apply after the delay', async function () {
+      const data = changeParameters(10, oneDay, oneDay)
+      await instances.RegistryTimelock.queue(instances.IdentityRegistry.address, data, { from: owner })
+      await assertRejected(
+        instances.RegistryTimelock.queue(instances.IdentityRegistry.address, data, { from: owner }),
+        'The call is already queued.'
+      )
+      await assertRejected(
+        instances.RegistryTimelock.execute(instances.IdentityRegistry.address, data, { from: other }),
+        'The call delay has not passed.'
+      )
+
+      await timeTravel(oneDay + 1)
+      await instances.RegistryTimelock.execute(instances.IdentityRegistry.address, data, { from: other })
+      assert.equal((await instances.IdentityRegistry.maxAssociatedAddresses()).toNumber(), 10, 'unexpected cap.')
+      assert.equal((await instances.IdentityRegistry.recoveryTimeout()).toNumber(), oneDay, 'unexpected timeout.')
+      assert.equal((await instances.IdentityRegistry.signatureTimeout()).toNumber(), oneDay, 'unexpected timeout.')
+
+      const events = await instances.IdentityRegistry.getPastEvents('ParametersSet', { fromBlock: 0 })
+      assert.deepEqual(
+        events.map(event => event.args.maxAssociatedAddresses.toNumber()), [50, 10], 'unexpected events.'
+      )
+      await assertRejected(
+        instances.RegistryTimelock.execute(instances.IdentityRegistry.address, data, { from: other }),
+        'The call is not queued.'
+      )
+    })
+
+    it('queued calls can be cancelled', async function () {
+      const data = changeParameters(10, 1, 1)
+      await instances.RegistryTimelock.queue(instances.IdentityRegistry.address, data, { from: owner })
+      await instances.RegistryTimelock.cancel(instances.IdentityRegistry.address, data, { from: owner })
+
+      await timeTravel(oneDay + 1)
+      await assertRejected(
+        instances.RegistryTimelock.execute(instances.IdentityRegistry.address, data, { from: other }),
+        'The call is not queued.'
+      )
+    })
+
+    it('the owner can only be changed after the delay', async function () {
+      await assertRejected(instances.RegistryTimelock.changeOwner(newOwner, { from: owner }), 'Permission denied.')
+
+      const data = instances.RegistryTimelock.contract.methods.changeOwner(newOwner).encodeABI()
+      await instances.RegistryTimelock.queue(instances.RegistryTimelock.address, data, { from: owner })
+      await timeTravel(oneDay + 1)
+      await instances.RegistryTimelock.execute(instances.RegistryTimelock.address, data, { from: other })
+      assert.equal(await instances.RegistryTimelock.owner(), newOwner, 'owner was not changed.')
+    })
+
+    it('governance can be given up to fix the parameters for good', async function () {
+      const data = instances.IdentityRegistry.contract.methods.changeGovernor(zeroAddress).encodeABI()
+      await instances.RegistryTimelock.queue(instances.IdentityRegistry.address, data, { from: newOwner })
+      await timeTravel(oneDay + 1)
+      await instances.RegistryTimelock.execute(instances.IdentityRegistry.address, data, { from: other })
+
+      assert.equal(await instances.IdentityRegistry.governor(), zeroAddress, 'governance was not given up.')
+      const [event] = await instances.IdentityRegistry.getPastEvents('GovernorChanged', { fromBlock: 0 })
+      assert.equal(event.args.oldGovernor, instances.RegistryTimelock.address, 'unexpected event.')
+    })
+  })
+})
@@ -1,31 +1,12 @@
 const Web3 = require('web3')
-const ethUtil = require('ethereumjs-util')
 const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
 
+const { main } = require('../lib/cli')
+const { defaultParameters } = require('../lib/deployments')
+const signatures = require('../lib/signatures')
+
 function sign (messageHash, address, privateKey, method) {
-  return new Promise(resolve => {
-    if (method === 'unprefixed') {
-      let signature = ethUtil.ecsign(
-        Buffer.from(ethUtil.stripHexPrefix(messageHash), 'hex'),
-        Buffer.from(ethUtil.stripHexPrefix(privateKey), 'hex')
-      )
-      signature.r = ethUtil.bufferToHex(signature.r)
-      signature.s = ethUtil.bufferToHex(signature.s)
-      signature.v = parseInt(ethUtil.bufferToHex(signature.v))
-      resolve(signature)
-    } else {
-      web3.eth.sign(messageHash, address)
-        .then(concatenatedSignature => {
-          let strippedSignature = ethUtil.stripHexPrefix(concatenatedSignature)
-          let signature = {
-            r: ethUtil.addHexPrefix(strippedSignature.substr(0, 64)),
-            s: ethUtil.addHexPrefix(strippedSignature.substr(64, 64)),
-            v: parseInt(ethUtil.addHexPrefix(strippedSignature.substr(128, 2))) + 27
-          }
-          resolve(signature)
-        })
-    }
-  })
+  return signatures.sign(messageHash, { address: address, privateKey: privateKey, web3: web3 }, method)
 }
 
 function timeTravel (seconds) {
@@ -42,6 +23,62 @@ function timeTravel (seconds) {
   })
 }
 
+// mines a block, so that the latest block carries the time that timeTravel moved to
+function mine () {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      method: 'evm_mine',
+      params: [],
+      id: new Date().getTime()
+    }, (err, result) => {
+      if (err) return reject(err)
+      return resolve(result)
+    })
+  })
+}
+
+function snapshot () {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      method: 'evm_snapshot',
+      params: [],
+      id: new Date().getTime()
+    }, (err, result) => {
+      if (err) return reject(err)
+      return resolve(result.result)
+    })
+  })
+}
+
+function revert (snapshotId) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      method: 'evm_revert',
+      params: [snapshotId],
+      id: new Date().getTime()
+    }, (err, result) => {
+      if (err) return reject(err)
+      return resolve(result)
+    })
+  })
+}
+
+// deploys an IdentityRegistry for the test chain with the default parameters, except those that are passed
+async function deployRegistry (IdentityRegistry, parameters = {}) {
+  const { maxAssociatedAddresses, recoveryTimeout, signatureTimeout } = Object.assign({}, defaultParameters, parameters)
+  return IdentityRegistry.new(
+    parameters.chainId || await web3.eth.net.getId(),
+    maxAssociatedAddresses,
+    recoveryTimeout,
+    signatureTimeout,
+    parameters.governor || '0x0000000000000000000000000000000000000000',
+    parameters.predecessor || '0x0000000000000000000000000000000000000000'
+  )
+}
+
 async function verifyIdentity (identity, IdentityRegistry, expectedDetails) {
   const identityExists = await IdentityRegistry.identityExists(identity)
   assert.isTrue(identityExists, "identity unexpectedly does/doesn't exist.")
@@ -72,10 +109,56 @@ async function verifyIdentity (identity, IdentityRegistry, expectedDetails) {
   assert.deepEqual(details.associatedAddresses, expectedDetails.associatedAddresses, 'unexpected associated addresses.')
   assert.deepEqual(details.providers, expectedDetails.providers, 'unexpected providers.')
   assert.deepEqual(details.resolvers, expectedDetails.resolvers, 'unexpected resolvers.')
+
+  // the paginated views agree with getDetails
+  const pagination = [
+    ['associatedAddresses', 'getAssociatedAddressCount', 'getAssociatedAddresses'],
+    ['providers', 'getProviderCount', 'getProviders'],
+    ['resolvers', 'getResolverCount', 'getResolvers']
+  ]
+  for (const [set, count, slice] of pagination) {
+    const expected = expectedDetails[set]
+    assert.isTrue((await IdentityRegistry[count](identity)).eqn(expected.length), `unexpected number of ${set}.`)
+    assert.deepEqual(await IdentityRegistry[slice](identity, 0, expected.length), expected, `unexpected ${set}.`)
+    assert.deepEqual(await IdentityRegistry[slice](identity, 1, 1), expected.slice(1, 2), `unexpected page of ${set}.`)
+  }
+}
+
+// cross-checks the state of an indexer against getDetails for every identity
+async function verifyIndexer (indexer, IdentityRegistry) {
+  await indexer.sync()
+
+  const nextEIN = await IdentityRegistry.nextEIN()
+  for (let ein = 1; nextEIN.gtn(ein); ein++) {
+    const details = await IdentityRegistry.getDetails(ein)
+    const indexed = await indexer.getIdentity(ein)
+    assert.equal(indexed.recoveryAddress, details.recoveryAddress, 'indexed recovery address is incorrect.')
+    assert.deepEqual(indexed.associatedAddresses, details.associatedAddresses, 'indexed addresses are incorrect.')
+    assert.deepEqual(indexed.providers, details.providers, 'indexed providers are incorrect.')
+    assert.deepEqual(indexed.resolvers, details.resolvers, 'indexed resolvers are incorrect.')
+  }
+}
+
+// runs the erc1484 CLI against the test chain, collecting its exit code and output
+async function runCLI (argv, env = {}) {
+  const output = { stdout: '', stderr: '' }
+  output.code = await main(argv, {
+    stdout: { write: text => { output.stdout += text } },
+    stderr: { write: text => { output.stderr += text } },
+    env: env,
+    web3: web3
+  })
+  return output
 }
 
 module.exports = {
   sign: sign,
   timeTravel: timeTravel,
-  verifyIdentity: verifyIdentity
+  mine: mine,
+  snapshot: snapshot,
+  revert: revert,
+  deployRegistry: deployRegistry,
+  verifyIdentity: verifyIdentity,
+  verifyIndexer: verifyIndexer,
+  runCLI: runCLI
 }
@@ -0,0 +1,162 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, sign, verifyIdentity } = require('../../common')
+const permissions = require('../../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const MetaTransactionProxyProvider = artifacts.require('MetaTransactionProxyProvider')
+const ExternalProxy = artifacts.require('ExternalProxy')
+const AddressSetTest = artifacts.require('./AddressSet/AddressSetTest.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+]
+
+const callViaProxy = 'callViaProxy(address,bytes,bool)'
+const callViaProxyDelegated = 'callViaProxy(address,uint8,bytes32,bytes32,address,bytes,bool)'
+
+// signs a call through the provider's proxies, which includes the current nonce of the identity
+async function signCall (signer, ein, destination, data) {
+  const nonce = await instances.MetaTransactionProxyProvider.nonceTracker(ein)
+  const messageHash = web3.utils.soliditySha3(
+    'Call', instances.MetaTransactionProxyProvider.address, ein, destination, data, nonce
+  )
+  const signature = await sign(messageHash, signer.address, signer.privateKey)
+  return [signer.address, signature.v, signature.r, signature.s, destination, data]
+}
+
+// the call that the provider's proxies make in the tests, inserting into a set
+function insertCall (address) {
+  return instances.AddressSetTest.contract.methods.insert(address).encodeABI()
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+
+contract('Testing MetaTransactionProxyProvider', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const relayer = accounts[3]
+
+  identity = {
+    recoveryAddress:   accountsPrivate[0],
+    associatedAddress: accountsPrivate[1],
+    ein:               web3.utils.toBN(1)
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+
+    it('MetaTransactionProxyProvider contract deployed', async function () {
+      instances.MetaTransactionProxyProvider = await MetaTransactionProxyProvider.new(
+        instances.IdentityRegistry.address
+      )
+    })
+
+    it('AddressSetTest contract deployed', async function () {
+      instances.AddressSetTest = await AddressSetTest.new()
+    })
+  })
+
+  describe('Testing MetaTransactionProxyProvider', function () {
+    it('Identity can be minted', async function () {
+      const permission = await permissions.mintIdentityDelegated({
+        registry:        instances.IdentityRegistry.address,
+        recoveryAddress: identity.recoveryAddress.address,
+        provider:        instances.MetaTransactionProxyProvider.address,
+        resolvers:       [],
+        nonce:           await permissions.fetchNonce(
+          web3, instances.IdentityRegistry.address, identity.associatedAddress.address
+        )
+      }, identity.associatedAddress)
+      await instances.MetaTransactionProxyProvider.mintIdentityDelegated(...permission.args, { from: relayer })
+
+      await verifyIdentity(identity.ein, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [identity.associatedAddress.address],
+        providers:           [instances.MetaTransactionProxyProvider.address],
+        resolvers:           []
+      })
+    })
+
+    it('associated addresses can call through the provider', async function () {
+      await instances.MetaTransactionProxyProvider.methods[callViaProxy](
+        instances.AddressSetTest.address, insertCall(accounts[5]), false,
+        { from: identity.associatedAddress.address }
+      )
+
+      assert.isTrue(await instances.AddressSetTest.contains(accounts[5]), 'call was not made.')
+      assert.isFalse(
+        await instances.MetaTransactionProxyProvider.hasExternalProxy(identity.ein), 'proxy was unexpectedly claimed.'
+      )
+    })
+
+    it('calls through the provider cannot go to the registry', async function () {
+      const data = instances.IdentityRegistry.contract.methods
+        .addResolvers(identity.ein.toString(), [accounts[5]])
+        .encodeABI()
+      await instances.MetaTransactionProxyProvider.methods[callViaProxy](
+        instances.IdentityRegistry.address, data, false, { from: identity.associatedAddress.address }
+      )
+        .then(() => assert.fail('called the registry', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Cannot call the registry directly.', 'wrong rejection reason'
+        ))
+    })
+
+    it('meta-transactions claim an external proxy', async function () {
+      const args = await signCall(
+        identity.associatedAddress, identity.ein, instances.AddressSetTest.address, insertCall(accounts[6])
+      )
+      await instances.MetaTransactionProxyProvider.methods[callViaProxyDelegated](...args, true, { from: relayer })
+
+      assert.isTrue(await instances.AddressSetTest.contains(accounts[6]), 'call was not made.')
+      assert.isTrue(
+        await instances.MetaTransactionProxyProvider.hasExternalProxy(identity.ein), 'proxy was not claimed.'
+      )
+      const nonce = await instances.MetaTransactionProxyProvider.nonceTracker(identity.ein)
+      assert.isTrue(nonce.eq(web3.utils.toBN(1)), 'unexpected nonce.')
+
+      // only the provider can call through the proxy
+      const proxy = await ExternalProxy.at(
+        await instances.MetaTransactionProxyProvider.externalProxyDirectory(identity.ein)
+      )
+      await proxy.forwardCall(instances.AddressSetTest.address, insertCall(accounts[7]), { from: relayer })
+        .then(() => assert.fail('called the proxy', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Caller is not allowed.', 'wrong rejection reason'))
+    })
+
+    it('meta-transactions cannot be replayed', async function () {
+      const args = await signCall(
+        identity.associatedAddress, identity.ein, instances.AddressSetTest.address, insertCall(accounts[7])
+      )
+      await instances.MetaTransactionProxyProvider.methods[callViaProxyDelegated](...args, true, { from: relayer })
+      assert.isTrue(await instances.AddressSetTest.contains(accounts[7]), 'call was not made.')
+
+      await instances.MetaTransactionProxyProvider.methods[callViaProxyDelegated](...args, true, { from: relayer })
+        .then(() => assert.fail('replayed the meta-transaction', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+    })
+
+    it('identities that have not set the provider cannot call through it', async function () {
+      await instances.IdentityRegistry.mintIdentity(
+        identity.recoveryAddress.address, relayer, [], { from: accountsPrivate[2].address }
+      )
+
+      const args = await signCall(
+        accountsPrivate[2], web3.utils.toBN(2), instances.AddressSetTest.address, insertCall(accounts[8])
+      )
+      await instances.MetaTransactionProxyProvider.methods[callViaProxyDelegated](...args, true, { from: relayer })
+        .then(() => assert.fail('called through the provider', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'This Provider is not set for the given EIN.', 'wrong rejection reason'
+        ))
+    })
+  })
+})
@@ -0,0 +1,217 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, sign, verifyIdentity } = require('../../common')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ERC1056 = artifacts.require('ERC1056')
+const EthereumDIDRegistry = require('ethr-did-registry/build/contracts/EthereumDIDRegistry.json')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+]
+
+const delegateType = web3.utils.padRight(web3.utils.asciiToHex('veriKey'), 64)
+const attributeName = web3.utils.padRight(web3.utils.asciiToHex('did/pub/Secp256k1/veriKey/hex'), 64)
+const attributeValue = '0x1234'
+const validity = 86400
+
+// signs a delegated call to the resolver, which includes the current action nonce of the identity
+async function signAction (signer, name, ...values) {
+  const nonce = await instances.ERC1056.actionNonce(identity.ein)
+  const messageHash = web3.utils.soliditySha3(
+    name, { t: 'address', v: instances.ERC1056.address }, ...values, { t: 'uint256', v: nonce }
+  )
+  const signature = await sign(messageHash, signer.address, signer.privateKey)
+  return [signature.v, signature.r, signature.s, signer.address]
+}
+
+// the events that the DID registry emitted for the DID since deployment
+function didEvents (name) {
+  return instances.EthereumDIDRegistry.getPastEvents(name, { filter: { identity: identity.did.address }, fromBlock: 0 })
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+
+contract('Testing ERC1056', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const relayer = accounts[4]
+
+  identity = {
+    recoveryAddress:   accountsPrivate[0],
+    associatedAddress: accountsPrivate[1],
+    did:               accountsPrivate[2],
+    provider:          accounts[3],
+    ein:               web3.utils.toBN(1)
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+
+    it('EthereumDIDRegistry contract deployed', async function () {
+      instances.EthereumDIDRegistry = await new web3.eth.Contract(EthereumDIDRegistry.abi)
+        .deploy({ data: EthereumDIDRegistry.bytecode })
+        .send({ from: accounts[0], gas: 4000000 })
+    })
+
+    it('ERC1056 contract deployed', async function () {
+      instances.ERC1056 = await ERC1056.new(
+        instances.IdentityRegistry.address, instances.EthereumDIDRegistry.options.address
+      )
+    })
+
+    it('Identity can be minted', async function () {
+      await instances.IdentityRegistry.mintIdentity(
+        identity.recoveryAddress.address, identity.provider, [], { from: identity.associatedAddress.address }
+      )
+    })
+  })
+
+  describe('Testing ERC1056', function () {
+    let initialization
+
+    it('DID owner can sign over ownership', async function () {
+      const registry = instances.EthereumDIDRegistry.options.address
+      const nonce = await instances.EthereumDIDRegistry.methods.nonce(identity.did.address).call()
+      const messageHash = web3.utils.soliditySha3(
+        { t: 'bytes1', v: '0x19' }, { t: 'bytes1', v: '0x00' }, registry, nonce, identity.did.address,
+        'changeOwner', instances.ERC1056.address
+      )
+      const signature = await sign(messageHash, identity.did.address, identity.did.privateKey, 'unprefixed')
+      initialization = [identity.did.address, signature.v, signature.r, signature.s]
+    })
+
+    it('identities without the resolver set cannot initialize it', async function () {
+      await instances.ERC1056.initialize(...initialization, { from: identity.associatedAddress.address })
+        .then(() => assert.fail('initialized', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The calling identity does not have this resolver set.', 'wrong rejection reason'
+        ))
+    })
+
+    it('identities can initialize the resolver with a DID', async function () {
+      await instances.IdentityRegistry.addResolvers(
+        identity.ein, [instances.ERC1056.address], { from: identity.provider }
+      )
+      await verifyIdentity(identity.ein, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [identity.associatedAddress.address],
+        providers:           [identity.provider],
+        resolvers:           [instances.ERC1056.address]
+      })
+
+      await instances.ERC1056.initialize(...initialization, { from: identity.associatedAddress.address, gas: 200000 })
+
+      assert.equal(await instances.ERC1056.einToDID(identity.ein), identity.did.address, 'DID was not set.')
+      assert.equal(
+        await instances.EthereumDIDRegistry.methods.identityOwner(identity.did.address).call(),
+        instances.ERC1056.address,
+        'resolver does not own the DID.'
+      )
+
+      await instances.ERC1056.initialize(...initialization, { from: identity.associatedAddress.address, gas: 200000 })
+        .then(() => assert.fail('initialized', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'This EIN has already been initialized', 'wrong rejection reason'
+        ))
+    })
+
+    it('associated addresses can add and revoke delegates', async function () {
+      const delegate = accounts[5]
+
+      const added = await signAction(
+        identity.associatedAddress, 'addDelegateDelegated',
+        { t: 'bytes32', v: delegateType }, { t: 'address', v: delegate }, { t: 'uint256', v: validity }
+      )
+      await instances.ERC1056.addDelegateDelegated(
+        delegateType, delegate, validity, ...added, { from: relayer, gas: 200000 }
+      )
+      assert.isTrue(
+        await instances.EthereumDIDRegistry.methods.validDelegate(identity.did.address, delegateType, delegate).call(),
+        'delegate was not added.'
+      )
+
+      // signatures cannot be replayed, since the nonce has been used
+      await instances.ERC1056.addDelegateDelegated(
+        delegateType, delegate, validity, ...added, { from: relayer, gas: 200000 }
+      )
+        .then(() => assert.fail('replayed the signature', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Function execution is incorrectly signed.', 'wrong rejection reason'
+        ))
+
+      const revoked = await signAction(
+        identity.associatedAddress, 'revokeDelegateDelegated',
+        { t: 'bytes32', v: delegateType }, { t: 'address', v: delegate }
+      )
+      await instances.ERC1056.revokeDelegateDelegated(
+        delegateType, delegate, ...revoked, { from: relayer, gas: 200000 }
+      )
+      assert.isFalse(
+        await instances.EthereumDIDRegistry.methods.validDelegate(identity.did.address, delegateType, delegate).call(),
+        'delegate was not revoked.'
+      )
+
+      const events = await didEvents('DIDDelegateChanged')
+      assert.deepEqual(
+        events.map(event => [event.returnValues.delegateType, event.returnValues.delegate]),
+        [[delegateType, delegate], [delegateType, delegate]],
+        'unexpected events.'
+      )
+      assert.isTrue((await instances.ERC1056.actionNonce(identity.ein)).eq(web3.utils.toBN(2)), 'unexpected nonce.')
+    })
+
+    it('associated addresses can set and revoke attributes', async function () {
+      const set = await signAction(
+        identity.associatedAddress, 'setAttributeDelegated',
+        { t: 'bytes32', v: attributeName }, { t: 'bytes', v: attributeValue }, { t: 'uint256', v: validity }
+      )
+      await instances.ERC1056.setAttributeDelegated(
+        attributeName, attributeValue, validity, ...set, { from: relayer, gas: 200000 }
+      )
+
+      const revoked = await signAction(
+        identity.associatedAddress, 'revokeAttributeDelegated',
+        { t: 'bytes32', v: attributeName }, { t: 'bytes', v: attributeValue }
+      )
+      await instances.ERC1056.revokeAttributeDelegated(
+        attributeName, attributeValue, ...revoked, { from: relayer, gas: 200000 }
+      )
+
+      const events = await didEvents('DIDAttributeChanged')
+      assert.deepEqual(
+        events.map(event => [event.returnValues.name, event.returnValues.value, event.returnValues.validTo === '0']),
+        [[attributeName, attributeValue, false], [attributeName, attributeValue, true]],
+        'unexpected events.'
+      )
+    })
+
+    it('associated addresses can change the owner of the DID', async function () {
+      const newOwner = accounts[6]
+
+      const changed = await signAction(
+        identity.associatedAddress, 'changeOwnerDelegated', { t: 'address', v: newOwner }
+      )
+      await instances.ERC1056.changeOwnerDelegated(newOwner, ...changed, { from: relayer, gas: 200000 })
+
+      assert.equal(
+        await instances.EthereumDIDRegistry.methods.identityOwner(identity.did.address).call(),
+        newOwner,
+        'DID owner was not changed.'
+      )
+      const events = await didEvents('DIDOwnerChanged')
+      assert.deepEqual(
+        events.map(event => event.returnValues.owner),
+        [instances.ERC1056.address, newOwner],
+        'unexpected events.'
+      )
+    })
+  })
+})
@@ -0,0 +1,178 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, verifyIdentity } = require('../../common')
+const permissions = require('../../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ERC725RegistryResolver = artifacts.require('ERC725RegistryResolver')
+const ClaimHolder = artifacts.require('ClaimHolder')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+]
+
+// the key of an address in a 725
+function keyOf (address) {
+  return web3.utils.soliditySha3({ t: 'address', v: address })
+}
+
+function getNonce (address) {
+  return permissions.fetchNonce(web3, instances.IdentityRegistry.address, address)
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+
+contract('Testing ERC725RegistryResolver', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  identity = {
+    recoveryAddress:     accounts[0],
+    associatedAddresses: accountsPrivate.slice(1, 3),
+    provider:            accounts[3],
+    ein:                 web3.utils.toBN(1)
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+
+    it('ERC725RegistryResolver contract deployed', async function () {
+      instances.ERC725RegistryResolver = await ERC725RegistryResolver.new(instances.IdentityRegistry.address)
+    })
+
+    it('Identity can be minted', async function () {
+      await instances.IdentityRegistry.mintIdentity(
+        identity.recoveryAddress, identity.provider, [], { from: identity.associatedAddresses[0].address }
+      )
+    })
+  })
+
+  describe('Testing ERC725RegistryResolver', function () {
+    it('identities without the resolver set cannot create a 725', async function () {
+      await instances.ERC725RegistryResolver.create725({ from: identity.associatedAddresses[0].address })
+        .then(() => assert.fail('created a 725', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The calling identity does not have this resolver set.', 'wrong rejection reason'
+        ))
+    })
+
+    it('identities can set the resolver', async function () {
+      await instances.IdentityRegistry.addResolvers(
+        identity.ein, [instances.ERC725RegistryResolver.address], { from: identity.provider }
+      )
+
+      await verifyIdentity(identity.ein, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress,
+        associatedAddresses: identity.associatedAddresses.map(address => address.address).slice(0, 1),
+        providers:           [identity.provider],
+        resolvers:           [instances.ERC725RegistryResolver.address]
+      })
+    })
+
+    it('identities can create a 725 managed by the sender', async function () {
+      const sender = identity.associatedAddresses[0].address
+      await instances.ERC725RegistryResolver.create725({ from: sender, gas: 4000000 })
+
+      const claim = await ClaimHolder.at(await instances.ERC725RegistryResolver.get725(identity.ein))
+      assert.isTrue(await claim.keyHasPurpose(keyOf(sender), 1), 'sender is not a manager.')
+      assert.isFalse(
+        await claim.keyHasPurpose(keyOf(instances.ERC725RegistryResolver.address), 1), 'resolver is still a manager.'
+      )
+    })
+
+    it('identities cannot create or claim a second 725', async function () {
+      const sender = identity.associatedAddresses[0].address
+      await instances.ERC725RegistryResolver.create725({ from: sender, gas: 4000000 })
+        .then(() => assert.fail('created a 725', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'You already have a 725', 'wrong rejection reason'))
+
+      await instances.ERC725RegistryResolver.claim725(accounts[5], { from: sender })
+        .then(() => assert.fail('claimed a 725', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'You already have a 725', 'wrong rejection reason'))
+    })
+
+    it('identities can remove their 725', async function () {
+      await instances.ERC725RegistryResolver.remove725({ from: identity.associatedAddresses[0].address })
+
+      assert.equal(
+        await instances.ERC725RegistryResolver.get725(identity.ein), '0x' + '0'.repeat(40), '725 was not removed.'
+      )
+    })
+
+    it('identities can claim a 725 managed by any of their associated addresses', async function () {
+      instances.ClaimHolder = await ClaimHolder.new({ from: identity.associatedAddresses[1].address })
+
+      // the 725 is not managed by an associated address yet
+      await instances.ERC725RegistryResolver.claim725(
+        instances.ClaimHolder.address, { from: identity.associatedAddresses[0].address }
+      )
+      assert.equal(
+        await instances.ERC725RegistryResolver.get725(identity.ein), '0x' + '0'.repeat(40), '725 was claimed.'
+      )
+
+      const permission = await permissions.addAddress({
+        registry: instances.IdentityRegistry.address,
+        ein:      identity.ein,
+        nonce:    await Promise.all(identity.associatedAddresses.map(({ address }) => getNonce(address)))
+      }, identity.associatedAddresses[0], identity.associatedAddresses[1])
+      await instances.IdentityRegistry.addAddress(...permission.args, { from: identity.provider })
+
+      await instances.ERC725RegistryResolver.claim725(
+        instances.ClaimHolder.address, { from: identity.associatedAddresses[0].address }
+      )
+      assert.equal(
+        await instances.ERC725RegistryResolver.get725(identity.ein),
+        instances.ClaimHolder.address,
+        '725 was not claimed.'
+      )
+    })
+
+    it('removing the resolver forgets the 725', async function () {
+      await instances.IdentityRegistry.removeResolvers(
+        identity.ein, [instances.ERC725RegistryResolver.address], { from: identity.provider, gas: 500000 }
+      )
+
+      assert.equal(
+        await instances.ERC725RegistryResolver.get725(identity.ein), '0x' + '0'.repeat(40), '725 was not forgotten.'
+      )
+    })
+
+    it('poison pills that clear resolvers forget the 725', async function () {
+      const sender = identity.associatedAddresses[0].address
+      await instances.IdentityRegistry.addResolvers(
+        identity.ein, [instances.ERC725RegistryResolver.address], { from: identity.provider, gas: 500000 }
+      )
+      await instances.ERC725RegistryResolver.claim725(instances.ClaimHolder.address, { from: sender })
+
+      // the resolver is told of the recovery and of the poison pill, after which it is no longer set
+      const newAssociatedAddress = web3.eth.accounts.create()
+      const permission = await permissions.triggerRecovery({
+        registry: instances.IdentityRegistry.address,
+        ein: identity.ein,
+        timestamp: (await web3.eth.getBlock('latest')).timestamp,
+        nonce: await getNonce(newAssociatedAddress.address)
+      }, newAssociatedAddress)
+      await instances.IdentityRegistry.triggerRecovery(
+        ...permission.args, { from: identity.recoveryAddress, gas: 1000000 }
+      )
+      const { receipt } = await instances.IdentityRegistry.triggerPoisonPill(
+        identity.ein, [], [identity.associatedAddresses[1].address], true, { from: sender, gas: 1000000 }
+      )
+      assert.isEmpty(
+        await instances.IdentityRegistry.getPastEvents('HookFailed', { fromBlock: receipt.blockNumber - 1 }),
+        'hooks failed.'
+      )
+
+      assert.equal(
+        await instances.ERC725RegistryResolver.get725(identity.ein), '0x' + '0'.repeat(40), '725 was not hidden.'
+      )
+    })
+  })
+})
@@ -0,0 +1,192 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../../common')
+const permissions = require('../../../lib/permissions')
+const resolvers = require('../../../lib/resolvers')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ProfileResolver = artifacts.require('ProfileResolver')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+]
+
+// expects a call to be rejected with the passed reason
+async function assertRejected (transaction, reason) {
+  await transaction
+    .then(() => assert.fail('value set', 'transaction should fail'))
+    .catch(error => assert.include(error.message, reason, 'wrong rejection reason'))
+}
+
+function getNonce (address) {
+  return permissions.fetchNonce(web3, instances.IdentityRegistry.address, address)
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+const key = resolvers.profileKey('name')
+
+contract('Testing ProfileResolver', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  identity = {
+    owner:               accounts[0],
+    recoveryAddress:     accounts[0],
+    associatedAddresses: accountsPrivate.slice(1, 3),
+    provider:            accounts[3],
+    sender:              accounts[4],
+    ein:                 web3.utils.toBN(1)
+  }
+
+  async function signSetValue (value, signer = identity.associatedAddresses[0], fields = {}) {
+    const nonce = await resolvers.fetchNonce(web3, instances.ProfileResolver.address, identity.ein)
+    return resolvers.setValue(Object.assign({
+      resolver: instances.ProfileResolver.address, ein: identity.ein, nonce: nonce, key: 'name', value: value
+    }, fields), signer)
+  }
+
+  async function assertValue (value) {
+    assert.equal(await instances.ProfileResolver.getValue(identity.ein, key), value, 'unexpected value.')
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+
+    it('ProfileResolver contract deployed', async function () {
+      instances.ProfileResolver = await ProfileResolver.new(
+        instances.IdentityRegistry.address, { from: identity.owner }
+      )
+    })
+
+    it('Identities can be minted', async function () {
+      await instances.IdentityRegistry.mintIdentity(
+        identity.recoveryAddress, identity.provider, [instances.ProfileResolver.address],
+        { from: identity.associatedAddresses[0].address }
+      )
+      const permission = await permissions.addAddress({
+        registry: instances.IdentityRegistry.address,
+        ein:      identity.ein,
+        nonce:    await Promise.all(identity.associatedAddresses.map(({ address }) => getNonce(address)))
+      }, ...identity.associatedAddresses)
+      await instances.IdentityRegistry.addAddress(...permission.args, { from: identity.provider })
+
+      // an identity without the resolver set
+      await instances.IdentityRegistry.mintIdentity(identity.recoveryAddress, identity.provider, [], {
+        from: accounts[5]
+      })
+    })
+  })
+
+  describe('Testing associated address calls', function () {
+    it('associated addresses can set values', async function () {
+      await instances.ProfileResolver.setValue(key, 'Alice', { from: identity.associatedAddresses[1].address })
+      await assertValue('Alice')
+    })
+
+    it('identities must have set the resolver', async function () {
+      await assertRejected(
+        instances.ProfileResolver.setValue(key, 'Bob', { from: accounts[5] }), 'The identity has not set this resolver.'
+      )
+      await assertRejected(
+        instances.ProfileResolver.getValue(3, key), 'The referenced identity does not exist.'
+      )
+    })
+  })
+
+  describe('Testing signed calls', function () {
+    it('signed calls can be sent from any address', async function () {
+      const permission = await signSetValue('Carol')
+      await instances.ProfileResolver.setValueDelegated(...permission.args, { from: identity.sender })
+      await assertValue('Carol')
+      assert.equal(
+        await resolvers.fetchNonce(web3, instances.ProfileResolver.address, identity.ein), '1', 'unexpected nonce.'
+      )
+    })
+
+    it('signed calls cannot be replayed or altered', async function () {
+      const permission = await signSetValue('Dave')
+      await instances.ProfileResolver.setValueDelegated(...permission.args, { from: identity.sender })
+      await assertValue('Dave')
+
+      await assertRejected(
+        instances.ProfileResolver.setValueDelegated(...permission.args, { from: identity.sender }), 'Permission denied.'
+      )
+
+      const altered = (await signSetValue('Erin')).args.slice(0, 6).concat('Mallory')
+      await assertRejected(
+        instances.ProfileResolver.setValueDelegated(...altered, { from: identity.sender }), 'Permission denied.'
+      )
+      await assertValue('Dave')
+    })
+
+    it('signed calls must be signed by an associated address', async function () {
+      const permission = await signSetValue('Frank', accountsPrivate[0])
+      await assertRejected(
+        instances.ProfileResolver.setValueDelegated(...permission.args, { from: identity.sender }),
+        'The approving address is not associated.'
+      )
+    })
+  })
+
+  describe('Testing owner calls', function () {
+    it('the owner can set values for any identity that set the resolver', async function () {
+      await instances.ProfileResolver.setValueAsOwner(identity.ein, key, 'Grace', { from: identity.owner })
+      await assertValue('Grace')
+
+      await assertRejected(
+        instances.ProfileResolver.setValueAsOwner(2, key, 'Grace', { from: identity.owner }),
+        'The identity has not set this resolver.'
+      )
+    })
+
+    it('only the owner can make owner calls', async function () {
+      await assertRejected(
+        instances.ProfileResolver.setValueAsOwner(identity.ein, key, 'Heidi', { from: identity.provider }),
+        'Only the owner can call this function.'
+      )
+    })
+
+    it('ownership can be transferred', async function () {
+      await instances.ProfileResolver.transferOwnership(identity.sender, { from: identity.owner })
+      assert.equal(await instances.ProfileResolver.owner(), identity.sender, 'unexpected owner.')
+
+      await instances.ProfileResolver.setValueAsOwner(identity.ein, key, 'Heidi', { from: identity.sender })
+      await assertValue('Heidi')
+      await assertRejected(
+        instances.ProfileResolver.setValueAsOwner(identity.ein, key, 'Ivan', { from: identity.owner }),
+        'Only the owner can call this function.'
+      )
+    })
+  })
+
+  describe('Testing provider calls', function () {
+    it('providers can set values', async function () {
+      await instances.ProfileResolver.setValueAsProvider(identity.ein, key, 'Judy', { from: identity.provider })
+      await assertValue('Judy')
+
+      await assertRejected(
+        instances.ProfileResolver.setValueAsProvider(identity.ein, key, 'Judy', { from: identity.sender }),
+        'The identity has not set the calling provider.'
+      )
+    })
+
+    it('removed providers lose access', async function () {
+      await instances.IdentityRegistry.methods['removeProviders(address[])'](
+        [identity.provider], { from: identity.associatedAddresses[0].address }
+      )
+
+      await assertRejected(
+        instances.ProfileResolver.setValueAsProvider(identity.ein, key, 'Mallory', { from: identity.provider }),
+        'The identity has not set the calling provider.'
+      )
+      await assertValue('Judy')
+    })
+  })
+})
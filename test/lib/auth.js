@@ -0,0 +1,190 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../common')
+const auth = require('../../lib/auth')
+const permissions = require('../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c'
+]
+
+const audience = 'https://example.com'
+
+// expects verification of a token to fail with the passed reason
+async function assertRejected (verification, reason) {
+  await verification
+    .then(() => assert.fail('token verified', 'verification should fail'))
+    .catch(error => {
+      assert.instanceOf(error, auth.AuthenticationError, 'unexpected error.')
+      assert.equal(error.message, reason, 'wrong rejection reason')
+    })
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let verifyOptions
+
+contract('Testing authentication tokens', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, first, second, provider, other] = accountsPrivate
+
+  function claim (fields = {}) {
+    return auth.createClaim(Object.assign(
+      { registry: instances.IdentityRegistry.address, ein: 1, audience: audience }, fields
+    ))
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      verifyOptions = { registry: instances.IdentityRegistry.address, audience: audience, abi: IdentityRegistry.abi }
+    })
+
+    it('Identities can be minted', async function () {
+      for (const address of [first, other]) {
+        await instances.IdentityRegistry.mintIdentity(
+          recoveryAddress.address, provider.address, [], { from: address.address }
+        )
+      }
+      const permission = await permissions.addAddress({
+        registry: instances.IdentityRegistry.address,
+        ein: 1,
+        nonce: [
+          await permissions.fetchNonce(web3, instances.IdentityRegistry.address, first.address),
+          await permissions.fetchNonce(web3, instances.IdentityRegistry.address, second.address)
+        ]
+      }, first, second)
+      await instances.IdentityRegistry.addAddress(...permission.args, { from: provider.address })
+    })
+  })
+
+  describe('Testing tokens', function () {
+    it('verifies tokens signed with prefixed and unprefixed signatures', async function () {
+      for (const method of ['prefixed', 'unprefixed']) {
+        const token = await auth.signClaim(claim(), second, method)
+        const { ein, address } = await auth.verifyToken(web3, token, verifyOptions)
+        assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+        assert.equal(address, second.address, 'unexpected address.')
+      }
+    })
+
+    it('encodes tokens as JWTs', async function () {
+      const token = await auth.signClaim(claim(), first)
+      const jwt = auth.encodeToken(token)
+      assert.match(jwt, /^[\w-]+\.[\w-]+\.[\w-]+$/, 'unexpected encoding.')
+
+      const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64').toString('utf8'))
+      assert.deepEqual(
+        [payload.iss, payload.sub, payload.aud, payload.exp - payload.iat],
+        [first.address, '1', audience, 300],
+        'unexpected payload.'
+      )
+      assert.deepEqual(auth.decodeToken(jwt), token, 'unexpected decoding.')
+
+      const { ein } = await auth.verifyToken(web3, jwt, verifyOptions)
+      assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+
+      await assertRejected(auth.verifyToken(web3, 'not a token', verifyOptions), 'Token is not a JWT.')
+    })
+
+    it('rejects tokens for other registries, audiences and times', async function () {
+      const now = Math.floor(Date.now() / 1000)
+
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ audience: 'https://other.com' }), first), verifyOptions),
+        'Token is for another audience.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ registry: other.address }), first), verifyOptions),
+        'Token is for another registry.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ issuedAt: now - 600 }), first), verifyOptions),
+        'Token has expired.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ issuedAt: now + 600 }), first), verifyOptions),
+        'Token is not valid yet.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ lifetime: 7200 }), first), verifyOptions),
+        'Token lifetime is too long.'
+      )
+    })
+
+    it('rejects tokens that were not signed by an address of the identity', async function () {
+      const token = await auth.signClaim(claim(), first)
+      await assertRejected(
+        auth.verifyToken(web3, Object.assign({}, token, { claim: claim({ ein: 2 }) }), verifyOptions),
+        'Token signature is invalid.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, Object.assign({}, token, { address: second.address }), verifyOptions),
+        'Token signature is invalid.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ ein: 2 }), first), verifyOptions),
+        'Token signer is not associated with the identity.'
+      )
+      await assertRejected(
+        auth.verifyToken(web3, await auth.signClaim(claim({ ein: 3 }), first), verifyOptions),
+        'The identity does not exist.'
+      )
+    })
+
+    it('verifies tokens at a pinned block', async function () {
+      const token = await auth.signClaim(claim(), second)
+      const blockNumber = await web3.eth.getBlockNumber()
+
+      const permission = await permissions.removeAddress({
+        registry: instances.IdentityRegistry.address,
+        ein: 1,
+        nonce: await permissions.fetchNonce(web3, instances.IdentityRegistry.address, second.address)
+      }, second)
+      await instances.IdentityRegistry.removeAddress(...permission.args, { from: provider.address })
+
+      await auth.verifyToken(web3, token, Object.assign({ blockNumber: blockNumber }, verifyOptions))
+      await assertRejected(
+        auth.verifyToken(web3, token, verifyOptions), 'Token signer is not associated with the identity.'
+      )
+    })
+  })
+
+  describe('Testing challenges', function () {
+    let issuer
+
+    it('verifies signed challenges once', async function () {
+      issuer = new auth.ChallengeIssuer(web3, {
+        registry: instances.IdentityRegistry.address, audience: audience, abi: IdentityRegistry.abi
+      })
+
+      const challenge = issuer.issue(1)
+      const response = auth.encodeToken(await auth.signClaim(challenge, first))
+      const { ein, address } = await issuer.verify(response)
+      assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+      assert.equal(address, first.address, 'unexpected address.')
+
+      await assertRejected(issuer.verify(response), 'Unknown or already used challenge.')
+    })
+
+    it('rejects responses that do not match a challenge', async function () {
+      await assertRejected(
+        issuer.verify(await auth.signClaim(claim(), first)), 'Unknown or already used challenge.'
+      )
+
+      const challenge = issuer.issue(1)
+      await assertRejected(
+        issuer.verify(await auth.signClaim(Object.assign({}, challenge, { ein: '2' }), other)),
+        'Response does not match the challenge.'
+      )
+    })
+  })
+})
@@ -0,0 +1,97 @@
+const fs = require('fs')
+const path = require('path')
+
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../common')
+const bindings = require('../../lib/bindings')
+const { loadArtifacts, generateBindings } = require('../../lib/bindings/generate')
+const errors = require('../../lib/errors')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const Provider = artifacts.require('./samples/Provider.sol')
+
+// convenience variables
+const instances = {}
+let registry
+let provider
+
+contract('Testing generated bindings', function (accounts) {
+  const [recoveryAddress, associatedAddress, otherProvider, resolver] = accounts
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      registry = new bindings.IdentityRegistry(web3, instances.IdentityRegistry.address, { from: associatedAddress })
+    })
+
+    it('Provider contract deployed', async function () {
+      instances.Provider = await Provider.new(instances.IdentityRegistry.address)
+      provider = new bindings.Provider(web3, instances.Provider.address)
+    })
+  })
+
+  describe('Testing bindings', function () {
+    it('are up to date with the compiled contracts', async function () {
+      const files = generateBindings(loadArtifacts())
+      for (const file of Object.keys(files)) {
+        const current = fs.readFileSync(path.join(__dirname, '..', '..', 'lib', 'bindings', file), 'utf8')
+        assert.equal(current, files[file], `${file} is out of date, run npm run build.`)
+      }
+    })
+
+    it('send transactions and decode their events', async function () {
+      const { events } = await registry.mintIdentity(recoveryAddress, instances.Provider.address, [])
+      assert.lengthOf(events, 1, 'unexpected events.')
+      assert.equal(events[0].name, 'IdentityMinted', 'unexpected event.')
+      assert.isTrue(events[0].args.ein.eqn(1), 'unexpected EIN.')
+      assert.isFalse(events[0].args.delegated, 'unexpected event.')
+
+      assert.isTrue((await registry.getEIN(associatedAddress)).eqn(1), 'unexpected EIN.')
+      assert.deepEqual(await registry.getDetails(1), {
+        recoveryAddress:     recoveryAddress,
+        associatedAddresses: [associatedAddress],
+        providers:           [instances.Provider.address],
+        resolvers:           []
+      }, 'unexpected details.')
+    })
+
+    it('pick overloads by their number of arguments or by signature', async function () {
+      // ganache underestimates the gas of calls that call other contracts
+      const delegated = await provider.addProviders([otherProvider], { from: associatedAddress, gas: 200000 })
+      assert.deepEqual(delegated.events, [], 'unexpected provider events.')
+      assert.deepEqual(
+        registry.decodeLogs(delegated.logs).map(event => [event.name, event.args.delegated]),
+        [['ProviderAdded', true]],
+        'unexpected registry events.'
+      )
+
+      const added = await registry['addProviders(uint256,address[])'](1, [resolver], { from: otherProvider })
+      assert.isTrue(added.events[0].args.delegated, 'unexpected event.')
+
+      const removed = await registry.removeProviders([resolver])
+      assert.isFalse(removed.events[0].args.delegated, 'unexpected event.')
+
+      // addProviders takes two arguments with or without an expiry
+      assert.throws(
+        () => registry.resolve('addProviders', [1, [otherProvider]]),
+        'No single overload of addProviders takes 2 arguments'
+      )
+    })
+
+    it('decode reverts and past events', async function () {
+      await registry.addResolvers(1, [resolver])
+        .then(() => assert.fail('resolver added', 'adding should fail'))
+        .catch(error => assert.instanceOf(error, errors.ProviderNotSetError, 'unexpected error.'))
+
+      await provider.addResolvers([resolver], { from: associatedAddress, gas: 200000 })
+      const added = await registry.getPastEvents('ResolverAdded', { fromBlock: 0 })
+      assert.deepEqual(
+        added.map(event => [event.args.ein.toNumber(), event.args.resolvers, event.args.provider]),
+        [[1, resolver, instances.Provider.address]],
+        'unexpected events.'
+      )
+    })
+  })
+})
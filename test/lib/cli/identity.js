@@ -0,0 +1,165 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, runCLI, verifyIdentity } = require('../../common')
+const permissions = require('../../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c'
+]
+
+// runs a command against the registry, failing the test if it fails
+async function run (...argv) {
+  const output = await runCLI(argv.concat('--registry', instances.IdentityRegistry.address))
+  assert.equal(output.code, 0, `command failed: ${output.stderr}`)
+  return output.stdout
+}
+
+async function runJSON (...argv) {
+  return JSON.parse(await run(...argv, '--json'))
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+
+contract('Testing erc1484 identity commands', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, provider, associatedAddress, otherAddress, resolver] = accountsPrivate
+  const delegatedAddress = web3.eth.accounts.create()
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+  })
+
+  describe('Testing identity commands', function () {
+    it('can mint identities', async function () {
+      const minted = await runJSON(
+        'identity', 'mint', '--recovery-address', recoveryAddress.address, '--provider', provider.address,
+        '--key', associatedAddress.privateKey
+      )
+      assert.equal(minted.ein, '1', 'unexpected EIN.')
+      assert.deepEqual(minted.events, ['IdentityMinted'], 'unexpected events.')
+
+      const delegated = await runJSON(
+        'identity', 'mint', '--recovery-address', recoveryAddress.address, '--resolvers', resolver.address,
+        '--key', provider.privateKey, '--signer-key', delegatedAddress.privateKey, '--method', 'typed'
+      )
+      assert.equal(delegated.ein, '2', 'unexpected EIN.')
+    })
+
+    it('can show identities', async function () {
+      const identity = await runJSON('identity', 'show', '2')
+      assert.deepEqual(identity, {
+        ein:                 '2',
+        recoveryAddress:     recoveryAddress.address,
+        associatedAddresses: [delegatedAddress.address],
+        providers:           [provider.address],
+        resolvers:           [resolver.address]
+      }, 'unexpected identity.')
+
+      const table = await run('identity', 'show', associatedAddress.address)
+      assert.match(table, /^EIN: +1$/m, 'unexpected EIN.')
+      assert.match(table, new RegExp(`^Associated addresses: +${associatedAddress.address}$`, 'm'), 'unexpected table.')
+      assert.match(table, /^Resolvers: +none$/m, 'unexpected table.')
+
+      assert.deepEqual(
+        await runJSON('identity', 'ein', associatedAddress.address),
+        { address: associatedAddress.address, ein: '1' },
+        'unexpected EIN.'
+      )
+    })
+
+    it('can check addresses, providers and resolvers', async function () {
+      assert.isTrue((await runJSON('identity', 'has-provider', '2', provider.address)).isProviderFor, 'not a provider.')
+      assert.isTrue((await runJSON('identity', 'has-resolver', '2', resolver.address)).isResolverFor, 'not a resolver.')
+      assert.isFalse((await runJSON('identity', 'has-resolver', '1', resolver.address)).isResolverFor, 'a resolver.')
+      assert.isFalse(
+        (await runJSON('identity', 'has-address', '1', otherAddress.address)).isAddressFor, 'an associated address.'
+      )
+    })
+
+    it('can sign permissions for a provider to submit', async function () {
+      const signatures = [
+        await runJSON('sign', 'add-address', '1', otherAddress.address, '--signer-key', associatedAddress.privateKey),
+        await runJSON('sign', 'add-address', '1', otherAddress.address, '--signer-key', otherAddress.privateKey)
+      ]
+      assert.equal(
+        signatures[0].messageHash,
+        permissions.hashAddAddressApproving({
+          registry:     instances.IdentityRegistry.address,
+          ein:          1,
+          addressToAdd: otherAddress.address,
+          timestamp:    signatures[0].timestamp,
+          nonce:        signatures[0].nonce
+        }),
+        'unexpected message hash.'
+      )
+
+      await instances.IdentityRegistry.addAddress(
+        associatedAddress.address, otherAddress.address,
+        signatures.map(signature => signature.v),
+        signatures.map(signature => signature.r),
+        signatures.map(signature => signature.s),
+        signatures.map(signature => signature.timestamp),
+        { from: provider.address }
+      )
+
+      await verifyIdentity(web3.utils.toBN(1), instances.IdentityRegistry, {
+        recoveryAddress:     recoveryAddress.address,
+        associatedAddresses: [associatedAddress.address, otherAddress.address],
+        providers:           [provider.address],
+        resolvers:           []
+      })
+    })
+
+    it('can remove and add addresses', async function () {
+      const removed = await runJSON(
+        'address', 'remove', '--signer-key', otherAddress.privateKey, '--key', provider.privateKey
+      )
+      assert.deepEqual(removed.events, ['AddressRemoved'], 'unexpected events.')
+
+      await run(
+        'address', 'add', '--signer-key', associatedAddress.privateKey, '--adding-key', otherAddress.privateKey,
+        '--key', provider.privateKey, '--method', 'typed'
+      )
+
+      await verifyIdentity(web3.utils.toBN(1), instances.IdentityRegistry, {
+        recoveryAddress:     recoveryAddress.address,
+        associatedAddresses: [associatedAddress.address, otherAddress.address],
+        providers:           [provider.address],
+        resolvers:           []
+      })
+    })
+
+    it('can list the history of an identity', async function () {
+      const history = await runJSON('identity', 'history', '1')
+      assert.deepEqual(
+        history.map(entry => entry.event), ['IdentityMinted', 'AddressAdded', 'AddressRemoved', 'AddressAdded'],
+        'unexpected history.'
+      )
+      assert.equal(history[2].values.removedAddress, otherAddress.address, 'unexpected values.')
+
+      const table = await run('identity', 'history', '1')
+      assert.match(table, /^Block number +Event +Transaction hash +Values$/m, 'unexpected header.')
+    })
+
+    it('reports errors', async function () {
+      const missing = await runCLI(['identity', 'show', '3', '--registry', instances.IdentityRegistry.address])
+      assert.equal(missing.code, 1, 'unexpected exit code.')
+      assert.include(missing.stderr, 'The identity does not exist.', 'unexpected error.')
+
+      const unsigned = await runCLI(['sign', 'recovery', '1', '--registry', instances.IdentityRegistry.address])
+      assert.equal(unsigned.code, 1, 'unexpected exit code.')
+      assert.include(unsigned.stderr, 'A signer key is required', 'unexpected error.')
+    })
+  })
+})
@@ -0,0 +1,144 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, runCLI } = require('../../common')
+const { parseArgs } = require('../../../lib/cli')
+const IdentityRegistryClient = require('../../../lib/client')
+const permissions = require('../../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f'
+]
+
+function run (argv, env) {
+  return runCLI(argv.concat('--registry', instances.IdentityRegistry.address), env)
+}
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let client
+
+contract('Testing erc1484', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, provider, associatedAddress, other] = accountsPrivate
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi })
+      await client.mint(
+        { recoveryAddress: recoveryAddress.address, provider: provider.address }, { from: associatedAddress.address }
+      )
+    })
+  })
+
+  describe('Testing the command line', function () {
+    it('parses arguments', async function () {
+      assert.deepEqual(
+        parseArgs(['identity', '--rpc', 'http://node', '--json', 'show', '--ein=1']),
+        { positional: ['identity', 'show'], options: { rpc: 'http://node', json: true, ein: '1' } },
+        'unexpected arguments.'
+      )
+      assert.throws(() => parseArgs(['identity', 'show', '--registry']), 'Option --registry requires a value.')
+
+      const help = await runCLI(['--help'])
+      assert.equal(help.code, 0, 'unexpected exit code.')
+      assert.include(help.stdout, 'Usage: erc1484', 'unexpected usage.')
+    })
+
+    it('prints transactions instead of sending them on dry runs', async function () {
+      const { code, stdout } = await run(
+        ['address', 'remove', '--signer-key', associatedAddress.privateKey, '--key', provider.privateKey,
+          '--dry-run', '--json']
+      )
+      assert.equal(code, 0, 'unexpected exit code.')
+
+      const { transaction, messageHashes } = JSON.parse(stdout)
+      assert.equal(transaction.from, provider.address, 'unexpected sender.')
+      assert.equal(transaction.to, instances.IdentityRegistry.address, 'unexpected recipient.')
+      const signature = 'removeAddress(address,uint8,bytes32,bytes32,uint256)'
+      assert.equal(transaction.data.slice(0, 10), web3.eth.abi.encodeFunctionSignature(signature), 'unexpected data.')
+      const args = web3.eth.abi.decodeParameters(
+        ['address', 'uint8', 'bytes32', 'bytes32', 'uint256'], '0x' + transaction.data.slice(10)
+      )
+      assert.equal(args[0], associatedAddress.address, 'unexpected address to remove.')
+
+      assert.deepEqual(messageHashes, [permissions.hashRemoveAddress({
+        registry:        instances.IdentityRegistry.address,
+        ein:             1,
+        addressToRemove: associatedAddress.address,
+        timestamp:       args[4],
+        nonce:           0
+      })], 'unexpected message hashes.')
+
+      assert.isTrue(await client.hasIdentity(associatedAddress.address), 'transaction was sent.')
+    })
+
+    it('sends transactions with keys from keystores and the environment', async function () {
+      const keystore = path.join(os.tmpdir(), `erc1484-${Date.now()}.json`)
+      fs.writeFileSync(keystore, JSON.stringify(web3.eth.accounts.encrypt(provider.privateKey, 'password')))
+
+      try {
+        const locked = await run(['provider', 'add', other.address, '--ein', '1', '--keystore', keystore])
+        assert.equal(locked.code, 1, 'unexpected exit code.')
+        assert.include(locked.stderr, 'A password is required', 'unexpected error.')
+
+        const added = await run(['provider', 'add', other.address, '--ein', '1', '--keystore', keystore], {
+          ERC1484_KEYSTORE_PASSWORD: 'password'
+        })
+        assert.equal(added.code, 0, `command failed: ${added.stderr}`)
+        assert.match(added.stdout, /^Events: +ProviderAdded$/m, 'unexpected output.')
+      } finally {
+        fs.unlinkSync(keystore)
+      }
+
+      const removed = await run(['provider', 'remove', other.address], { ERC1484_KEY: associatedAddress.privateKey })
+      assert.equal(removed.code, 0, `command failed: ${removed.stderr}`)
+      assert.isFalse(await client.isProviderFor(1, other.address), 'provider was not removed.')
+    })
+
+    it('adds and removes resolvers', async function () {
+      const added = await run(['resolver', 'add', '1', other.address, '--key', provider.privateKey, '--json'])
+      assert.deepEqual(JSON.parse(added.stdout).events, ['ResolverAdded'], 'unexpected events.')
+
+      const removed = await run(['resolver', 'remove', '1', other.address, '--from', provider.address])
+      assert.equal(removed.code, 0, `command failed: ${removed.stderr}`)
+      assert.isFalse(await client.isResolverFor(1, other.address), 'resolver was not removed.')
+    })
+
+    it('adds providers until an expiry and lists expiring providers', async function () {
+      const none = await run(['provider', 'expiring'])
+      assert.match(none.stdout, /^Expiring providers: +none$/m, 'unexpected output.')
+
+      const expiry = Number((await web3.eth.getBlock('latest')).timestamp) + 60 * 60
+      const added = await run([
+        'provider', 'add', other.address, '--ein', '1', '--expiry', expiry.toString(), '--key', provider.privateKey
+      ])
+      assert.match(added.stdout, /^Events: +ProviderAdded\n +ProviderExpirySet$/m, 'unexpected output.')
+      assert.equal(await client.getProviderExpiry(1, other.address), expiry, 'unexpected expiry.')
+
+      const listed = await run(['provider', 'expiring', '--within', '3600', '--json'])
+      assert.deepEqual(
+        JSON.parse(listed.stdout), [{ ein: '1', provider: other.address, expiry: expiry, expired: false }],
+        'unexpected expiring providers.'
+      )
+      const shown = await run(['provider', 'expiring'])
+      const date = new Date(expiry * 1000).toISOString()
+      assert.match(shown.stdout, new RegExp(`^EIN 1: +${other.address} expires ${date}$`, 'm'), 'unexpected output.')
+
+      const invalid = await run(['provider', 'expiring', '--within', 'soon'])
+      assert.equal(invalid.code, 1, 'unexpected exit code.')
+      assert.include(invalid.stderr, '--within must be a number of seconds.', 'unexpected error.')
+    })
+  })
+})
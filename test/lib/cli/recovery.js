@@ -0,0 +1,79 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, runCLI, verifyIdentity } = require('../../common')
+const IdentityRegistryClient = require('../../../lib/client')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+function run (...argv) {
+  return runCLI(argv.concat('--registry', instances.IdentityRegistry.address))
+}
+
+// convenience variables
+const instances = {}
+let ein
+
+contract('Testing erc1484 recovery commands', function (accounts) {
+  const [recoveryAddress, provider, associatedAddress, otherAddress] = accounts
+  const newAssociatedAddress = web3.eth.accounts.create()
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      const client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi })
+      const minted = await client.mint(
+        { recoveryAddress: recoveryAddress, provider: provider }, { from: associatedAddress }
+      )
+      ein = minted.ein.toString()
+    })
+  })
+
+  describe('Testing commands', function () {
+    it('shows the recovery state', async function () {
+      const { code, stdout } = await run('recovery', 'status', ein)
+      assert.equal(code, 0, 'unexpected exit code.')
+      assert.match(stdout, new RegExp(`Recovery address: +${recoveryAddress}`), 'unexpected recovery address.')
+      assert.match(stdout, /Previous recovery address: +none/, 'unexpected previous recovery address.')
+      assert.match(stdout, /Poison pill: +not possible/, 'unexpected poison pill.')
+    })
+
+    it('triggers a recovery', async function () {
+      const { code, stdout } = await run(
+        'recovery', 'trigger', ein, '--from', recoveryAddress, '--signer-key', newAssociatedAddress.privateKey
+      )
+      assert.equal(code, 0, 'unexpected exit code.')
+      assert.match(stdout, /Events: +RecoveryTriggered/, 'unexpected output.')
+
+      const status = await run('recovery', 'status', ein)
+      assert.match(status.stdout, /Recovery: +possible again in 14d/, 'unexpected recovery.')
+      assert.match(status.stdout, /Poison pill: +possible for 14d/, 'unexpected poison pill.')
+    })
+
+    it('poisons an identity', async function () {
+      const rejected = await run('recovery', 'poison', ein, '--from', otherAddress)
+      assert.equal(rejected.code, 1, 'unexpected exit code.')
+      assert.include(rejected.stderr, `${otherAddress} was not removed`, 'unexpected error.')
+
+      const { code } = await run('recovery', 'poison', ein, '--from', associatedAddress, '--clear-resolvers')
+      assert.equal(code, 0, 'unexpected exit code.')
+
+      await verifyIdentity(web3.utils.toBN(ein), instances.IdentityRegistry, {
+        recoveryAddress:     recoveryAddress,
+        associatedAddresses: [],
+        providers:           [],
+        resolvers:           []
+      })
+    })
+
+    it('rejects invalid commands', async function () {
+      const unknown = await run('recovery', 'undo', ein)
+      assert.equal(unknown.code, 1, 'unexpected exit code.')
+      assert.include(unknown.stderr, 'Usage: erc1484', 'unexpected error.')
+
+      const missing = await run('recovery', 'status')
+      assert.equal(missing.code, 1, 'unexpected exit code.')
+      assert.include(missing.stderr, 'An EIN is required.', 'unexpected error.')
+    })
+  })
+})
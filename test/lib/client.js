@@ -0,0 +1,296 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, verifyIdentity } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const errors = require('../../lib/errors')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let client
+let identity
+const notifications = []
+let unsubscribe
+
+contract('Testing IdentityRegistryClient', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  identity = {
+    recoveryAddress:     accountsPrivate[0],
+    associatedAddresses: accountsPrivate.slice(1, 3),
+    provider:            accountsPrivate[3],
+    otherProvider:       accountsPrivate[4],
+    resolver:            accountsPrivate[5]
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi })
+    })
+  })
+
+  describe('Testing client', function () {
+    it('can mint an identity', async function () {
+      const { ein, event } = await client.mint(
+        { recoveryAddress: identity.recoveryAddress.address, provider: identity.provider.address },
+        { from: identity.associatedAddresses[0].address }
+      )
+      assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+      assert.isFalse(event.returnValues.delegated, 'unexpected event.')
+      identity.ein = ein
+
+      await verifyIdentity(identity.ein, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [identity.associatedAddresses[0].address],
+        providers:           [identity.provider.address],
+        resolvers:           []
+      })
+    })
+
+    it('can mint a delegated identity', async function () {
+      const { ein, event } = await client.mintDelegated(
+        { recoveryAddress: identity.recoveryAddress.address, resolvers: [identity.resolver.address] },
+        accountsPrivate[6], { from: identity.provider.address, method: 'unprefixed' }
+      )
+      assert.isTrue(ein.eq(web3.utils.toBN(2)), 'unexpected EIN.')
+      assert.isTrue(event.returnValues.delegated, 'unexpected event.')
+
+      const typed = await client.mintDelegated(
+        { recoveryAddress: identity.recoveryAddress.address, resolvers: [identity.resolver.address] },
+        accountsPrivate[8], { from: identity.provider.address, method: 'typed' }
+      )
+      assert.isTrue(typed.ein.eq(web3.utils.toBN(3)), 'unexpected EIN.')
+    })
+
+    it('can look up identities by EIN or address', async function () {
+      const byEIN = await client.getIdentity(identity.ein)
+      const byAddress = await client.getIdentity(identity.associatedAddresses[0].address)
+
+      for (const details of [byEIN, byAddress]) {
+        assert.isTrue(details.ein.eq(identity.ein), 'unexpected EIN.')
+        assert.deepEqual(details, {
+          ein:                 details.ein,
+          recoveryAddress:     identity.recoveryAddress.address,
+          associatedAddresses: [identity.associatedAddresses[0].address],
+          providers:           [identity.provider.address],
+          resolvers:           []
+        }, 'unexpected details.')
+      }
+    })
+
+    it('can add and remove addresses', async function () {
+      const { event } = await client.addAddress(
+        identity.associatedAddresses[0], identity.associatedAddresses[1], { from: identity.provider.address }
+      )
+      assert.equal(event.returnValues.addedAddress, identity.associatedAddresses[1].address, 'unexpected event.')
+      assert.deepEqual(
+        (await client.getIdentity(identity.ein)).associatedAddresses,
+        identity.associatedAddresses.map(address => address.address),
+        'unexpected associated addresses.'
+      )
+
+      await client.removeAddress(identity.associatedAddresses[1], { from: identity.provider.address })
+      assert.isFalse(await client.hasIdentity(identity.associatedAddresses[1].address), 'address was not removed.')
+
+      // both signatures of the removed address consumed its nonce
+      const nonce = await client.getNonce(identity.associatedAddresses[1].address)
+      assert.isTrue(nonce.eq(web3.utils.toBN(2)), 'unexpected nonce.')
+
+      await client.addAddress(
+        identity.associatedAddresses[0], identity.associatedAddresses[1],
+        { from: identity.provider.address, method: 'typed' }
+      )
+    })
+
+    it('can add and remove providers', async function () {
+      const { events } = await client.addProviders(
+        [identity.otherProvider.address, accountsPrivate[7].address], { from: identity.associatedAddresses[1].address }
+      )
+      assert.equal(events.length, 2, 'unexpected events.')
+      assert.isTrue(await client.isProviderFor(identity.ein, accountsPrivate[7].address), 'provider was not added.')
+
+      await client.removeProviders(
+        [accountsPrivate[7].address], { ein: identity.ein, from: identity.otherProvider.address }
+      )
+      assert.isFalse(await client.isProviderFor(identity.ein, accountsPrivate[7].address), 'provider was not removed.')
+    })
+
+    it('can subscribe to hooks', async function () {
+      unsubscribe = client.subscribe(
+        undefined,
+        notification => notifications.push(notification),
+        { fromBlock: await web3.eth.getBlockNumber() + 1, interval: 100 }
+      )
+    })
+
+    it('can add and remove resolvers', async function () {
+      await client.addResolvers(identity.ein, [identity.resolver.address], { from: identity.provider.address })
+      assert.isTrue(await client.isResolverFor(identity.ein, identity.resolver.address), 'resolver was not added.')
+
+      const { event } = await client.removeResolvers(
+        identity.ein, [identity.resolver.address], { from: identity.otherProvider.address }
+      )
+      assert.equal(event.returnValues.provider, identity.otherProvider.address, 'unexpected event.')
+      assert.isFalse(await client.isResolverFor(identity.ein, identity.resolver.address), 'resolver was not removed.')
+    })
+
+    it('can scope the permissions of providers', async function () {
+      const provider = identity.otherProvider.address
+      assert.deepEqual(
+        await client.getProviderPermissions(identity.ein, provider),
+        Object.keys(IdentityRegistryClient.providerPermissions),
+        'unexpected permissions.'
+      )
+
+      await client.setProviderPermissions(
+        provider, ['manageResolvers'], { from: identity.associatedAddresses[0].address }
+      )
+      assert.deepEqual(
+        await client.getProviderPermissions(identity.ein, provider), ['manageResolvers'], 'unexpected permissions.'
+      )
+      assert.isFalse(
+        await client.hasProviderPermission(identity.ein, provider, ['changeRecovery']), 'unexpected permission.'
+      )
+
+      await client.changeRecoveryAddress(identity.ein, accountsPrivate[7].address, { from: provider })
+        .then(() => assert.fail('recovery address was changed', 'transaction should fail'))
+        .catch(error => assert.instanceOf(error, errors.ProviderPermissionError, 'unexpected error.'))
+    })
+
+    it('can change the recovery address', async function () {
+      await client.changeRecoveryAddress(identity.ein, accountsPrivate[7].address, { from: identity.provider.address })
+      assert.equal(
+        (await client.getIdentity(identity.ein)).recoveryAddress, accountsPrivate[7].address,
+        'unexpected recovery address.'
+      )
+    })
+
+    it('can recover an identity', async function () {
+      const { event } = await client.recover(
+        identity.ein, identity.resolver, { from: identity.recoveryAddress.address, method: 'typed' }
+      )
+      assert.deepEqual(
+        event.returnValues.oldAssociatedAddresses,
+        identity.associatedAddresses.map(address => address.address),
+        'unexpected event.'
+      )
+
+      await verifyIdentity(identity.ein, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [identity.resolver.address],
+        providers:           [],
+        resolvers:           []
+      })
+    })
+
+    it('can poison an identity', async function () {
+      assert.deepEqual(
+        await client.getRecoveredAddresses(identity.ein),
+        identity.associatedAddresses.map(address => address.address),
+        'unexpected recovered addresses.'
+      )
+
+      await client.poison(identity.ein, { from: identity.associatedAddresses[1].address, clearResolvers: true })
+
+      await verifyIdentity(identity.ein, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [],
+        providers:           [],
+        resolvers:           []
+      })
+    })
+
+    it('subscriptions are notified of hooks', async function () {
+      for (let i = 0; i < 100 && notifications.length < 4; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      }
+      unsubscribe()
+
+      assert.deepEqual(
+        notifications.map(notification => [notification.hook, notification.target]),
+        [
+          ['onAddition', identity.resolver.address],
+          ['onRemoval', identity.resolver.address],
+          ['onRecovery', identity.provider.address],
+          ['onRecovery', identity.otherProvider.address]
+        ],
+        'unexpected notifications.'
+      )
+    })
+
+    it('can read an identity at the address cap in pages', async function () {
+      const owner = accountsPrivate[7]
+      const { ein } = await client.mint(
+        { recoveryAddress: identity.recoveryAddress.address, provider: identity.provider.address },
+        { from: owner.address }
+      )
+
+      const maxAssociatedAddresses = Number(await instances.IdentityRegistry.maxAssociatedAddresses())
+      const added = [...Array(maxAssociatedAddresses - 1)].map(() => web3.eth.accounts.create())
+      for (const signer of added) {
+        await client.addAddress(owner, signer, { from: identity.provider.address })
+      }
+      const expected = [owner.address, ...added.map(signer => signer.address)]
+
+      assert.isTrue(
+        (await client.getSetSize(ein, 'associatedAddresses')).eqn(maxAssociatedAddresses), 'unexpected size.'
+      )
+      assert.deepEqual(
+        await client.getSetSlice(ein, 'associatedAddresses', 45, 10), expected.slice(45), 'unexpected slice.'
+      )
+
+      const pages = []
+      for await (const page of client.setPages(ein, 'associatedAddresses', { pageSize: 15 })) pages.push(page)
+      assert.deepEqual(pages.map(page => page.length), [15, 15, 15, 5], 'unexpected pages.')
+      assert.deepEqual([].concat(...pages), expected, 'unexpected associated addresses.')
+
+      const providerPages = []
+      for await (const page of client.setPages(ein, 'providers')) providerPages.push(page)
+      assert.deepEqual(providerPages, [[identity.provider.address]], 'unexpected providers.')
+
+      const einPages = []
+      for await (const page of client.einPages({ pageSize: 3 })) einPages.push(page.map(ein => ein.toNumber()))
+      assert.deepEqual(einPages, [[1, 2, 3], [4]], 'unexpected EINs.')
+
+      await client.getSetSize(ein, 'members')
+        .then(() => assert.fail('unknown set was read', 'reading should fail'))
+        .catch(error => assert.include(error.message, 'Unknown set members', 'unexpected error.'))
+    })
+
+    it('reads the parameters that the governor changes', async function () {
+      const governor = accountsPrivate[8].address
+      const governed = await deployRegistry(IdentityRegistry, { signatureTimeout: 60, governor: governor })
+      const governedClient = new IdentityRegistryClient(web3, governed.address, { abi: IdentityRegistry.abi })
+      assert.deepEqual(await governedClient.getParameters(), {
+        maxAssociatedAddresses: 50, recoveryTimeout: 60 * 60 * 24 * 14, signatureTimeout: 60, governor: governor
+      }, 'unexpected parameters.')
+
+      // a signature from two minutes ago has expired, until the governor lengthens the signature timeout
+      const { timestamp: latest } = await web3.eth.getBlock('latest')
+      const timestamp = Math.max(Number(latest), Math.round(new Date() / 1000)) - 120
+      await governedClient.checkSignatureTimestamps([timestamp])
+        .then(() => assert.fail('timestamp was accepted', 'checking should fail'))
+        .catch(error => assert.instanceOf(error, errors.SignatureExpiredError, 'unexpected error.'))
+
+      await governed.changeParameters(50, 60 * 60 * 24 * 14, 600, { from: governor })
+      assert.equal(await governedClient.getSignatureTimeout(), 600, 'unexpected signature timeout.')
+      await governedClient.checkSignatureTimestamps([timestamp])
+    })
+  })
+})
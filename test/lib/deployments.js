@@ -0,0 +1,83 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const IdentityRegistryClient = require('../../lib/client')
+const deployments = require('../../lib/deployments')
+const did = require('../../lib/did')
+const { IdentityIndexer } = require('../../lib/indexer')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const Provider = artifacts.require('./samples/Provider.sol')
+const Resolver = artifacts.require('./samples/Resolver.sol')
+
+contract('Testing deployments', function (accounts) {
+  describe('Testing address book', function () {
+    it('migrations recorded the registry', async function () {
+      const deployment = await deployments.findDeployment(web3, 'IdentityRegistry')
+      assert.equal(deployment.address, IdentityRegistry.address, 'unexpected address.')
+      assert.equal(deployment.transactionHash, IdentityRegistry.transactionHash, 'unexpected transaction hash.')
+
+      const receipt = await web3.eth.getTransactionReceipt(deployment.transactionHash)
+      assert.equal(deployment.deployBlock, receipt.blockNumber, 'unexpected deploy block.')
+    })
+
+    it('migrations recorded the samples', async function () {
+      const networkId = await web3.eth.net.getId()
+      assert.equal(deployments.getDeployment(networkId, 'Provider').address, Provider.address, 'unexpected address.')
+      assert.equal(deployments.getDeployment(networkId, 'Resolver').address, Resolver.address, 'unexpected address.')
+    })
+
+    it('the client and DID lookups load the deployed registry', async function () {
+      const client = await IdentityRegistryClient.fromAddressBook(web3, { abi: IdentityRegistry.abi })
+      assert.equal(client.address, IdentityRegistry.address, 'unexpected address.')
+
+      await client.mint({ recoveryAddress: accounts[0], provider: accounts[0] }, { from: accounts[1] })
+      const ein = await client.getEIN(accounts[1])
+
+      const lookedUpDID = await did.lookupDID(
+        web3, { network: 'development', address: accounts[1], abi: IdentityRegistry.abi }
+      )
+      assert.equal(
+        lookedUpDID,
+        did.format({ network: 'development', registry: IdentityRegistry.address, ein: ein }),
+        'unexpected DID.'
+      )
+
+      const indexer = await IdentityIndexer.fromAddressBook(web3, { abi: IdentityRegistry.abi, confirmations: 0 })
+      const { deployBlock } = await deployments.findDeployment(web3, 'IdentityRegistry')
+      assert.equal(indexer.fromBlock, deployBlock, 'unexpected starting block.')
+      await indexer.sync()
+      assert.equal(await indexer.getEIN(accounts[1]), ein.toString(), 'unexpected EIN.')
+    })
+
+    it('deployments are recorded per network', async function () {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'address-book-'))
+      const file = path.join(directory, 'deployments.json')
+
+      await deployments.recordDeployment(file, web3, 3, 'IdentityRegistry', IdentityRegistry)
+      await deployments.recordDeployment(file, web3, 3, 'Provider', Provider)
+      await deployments.recordDeployment(file, web3, 42, 'IdentityRegistry', Resolver)
+
+      const addressBook = deployments.readAddressBook(file)
+      assert.deepEqual(Object.keys(addressBook), ['3', '42'], 'unexpected networks.')
+      assert.deepEqual(Object.keys(addressBook['3']), ['IdentityRegistry', 'Provider'], 'unexpected contracts.')
+      assert.equal(addressBook['42'].IdentityRegistry.address, Resolver.address, 'unexpected address.')
+
+      // later address books take precedence
+      const merged = deployments.loadAddressBook([deployments.publicAddressBook, file])
+      assert.equal(
+        deployments.getDeployment(4, 'IdentityRegistry', merged).address,
+        '0x8d37E9744887a4673CaEA1fd524d0FED7Edb1c23',
+        'unexpected address.'
+      )
+      assert.equal(deployments.getDeployment(3, 'Provider', merged).address, Provider.address, 'unexpected address.')
+
+      fs.unlinkSync(file)
+      fs.rmdirSync(directory)
+    })
+  })
+})
@@ -0,0 +1,130 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const did = require('../../lib/did')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb'
+]
+
+const exampleRegistry = '0xdd974D5C2e2928deA5C21b9825b8c916686AC200'
+const exampleDID = `did:erc1484:ropsten:${exampleRegistry}:` +
+  '00000000000000000000000000000000000000000000000000000000000000e1'
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let client
+let resolve
+let identityDID
+
+contract('Testing did:erc1484 resolver', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, provider, resolver, first, second, newAddress] = accountsPrivate
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi })
+      resolve = did.getResolver({ networks: { development: web3 }, abi: IdentityRegistry.abi })[did.method]
+    })
+  })
+
+  describe('Testing DIDs', function () {
+    it('DIDs are parsed', async function () {
+      const parsed = did.parse(exampleDID)
+      assert.equal(parsed.network, 'ropsten', 'unexpected network.')
+      assert.equal(parsed.registry, web3.utils.toChecksumAddress(exampleRegistry), 'unexpected registry.')
+      assert.isTrue(parsed.ein.eq(web3.utils.toBN(225)), 'unexpected EIN.')
+
+      const checksummedDID = exampleDID.replace(exampleRegistry, parsed.registry)
+      assert.equal(did.format(parsed), checksummedDID, 'unexpected formatting.')
+
+      const mainnet = did.parse(exampleDID.replace('ropsten:', ''))
+      assert.equal(mainnet.network, 'mainnet', 'unexpected default network.')
+      assert.equal(did.format(mainnet), checksummedDID.replace('ropsten:', ''), 'unexpected formatting.')
+    })
+
+    it('malformed DIDs are rejected', async function () {
+      const malformed = [
+        exampleDID.replace('erc1484', 'ethr'),
+        exampleDID.slice(0, -1),
+        exampleDID.replace(exampleRegistry, exampleRegistry.slice(0, -2)),
+        exampleDID.replace('ropsten', 'Ropsten')
+      ]
+      for (const malformedDID of malformed) {
+        assert.throws(() => did.parse(malformedDID), Error, undefined, `${malformedDID} was parsed.`)
+      }
+    })
+
+    it('DID documents are resolved', async function () {
+      await client.mint(
+        { recoveryAddress: recoveryAddress.address, provider: provider.address, resolvers: [resolver.address] },
+        { from: first.address }
+      )
+      await client.addAddress(first, second, { from: provider.address })
+      identityDID = did.format({ network: 'development', registry: instances.IdentityRegistry.address, ein: 1 })
+
+      const document = await resolve(identityDID)
+      assert.equal(document.id, identityDID, 'unexpected id.')
+      assert.deepEqual(
+        document.publicKey.map(key => [key.id, key.type, key.ethereumAddress]),
+        [
+          [`${identityDID}#recovery`, 'Secp256k1RecoveryKey2018', recoveryAddress.address],
+          [`${identityDID}#key-1`, 'Secp256k1AssociatedAddress2018', first.address],
+          [`${identityDID}#key-2`, 'Secp256k1AssociatedAddress2018', second.address]
+        ],
+        'unexpected public keys.'
+      )
+      assert.deepEqual(
+        document.authentication.map(authentication => authentication.publicKey),
+        [`${identityDID}#key-1`, `${identityDID}#key-2`],
+        'unexpected authentication.'
+      )
+      assert.deepEqual(
+        document.service.map(service => [service.type, service.serviceEndpoint]),
+        [['ERC1484Provider', provider.address], ['ERC1484Resolver', resolver.address]],
+        'unexpected services.'
+      )
+    })
+
+    it('missing identities and unsupported networks are handled', async function () {
+      const missingDID = did.format({ network: 'development', registry: instances.IdentityRegistry.address, ein: 2 })
+      assert.isNull(await resolve(missingDID), 'missing identity was resolved.')
+
+      await resolve(identityDID.replace('development', 'kovan'))
+        .then(() => assert.fail('unsupported network was resolved', 'resolution should fail'))
+        .catch(error => assert.include(error.message, 'Unsupported network', 'wrong rejection reason'))
+    })
+
+    it('DIDs can be looked up by address', async function () {
+      const options = {
+        network: 'development', registry: instances.IdentityRegistry.address, abi: IdentityRegistry.abi
+      }
+      const lookedUpDID = await did.lookupDID(web3, Object.assign({ address: second.address }, options))
+      assert.equal(lookedUpDID, identityDID, 'unexpected DID.')
+
+      const missingDID = await did.lookupDID(web3, Object.assign({ address: newAddress.address }, options))
+      assert.isNull(missingDID, 'unexpected DID.')
+    })
+
+    it('poisoned identities are deactivated', async function () {
+      await client.recover(1, newAddress, { from: recoveryAddress.address })
+      await client.poison(1, { from: first.address })
+
+      const document = await resolve(identityDID)
+      assert.isTrue(document.deactivated, 'document was not deactivated.')
+      assert.deepEqual(document.publicKey, [], 'unexpected public keys.')
+      assert.deepEqual(document.authentication, [], 'unexpected authentication.')
+    })
+  })
+})
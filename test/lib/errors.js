@@ -0,0 +1,164 @@
+const fs = require('fs')
+const path = require('path')
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const errors = require('../../lib/errors')
+const permissions = require('../../lib/permissions')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c'
+]
+
+// asserts that a client operation fails with the expected error, without sending a transaction
+async function assertFailsWith (operation, ErrorClass, sender) {
+  const transactionCount = await web3.eth.getTransactionCount(sender)
+  await operation()
+    .then(() => assert.fail('operation succeeded', 'operation should fail'))
+    .catch(error => assert.instanceOf(error, ErrorClass, `unexpected error: ${error.message}`))
+  assert.equal(await web3.eth.getTransactionCount(sender), transactionCount, 'a transaction was sent.')
+}
+
+// convenience variables
+let accountsPrivate
+let client
+let ein
+
+contract('Testing IdentityRegistry errors', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, associatedAddress, provider, other, newRecoveryAddress] = accountsPrivate
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      const instance = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(web3, instance.address, { abi: IdentityRegistry.abi })
+      const minted = await client.mint(
+        { recoveryAddress: recoveryAddress.address, provider: provider.address },
+        { from: associatedAddress.address }
+      )
+      ein = minted.ein
+    })
+  })
+
+  describe('Testing error decoding', function () {
+    it('revert data is decoded', async function () {
+      const data = web3.eth.abi.encodeFunctionSignature('Error(string)') +
+        web3.eth.abi.encodeParameter('string', 'Cannot add too many addresses.').slice(2)
+      assert.equal(errors.revertReason(data), 'Cannot add too many addresses.', 'unexpected reason.')
+      assert.instanceOf(errors.decodeError({ data: data }), errors.TooManyAddressesError, 'unexpected error.')
+    })
+
+    it('every revert reason of the contracts is mapped', async function () {
+      const contracts = [
+        'IdentityRegistry.sol', 'GuardianRecovery/GuardianRecovery.sol', 'RegistryTimelock/RegistryTimelock.sol'
+      ]
+      for (const contract of contracts) {
+        const source = fs.readFileSync(path.join(__dirname, '../../contracts', contract), 'utf8')
+        const requires = source.match(/\brequire\((?:[^()]|\((?:[^()]|\([^()]*\))*\))*\)/g)
+        assert.isNotEmpty(requires, `no requires were found in ${contract}.`)
+        for (const statement of requires) {
+          const [, reason] = statement.match(/"([^"]*)"\s*\)$/) || []
+          assert.isDefined(reason, `${contract} has a require without a reason.`)
+          assert.property(errors.reasons, reason, `${contract} has an unmapped reason.`)
+        }
+      }
+    })
+
+    it('unknown errors are passed through', async function () {
+      const error = new Error('something else')
+      assert.equal(errors.decodeError(error), error, 'unexpected error.')
+    })
+
+    it('missing identities are decoded', async function () {
+      await client.getIdentity(ein.addn(1))
+        .then(() => assert.fail('identity was found', 'call should fail'))
+        .catch(error => {
+          assert.instanceOf(error, errors.IdentityNotFoundError, 'unexpected error.')
+          assert.isTrue(error.ein.eq(ein.addn(1)), 'unexpected EIN.')
+        })
+
+      await client.getEIN(other.address)
+        .then(() => assert.fail('EIN was found', 'call should fail'))
+        .catch(error => {
+          assert.instanceOf(error, errors.AddressHasNoIdentityError, 'unexpected error.')
+          assert.deepEqual(error.addresses, [other.address], 'unexpected addresses.')
+        })
+    })
+
+    it('addresses with identities cannot mint', async function () {
+      await assertFailsWith(
+        () => client.mint(
+          { recoveryAddress: recoveryAddress.address, provider: provider.address }, { from: associatedAddress.address }
+        ),
+        errors.AddressAlreadyHasIdentityError, associatedAddress.address
+      )
+    })
+
+    it('expired signatures are caught before sending', async function () {
+      const signatureTimeout = Number(await client.contract.methods.signatureTimeout().call())
+      await assertFailsWith(
+        () => client.mintDelegated(
+          { recoveryAddress: recoveryAddress.address, timestamp: Math.round(new Date() / 1000) - signatureTimeout },
+          other, { from: provider.address }
+        ),
+        errors.SignatureExpiredError, provider.address
+      )
+    })
+
+    it('bad signatures are caught before sending', async function () {
+      await assertFailsWith(
+        () => client.addAddress(
+          associatedAddress, { address: other.address, privateKey: newRecoveryAddress.privateKey },
+          { from: provider.address }
+        ),
+        errors.PermissionDeniedError, provider.address
+      )
+    })
+
+    it('batches with the wrong number of signatures are caught before sending', async function () {
+      const permission = await permissions.mintIdentityDelegated({
+        registry:        client.address,
+        recoveryAddress: recoveryAddress.address,
+        provider:        provider.address,
+        nonce:           await client.getNonce(other.address)
+      }, other)
+      const [recovery, associated, resolvers, v, r, s, timestamp] = permission.args
+      const method = client.contract.methods.mintIdentityDelegatedWithAddresses(
+        recovery, associated, resolvers, [newRecoveryAddress.address], [v], [r], [s], [timestamp]
+      )
+
+      await assertFailsWith(
+        () => client.send(method, { from: provider.address }, [], { operation: 'mintIdentityDelegatedWithAddresses' }),
+        errors.InvalidArgumentsError, provider.address
+      )
+    })
+
+    it('non-providers are caught before sending', async function () {
+      await assertFailsWith(
+        () => client.addResolvers(ein, [other.address], { from: other.address }),
+        errors.ProviderNotSetError, other.address
+      )
+    })
+
+    it('recovery timing rules are caught before sending', async function () {
+      await client.changeRecoveryAddress(ein, newRecoveryAddress.address, { from: provider.address })
+      await assertFailsWith(
+        () => client.changeRecoveryAddress(ein, recoveryAddress.address, { from: provider.address }),
+        errors.RecoveryCooldownError, provider.address
+      )
+
+      await assertFailsWith(
+        () => client.recover(ein, other, { from: newRecoveryAddress.address }),
+        errors.NotRecoveryAddressError, newRecoveryAddress.address
+      )
+    })
+  })
+})
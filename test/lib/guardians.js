@@ -0,0 +1,87 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const errors = require('../../lib/errors')
+const { GuardianRecoveryClient } = require('../../lib/guardians')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const GuardianRecovery = artifacts.require('./GuardianRecovery/GuardianRecovery.sol')
+
+// convenience variables
+let registry
+let client
+let ein
+
+contract('Testing GuardianRecoveryClient', function (accounts) {
+  const [sender, associatedAddress] = accounts
+  const guardians = [web3.eth.accounts.create(), web3.eth.accounts.create(), web3.eth.accounts.create()]
+  const newAssociatedAddress = web3.eth.accounts.create()
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      const instance = await deployRegistry(IdentityRegistry)
+      registry = new IdentityRegistryClient(web3, instance.address, { abi: IdentityRegistry.abi })
+      const guardianRecovery = await GuardianRecovery.new(instance.address)
+      client = new GuardianRecoveryClient(web3, guardianRecovery.address, {
+        abi: GuardianRecovery.abi, registryAbi: IdentityRegistry.abi, from: sender
+      })
+
+      const minted = await registry.mint(
+        { recoveryAddress: guardianRecovery.address, provider: sender }, { from: associatedAddress }
+      )
+      ein = minted.ein
+    })
+  })
+
+  describe('Testing guardian recovery', function () {
+    it('sets and reads guardians', async function () {
+      const { events } = await client.setGuardians(
+        guardians.map(guardian => guardian.address), 2, 0, { from: associatedAddress }
+      )
+      assert.deepEqual(events.map(event => event.event), ['GuardiansSet'], 'unexpected events.')
+
+      assert.deepEqual(await client.getGuardians(ein), {
+        guardians: guardians.map(guardian => guardian.address), threshold: 2, delay: 0, pending: undefined
+      }, 'unexpected guardians.')
+    })
+
+    it('collects signed approvals and shows progress', async function () {
+      const approval = await client.signApproval(ein, newAssociatedAddress.address, guardians[2])
+      await client.submitApprovals(ein, newAssociatedAddress.address, [approval])
+
+      const progress = await client.getProgress(ein, newAssociatedAddress.address)
+      assert.deepEqual(
+        [progress.approvals, progress.needed, progress.approvedBy, progress.pendingGuardians, progress.executable],
+        [1, 1, [guardians[2].address], guardians.slice(0, 2).map(guardian => guardian.address), false],
+        'unexpected progress.'
+      )
+
+      await client.submitApprovals(
+        ein, newAssociatedAddress.address, [await client.signApproval(ein, newAssociatedAddress.address, guardians[0])]
+      )
+      const approved = await client.getProgress(ein, newAssociatedAddress.address)
+      assert.deepEqual(
+        [approved.approvals, approved.needed, approved.remaining, approved.executable], [2, 0, 0, true],
+        'unexpected progress.'
+      )
+    })
+
+    it('decodes guardian errors', async function () {
+      await client.approve(ein, newAssociatedAddress.address, { from: sender })
+        .then(() => assert.fail('approved', 'approving should fail'))
+        .catch(error => assert.instanceOf(error, errors.NotGuardianError, 'unexpected error.'))
+    })
+
+    it('executes approved recoveries', async function () {
+      // ganache underestimates the gas of calls that call other contracts
+      const { events } = await client.execute(ein, newAssociatedAddress, { gas: 1000000 })
+      assert.deepEqual(events.map(event => event.event), ['RecoveryExecuted'], 'unexpected events.')
+      assert.isTrue(await registry.isAddressFor(ein, newAssociatedAddress.address), 'identity was not recovered.')
+
+      const progress = await client.getProgress(ein, newAssociatedAddress.address)
+      assert.equal(progress.approvals, 0, 'approvals were not discarded.')
+    })
+  })
+})
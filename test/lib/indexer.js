@@ -0,0 +1,195 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, mine, snapshot, revert, verifyIndexer } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const { IdentityIndexer } = require('../../lib/indexer')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let client
+let indexer
+
+contract('Testing IdentityIndexer', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, provider, resolver, first, second, third, fourth] = accountsPrivate
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi })
+      indexer = new IdentityIndexer(web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi })
+    })
+  })
+
+  describe('Testing queries', function () {
+    it('identities are indexed', async function () {
+      await client.mint(
+        { recoveryAddress: recoveryAddress.address, provider: provider.address, resolvers: [resolver.address] },
+        { from: first.address }
+      )
+      await client.mint(
+        { recoveryAddress: recoveryAddress.address, provider: provider.address }, { from: second.address }
+      )
+      await client.addAddress(first, third, { from: provider.address })
+
+      await verifyIndexer(indexer, instances.IdentityRegistry)
+    })
+
+    it('identities can be found by provider and resolver', async function () {
+      assert.deepEqual(await indexer.getEINsForProvider(provider.address), ['1', '2'], 'unexpected provider EINs.')
+      assert.deepEqual(await indexer.getEINsForResolver(resolver.address), ['1'], 'unexpected resolver EINs.')
+      assert.equal(await indexer.getEIN(third.address), '1', 'unexpected EIN.')
+      assert.isUndefined(await indexer.getEIN(fourth.address), 'unexpected EIN.')
+    })
+
+    it('addresses can be queried in any case', async function () {
+      assert.equal(await indexer.getEIN(third.address.toLowerCase()), '1', 'unexpected EIN.')
+      assert.deepEqual(
+        await indexer.getEINsForProvider(provider.address.toLowerCase()), ['1', '2'], 'unexpected provider EINs.'
+      )
+      assert.deepEqual(
+        await indexer.getEINsForResolver(resolver.address.toLowerCase()), ['1'], 'unexpected resolver EINs.'
+      )
+    })
+
+    it('address history is tracked', async function () {
+      await client.removeAddress(first, { from: provider.address })
+      await verifyIndexer(indexer, instances.IdentityRegistry)
+
+      const history = await indexer.getAddressHistory(1)
+      assert.deepEqual(
+        history.map(entry => [entry.address, entry.action, entry.event]),
+        [
+          [first.address, 'added', 'IdentityMinted'],
+          [third.address, 'added', 'AddressAdded'],
+          [first.address, 'removed', 'AddressRemoved']
+        ],
+        'unexpected address history.'
+      )
+    })
+  })
+
+  describe('Testing reorgs', function () {
+    let snapshotId
+    it('reorged blocks are rolled back', async function () {
+      snapshotId = await snapshot()
+      await client.addResolvers(2, [resolver.address], { from: provider.address })
+      await verifyIndexer(indexer, instances.IdentityRegistry)
+      assert.deepEqual(await indexer.getEINsForResolver(resolver.address), ['1', '2'], 'unexpected resolver EINs.')
+
+      // replace the block containing the resolver addition with blocks that do something else
+      await revert(snapshotId)
+      await client.addProviders([fourth.address], { from: second.address })
+      await client.addProviders([fourth.address], { from: third.address })
+
+      await verifyIndexer(indexer, instances.IdentityRegistry)
+      assert.deepEqual(await indexer.getEINsForResolver(resolver.address), ['1'], 'unexpected resolver EINs.')
+      assert.deepEqual(await indexer.getEINsForProvider(fourth.address), ['1', '2'], 'unexpected provider EINs.')
+    })
+
+    it('reorgs that fork below the first changed block are rolled back', async function () {
+      const newResolver = web3.eth.accounts.create().address
+      const mine = () => web3.eth.sendTransaction({ from: first.address, to: first.address, value: 0 })
+
+      // only the latest of these blocks is tracked, as they have no registry events
+      await verifyIndexer(indexer, instances.IdentityRegistry)
+      snapshotId = await snapshot()
+      for (let i = 0; i < 3; i++) await mine()
+      await indexer.sync()
+
+      // the replacement chain adds a resolver right after the fork, below the first tracked block that changed
+      await revert(snapshotId)
+      await client.addResolvers(2, [newResolver], { from: provider.address })
+      for (let i = 0; i < 3; i++) await mine()
+
+      await verifyIndexer(indexer, instances.IdentityRegistry)
+      assert.deepEqual(await indexer.getEINsForResolver(newResolver), ['2'], 'unexpected resolver EINs.')
+    })
+
+    it('confirmed blocks are pruned', async function () {
+      const latest = await web3.eth.getBlockNumber()
+      const blocks = await indexer.store.getBlocks()
+      assert.isTrue(blocks.every(block => block.number > latest - indexer.confirmations), 'unexpected blocks.')
+    })
+
+    it('reorgs of every tracked block leave confirmed events applied once', async function () {
+      const shallowIndexer = new IdentityIndexer(web3, instances.IdentityRegistry.address, {
+        abi: IdentityRegistry.abi, confirmations: 2
+      })
+      const notifications = []
+      shallowIndexer.subscribe(undefined, notification => notifications.push(notification))
+      await verifyIndexer(shallowIndexer, instances.IdentityRegistry)
+      const history = (await shallowIndexer.getIdentity(2)).history.length
+      const notified = notifications.length
+
+      // the fork is within the confirmations, but below the only tracked block, which is pruned down to the latest
+      for (let i = 0; i < 2; i++) await mine()
+      snapshotId = await snapshot()
+      await mine()
+      await shallowIndexer.sync()
+      assert.lengthOf(await shallowIndexer.store.getBlocks(), 1, 'unexpected blocks.')
+
+      const newResolver = web3.eth.accounts.create().address
+      await revert(snapshotId)
+      await client.addResolvers(2, [newResolver], { from: provider.address })
+      await mine()
+
+      await verifyIndexer(shallowIndexer, instances.IdentityRegistry)
+      assert.deepEqual(await shallowIndexer.getEINsForResolver(newResolver), ['2'], 'unexpected resolver EINs.')
+      assert.equal((await shallowIndexer.getIdentity(2)).history.length, history + 1, 'events were applied again.')
+      assert.equal(notifications.length, notified + 1, 'hooks were notified again.')
+    })
+
+    it('reorgs of the latest block are detected without confirmations', async function () {
+      const unconfirmedIndexer = new IdentityIndexer(web3, instances.IdentityRegistry.address, {
+        abi: IdentityRegistry.abi, confirmations: 0
+      })
+      await verifyIndexer(unconfirmedIndexer, instances.IdentityRegistry)
+
+      const newResolver = web3.eth.accounts.create().address
+      snapshotId = await snapshot()
+      await client.addResolvers(1, [newResolver], { from: provider.address })
+      await unconfirmedIndexer.sync()
+      assert.deepEqual(await unconfirmedIndexer.getEINsForResolver(newResolver), ['1'], 'unexpected resolver EINs.')
+
+      await revert(snapshotId)
+      await mine()
+      await verifyIndexer(unconfirmedIndexer, instances.IdentityRegistry)
+      assert.isEmpty(await unconfirmedIndexer.getEINsForResolver(newResolver), 'unexpected resolver EINs.')
+    })
+  })
+
+  describe('Testing subscriptions', function () {
+    it('hooks are delivered to subscriptions', async function () {
+      const notifications = []
+      const unsubscribe = indexer.subscribe(resolver.address, notification => notifications.push(notification))
+
+      await client.addResolvers(2, [resolver.address], { from: provider.address })
+      await client.removeResolvers(1, [resolver.address], { from: provider.address })
+      await indexer.sync()
+      unsubscribe()
+      await client.removeResolvers(2, [resolver.address], { from: provider.address })
+      await indexer.sync()
+
+      assert.deepEqual(
+        notifications.map(notification => [notification.hook, notification.ein, notification.target]),
+        [['onAddition', '2', resolver.address], ['onRemoval', '1', resolver.address]],
+        'unexpected notifications.'
+      )
+    })
+  })
+})
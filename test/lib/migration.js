@@ -0,0 +1,109 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const errors = require('../../lib/errors')
+const RegistryMigration = require('../../lib/migration')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const Resolver = artifacts.require('./samples/Resolver.sol')
+
+// convenience variables
+let predecessor
+let successor
+let migration
+
+contract('Testing RegistryMigration', function (accounts) {
+  const [sender, provider] = accounts
+  const signers = [web3.eth.accounts.create(), web3.eth.accounts.create()]
+  const unknown = web3.eth.accounts.create()
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      const oldInstance = await deployRegistry(IdentityRegistry)
+      const newInstance = await deployRegistry(IdentityRegistry, { predecessor: oldInstance.address })
+      predecessor = new IdentityRegistryClient(web3, oldInstance.address, { abi: IdentityRegistry.abi, from: provider })
+      successor = new IdentityRegistryClient(web3, newInstance.address, { abi: IdentityRegistry.abi })
+      migration = new RegistryMigration(web3, oldInstance.address, newInstance.address, {
+        abi: IdentityRegistry.abi, from: sender
+      })
+
+      for (const signer of signers.concat([unknown])) {
+        await predecessor.mintDelegated({ recoveryAddress: sender }, signer)
+      }
+    })
+  })
+
+  describe('Testing migration', function () {
+    it('lists the identities to migrate', async function () {
+      const pending = await migration.getPendingIdentities()
+      assert.deepEqual(pending.map(identity => identity.ein), ['1', '2', '3'], 'unexpected pending identities.')
+    })
+
+    it('migrates the identities that signers are associated with', async function () {
+      // ganache underestimates the gas of calls that call other contracts
+      const { migrated, skipped } = await migration.migrateAll(signers, { gas: 1000000 })
+      assert.deepEqual(
+        migrated.map(({ oldEIN, ein }) => [oldEIN.toNumber(), ein.toNumber()]), [[1, 1], [2, 2]],
+        'unexpected migrated identities.'
+      )
+      assert.deepEqual(
+        skipped.map(({ ein, reason }) => [ein.toNumber(), reason]),
+        [[3, 'No signer is associated with the identity.']],
+        'unexpected skipped identities.'
+      )
+
+      for (const signer of signers) {
+        assert.isTrue(await successor.hasIdentity(signer.address), 'identity was not imported.')
+        assert.isFalse(await predecessor.hasIdentity(signer.address), 'identity was not migrated.')
+      }
+      const importedEINs = await migration.getImportedEINs()
+      assert.deepEqual(Object.keys(importedEINs), ['1', '2'], 'unexpected imported EINs.')
+    })
+
+    it('leaves nothing to migrate once every signer has consented', async function () {
+      const { migrated, skipped } = await migration.migrateAll(signers.concat([unknown]), { gas: 1000000 })
+      assert.deepEqual(migrated.map(({ oldEIN }) => oldEIN.toNumber()), [3], 'unexpected migrated identities.')
+      assert.isEmpty(skipped, 'unexpected skipped identities.')
+      assert.isEmpty(await migration.getPendingIdentities(), 'identities are still pending.')
+    })
+
+    it('consents consume the nonce of the signer, so they cannot be replayed', async function () {
+      const signer = web3.eth.accounts.create()
+      const { ein } = await predecessor.mintDelegated({ recoveryAddress: sender }, signer)
+      const consent = await migration.signConsent(ein, signer)
+
+      // once the signer has used its nonce for another permission, the consent is no longer valid
+      await predecessor.addAddress(signer, web3.eth.accounts.create())
+      await migration.submitConsent(consent, { gas: 1000000 })
+        .then(() => assert.fail('identity was migrated', 'transaction should fail'))
+        .catch(error => assert.instanceOf(error, errors.PermissionDeniedError, 'unexpected error.'))
+
+      const nonce = await predecessor.getNonce(signer.address)
+      await migration.submitConsent(await migration.signConsent(ein, signer, { method: 'typed' }), { gas: 1000000 })
+      assert.isTrue((await predecessor.getNonce(signer.address)).eq(nonce.addn(1)), 'nonce was not consumed.')
+      assert.isTrue(await successor.hasIdentity(signer.address), 'identity was not imported.')
+    })
+
+    it('resolvers are told that they were removed and added', async function () {
+      // the resolver serves another registry, so both of its hooks fail and are logged
+      const resolver = await Resolver.new(sender)
+      const signer = web3.eth.accounts.create()
+      const { ein } = await predecessor.mintDelegated(
+        { recoveryAddress: sender, resolvers: [resolver.address] }, signer, { gas: 1000000 }
+      )
+      const fromBlock = await web3.eth.getBlockNumber() + 1
+      const { migrated } = await migration.migrateAll([signer], { gas: 1000000 })
+      assert.deepEqual(migrated.map(({ oldEIN }) => oldEIN.toString()), [ein.toString()], 'identity was not migrated.')
+
+      for (const [client, hook] of [[predecessor, 'onRemoval(uint256)'], [successor, 'onAddition(uint256)']]) {
+        const events = await client.contract.getPastEvents('HookFailed', { fromBlock: fromBlock })
+        assert.deepEqual(
+          events.map(event => [event.returnValues.target, event.returnValues.hook]), [[resolver.address, hook]],
+          'unexpected hooks.'
+        )
+      }
+    })
+  })
+})
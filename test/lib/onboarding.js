@@ -0,0 +1,140 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, verifyIdentity } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const OnboardingWorkflow = require('../../lib/onboarding')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+// signers that never send transactions, so they can sign with fresh keys
+function createSigners (count) {
+  return [...Array(count)].map(() => {
+    const { address, privateKey } = web3.eth.accounts.create()
+    return { address: address, privateKey: privateKey }
+  })
+}
+
+// convenience variables
+const instances = {}
+let client
+
+contract('Testing OnboardingWorkflow', function (accounts) {
+  const [recoveryAddress, provider, resolver, other] = accounts
+
+  function expectedDetails (signers) {
+    return {
+      recoveryAddress:     recoveryAddress,
+      associatedAddresses: signers.map(signer => signer.address),
+      providers:           [provider],
+      resolvers:           [resolver]
+    }
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(
+        web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi, from: provider }
+      )
+    })
+  })
+
+  describe('Testing onboarding', function () {
+    it('can onboard an identity step by step', async function () {
+      const signers = createSigners(3)
+      const workflow = new OnboardingWorkflow(
+        client, { recoveryAddress: recoveryAddress, resolvers: [resolver], signers: signers }
+      )
+      await workflow.collectSignatures()
+
+      const progress = []
+      const { ein } = await workflow.submit({ onProgress: update => progress.push(update) })
+      assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+      assert.deepEqual(
+        progress.map(({ index, status }) => `${index}:${status}`),
+        ['0:sending', '0:confirmed', '1:sending', '1:confirmed', '2:sending', '2:confirmed'],
+        'unexpected progress.'
+      )
+
+      await verifyIdentity(ein, instances.IdentityRegistry, expectedDetails(signers))
+    })
+
+    it('resumes after a failed step', async function () {
+      const signers = createSigners(3)
+      const workflow = new OnboardingWorkflow(
+        client, { recoveryAddress: recoveryAddress, resolvers: [resolver], signers: signers, method: 'typed' }
+      )
+
+      // the last step fails once, as if the connection dropped
+      const send = client.send
+      client.send = function (method, options, eventNames, context) {
+        if (context.addresses[0] === signers[2].address) {
+          client.send = send
+          return Promise.reject(new Error('connection lost'))
+        }
+        return send.call(client, method, options, eventNames, context)
+      }
+
+      await workflow.submit()
+        .then(() => assert.fail('onboarding succeeded', 'onboarding should fail'))
+        .catch(error => assert.equal(error.message, 'connection lost', 'unexpected error.'))
+      assert.deepEqual(workflow.steps.map(step => step.confirmed), [true, true, false], 'unexpected steps.')
+
+      const progress = []
+      const { ein } = await workflow.submit({ onProgress: update => progress.push(update) })
+      assert.deepEqual(progress.map(({ index }) => index), [2, 2], 'confirmed steps were resubmitted.')
+
+      await verifyIdentity(ein, instances.IdentityRegistry, expectedDetails(signers))
+    })
+
+    it('collects signatures again when the EIN was mispredicted', async function () {
+      const signers = createSigners(2)
+      const workflow = new OnboardingWorkflow(
+        client, { recoveryAddress: recoveryAddress, resolvers: [resolver], signers: signers }
+      )
+      await workflow.collectSignatures()
+      await client.mint({ recoveryAddress: recoveryAddress, provider: provider }, { from: other })
+
+      await workflow.submit()
+        .then(() => assert.fail('onboarding succeeded', 'onboarding should fail'))
+        .catch(error => assert.include(error.message, 'must be collected again', 'unexpected error.'))
+      assert.isTrue(workflow.ein.eq(web3.utils.toBN(4)), 'unexpected EIN.')
+
+      await workflow.collectSignatures()
+      const { ein } = await workflow.submit()
+
+      await verifyIdentity(ein, instances.IdentityRegistry, expectedDetails(signers))
+    })
+
+    it('can onboard an identity in a single transaction', async function () {
+      const signers = createSigners(3)
+      const workflow = new OnboardingWorkflow(
+        client, { recoveryAddress: recoveryAddress, resolvers: [resolver], signers: signers, method: 'typed' }
+      )
+
+      const { ein, steps } = await workflow.submitBatch()
+      assert.isTrue(ein.eq(web3.utils.toBN(5)), 'unexpected EIN.')
+      assert.equal(new Set(steps.map(step => step.receipt.transactionHash)).size, 1, 'unexpected transactions.')
+
+      await verifyIdentity(ein, instances.IdentityRegistry, expectedDetails(signers))
+    })
+
+    it('batches are atomic', async function () {
+      const signers = createSigners(2)
+      const workflow = new OnboardingWorkflow(
+        client, { recoveryAddress: recoveryAddress, resolvers: [resolver], signers: signers }
+      )
+      await workflow.collectSignatures()
+
+      // the permission to add the second address is for an EIN that is now taken, so the mint is undone too
+      await client.mint({ recoveryAddress: recoveryAddress, provider: provider }, { from: accounts[4] })
+      await workflow.submitBatch()
+        .then(() => assert.fail('onboarding succeeded', 'onboarding should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied', 'unexpected error.'))
+
+      assert.isFalse(await client.hasIdentity(signers[0].address), 'identity was minted.')
+      assert.isFalse(workflow.steps[0].confirmed, 'step was confirmed.')
+    })
+  })
+})
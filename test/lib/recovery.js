@@ -0,0 +1,134 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, timeTravel, verifyIdentity } = require('../common')
+const IdentityRegistryClient = require('../../lib/client')
+const errors = require('../../lib/errors')
+const recovery = require('../../lib/recovery')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb'
+]
+
+const twoWeeks = 60 * 60 * 24 * 14
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let client
+let ein
+
+contract('Testing recovery', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  const [recoveryAddress, newRecoveryAddress, provider, associatedAddress, otherAddress, newAssociatedAddress] =
+    accountsPrivate
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+      client = new IdentityRegistryClient(
+        web3, instances.IdentityRegistry.address, { abi: IdentityRegistry.abi, from: provider.address }
+      )
+
+      const minted = await client.mint(
+        { recoveryAddress: recoveryAddress.address, provider: provider.address }, { from: associatedAddress.address }
+      )
+      ein = minted.ein
+      await client.addAddress(associatedAddress, otherAddress)
+    })
+  })
+
+  describe('Testing recovery state', function () {
+    it('reads the state of an identity that was never recovered', async function () {
+      const state = await recovery.getRecoveryState(client, ein)
+      assert.equal(state.recoveryAddress, recoveryAddress.address, 'unexpected recovery address.')
+      assert.isUndefined(state.previousRecoveryAddress, 'unexpected previous recovery address.')
+      assert.equal(state.recoveringAddress, recoveryAddress.address, 'unexpected recovering address.')
+      assert.isTrue(state.canChangeRecoveryAddress && state.canRecover, 'unexpected windows.')
+      assert.isFalse(state.canPoison, 'unexpected poison pill.')
+    })
+
+    it('reads a pending change of recovery address', async function () {
+      await client.changeRecoveryAddress(ein, newRecoveryAddress.address)
+
+      const state = await recovery.getRecoveryState(client, ein)
+      assert.equal(state.recoveryAddress, newRecoveryAddress.address, 'unexpected recovery address.')
+      assert.equal(state.previousRecoveryAddress, recoveryAddress.address, 'unexpected previous recovery address.')
+      assert.equal(state.recoveringAddress, recoveryAddress.address, 'unexpected recovering address.')
+      assert.isFalse(state.canChangeRecoveryAddress, 'unexpected recovery address change.')
+      assert.equal(state.recoveryAddressChange.remaining, twoWeeks + 1, 'unexpected time remaining.')
+    })
+  })
+
+  describe('Testing recovery and poison pills', function () {
+    it('only the recovering address can recover', async function () {
+      await recovery.recover(client, ein, newAssociatedAddress, { from: newRecoveryAddress.address })
+        .then(() => assert.fail('new recovery address recovered', 'recovery should fail'))
+        .catch(error => assert.instanceOf(error, errors.NotRecoveryAddressError, 'unexpected error.'))
+
+      const { event } = await recovery.recover(
+        client, ein, newAssociatedAddress, { from: recoveryAddress.address, method: 'typed' }
+      )
+      assert.deepEqual(
+        event.returnValues.oldAssociatedAddresses, [associatedAddress.address, otherAddress.address],
+        'unexpected event.'
+      )
+
+      const state = await recovery.getRecoveryState(client, ein)
+      assert.isFalse(state.canRecover, 'unexpected recovery.')
+      assert.isTrue(state.canPoison, 'unexpected poison pill.')
+      assert.equal(
+        state.recovery.hashedOldAssociatedAddresses,
+        recovery.hashAddresses([associatedAddress.address, otherAddress.address]),
+        'unexpected hash.'
+      )
+    })
+
+    it('recoveries cannot be repeated during the cooldown', async function () {
+      await recovery.recover(client, ein, associatedAddress, { from: recoveryAddress.address })
+        .then(() => assert.fail('identity was recovered again', 'recovery should fail'))
+        .catch(error => assert.instanceOf(error, errors.RecoveryCooldownError, 'unexpected error.'))
+    })
+
+    it('finds the chunks of the last recovery', async function () {
+      const event = await recovery.findRecoveryEvent(client, ein)
+      const chunks = recovery.poisonChunks(event.returnValues.oldAssociatedAddresses, otherAddress.address)
+      assert.deepEqual(chunks, { firstChunk: [associatedAddress.address], lastChunk: [] }, 'unexpected chunks.')
+      assert.isUndefined(
+        recovery.poisonChunks(event.returnValues.oldAssociatedAddresses, provider.address), 'unexpected chunks.'
+      )
+    })
+
+    it('only removed addresses can poison', async function () {
+      await recovery.poison(client, ein, { from: provider.address })
+        .then(() => assert.fail('identity was poisoned', 'poison pill should fail'))
+        .catch(error => assert.instanceOf(error, errors.PoisonPillError, 'unexpected error.'))
+
+      await recovery.poison(client, ein, { from: otherAddress.address })
+
+      await verifyIdentity(ein, instances.IdentityRegistry, {
+        recoveryAddress:     recoveryAddress.address,
+        associatedAddresses: [],
+        providers:           [],
+        resolvers:           []
+      })
+    })
+
+    it('the windows close after 2 weeks', async function () {
+      await timeTravel(twoWeeks + 1)
+      await client.mint({ recoveryAddress: recoveryAddress.address, provider: provider.address })
+
+      const state = await recovery.getRecoveryState(client, ein)
+      assert.equal(state.recoveringAddress, recoveryAddress.address, 'unexpected recovering address.')
+      assert.isTrue(state.canChangeRecoveryAddress && state.canRecover, 'unexpected windows.')
+      assert.isFalse(state.canPoison, 'unexpected poison pill.')
+    })
+  })
+})
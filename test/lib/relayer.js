@@ -0,0 +1,294 @@
+const http = require('http')
+
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, sign, verifyIdentity } = require('../common')
+const permissions = require('../../lib/permissions')
+const { Relayer } = require('../../lib/relayer')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const MetaTransactionProxyProvider = artifacts.require('MetaTransactionProxyProvider')
+const AddressSetTest = artifacts.require('./AddressSet/AddressSetTest.sol')
+const Multisig = artifacts.require('./samples/Multisig.sol')
+
+// sends a request to the relayer's server, resolving to the status, headers and parsed body of the response
+function request (method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port: server.address().port, method: method, path: path },
+      res => {
+        const chunks = []
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('end', () => resolve({
+          status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+        }))
+      }
+    )
+    req.on('error', reject)
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body))
+  })
+}
+
+// polls the status of a relayed transaction until it has been mined
+async function waitForTransaction (transactionHash) {
+  for (let i = 0; i < 100; i++) {
+    const { body } = await request('GET', `/transactions/${transactionHash}`)
+    if (body.status !== 'pending') return body
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  throw new Error(`${transactionHash} was not mined.`)
+}
+
+// signs a mint through the provider, as the payload the relayer accepts
+async function mintPayload (signer, fields = {}) {
+  const { args: [recoveryAddress, associatedAddress, resolvers, v, r, s, timestamp] } =
+    await permissions.mintIdentityDelegated(Object.assign({
+      registry: instances.IdentityRegistry.address,
+      recoveryAddress: accounts[0],
+      provider: instances.MetaTransactionProxyProvider.address,
+      resolvers: [],
+      nonce: await permissions.fetchNonce(web3, instances.IdentityRegistry.address, signer.address)
+    }, fields), signer)
+  return {
+    recoveryAddress: recoveryAddress,
+    associatedAddress: associatedAddress,
+    resolvers: resolvers,
+    v: v,
+    r: r,
+    s: s,
+    timestamp: timestamp
+  }
+}
+
+// signs a call through the provider's proxies over the nonce reported by the relayer, inserting into the test set
+async function callPayload (signer, address, fields = {}) {
+  const destination = fields.destination || instances.AddressSetTest.address
+  const data = instances.AddressSetTest.contract.methods.insert(address).encodeABI()
+  const { body: { nonce } } = await request('GET', `/nonces/${ein}`)
+  const messageHash = web3.utils.soliditySha3(
+    'Call', instances.MetaTransactionProxyProvider.address, ein, destination, data, nonce
+  )
+  const { v, r, s } = await sign(messageHash, signer.address, signer.privateKey)
+  return Object.assign(
+    { approvingAddress: signer.address, v: v, r: r, s: s, destination: destination, data: data, viaExternal: true },
+    fields
+  )
+}
+
+// convenience variables
+const instances = {}
+let accounts
+let server
+// the relayer's clock, which the tests move forward to end rate limiting windows
+let clockOffset = 0
+const ein = web3.utils.toBN(1)
+const signer = web3.eth.accounts.create()
+
+contract('Testing Relayer', function (_accounts) {
+  accounts = _accounts
+  const relayerAddress = accounts[9]
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
+    })
+
+    it('MetaTransactionProxyProvider contract deployed', async function () {
+      instances.MetaTransactionProxyProvider = await MetaTransactionProxyProvider.new(
+        instances.IdentityRegistry.address
+      )
+    })
+
+    it('AddressSetTest contract deployed', async function () {
+      instances.AddressSetTest = await AddressSetTest.new()
+    })
+
+    it('relayer listening', async function () {
+      // ganache underestimates the gas of calls that call other contracts
+      const relayer = new Relayer(web3, {
+        registry: instances.IdentityRegistry.address,
+        provider: instances.MetaTransactionProxyProvider.address,
+        from: relayerAddress,
+        gas: 1000000,
+        rateLimit: { limit: 3, interval: 3600 },
+        mintRateLimit: { limit: 4, interval: 3600 },
+        now: () => Math.floor(Date.now() / 1000) + clockOffset,
+        registryAbi: IdentityRegistry.abi,
+        providerAbi: MetaTransactionProxyProvider.abi
+      })
+      server = relayer.createServer()
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    })
+  })
+
+  describe('Testing relayed mints', function () {
+    it('relays signed mints', async function () {
+      const balance = web3.utils.toBN(await web3.eth.getBalance(relayerAddress))
+
+      const { status, body } = await request('POST', '/relay/mintIdentityDelegated', await mintPayload(signer))
+      assert.equal(status, 202, 'unexpected status.')
+      assert.equal(body.status, 'pending', 'unexpected transaction status.')
+
+      const transaction = await waitForTransaction(body.transactionHash)
+      assert.equal(transaction.status, 'confirmed', 'unexpected transaction status.')
+      assert.equal(transaction.type, 'mintIdentityDelegated', 'unexpected transaction type.')
+
+      await verifyIdentity(ein, instances.IdentityRegistry, {
+        recoveryAddress:     accounts[0],
+        associatedAddresses: [signer.address],
+        providers:           [instances.MetaTransactionProxyProvider.address],
+        resolvers:           []
+      })
+      assert.isTrue(
+        web3.utils.toBN(await web3.eth.getBalance(relayerAddress)).lt(balance), 'relayer did not pay for gas.'
+      )
+    })
+
+    it('rejects invalid mints without sending them', async function () {
+      const other = web3.eth.accounts.create()
+      const blockNumber = await web3.eth.getBlockNumber()
+
+      const missing = await request('POST', '/relay/mintIdentityDelegated', Object.assign(
+        await mintPayload(other), { v: undefined }
+      ))
+      assert.deepEqual(
+        [missing.status, missing.body.error], [400, 'Field \'v\' must be of type uint8.'], 'unexpected response.'
+      )
+
+      const forged = await request('POST', '/relay/mintIdentityDelegated', Object.assign(
+        await mintPayload(web3.eth.accounts.create()), { associatedAddress: other.address }
+      ))
+      assert.deepEqual([forged.status, forged.body.error], [403, 'Permission denied.'], 'unexpected response.')
+
+      const expired = await request('POST', '/relay/mintIdentityDelegated', await mintPayload(
+        other, { timestamp: permissions.currentTimestamp() - 7 * 24 * 60 * 60 }
+      ))
+      assert.deepEqual([expired.status, expired.body.error], [403, 'Timestamp is not valid.'], 'unexpected response.')
+
+      const minted = await request('POST', '/relay/mintIdentityDelegated', await mintPayload(signer))
+      assert.deepEqual(
+        [minted.status, minted.body.error],
+        [403, 'The passed address has/does not have an identity.'],
+        'unexpected response.'
+      )
+
+      const invalid = await request('POST', '/relay/mintIdentityDelegated', '{')
+      assert.deepEqual(
+        [invalid.status, invalid.body.error], [400, 'Request body is not valid JSON.'], 'unexpected response.'
+      )
+
+      const unknown = await request('POST', '/relay/addAddress', {})
+      assert.deepEqual([unknown.status, unknown.body.error], [404, 'Unknown relay addAddress.'], 'unexpected response.')
+      for (const inherited of ['constructor', 'toString', '__proto__']) {
+        const { status, body } = await request('POST', `/relay/${inherited}`, {})
+        assert.deepEqual([status, body.error], [404, `Unknown relay ${inherited}.`], 'unexpected response.')
+      }
+
+      assert.equal(await web3.eth.getBlockNumber(), blockNumber, 'a transaction was sent.')
+    })
+
+    it('relays mints signed by contract wallets', async function () {
+      const owner = web3.eth.accounts.create()
+      const wallet = await Multisig.new([owner.address], 1)
+
+      const forged = await request('POST', '/relay/mintIdentityDelegated', await mintPayload(
+        { address: wallet.address, owners: [web3.eth.accounts.create()] }
+      ))
+      assert.deepEqual([forged.status, forged.body.error], [403, 'Permission denied.'], 'unexpected response.')
+
+      const { status, body } = await request('POST', '/relay/mintIdentityDelegated', await mintPayload(
+        { address: wallet.address, owners: [owner] }
+      ))
+      assert.equal(status, 202, 'unexpected status.')
+      assert.equal((await waitForTransaction(body.transactionHash)).status, 'confirmed', 'unexpected status.')
+      assert.isTrue(
+        (await instances.IdentityRegistry.getEIN(wallet.address)).eqn(2), 'wallet does not have an identity.'
+      )
+    })
+
+    it('rate limits mints from any addresses together', async function () {
+      for (let i = 0; i < 2; i++) {
+        const { status, body } = await request(
+          'POST', '/relay/mintIdentityDelegated', await mintPayload(web3.eth.accounts.create())
+        )
+        assert.equal(status, 202, 'unexpected status.')
+        assert.equal((await waitForTransaction(body.transactionHash)).status, 'confirmed', 'unexpected status.')
+      }
+
+      const blockNumber = await web3.eth.getBlockNumber()
+      const limited = await request(
+        'POST', '/relay/mintIdentityDelegated', await mintPayload(web3.eth.accounts.create())
+      )
+      assert.equal(limited.status, 429, 'unexpected status.')
+      assert.isAtMost(Number(limited.headers['retry-after']), 3600, 'unexpected retry after.')
+      assert.equal(await web3.eth.getBlockNumber(), blockNumber, 'a transaction was sent.')
+    })
+  })
+
+  describe('Testing relayed calls', function () {
+    it('relays signed calls through the proxy', async function () {
+      const { status, body } = await request('POST', '/relay/callViaProxy', await callPayload(signer, accounts[5]))
+      assert.equal(status, 202, 'unexpected status.')
+      assert.equal(body.ein, ein.toString(), 'unexpected EIN.')
+
+      const transaction = await waitForTransaction(body.transactionHash)
+      assert.equal(transaction.status, 'confirmed', 'unexpected transaction status.')
+
+      assert.isTrue(await instances.AddressSetTest.contains(accounts[5]), 'call was not made.')
+      assert.isTrue(
+        await instances.MetaTransactionProxyProvider.hasExternalProxy(ein), 'proxy was not claimed.'
+      )
+      const { body: { nonce } } = await request('GET', `/nonces/${ein}`)
+      assert.equal(nonce, '1', 'unexpected nonce.')
+    })
+
+    it('rejects replayed and disallowed calls', async function () {
+      const signed = await callPayload(signer, accounts[6])
+      await request('POST', '/relay/callViaProxy', signed).then(({ body }) => waitForTransaction(body.transactionHash))
+
+      const replay = await request('POST', '/relay/callViaProxy', signed)
+      assert.deepEqual([replay.status, replay.body.error], [403, 'Permission denied.'], 'unexpected response.')
+
+      const registry = await request('POST', '/relay/callViaProxy', await callPayload(
+        signer, accounts[6], { destination: instances.IdentityRegistry.address, viaExternal: false }
+      ))
+      assert.deepEqual(
+        [registry.status, registry.body.error], [403, 'Cannot call the registry directly.'], 'unexpected response.'
+      )
+
+      const stranger = await request('POST', '/relay/callViaProxy', await callPayload(
+        web3.eth.accounts.create(), accounts[6]
+      ))
+      assert.deepEqual(
+        [stranger.status, stranger.body.error],
+        [403, 'The passed address has/does not have an identity.'],
+        'unexpected response.'
+      )
+    })
+
+    it('relays one call per identity at a time', async function () {
+      const payloads = [await callPayload(signer, accounts[7]), await callPayload(signer, accounts[8])]
+      const responses = await Promise.all(payloads.map(payload => request('POST', '/relay/callViaProxy', payload)))
+      assert.deepEqual(responses.map(({ status }) => status).sort(), [202, 409], 'unexpected statuses.')
+
+      const accepted = responses.find(({ status }) => status === 202)
+      assert.equal((await waitForTransaction(accepted.body.transactionHash)).status, 'confirmed', 'unexpected status.')
+    })
+
+    it('rate limits relays per identity', async function () {
+      const limited = await request('POST', '/relay/callViaProxy', await callPayload(signer, accounts[7]))
+      assert.equal(limited.status, 429, 'unexpected status.')
+      assert.isAtMost(Number(limited.headers['retry-after']), 3600, 'unexpected retry after.')
+
+      clockOffset += Number(limited.headers['retry-after'])
+      const { status, body } = await request('POST', '/relay/callViaProxy', await callPayload(signer, accounts[7]))
+      assert.equal(status, 202, 'unexpected status.')
+      assert.equal((await waitForTransaction(body.transactionHash)).status, 'confirmed', 'unexpected status.')
+    })
+
+    it('relayer stopped', async function () {
+      await new Promise(resolve => server.close(resolve))
+    })
+  })
+})
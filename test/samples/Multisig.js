@@ -0,0 +1,142 @@
+const Web3 = require('web3')
+const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
+
+const { deployRegistry, verifyIdentity } = require('../common')
+const permissions = require('../../lib/permissions')
+const signatures = require('../../lib/signatures')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const Multisig = artifacts.require('./samples/Multisig.sol')
+
+// convenience variables
+const instances = {}
+let chainId
+let wallet
+let recoveryWallet
+const ein = web3.utils.toBN(1)
+
+contract('Testing Sample Multisig', function (accounts) {
+  const [provider, sender] = accounts
+  const owners = [web3.eth.accounts.create(), web3.eth.accounts.create(), web3.eth.accounts.create()]
+  const otherAddress = web3.eth.accounts.create()
+
+  // executes a call as a wallet, with the signatures of the passed owners
+  async function execute (multisig, signers, destination, data) {
+    const nonce = await multisig.nonce()
+    const transactionHash = web3.utils.soliditySha3(
+      { t: 'address', v: destination }, { t: 'uint256', v: 0 }, { t: 'bytes', v: data }, { t: 'uint256', v: nonce }
+    )
+    const packed = signatures.signContractMessage(transactionHash, multisig.address, signers)
+    return multisig.execute(destination, 0, data, packed, { from: sender, gas: 1000000 })
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      chainId = await web3.eth.net.getId()
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry, { chainId: chainId })
+    })
+
+    it('Multisig contracts deployed', async function () {
+      // a 1 of 2 wallet that signs permissions off-chain, and a 2 of 3 wallet that signs them on-chain
+      instances.Multisig = await Multisig.new(owners.slice(0, 2).map(owner => owner.address), 1)
+      instances.RecoveryMultisig = await Multisig.new(owners.map(owner => owner.address), 2)
+      wallet = { address: instances.Multisig.address, owners: owners.slice(0, 1) }
+      recoveryWallet = { address: instances.RecoveryMultisig.address, owners: owners.slice(1, 2) }
+    })
+  })
+
+  describe('Testing ERC-1271 signatures', function () {
+    it('wallets can consent to identities being minted', async function () {
+      const fields = {
+        registry:        instances.IdentityRegistry.address,
+        recoveryAddress: recoveryWallet.address,
+        provider:        provider,
+        nonce:           await permissions.fetchNonce(web3, instances.IdentityRegistry.address, wallet.address)
+      }
+
+      const forged = await permissions.mintIdentityDelegated(
+        fields, { address: wallet.address, owners: owners.slice(2) }
+      )
+      await instances.IdentityRegistry.mintIdentityDelegated(...forged.args, { from: provider })
+        .then(() => assert.fail('identity was minted', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+
+      const permission = await permissions.mintIdentityDelegated(fields, wallet)
+      const { v, r, s } = permission.signature
+      assert.isTrue(
+        await instances.IdentityRegistry.isSigned(wallet.address, permission.messageHash, v, r, s), 'not signed.'
+      )
+      await instances.IdentityRegistry.mintIdentityDelegated(...permission.args, { from: provider })
+
+      await verifyIdentity(ein, instances.IdentityRegistry, {
+        recoveryAddress:     recoveryWallet.address,
+        associatedAddresses: [wallet.address],
+        providers:           [provider],
+        resolvers:           []
+      })
+    })
+
+    it('wallets can approve addresses and remove themselves with typed data', async function () {
+      const permission = await permissions.addAddress({
+        registry: instances.IdentityRegistry.address,
+        chainId:  chainId,
+        ein:      ein,
+        nonce:    [
+          await permissions.fetchNonce(web3, instances.IdentityRegistry.address, wallet.address),
+          await permissions.fetchNonce(web3, instances.IdentityRegistry.address, otherAddress.address)
+        ]
+      }, wallet, otherAddress, 'typed')
+      await instances.IdentityRegistry.addAddress(...permission.args, { from: provider })
+
+      const removal = await permissions.removeAddress({
+        registry: instances.IdentityRegistry.address,
+        chainId:  chainId,
+        ein:      ein,
+        nonce:    await permissions.fetchNonce(web3, instances.IdentityRegistry.address, wallet.address)
+      }, wallet, 'typed')
+      await instances.IdentityRegistry.removeAddress(...removal.args, { from: provider })
+
+      await verifyIdentity(ein, instances.IdentityRegistry, {
+        recoveryAddress:     recoveryWallet.address,
+        associatedAddresses: [otherAddress.address],
+        providers:           [provider],
+        resolvers:           []
+      })
+    })
+
+    it('wallets that need more than one owner can only sign on-chain', async function () {
+      await signatures.sign('0x' + '00'.repeat(32), { address: recoveryWallet.address, owners: owners.slice(1) })
+        .then(() => assert.fail('message was signed', 'signing should fail'))
+        .catch(error => assert.include(
+          error.message, 'Contract signers can only sign permissions with a single owner.', 'wrong rejection reason'
+        ))
+    })
+
+    it('wallets can recover identities to themselves', async function () {
+      const permission = await permissions.triggerRecovery({
+        registry: instances.IdentityRegistry.address,
+        ein:      ein.toString(),
+        nonce:    await permissions.fetchNonce(web3, instances.IdentityRegistry.address, recoveryWallet.address)
+      }, recoveryWallet)
+      const triggerRecovery = instances.IdentityRegistry.contract.methods
+        .triggerRecovery(...permission.args)
+        .encodeABI()
+
+      // the signature of a single owner is not enough for this wallet
+      await execute(instances.RecoveryMultisig, owners.slice(1, 2), instances.IdentityRegistry.address, triggerRecovery)
+        .then(() => assert.fail('recovery was triggered', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'The owners have not approved.', 'wrong rejection reason'))
+
+      const signMessage = instances.RecoveryMultisig.contract.methods.signMessage(permission.messageHash).encodeABI()
+      await execute(instances.RecoveryMultisig, owners.slice(1), instances.RecoveryMultisig.address, signMessage)
+      await execute(instances.RecoveryMultisig, owners.slice(1), instances.IdentityRegistry.address, triggerRecovery)
+
+      await verifyIdentity(ein, instances.IdentityRegistry, {
+        recoveryAddress:     recoveryWallet.address,
+        associatedAddresses: [recoveryWallet.address],
+        providers:           [],
+        resolvers:           []
+      })
+    })
+  })
+})
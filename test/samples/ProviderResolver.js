@@ -1,7 +1,8 @@
 const Web3 = require('web3')
 const web3 = new Web3(Web3.givenProvider || 'http://localhost:8545')
 
-const { sign, verifyIdentity } = require('../common')
+const { deployRegistry, verifyIdentity } = require('../common')
+const permissions = require('../../lib/permissions')
 
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 const Provider = artifacts.require('./samples/Provider.sol')
@@ -13,6 +14,16 @@ const privateKeys = [
   '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
 ]
 
+function getNonce (address) {
+  return permissions.fetchNonce(web3, instances.IdentityRegistry.address, address)
+}
+
+// reads the email that the resolver stores for an EIN, which getEmail hides once the resolver is removed
+async function storedEmail (ein) {
+  const slot = web3.utils.soliditySha3({ type: 'uint256', value: ein }, { type: 'uint256', value: 0 })
+  return web3.utils.toBN(await web3.eth.getStorageAt(instances.Resolver.address, slot))
+}
+
 // convenience variables
 const instances = {}
 let accountsPrivate
@@ -28,7 +39,7 @@ contract('Testing Sample Provider and Resolver', function (accounts) {
 
   describe('Deploying Contracts', function () {
     it('IdentityRegistry contract deployed', async function () {
-      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.IdentityRegistry = await deployRegistry(IdentityRegistry)
     })
 
     it('Provider contract deployed', async function () {
@@ -43,23 +54,14 @@ contract('Testing Sample Provider and Resolver', function (accounts) {
 
   describe('Testing Provider', function () {
     it('Identity can be minted', async function () {
-      const timestamp = Math.round(new Date() / 1000) - 1
-      const permissionString = web3.utils.soliditySha3(
-        'I authorize an Identity to be minted on my behalf.',
-        instances.IdentityRegistry.address,
-        identity.recoveryAddress.address,
-        identity.associatedAddresses[0].address,
-        instances.Provider.address,
-        { t: 'address[]', v: [identity.resolver] },
-        timestamp
-      )
-      const permission = await sign(
-        permissionString, identity.associatedAddresses[0].address, identity.associatedAddresses[0].private
-      )
-      await instances.Provider.mintIdentityDelegated(
-        identity.recoveryAddress.address, identity.associatedAddresses[0].address, [identity.resolver],
-        permission.v, permission.r, permission.s, timestamp
-      )
+      const permission = await permissions.mintIdentityDelegated({
+        registry:        instances.IdentityRegistry.address,
+        recoveryAddress: identity.recoveryAddress.address,
+        provider:        instances.Provider.address,
+        resolvers:       [identity.resolver],
+        nonce:           await getNonce(identity.associatedAddresses[0].address)
+      }, identity.associatedAddresses[0])
+      await instances.Provider.mintIdentityDelegated(...permission.args)
       identity.identity = web3.utils.toBN(1)
 
       await verifyIdentity(identity.identity, instances.IdentityRegistry, {
@@ -71,36 +73,13 @@ contract('Testing Sample Provider and Resolver', function (accounts) {
     })
 
     it('provider can add other addresses', async function () {
-      const address = identity.associatedAddresses[1]
-      const timestamp = Math.round(new Date() / 1000) - 1
-      const permissionStringApproving = web3.utils.soliditySha3(
-        'I authorize adding this address to my Identity.',
-        instances.IdentityRegistry.address,
-        identity.identity,
-        address.address,
-        timestamp
-      )
+      const permission = await permissions.addAddress({
+        registry: instances.IdentityRegistry.address,
+        ein:      identity.identity,
+        nonce:    await Promise.all(identity.associatedAddresses.map(({ address }) => getNonce(address)))
+      }, identity.associatedAddresses[0], identity.associatedAddresses[1])
 
-      const permissionString = web3.utils.soliditySha3(
-        'I authorize being added to this Identity.',
-        instances.IdentityRegistry.address,
-        identity.identity,
-        address.address,
-        timestamp
-      )
-
-      const permissionApproving = await sign(
-        permissionStringApproving, identity.associatedAddresses[0].address, identity.associatedAddresses[0].private
-      )
-      const permission = await sign(permissionString, address.address, address.private)
-
-      await instances.Provider.addAddress(
-        identity.associatedAddresses[0].address, address.address,
-        [permissionApproving.v, permission.v],
-        [permissionApproving.r, permission.r],
-        [permissionApproving.s, permission.s],
-        [timestamp, timestamp]
-      )
+      await instances.Provider.addAddress(...permission.args)
 
       await verifyIdentity(identity.identity, instances.IdentityRegistry, {
         recoveryAddress:     identity.recoveryAddress.address,
@@ -111,19 +90,13 @@ contract('Testing Sample Provider and Resolver', function (accounts) {
     })
 
     it('provider can remove addresses', async function () {
-      const address = identity.associatedAddresses[1]
-      const timestamp = Math.round(new Date() / 1000) - 1
-      const permissionString = web3.utils.soliditySha3(
-        'I authorize removing this address from my Identity.',
-        instances.IdentityRegistry.address,
-        identity.identity,
-        address.address,
-        timestamp
-      )
-
-      const permission = await sign(permissionString, address.address, address.private)
+      const permission = await permissions.removeAddress({
+        registry: instances.IdentityRegistry.address,
+        ein:      identity.identity,
+        nonce:    await getNonce(identity.associatedAddresses[1].address)
+      }, identity.associatedAddresses[1])
 
-      await instances.Provider.removeAddress(address.address, permission.v, permission.r, permission.s, timestamp)
+      await instances.Provider.removeAddress(...permission.args)
 
       await verifyIdentity(identity.identity, instances.IdentityRegistry, {
         recoveryAddress:     identity.recoveryAddress.address,
@@ -211,5 +184,85 @@ contract('Testing Sample Provider and Resolver', function (accounts) {
       const emailAddress = await instances.Resolver.getEmail(identity.identity)
       assert.equal(emailAddress, 'test@test.test', 'Unexpected email address.')
     })
+
+    it('removing the resolver clears the email address', async function () {
+      // ganache underestimates the gas of calls that call other contracts
+      await instances.Provider.removeResolvers(
+        [identity.resolver],
+        { from: identity.associatedAddresses[0].address, gas: 500000 }
+      )
+
+      const emailAddress = await instances.Resolver.getEmail(identity.identity)
+      assert.equal(emailAddress, '', 'Unexpected email address.')
+    })
+
+    it('failing hooks do not block changes', async function () {
+      // the provider does not implement hooks, so calling them fails
+      for (const method of ['addResolvers', 'removeResolvers']) {
+        await instances.Provider[method](
+          [instances.Provider.address],
+          { from: identity.associatedAddresses[0].address, gas: 500000 }
+        )
+      }
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     accounts.slice(-1)[0],
+        associatedAddresses: identity.associatedAddresses.map(address => address.address).slice(0, 1),
+        providers:           [instances.Provider.address],
+        resolvers:           []
+      })
+
+      // removing a resolver that was never set calls no hooks
+      await instances.Provider.removeResolvers(
+        [instances.Provider.address], { from: identity.associatedAddresses[0].address, gas: 500000 }
+      )
+
+      const events = await instances.IdentityRegistry.getPastEvents('HookFailed', { fromBlock: 0, toBlock: 'latest' })
+      assert.deepEqual(
+        events.map(event => [event.returnValues.target, event.returnValues.hook]),
+        [[instances.Provider.address, 'onAddition(uint256)'], [instances.Provider.address, 'onRemoval(uint256)']],
+        'unexpected failed hooks.'
+      )
+    })
+
+    it('poison pills that remove the resolver clear the email address', async function () {
+      await instances.Provider.addResolvers([identity.resolver], { from: identity.associatedAddresses[0].address })
+      await instances.Resolver.setEmailAddress('test@test.test', { from: identity.associatedAddresses[0].address })
+
+      // recoveries keep the resolver, so the email address is kept as well
+      const newAssociatedAddress = web3.eth.accounts.create()
+      const permission = await permissions.triggerRecovery({
+        registry: instances.IdentityRegistry.address,
+        ein: identity.identity,
+        timestamp: (await web3.eth.getBlock('latest')).timestamp,
+        nonce: await getNonce(newAssociatedAddress.address)
+      }, newAssociatedAddress)
+      await instances.IdentityRegistry.triggerRecovery(
+        ...permission.args, { from: identity.recoveryAddress.address, gas: 1000000 }
+      )
+      assert.equal(await instances.Resolver.getEmail(identity.identity), 'test@test.test', 'Unexpected email address.')
+
+      await instances.IdentityRegistry.triggerPoisonPill(
+        identity.identity, [], [], true, { from: identity.associatedAddresses[0].address, gas: 1000000 }
+      )
+      assert.isTrue((await storedEmail(identity.identity)).isZero(), 'email address was not cleared.')
+    })
+
+    it('hooks are called on at most maxHookTargets resolvers at once', async function () {
+      const maxHookTargets = (await instances.IdentityRegistry.maxHookTargets()).toNumber()
+      // resolvers of another registry, whose hooks fail, so that every call is logged
+      const resolvers = []
+      for (let i = 0; i <= maxHookTargets; i++) resolvers.push((await Resolver.new(accounts[0])).address)
+
+      const { receipt } = await instances.IdentityRegistry.mintIdentity(
+        accounts[0], accounts[0], resolvers, { from: accounts[3], gas: 3000000 }
+      )
+      const events = await instances.IdentityRegistry.getPastEvents('HookFailed', {
+        fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber
+      })
+      assert.deepEqual(
+        events.map(event => event.returnValues.target), resolvers.slice(0, maxHookTargets), 'unexpected hooks.'
+      )
+    })
   })
 })
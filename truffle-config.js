@@ -1,11 +1,32 @@
+const path = require('path')
+
+// public networks are reached through a local node (e.g. geth or parity) with an unlocked deployment account
+// each defaults to its own port, so that they can be simulated side by side with ganache-cli --networkId
+function publicNetwork (networkId, port) {
+  return {
+    host: process.env.NODE_HOST || '127.0.0.1',
+    port: Number(process.env.NODE_PORT) || port,
+    network_id: networkId,
+    addressBook: path.join(__dirname, 'deployments.json'),
+    ethereumDIDRegistry: process.env.ETHEREUM_DID_REGISTRY
+  }
+}
+
 module.exports = {
   networks: {
     development: {
       host: '127.0.0.1',
       port: 8545,
       network_id: '*',
-      websockets: true
-    }
+      websockets: true,
+      deploySamples: true,
+      deployExamples: true,
+      governanceDelay: 24 * 60 * 60
+    },
+    mainnet: publicNetwork(1, 8546),
+    ropsten: publicNetwork(3, 8547),
+    rinkeby: publicNetwork(4, 8548),
+    kovan: publicNetwork(42, 8549)
   },
   compilers: {
     solc: {